@@ -39,10 +39,10 @@ input.addAxis(SCALE_AXIS);
 //Create the camera to view the environment
 let camera = new Camera(graphics.canvas, Constants.WORLD_VIEW_WIDTH, Constants.WORLD_VIEW_HEIGHT);
 
-//Add a canvas resize event
-graphics.addCanvasResizeEvent(function(pWidth, pHeight) {
+//Listen for the canvas being resized
+EventBus.on("graphics.resize", function(pData) {
 	//Assign the new canvas size to the camera
-	camera.canvasDimensions = new Vec2(pWidth, pHeight);
+	camera.canvasDimensions = new Vec2(pData.width, pData.height);
 });
 
 /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -54,6 +54,12 @@ graphics.addCanvasResizeEvent(function(pWidth, pHeight) {
 //Store the particle manager
 let particleManager = new ParticleManager();
 
+//Create the profiler to time each part of the frame
+let profiler = new Profiler();
+
+//Store the visibility of the profiler overlay
+let showProfiler = false;
+
 //Store paintbrush settings
 let emittersPerSecond = 1 / 5;
 let nextEmitterTime = 0;
@@ -72,11 +78,25 @@ let emit = particleManager.createEmitter({
 */
 function updateLoop(pTime) {
 	//Update the input manager
+	profiler.begin("input");
 	input.update(pTime.realDeltaTime);
+	profiler.end("input");
+
+	//Toggle the profiler overlay
+	if (input.inputPressed(Keys.F3)) showProfiler = !showProfiler;
 
 	//Scale the time object
 	pTime.timeScale = (input.getAxis("scale") + 1) / 2 * 2;
 
+	//Toggle the pause state
+	if (input.inputPressed(Keys.P)) pTime.paused = !pTime.paused;
+
+	//Step a single frame while paused
+	if (input.inputPressed(Keys.PERIOD)) pTime.step();
+
+	//Start timing the update
+	profiler.begin("update");
+
 	//Move the local space emitter
 	emit.position = new Vec2(Constants.WORLD_VIEW_WIDTH / 2 + Constants.WORLD_VIEW_WIDTH * Math.sin(pTime.elapsedTime), 0);
 
@@ -110,8 +130,15 @@ function updateLoop(pTime) {
 		});
 	}
 
+	profiler.end("update");
+
 	//Update the particle manager
+	profiler.begin("particles");
 	particleManager.update(pTime.deltaTime);
+	profiler.end("particles");
+
+	//Start timing the rendering
+	profiler.begin("draw");
 
 	//Pan the camera out as emitters are added
 	camera.distance = Math.lerp(camera.distance, Math.log(particleManager.count + 2), pTime.deltaTime);
@@ -129,6 +156,10 @@ function updateLoop(pTime) {
 		//Stop rendering
 		graphics.endRender();
 	}
+	profiler.end("draw");
+
+	//Start timing the UI
+	profiler.begin("UI");
 
 	//Set the UI transform
 	graphics.transform = camera.projectionUI;
@@ -136,13 +167,19 @@ function updateLoop(pTime) {
 	//Display Stat Information
 	graphics.draw.font = "36px Arial";
 	graphics.outlineText("Emitters: " + particleManager.count, Constants.WORLD_VIEW_WIDTH, 40, "white", "black", TextAlign.RIGHT);
-	graphics.outlineText("FPS: " + (1 / pTime.realDeltaTime).toFixed(0), 10, 40, "red");
+	graphics.outlineText("FPS: " + profiler.fps.toFixed(0), 10, 40, "red");
 
 	//Display Time Scale Information
-	graphics.outlineText("Time Scale: " + pTime.timeScale.toFixed(2), Constants.WORLD_VIEW_WIDTH / 2, 40, "green", "black", TextAlign.CENTER);
+	graphics.outlineText("Time Scale: " + pTime.timeScale.toFixed(2) + (pTime.paused ? " (Paused)" : ""), Constants.WORLD_VIEW_WIDTH / 2, 40, "green", "black", TextAlign.CENTER);
 	graphics.draw.font = "16px Arial";
 	graphics.outlineText("Use LEFT and RIGHT to Scale Time", Constants.WORLD_VIEW_WIDTH / 2, 60, "white", "black", TextAlign.CENTER);
+	graphics.outlineText("Use P to Pause and PERIOD to Step a Frame", Constants.WORLD_VIEW_WIDTH / 2, 80, "white", "black", TextAlign.CENTER);
+	graphics.outlineText("Use F3 to Toggle the Profiler", Constants.WORLD_VIEW_WIDTH / 2, 100, "white", "black", TextAlign.CENTER);
+	profiler.end("UI");
+
+	//Display the profiler overlay
+	if (showProfiler) profiler.drawOverlay(graphics, { x: 10, y: 60, width: 360, height: 120 });
 }
 
 //Assign the game loop to the state manager
-let stateManager = new StateManager(updateLoop);
\ No newline at end of file
+let stateManager = new StateManager(updateLoop, { graphics: graphics, profiler: profiler });
\ No newline at end of file
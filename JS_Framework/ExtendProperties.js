@@ -234,7 +234,8 @@ String.isAlphaNum = function(pChar) {
  *      Author: Mitchell Croft
  *      Date: 19/05/2017
  *
- *      Version: 1.0
+ *      Version: 1.1
+ *      Added the option to choose the request method
  *
  *      Purpose:
  *      Send and recieve information for processing via
@@ -251,8 +252,9 @@ String.isAlphaNum = function(pChar) {
                            success state of the request. Functions should be applied to the 'success'
                            and 'failure' properties (Default null)
     param[in] pData - An object that holds information to pass to URL (Default null)
+    param[in] pMethod - A string containing the HTTP method to use for the request (Default "POST")
 */
-function asynchRequest(pURL, pCallbacks, pData) {
+function asynchRequest(pURL, pCallbacks, pData, pMethod) {
     //Create the HTTP request
     let request = new XMLHttpRequest();
 
@@ -285,7 +287,7 @@ function asynchRequest(pURL, pCallbacks, pData) {
     };
 
     //Open the connection to the requested URL
-    request.open("POST", pURL, true);
+    request.open(Validate.type(pMethod, "string", "POST"), pURL, true);
 
     //Check if the data object exists
     let data = "";
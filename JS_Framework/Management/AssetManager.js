@@ -0,0 +1,1039 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Asset Defines                                              ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: AssetType
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Purpose:
+ *		Name the numerical values used to identify how an asset
+ *		should be loaded by the AssetManager
+ **/
+var AssetType = { IMAGE: 0, JSON: 1, TEXT: 2, AUDIO: 3, ATLAS: 4, FONT: 5 };
+
+/*
+ *		Name: AssetState
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Purpose:
+ *		Name the numerical values used to describe the loading
+ *		progress of a single asset
+ **/
+var AssetState = { QUEUED: 0, LOADING: 1, LOADED: 2, FAILED: 3 };
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: AssetManager
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.1
+ *		Added loading of BMFont descriptors as BitmapFont assets
+ *
+ *		Requires:
+ *		ExtendProperties.js, EventEmitter.js, GameState.js, TextureAtlas.js, BitmapFont.js
+ *
+ *		Purpose:
+ *		Queue and preload images, JSON, text, audio, texture atlases and bitmap fonts
+ *		in named bundles, reporting the progress and any errors of each
+ *		load so that games can wait until their assets are ready
+ **/
+
+/*
+	AssetManager : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pSetup - An optional object with values used to setup the manager ("basePath", a string
+					   placed before every asset url)
+
+	Example:
+
+	//Create the asset manager
+	var assets = new AssetManager({ basePath: "Assets/" });
+*/
+function AssetManager(pSetup) {
+	//Clean the setup object
+	pSetup = Validate.type(pSetup, "object", null) || {};
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the AssetManager object.
+        Instead use AssetManager object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the path placed before every asset url
+		basePath: Validate.type(pSetup["basePath"], "string", ""),
+
+		//Store a map of asset keys to asset objects
+		assets: {},
+
+		//Store a map of bundle names to lists of asset keys
+		bundles: {},
+
+		//Store the loads that are waiting on assets to finish
+		batches: []
+	};
+};
+
+ExtendProperties(AssetManager, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		AssetManager : basePath - Get the path placed before every asset url
+		18/10/2026
+
+		return string - Returns the path as a string
+	*/
+	get basePath() {
+		return this.__Internal__Dont__Modify__.basePath;
+	},
+
+	/*
+		AssetManager : basePath - Set the path placed before every asset url
+		18/10/2026
+
+		param[in] pPath - A string containing the path
+
+		Example:
+
+		//Load assets from the CDN
+		assets.basePath = "https://cdn.example.com/game/";
+	*/
+	set basePath(pPath) {
+		this.__Internal__Dont__Modify__.basePath = Validate.type(pPath, "string", "", true);
+	},
+
+	/*
+		AssetManager : count - Get the number of assets in the manager
+		18/10/2026
+
+		return number - Returns the asset count as a number
+	*/
+	get count() {
+		return Object.keys(this.__Internal__Dont__Modify__.assets).length;
+	},
+
+	/*
+		AssetManager : bundleNames - Get the names of the bundles in the manager
+		18/10/2026
+
+		return array - Returns an array of bundle name strings
+	*/
+	get bundleNames() {
+		return Object.keys(this.__Internal__Dont__Modify__.bundles);
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Queue Functions                                             ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		AssetManager : add - Queue a single asset to be loaded
+		18/10/2026
+
+		param[in] pKey - A string containing the unique key used to retrieve the asset
+		param[in] pURL - A string containing the url of the asset (Relative to basePath)
+		param[in] pType - An AssetType value (Default found from the url extension)
+		param[in] pBundle - A string containing the name of the bundle to add the asset to (Default "default")
+
+		return bool - Returns true if the asset was added (False if the key is in use for a different url)
+
+		Example:
+
+		//Queue the player image
+		assets.add("player", "Sprites/player.png");
+		OR
+		//Queue the level data in the level1 bundle
+		assets.add("level1Map", "Levels/level1.map", AssetType.JSON, "level1");
+	*/
+	add: function(pKey, pURL, pType, pBundle) {
+		//Validate the parameters
+		pKey = Validate.type(pKey, "string", "", true);
+		pURL = Validate.type(pURL, "string", "", true);
+		pBundle = Validate.type(pBundle, "string", "default");
+
+		//Get the type of the asset
+		if (typeof pType !== "number") pType = this.findType(pURL);
+
+		//Check if the key is already in use
+		if (Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.assets, pKey)) {
+			//Get the existing asset
+			var existing = this.__Internal__Dont__Modify__.assets[pKey];
+
+			//Check the asset is the same
+			if (existing.url !== pURL || existing.type !== pType) return false;
+
+			//Add the asset to the bundle
+			this.addToBundle(pBundle, pKey);
+			return true;
+		}
+
+		//Create the asset
+		this.__Internal__Dont__Modify__.assets[pKey] = {
+			key: pKey,
+			url: pURL,
+			type: pType,
+			state: AssetState.QUEUED,
+			data: null,
+			error: null,
+			bundles: []
+		};
+
+		//Add the asset to the bundle
+		this.addToBundle(pBundle, pKey);
+		return true;
+	},
+
+	/*
+		AssetManager : addBundle - Queue a collection of assets under a bundle name
+		18/10/2026
+
+		param[in] pName - A string containing the name of the bundle
+		param[in] pAssets - Either an object mapping keys to urls or an array of objects containing
+							"key", "url" and optional "type" values
+
+		return number - Returns the number of assets that were added
+
+		Example:
+
+		//Queue the menu assets
+		assets.addBundle("menu", {
+			logo: "UI/logo.png",
+			music: "Audio/menu.ogg",
+			strings: "Text/menu.json"
+		});
+	*/
+	addBundle: function(pName, pAssets) {
+		//Validate the parameters
+		pName = Validate.type(pName, "string", "", true);
+		pAssets = Validate.type(pAssets, "object", null, true);
+
+		//Track the number of assets added
+		var added = 0;
+
+		//Check if the assets are in an array
+		if (pAssets instanceof Array) {
+			for (var i = 0; i < pAssets.length; i++) {
+				if (this.add(pAssets[i]["key"], pAssets[i]["url"], pAssets[i]["type"], pName))
+					added++;
+			}
+		}
+
+		//Otherwise the assets are a map of keys to urls
+		else for (var key in pAssets) {
+			if (Object.prototype.hasOwnProperty.call(pAssets, key) && this.add(key, pAssets[key], undefined, pName))
+				added++;
+		}
+
+		//Create the bundle even if it is empty
+		if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.bundles, pName))
+			this.__Internal__Dont__Modify__.bundles[pName] = [];
+
+		//Return the number added
+		return added;
+	},
+
+	/*
+		AssetManager : load - Start loading the queued assets
+		18/10/2026
+
+		param[in] pBundle - A string containing the name of the bundle to load (Default loads every asset)
+		param[in] pCallbacks - An optional object containing functions for the 'progress' (Recieving the
+							   0-1 progress, finished count and total count), 'error' (Recieving the asset
+							   key, url and error) and 'complete' (Recieving an array of the errors that
+							   occurred) properties
+
+		return bool - Returns true if the load was started (False if the bundle does not exist)
+
+		Example:
+
+		//Load the menu assets
+		assets.load("menu", {
+			progress: function(pProgress) {
+				loadingBar.value = pProgress;
+			},
+			complete: function(pErrors) {
+				stateManager.replaceState("menu");
+			}
+		});
+	*/
+	load: function(pBundle, pCallbacks) {
+		//Clean the callbacks
+		pCallbacks = Validate.type(pCallbacks, "object", null) || {};
+
+		//Get the keys to load
+		var keys = this.getKeys(pBundle);
+		if (keys === null) return false;
+
+		//Create the batch
+		var batch = {
+			bundle: (typeof pBundle === "string" ? pBundle : null),
+			keys: keys,
+			callbacks: pCallbacks
+		};
+
+		//Add the batch so that finishing assets can update it
+		this.__Internal__Dont__Modify__.batches.push(batch);
+
+		//Start loading the queued assets
+		for (var i = 0; i < keys.length; i++) {
+			if (this.__Internal__Dont__Modify__.assets[keys[i]].state === AssetState.QUEUED)
+				this.loadAsset(this.__Internal__Dont__Modify__.assets[keys[i]]);
+		}
+
+		//Check if everything had already finished
+		this.updateBatch(batch, null);
+
+		//Return success
+		return true;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Access Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		AssetManager : get - Get the data of a loaded asset
+		18/10/2026
+
+		param[in] pKey - A string containing the key of the asset
+
+		return value - Returns the Image, parsed JSON, string, Audio or TextureAtlas object, or null
+					   if the asset has not loaded
+
+		Example:
+
+		//Get the player image
+		var playerImage = assets.get("player");
+	*/
+	get: function(pKey) {
+		return (Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.assets, pKey) ?
+			this.__Internal__Dont__Modify__.assets[pKey].data : null);
+	},
+
+	/*
+		AssetManager : getState - Get the loading progress of a single asset
+		18/10/2026
+
+		param[in] pKey - A string containing the key of the asset
+
+		return number - Returns an AssetState value or -1 if the key is not in use
+	*/
+	getState: function(pKey) {
+		return (Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.assets, pKey) ?
+			this.__Internal__Dont__Modify__.assets[pKey].state : -1);
+	},
+
+	/*
+		AssetManager : progress - Get the 0-1 progress of loading a bundle
+		18/10/2026
+
+		param[in] pBundle - A string containing the name of the bundle (Default every asset)
+
+		return number - Returns the fraction of the assets that have finished loading (Loaded or failed)
+
+		Example:
+
+		//Update the loading bar
+		loadingBar.value = assets.progress("level1");
+	*/
+	progress: function(pBundle) {
+		//Get the keys to check
+		var keys = this.getKeys(pBundle);
+		if (keys === null || !keys.length) return 1;
+
+		//Count the finished assets
+		return this.countFinished(keys) / keys.length;
+	},
+
+	/*
+		AssetManager : isLoaded - Check if every asset in a bundle has finished loading
+		18/10/2026
+
+		param[in] pBundle - A string containing the name of the bundle (Default every asset)
+
+		return bool - Returns true if no assets are queued or loading (Check getErrors for failures)
+	*/
+	isLoaded: function(pBundle) {
+		return this.progress(pBundle) >= 1;
+	},
+
+	/*
+		AssetManager : getErrors - Get the errors of the assets that failed to load
+		18/10/2026
+
+		param[in] pBundle - A string containing the name of the bundle (Default every asset)
+
+		return array - Returns an array of objects containing the "key", "url" and "error" of each failure
+	*/
+	getErrors: function(pBundle) {
+		//Get the keys to check
+		var keys = this.getKeys(pBundle);
+
+		//Return the errors of the keys
+		return (keys === null ? [] : this.getErrorsFor(keys));
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Unload Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		AssetManager : unload - Remove a single asset from the manager and every bundle
+		18/10/2026
+
+		param[in] pKey - A string containing the key of the asset
+
+		return bool - Returns true if the asset was removed
+
+		Example:
+
+		//Free the intro video
+		assets.unload("intro");
+	*/
+	unload: function(pKey) {
+		//Check the asset exists
+		if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.assets, pKey)) return false;
+
+		//Get the asset
+		var asset = this.__Internal__Dont__Modify__.assets[pKey];
+
+		//Remove the asset from its bundles
+		for (var i = 0; i < asset.bundles.length; i++) {
+			var keys = this.__Internal__Dont__Modify__.bundles[asset.bundles[i]];
+			keys.splice(keys.indexOf(pKey), 1);
+		}
+
+		//Release the asset
+		this.releaseAsset(asset);
+		return true;
+	},
+
+	/*
+		AssetManager : unloadBundle - Remove a bundle, releasing the assets that are not part of another bundle
+		18/10/2026
+
+		param[in] pName - A string containing the name of the bundle
+
+		return bool - Returns true if the bundle was removed
+
+		Example:
+
+		//Free the level once it is complete
+		assets.unloadBundle("level1");
+	*/
+	unloadBundle: function(pName) {
+		//Check the bundle exists
+		if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.bundles, pName)) return false;
+
+		//Get the keys in the bundle
+		var keys = this.__Internal__Dont__Modify__.bundles[pName];
+
+		//Remove the bundle
+		delete this.__Internal__Dont__Modify__.bundles[pName];
+
+		//Loop through the assets
+		for (var i = 0; i < keys.length; i++) {
+			//Get the asset
+			var asset = this.__Internal__Dont__Modify__.assets[keys[i]];
+
+			//Remove the bundle from the asset
+			asset.bundles.splice(asset.bundles.indexOf(pName), 1);
+
+			//Release the asset if no bundles use it
+			if (!asset.bundles.length) this.releaseAsset(asset);
+		}
+
+		//Return success
+		return true;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                State Functions                                             ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		AssetManager : createLoadingState - Create a GameState that loads a bundle before moving to
+											the state that needs it
+		18/10/2026
+
+		param[in] pSetup - An object with values used to setup the loading state
+
+		Requires:
+		bundle - The name of the bundle to load
+		next - The GameState object or the name of an added GameState to replace the loading state with
+
+		Optional:
+		name - The name of the loading state (Default "loading:" + bundle)
+		transition - A StateTransition object to use when moving to the next state (Default null)
+		continueOnError - Flags if the next state should be entered when assets fail (Default true)
+		onError - A function called with the array of errors when assets fail (Default null)
+		draw - A function that accepts the Graphics object, 0-1 progress and Time object to render
+			   the loading screen (Default draws a progress bar)
+
+		return GameState - Returns the new GameState object
+
+		Example:
+
+		//Load the level assets before the game starts
+		stateManager.addState(gameState);
+		stateManager.replaceState(assets.createLoadingState({ bundle: "level1", next: "game" }));
+	*/
+	createLoadingState: function(pSetup) {
+		//Clean the setup object
+		pSetup = Validate.type(pSetup, "object", null, true);
+
+		//Get the bundle to load
+		var bundle = Validate.type(pSetup["bundle"], "string", "", true);
+
+		//Check there is a next state
+		if (typeof pSetup["next"] !== "string" && !(pSetup["next"] instanceof GameState))
+			throw new Error("Can not create a loading state moving to " + pSetup["next"] + " (Type: '" + typeof pSetup["next"] + "') Please use a GameState object or the name of an added GameState");
+
+		//Get the optional values
+		var transition = Validate.type(pSetup["transition"], "object", null);
+		var continueOnError = pSetup["continueOnError"] !== false;
+		var onError = Validate.type(pSetup["onError"], "function", null);
+		var draw = Validate.type(pSetup["draw"], "function", null);
+
+		//Store a reference to this
+		var that = this;
+
+		//Store the StateManager running the state
+		var manager = null;
+
+		//Flag when the bundle has loaded and the state can move on
+		var ready = false;
+
+		//Create the state
+		return new GameState({
+			name: Validate.type(pSetup["name"], "string", "loading:" + bundle),
+			onEnter: function(pManager) {
+				//Store the manager
+				manager = pManager;
+				ready = false;
+
+				//Start loading the bundle
+				that.load(bundle, {
+					complete: function(pErrors) {
+						//Report any errors
+						if (pErrors.length && onError !== null) onError(pErrors);
+
+						//Flag the state to move on
+						if (!pErrors.length || continueOnError) ready = true;
+					}
+				});
+			},
+			update: function(pTime) {
+				//Move to the next state (Trying again next frame while another transition is in progress)
+				if (ready && manager.replaceState(pSetup["next"], transition)) ready = false;
+			},
+			draw: function(pGraphics, pTime) {
+				//Check there is something to render to
+				if (pGraphics === null) return;
+
+				//Get the current progress
+				var progress = that.progress(bundle);
+
+				//Use the custom draw if supplied
+				if (draw !== null) {
+					draw(pGraphics, progress, pTime);
+					return;
+				}
+
+				//Find the bar dimensions
+				var width = pGraphics.width * 0.5;
+				var height = 16;
+				var x = (pGraphics.width - width) / 2;
+				var y = (pGraphics.height - height) / 2;
+
+				//Render the bar
+				pGraphics.draw.fillStyle = "#222";
+				pGraphics.draw.fillRect(x, y, width, height);
+				pGraphics.draw.fillStyle = "#FFF";
+				pGraphics.draw.fillRect(x + 2, y + 2, (width - 4) * progress, height - 4);
+			}
+		});
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Loading Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		AssetManager : findType - Find the AssetType of a url from its extension
+		18/10/2026
+
+		param[in] pURL - A string containing the url of the asset
+
+		return number - Returns an AssetType value (AssetType.TEXT if the extension is not recognised)
+	*/
+	findType: function(pURL) {
+		//Get the extension without any query string
+		var extension = pURL.split("?")[0].split("#")[0];
+		extension = extension.substring(extension.lastIndexOf(".") + 1).toLowerCase();
+
+		//Switch on the extension
+		switch (extension) {
+			case "png":
+			case "jpg":
+			case "jpeg":
+			case "gif":
+			case "bmp":
+			case "webp":
+			case "svg":
+				return AssetType.IMAGE;
+			case "json":
+				return AssetType.JSON;
+			case "fnt":
+				return AssetType.FONT;
+			case "mp3":
+			case "ogg":
+			case "wav":
+			case "m4a":
+			case "aac":
+			case "flac":
+				return AssetType.AUDIO;
+			default:
+				return AssetType.TEXT;
+		}
+	},
+
+	/*
+		AssetManager : loadAsset - Start loading a single asset based on its type
+		18/10/2026
+
+		param[in] pAsset - The internal asset object to load
+	*/
+	loadAsset: function(pAsset) {
+		//Flag the asset as loading
+		pAsset.state = AssetState.LOADING;
+
+		//Store a reference to this
+		var that = this;
+
+		//Define the responses
+		var success = function(pData) {
+			that.finishAsset(pAsset, pData, null);
+		};
+		var failure = function(pError) {
+			that.finishAsset(pAsset, null, pError);
+		};
+
+		//Get the full url
+		var url = this.__Internal__Dont__Modify__.basePath + pAsset.url;
+
+		//Switch on the type of the asset
+		switch (pAsset.type) {
+			case AssetType.IMAGE:
+				this.loadImage(url, success, failure);
+				break;
+			case AssetType.AUDIO:
+				this.loadAudio(url, success, failure);
+				break;
+			case AssetType.JSON:
+			case AssetType.TEXT:
+				this.loadText(url, function(pText) {
+					//Return text assets as they are
+					if (pAsset.type === AssetType.TEXT) {
+						success(pText);
+						return;
+					}
+
+					//Parse the JSON
+					try {
+						var data = JSON.parse(pText);
+					} catch (pErr) {
+						failure(pErr.message);
+						return;
+					}
+					success(data);
+				}, failure);
+				break;
+			case AssetType.ATLAS:
+				this.loadText(url, function(pText) {
+					//Parse the description
+					try {
+						var data = JSON.parse(pText);
+					} catch (pErr) {
+						failure(pErr.message);
+						return;
+					}
+
+					//Check there is an image to load
+					if (typeof data["meta"] !== "object" || data["meta"] === null || typeof data["meta"]["image"] !== "string") {
+						failure("The description does not name an image (meta.image)");
+						return;
+					}
+
+					//Load the image next to the description
+					that.loadImage(Path.getDirectory(url) + data["meta"]["image"], function(pImage) {
+						//Create the atlas
+						try {
+							var atlas = new TextureAtlas({ image: pImage, data: data });
+						} catch (pErr) {
+							failure(pErr.message);
+							return;
+						}
+						success(atlas);
+					}, failure);
+				}, failure);
+				break;
+			case AssetType.FONT:
+				this.loadText(url, function(pText) {
+					//Parse the descriptor
+					try {
+						var font = new BitmapFont({ data: pText });
+					} catch (pErr) {
+						failure(pErr.message);
+						return;
+					}
+
+					//Check there is an image to load
+					var files = font.pageFiles;
+					if (!files.length) {
+						failure("The descriptor does not name any page images");
+						return;
+					}
+
+					//Load the pages next to the descriptor
+					var remaining = files.length;
+					var failed = false;
+					for (var i = 0; i < files.length; i++) {
+						//Skip unused page indices
+						if (typeof files[i] !== "string") {
+							if (--remaining === 0) success(font);
+							continue;
+						}
+
+						//Load the page
+						that.loadImage(Path.getDirectory(url) + files[i], (function(pIndex) {
+							return function(pImage) {
+								if (failed) return;
+								font.setPage(pIndex, pImage);
+								if (--remaining === 0) success(font);
+							};
+						})(i), function(pError) {
+							if (failed) return;
+							failed = true;
+							failure(pError);
+						});
+					}
+				}, failure);
+				break;
+			default:
+				failure("Unknown asset type " + pAsset.type);
+				break;
+		}
+	},
+
+	/*
+		AssetManager : loadImage - Load an Image object, responding when it has loaded or failed
+		18/10/2026
+
+		param[in] pURL - A string containing the url of the image
+		param[in] pSuccess - A function that accepts the loaded Image object
+		param[in] pFailure - A function that accepts the error message
+	*/
+	loadImage: function(pURL, pSuccess, pFailure) {
+		//Check images can be created
+		if (typeof Image === "undefined") {
+			pFailure("Images can not be loaded without a document");
+			return;
+		}
+
+		//Create the image
+		var image = new Image();
+
+		//Set the responses
+		image.onload = function() {
+			pSuccess(image);
+		};
+		image.onerror = function() {
+			pFailure("The image could not be loaded");
+		};
+
+		//Start the load
+		image.src = pURL;
+	},
+
+	/*
+		AssetManager : loadAudio - Load an Audio object, responding when it can play through or has failed
+		18/10/2026
+
+		param[in] pURL - A string containing the url of the audio
+		param[in] pSuccess - A function that accepts the loaded Audio object
+		param[in] pFailure - A function that accepts the error message
+	*/
+	loadAudio: function(pURL, pSuccess, pFailure) {
+		//Check audio can be created
+		if (typeof Audio === "undefined") {
+			pFailure("Audio can not be loaded without a document");
+			return;
+		}
+
+		//Create the audio
+		var audio = new Audio();
+
+		//Flag when a response has been given (canplaythrough can fire more than once)
+		var responded = false;
+
+		//Set the responses
+		audio.addEventListener("canplaythrough", function() {
+			if (responded) return;
+			responded = true;
+			pSuccess(audio);
+		}, false);
+		audio.addEventListener("error", function() {
+			if (responded) return;
+			responded = true;
+			pFailure("The audio could not be loaded");
+		}, false);
+
+		//Start the load
+		audio.preload = "auto";
+		audio.src = pURL;
+		audio.load();
+	},
+
+	/*
+		AssetManager : loadText - Load the text contents of a url
+		18/10/2026
+
+		param[in] pURL - A string containing the url of the file
+		param[in] pSuccess - A function that accepts the loaded text
+		param[in] pFailure - A function that accepts the error message
+	*/
+	loadText: function(pURL, pSuccess, pFailure) {
+		asynchRequest(pURL, {
+			success: pSuccess,
+			failure: function(pError) {
+				pFailure("The request failed with status " + pError.error);
+			}
+		}, null, "GET");
+	},
+
+	/*
+		AssetManager : finishAsset - Store the result of loading an asset and update the waiting loads
+		18/10/2026
+
+		param[in] pAsset - The internal asset object that finished
+		param[in] pData - The loaded data (Or null if it failed)
+		param[in] pError - The error message (Or null if it loaded)
+	*/
+	finishAsset: function(pAsset, pData, pError) {
+		//Check the asset wasn't unloaded while loading
+		if (this.__Internal__Dont__Modify__.assets[pAsset.key] !== pAsset) return;
+
+		//Store the result
+		pAsset.state = (pError === null ? AssetState.LOADED : AssetState.FAILED);
+		pAsset.data = pData;
+		pAsset.error = pError;
+
+		//Publish any error
+		if (pError !== null)
+			EventBus.emit("assets.error", { manager: this, key: pAsset.key, url: pAsset.url, error: pError });
+
+		//Update the loads waiting on the asset
+		var batches = this.__Internal__Dont__Modify__.batches.slice();
+		for (var i = 0; i < batches.length; i++) {
+			if (batches[i].keys.indexOf(pAsset.key) !== -1)
+				this.updateBatch(batches[i], pAsset);
+		}
+	},
+
+	/*
+		AssetManager : updateBatch - Report the progress of a load, completing it when every asset has finished
+		18/10/2026
+
+		param[in] pBatch - The internal batch object to update
+		param[in] pAsset - The internal asset object that just finished (Or null when checking a new load)
+	*/
+	updateBatch: function(pBatch, pAsset) {
+		//Check the load hasn't already completed
+		var ind = this.__Internal__Dont__Modify__.batches.indexOf(pBatch);
+		if (ind === -1) return;
+
+		//Count the finished assets
+		var finished = this.countFinished(pBatch.keys);
+		var total = pBatch.keys.length;
+		var progress = (total ? finished / total : 1);
+
+		//Check if an asset just finished
+		if (pAsset !== null) {
+			//Raise the error callback
+			if (pAsset.state === AssetState.FAILED && typeof pBatch.callbacks["error"] === "function")
+				pBatch.callbacks["error"](pAsset.key, pAsset.url, pAsset.error);
+
+			//Raise the progress callback
+			if (typeof pBatch.callbacks["progress"] === "function")
+				pBatch.callbacks["progress"](progress, finished, total);
+
+			//Publish the progress
+			EventBus.emit("assets.progress", { manager: this, bundle: pBatch.bundle, key: pAsset.key, progress: progress, finished: finished, total: total });
+		}
+
+		//Check if the load is complete
+		if (finished < total) return;
+
+		//Remove the batch
+		this.__Internal__Dont__Modify__.batches.splice(ind, 1);
+
+		//Include the errors of assets that failed before this load started
+		var errors = this.getErrorsFor(pBatch.keys);
+
+		//Raise the complete callback
+		if (typeof pBatch.callbacks["complete"] === "function")
+			pBatch.callbacks["complete"](errors);
+
+		//Publish the completion
+		EventBus.emit("assets.complete", { manager: this, bundle: pBatch.bundle, errors: errors });
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Helper Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		AssetManager : getKeys - Get the asset keys belonging to a bundle
+		18/10/2026
+
+		param[in] pBundle - A string containing the name of the bundle (Or anything else for every asset)
+
+		return array - Returns a copy of the keys or null if the bundle does not exist
+	*/
+	getKeys: function(pBundle) {
+		//Check if every asset is wanted
+		if (typeof pBundle !== "string") return Object.keys(this.__Internal__Dont__Modify__.assets);
+
+		//Check the bundle exists
+		if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.bundles, pBundle)) return null;
+
+		//Return a copy of the bundle keys
+		return this.__Internal__Dont__Modify__.bundles[pBundle].slice();
+	},
+
+	/*
+		AssetManager : addToBundle - Add an asset key to a bundle, creating the bundle if needed
+		18/10/2026
+
+		param[in] pBundle - A string containing the name of the bundle
+		param[in] pKey - A string containing the key of the asset
+	*/
+	addToBundle: function(pBundle, pKey) {
+		//Create the bundle if needed
+		if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.bundles, pBundle))
+			this.__Internal__Dont__Modify__.bundles[pBundle] = [];
+
+		//Check the asset isn't already in the bundle
+		if (this.__Internal__Dont__Modify__.bundles[pBundle].indexOf(pKey) !== -1) return;
+
+		//Add the asset to the bundle
+		this.__Internal__Dont__Modify__.bundles[pBundle].push(pKey);
+		this.__Internal__Dont__Modify__.assets[pKey].bundles.push(pBundle);
+	},
+
+	/*
+		AssetManager : countFinished - Count the assets that have loaded or failed
+		18/10/2026
+
+		param[in] pKeys - An array of asset keys to check
+
+		return number - Returns the number of finished assets
+	*/
+	countFinished: function(pKeys) {
+		//Track the finished count
+		var finished = 0;
+
+		//Loop through the keys
+		for (var i = 0; i < pKeys.length; i++) {
+			//Get the asset (It may have been unloaded)
+			var asset = this.__Internal__Dont__Modify__.assets[pKeys[i]];
+
+			//Count the asset if it is not waiting
+			if (typeof asset === "undefined" || asset.state === AssetState.LOADED || asset.state === AssetState.FAILED)
+				finished++;
+		}
+
+		//Return the count
+		return finished;
+	},
+
+	/*
+		AssetManager : getErrorsFor - Get the errors of the failed assets in a list of keys
+		18/10/2026
+
+		param[in] pKeys - An array of asset keys to check
+
+		return array - Returns an array of objects containing the "key", "url" and "error" of each failure
+	*/
+	getErrorsFor: function(pKeys) {
+		//Store the errors
+		var errors = [];
+
+		//Loop through the keys
+		for (var i = 0; i < pKeys.length; i++) {
+			//Get the asset (It may have been unloaded)
+			var asset = this.__Internal__Dont__Modify__.assets[pKeys[i]];
+
+			//Add the error
+			if (typeof asset !== "undefined" && asset.state === AssetState.FAILED) errors.push({
+				key: asset.key,
+				url: asset.url,
+				error: asset.error
+			});
+		}
+
+		//Return the errors
+		return errors;
+	},
+
+	/*
+		AssetManager : releaseAsset - Remove an asset from the manager, stopping any audio it holds
+		18/10/2026
+
+		param[in] pAsset - The internal asset object to remove
+	*/
+	releaseAsset: function(pAsset) {
+		//Stop audio from continuing to play
+		if (pAsset.type === AssetType.AUDIO && pAsset.data !== null && typeof pAsset.data.pause === "function")
+			pAsset.data.pause();
+
+		//Remove the asset
+		delete this.__Internal__Dont__Modify__.assets[pAsset.key];
+
+		//Update the loads that were waiting on the asset
+		var batches = this.__Internal__Dont__Modify__.batches.slice();
+		for (var i = 0; i < batches.length; i++) {
+			if (batches[i].keys.indexOf(pAsset.key) !== -1)
+				this.updateBatch(batches[i], null);
+		}
+	},
+});
\ No newline at end of file
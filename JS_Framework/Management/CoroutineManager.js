@@ -0,0 +1,501 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: CoroutineManager
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js, StateManager.js
+ *
+ *		Purpose:
+ *		Manage a collection of generator based Coroutine objects,
+ *		resuming them as their yielded instructions are completed.
+ *		Updated automatically by the StateManager
+ **/
+
+/*
+	CoroutineManager : Constructor - Initialise with default values
+	18/10/2026
+*/
+function CoroutineManager() {
+	/*  WARNING:
+        Don't modify this internal object from the outside of the CoroutineManager object.
+        Instead use CoroutineManager object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store a list of the running coroutines
+		coroutines: []
+	};
+};
+
+ExtendProperties(CoroutineManager, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		CoroutineManager : count - Get the number of coroutines being run by the manager
+		18/10/2026
+
+		return number - Returns the coroutine count as a number
+	*/
+	get count() {
+		return this.__Internal__Dont__Modify__.coroutines.length;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Management Functions                                        ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		CoroutineManager : start - Start running a generator as a Coroutine. The generator is run
+								   up to its first yield immediately
+		18/10/2026
+
+		param[in] pRoutine - A generator object or a generator function that takes no parameters
+
+		return Coroutine - Returns the new Coroutine object, which can be used to stop the routine
+
+		Example:
+
+		//Spawn a wave of enemies
+		stateManager.coroutines.start(function*() {
+			for (var i = 0; i < 10; i++) {
+				spawnEnemy();
+				yield new WaitForSeconds(0.5);
+			}
+
+			//Wait for the player to clear the wave
+			yield new WaitUntil(function() { return enemies.length === 0; });
+
+			showMessage("Wave Complete");
+		});
+	*/
+	start: function(pRoutine) {
+		//Create the coroutine
+		var coroutine = new Coroutine(typeof pRoutine === "function" ? pRoutine() : pRoutine);
+
+		//Add the coroutine to the list
+		this.__Internal__Dont__Modify__.coroutines.push(coroutine);
+
+		//Run the coroutine to its first yield
+		coroutine.resume();
+
+		//Return the handle
+		return coroutine;
+	},
+
+	/*
+		CoroutineManager : stop - Stop a Coroutine that is being run by the manager
+		18/10/2026
+
+		param[in] pCoroutine - The Coroutine object to stop
+
+		return bool - Returns true if the Coroutine was found and stopped
+	*/
+	stop: function(pCoroutine) {
+		//Validate the coroutine object
+		pCoroutine = Validate.instance(pCoroutine, Coroutine, null, true);
+
+		//Loop through the coroutines
+		for (var i = this.__Internal__Dont__Modify__.coroutines.length - 1; i >= 0; i--) {
+			if (this.__Internal__Dont__Modify__.coroutines[i] === pCoroutine) {
+				//Stop the coroutine
+				pCoroutine.stop();
+
+				//Remove the coroutine
+				this.__Internal__Dont__Modify__.coroutines.splice(i, 1);
+
+				//Return success
+				return true;
+			}
+		}
+
+		//Return failure
+		return false;
+	},
+
+	/*
+		CoroutineManager : stopAll - Stop all of the Coroutines being run by the manager
+		18/10/2026
+	*/
+	stopAll: function() {
+		//Take the current list so routines started while stopping are kept
+		var coroutines = this.__Internal__Dont__Modify__.coroutines;
+		this.__Internal__Dont__Modify__.coroutines = [];
+
+		//Stop all of the coroutines
+		for (var i = 0; i < coroutines.length; i++)
+			coroutines[i].stop();
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                   Main Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		CoroutineManager : update - Update all of the running coroutines
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+	*/
+	update: function(pTime) {
+		//Copy the list so coroutines started or stopped during the update don't affect the loop
+		var coroutines = this.__Internal__Dont__Modify__.coroutines.slice();
+
+		//Update the coroutines
+		for (var i = 0; i < coroutines.length; i++)
+			coroutines[i].update(pTime);
+
+		//Remove the finished coroutines
+		for (var i = this.__Internal__Dont__Modify__.coroutines.length - 1; i >= 0; i--) {
+			if (!this.__Internal__Dont__Modify__.coroutines[i].running)
+				this.__Internal__Dont__Modify__.coroutines.splice(i, 1);
+		}
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: Coroutine
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js
+ *
+ *		Purpose:
+ *		Step through a generator object, waiting on the
+ *		instructions that it yields. Yielded values can be
+ *		WaitForSeconds, WaitForFrames, WaitUntil or Coroutine
+ *		objects, or nothing to wait a single frame
+ **/
+
+/*
+	Coroutine : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pGenerator - The generator object to run
+*/
+function Coroutine(pGenerator) {
+	//Check the generator can be stepped through
+	if (typeof pGenerator !== "object" || pGenerator === null || typeof pGenerator.next !== "function")
+		throw new Error("Can not create a Coroutine from " + pGenerator + " (Type: '" + typeof pGenerator + "') Please use a generator object or function");
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the Coroutine object.
+        Instead use Coroutine object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the generator being run
+		generator: pGenerator,
+
+		//Store the instruction currently being waited on
+		instruction: null,
+
+		//Flag if the coroutine is still running
+		running: true,
+
+		//Flag if the generator is currently being stepped
+		stepping: false,
+	};
+};
+
+ExtendProperties(Coroutine, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Coroutine : running - Get the flag indicating if the coroutine is still running
+		18/10/2026
+
+		return bool - Returns false once the generator has finished or the coroutine has been stopped
+	*/
+	get running() {
+		return this.__Internal__Dont__Modify__.running;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                   Main Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Coroutine : stop - Stop the coroutine, running any finally blocks in the generator
+		18/10/2026
+	*/
+	stop: function() {
+		//Check the coroutine is running
+		if (!this.__Internal__Dont__Modify__.running) return;
+
+		//Flag the coroutine as stopped
+		this.__Internal__Dont__Modify__.running = false;
+		this.__Internal__Dont__Modify__.instruction = null;
+
+		//End the generator (Can't be done if the coroutine is stopping itself)
+		if (!this.__Internal__Dont__Modify__.stepping && typeof this.__Internal__Dont__Modify__.generator.return === "function")
+			this.__Internal__Dont__Modify__.generator.return();
+	},
+
+	/*
+		Coroutine : resume - Run the generator up to its next yield. Called by the CoroutineManager
+		18/10/2026
+	*/
+	resume: function() {
+		//Check the coroutine is running
+		if (!this.__Internal__Dont__Modify__.running) return;
+
+		//Step the generator
+		this.__Internal__Dont__Modify__.stepping = true;
+		var result;
+		try {
+			result = this.__Internal__Dont__Modify__.generator.next();
+		} finally {
+			this.__Internal__Dont__Modify__.stepping = false;
+		}
+
+		//Check if the coroutine was stopped while stepping
+		if (!this.__Internal__Dont__Modify__.running) {
+			//End the generator now that it has yielded
+			if (!result.done && typeof this.__Internal__Dont__Modify__.generator.return === "function")
+				this.__Internal__Dont__Modify__.generator.return();
+			return;
+		}
+
+		//Check if the generator has finished
+		if (result.done) {
+			this.__Internal__Dont__Modify__.running = false;
+			this.__Internal__Dont__Modify__.instruction = null;
+			return;
+		}
+
+		//Check the yielded value is an instruction
+		if (result.value != null && !(result.value instanceof WaitForSeconds) && !(result.value instanceof WaitForFrames) &&
+			!(result.value instanceof WaitUntil) && !(result.value instanceof Coroutine))
+			throw new Error("Coroutine yielded " + result.value + " (Type: '" + typeof result.value + "') Please yield a WaitForSeconds, WaitForFrames, WaitUntil or Coroutine object");
+
+		//Store the instruction to wait on
+		this.__Internal__Dont__Modify__.instruction = (result.value == null ? null : result.value);
+	},
+
+	/*
+		Coroutine : update - Check the current instruction and resume the generator once it is complete.
+							 Called by the CoroutineManager
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+	*/
+	update: function(pTime) {
+		//Check the coroutine is running
+		if (!this.__Internal__Dont__Modify__.running) return;
+
+		//Get the instruction being waited on
+		var instruction = this.__Internal__Dont__Modify__.instruction;
+
+		//Check if the instruction is still waiting
+		if (instruction instanceof Coroutine) {
+			if (instruction.running) return;
+		}
+		else if (instruction !== null && instruction.update(pTime)) return;
+
+		//Continue the generator
+		this.resume();
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: WaitForSeconds
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js
+ *
+ *		Purpose:
+ *		Coroutine instruction to wait for a number of seconds
+ **/
+
+/*
+	WaitForSeconds : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pSeconds - The number of seconds to wait
+	param[in] pRealTime - A flag indicating if unscaled time should be used (Default false)
+*/
+function WaitForSeconds(pSeconds, pRealTime) {
+	/*  WARNING:
+        Don't modify this internal object from the outside of the WaitForSeconds object.
+        Instead use WaitForSeconds object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the time left to wait
+		remaining: Validate.type(pSeconds, "number", 0, true),
+
+		//Flag if unscaled time is used
+		realTime: (pRealTime === true),
+	};
+};
+
+ExtendProperties(WaitForSeconds, {
+	/*
+		WaitForSeconds : update - Reduce the time left to wait
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+
+		return bool - Returns true while the Coroutine should keep waiting
+	*/
+	update: function(pTime) {
+		//Reduce the time left
+		this.__Internal__Dont__Modify__.remaining -= (this.__Internal__Dont__Modify__.realTime ? pTime.realDeltaTime : pTime.deltaTime);
+
+		//Return the waiting state
+		return (this.__Internal__Dont__Modify__.remaining > 0);
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: WaitForFrames
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js
+ *
+ *		Purpose:
+ *		Coroutine instruction to wait for a number of frames
+ **/
+
+/*
+	WaitForFrames : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pCount - The number of frames to wait (Default 1)
+*/
+function WaitForFrames(pCount) {
+	/*  WARNING:
+        Don't modify this internal object from the outside of the WaitForFrames object.
+        Instead use WaitForFrames object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the number of frames left to wait
+		remaining: Math.round(Validate.type(pCount, "number", 1)),
+	};
+};
+
+ExtendProperties(WaitForFrames, {
+	/*
+		WaitForFrames : update - Reduce the number of frames left to wait
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+
+		return bool - Returns true while the Coroutine should keep waiting
+	*/
+	update: function(pTime) {
+		return (--this.__Internal__Dont__Modify__.remaining > 0);
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: WaitUntil
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js
+ *
+ *		Purpose:
+ *		Coroutine instruction to wait until a predicate function
+ *		returns true
+ **/
+
+/*
+	WaitUntil : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pPredicate - A function that returns true when the Coroutine should continue,
+						   optionally taking the Time object as a parameter
+*/
+function WaitUntil(pPredicate) {
+	/*  WARNING:
+        Don't modify this internal object from the outside of the WaitUntil object.
+        Instead use WaitUntil object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the predicate to test
+		predicate: Validate.type(pPredicate, "function", null, true),
+	};
+};
+
+ExtendProperties(WaitUntil, {
+	/*
+		WaitUntil : update - Test the predicate function
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+
+		return bool - Returns true while the Coroutine should keep waiting
+	*/
+	update: function(pTime) {
+		return !this.__Internal__Dont__Modify__.predicate(pTime);
+	},
+});
\ No newline at end of file
@@ -0,0 +1,409 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: EventEmitter
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js
+ *
+ *		Purpose:
+ *		Pass messages between objects that don't hold references
+ *		to each other. Channels are dot separated names (E.g.
+ *		"ui.click") that can be listened to using "*" wildcards.
+ *		The framework publishes its own events through the global
+ *		EventBus object
+ **/
+
+/*
+	EventEmitter : Constructor - Initialise with default values
+	18/10/2026
+
+	Example:
+
+	//Create an emitter for the enemy AI
+	var aiEvents = new EventEmitter();
+*/
+function EventEmitter() {
+	/*  WARNING:
+        Don't modify this internal object from the outside of the EventEmitter object.
+        Instead use EventEmitter object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store a map of channel patterns to lists of listeners
+		listeners: {},
+
+		//Store the events waiting to be dispatched by flush
+		deferred: [],
+
+		//Store a counter used to keep listeners of equal priority in the order they were added
+		order: 0,
+	};
+};
+
+ExtendProperties(EventEmitter, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		EventEmitter : deferredCount - Get the number of events waiting to be dispatched
+		18/10/2026
+
+		return number - Returns the number of deferred events
+	*/
+	get deferredCount() {
+		return this.__Internal__Dont__Modify__.deferred.length;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Listener Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		EventEmitter : on - Add a function to be called when an event is emitted on a channel
+		18/10/2026
+
+		param[in] pChannel - The channel name to listen to. A "*" part matches any single part of a
+							 channel name, or any number of parts when it is the last part (E.g.
+							 "input.*" matches "input.pressed" and "*" matches every channel)
+		param[in] pCB - The function to call, taking the event data and the channel name as parameters
+		param[in] pPriority - A number used to order the listeners, with higher priorities being
+							  called first (Default 0)
+
+		return bool - Returns true if the listener was added (False if it is already listening)
+
+		Example:
+
+		//Play a sound whenever a button is clicked
+		EventBus.on("ui.click", function(pData) {
+			clickSound.play();
+		});
+	*/
+	on: function(pChannel, pCB, pPriority) {
+		return this.addListener(pChannel, pCB, pPriority, false);
+	},
+
+	/*
+		EventEmitter : once - Add a function to be called the next time an event is emitted on a channel
+		18/10/2026
+
+		param[in] pChannel - The channel name to listen to (Can contain "*" wildcards)
+		param[in] pCB - The function to call, taking the event data and the channel name as parameters
+		param[in] pPriority - A number used to order the listeners, with higher priorities being
+							  called first (Default 0)
+
+		return bool - Returns true if the listener was added (False if it is already listening)
+
+		Example:
+
+		//Start the game on the first key press
+		EventBus.once("input.pressed", startGame);
+	*/
+	once: function(pChannel, pCB, pPriority) {
+		return this.addListener(pChannel, pCB, pPriority, true);
+	},
+
+	/*
+		EventEmitter : off - Remove a function that is listening to a channel
+		18/10/2026
+
+		param[in] pChannel - The channel name that was listened to (Must match the name used to add it)
+		param[in] pCB - The function to remove
+
+		return bool - Returns true if the listener was found and removed
+	*/
+	off: function(pChannel, pCB) {
+		//Check the channel has listeners
+		if (!this.__Internal__Dont__Modify__.listeners.hasOwnProperty(pChannel)) return false;
+
+		//Get the listeners for the channel
+		var list = this.__Internal__Dont__Modify__.listeners[pChannel];
+
+		//Look for the function
+		for (var i = 0; i < list.length; i++) {
+			if (list[i].callback === pCB) {
+				//Flag the listener as removed for dispatches in progress
+				list[i].removed = true;
+
+				//Remove the listener
+				list.splice(i, 1);
+				if (!list.length) delete this.__Internal__Dont__Modify__.listeners[pChannel];
+
+				//Return success
+				return true;
+			}
+		}
+
+		//Return failure
+		return false;
+	},
+
+	/*
+		EventEmitter : clear - Remove all of the listeners for a channel, or every listener
+		18/10/2026
+
+		param[in] pChannel - The channel name to clear (Or undefined to clear all channels)
+	*/
+	clear: function(pChannel) {
+		//Get the channels to clear
+		var channels = (typeof pChannel === "string" ? [pChannel] : Object.keys(this.__Internal__Dont__Modify__.listeners));
+
+		//Flag and remove the listeners
+		for (var i = 0; i < channels.length; i++) {
+			if (!this.__Internal__Dont__Modify__.listeners.hasOwnProperty(channels[i])) continue;
+			var list = this.__Internal__Dont__Modify__.listeners[channels[i]];
+			for (var j = 0; j < list.length; j++)
+				list[j].removed = true;
+			delete this.__Internal__Dont__Modify__.listeners[channels[i]];
+		}
+	},
+
+	/*
+		EventEmitter : listenerCount - Get the number of listeners that would receive an event on a channel
+		18/10/2026
+
+		param[in] pChannel - The channel name to check
+
+		return number - Returns the number of matching listeners
+	*/
+	listenerCount: function(pChannel) {
+		return this.findListeners(pChannel).length;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Dispatch Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		EventEmitter : emit - Call all of the listeners for a channel immediately
+		18/10/2026
+
+		param[in] pChannel - The channel name to emit on (E.g. "player.died")
+		param[in] pData - An optional value passed to each listener (Default undefined)
+
+		return number - Returns the number of listeners that were called
+
+		Example:
+
+		//Let the rest of the game know the player died
+		EventBus.emit("player.died", { position: player.position });
+	*/
+	emit: function(pChannel, pData) {
+		//Validate the channel name
+		pChannel = Validate.type(pChannel, "string", "", true);
+
+		//Get the listeners to call
+		var listeners = this.findListeners(pChannel);
+
+		//Track the number of listeners called
+		var called = 0;
+
+		//Call the listeners
+		for (var i = 0; i < listeners.length; i++) {
+			//Skip listeners removed by an earlier listener
+			if (listeners[i].removed) continue;
+
+			//Remove single use listeners before calling
+			if (listeners[i].once) this.off(listeners[i].channel, listeners[i].callback);
+
+			//Call the listener
+			listeners[i].callback(pData, pChannel);
+			called++;
+		}
+
+		//Return the count
+		return called;
+	},
+
+	/*
+		EventEmitter : defer - Queue an event to be emitted the next time flush is called. The
+							   global EventBus is flushed by the StateManager at the end of each frame
+		18/10/2026
+
+		param[in] pChannel - The channel name to emit on
+		param[in] pData - An optional value passed to each listener (Default undefined)
+
+		Example:
+
+		//Remove the enemy once everything has finished updating
+		EventBus.defer("enemy.destroyed", enemy);
+	*/
+	defer: function(pChannel, pData) {
+		this.__Internal__Dont__Modify__.deferred.push({
+			channel: Validate.type(pChannel, "string", "", true),
+			data: pData
+		});
+	},
+
+	/*
+		EventEmitter : flush - Emit all of the deferred events in the order they were queued. Events
+							   deferred while flushing are kept for the next flush
+		18/10/2026
+	*/
+	flush: function() {
+		//Take the current queue
+		var deferred = this.__Internal__Dont__Modify__.deferred;
+		this.__Internal__Dont__Modify__.deferred = [];
+
+		//Emit the events
+		for (var i = 0; i < deferred.length; i++)
+			this.emit(deferred[i].channel, deferred[i].data);
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Helper Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		EventEmitter : addListener - Add a listener to a channel
+		18/10/2026
+
+		param[in] pChannel - The channel name to listen to
+		param[in] pCB - The function to call
+		param[in] pPriority - A number used to order the listeners (Default 0)
+		param[in] pOnce - A flag indicating if the listener is removed after being called
+
+		return bool - Returns true if the listener was added
+	*/
+	addListener: function(pChannel, pCB, pPriority, pOnce) {
+		//Validate the values
+		pChannel = Validate.type(pChannel, "string", "", true);
+		pCB = Validate.type(pCB, "function", null, true);
+
+		//Create the list for the channel
+		if (!this.__Internal__Dont__Modify__.listeners.hasOwnProperty(pChannel))
+			this.__Internal__Dont__Modify__.listeners[pChannel] = [];
+
+		//Get the list
+		var list = this.__Internal__Dont__Modify__.listeners[pChannel];
+
+		//Check the function isn't already listening
+		for (var i = 0; i < list.length; i++) {
+			if (list[i].callback === pCB) return false;
+		}
+
+		//Add the listener
+		list.push({
+			channel: pChannel,
+			parts: pChannel.split("."),
+			callback: pCB,
+			priority: Validate.type(pPriority, "number", 0),
+			order: this.__Internal__Dont__Modify__.order++,
+			once: pOnce,
+			removed: false,
+		});
+
+		//Return success
+		return true;
+	},
+
+	/*
+		EventEmitter : findListeners - Get the listeners that match a channel name, sorted by priority
+		18/10/2026
+
+		param[in] pChannel - The channel name to match
+
+		return array - Returns an array of the matching listener objects
+	*/
+	findListeners: function(pChannel) {
+		//Split the channel into its parts
+		var parts = pChannel.split(".");
+
+		//Store the matching listeners
+		var found = [];
+
+		//Check each of the patterns
+		for (var pattern in this.__Internal__Dont__Modify__.listeners) {
+			//Ensure own property
+			if (!this.__Internal__Dont__Modify__.listeners.hasOwnProperty(pattern)) continue;
+
+			//Get the list of listeners
+			var list = this.__Internal__Dont__Modify__.listeners[pattern];
+
+			//Check the pattern against the channel
+			if (pattern !== pChannel && !channelMatch(list[0].parts, parts)) continue;
+
+			//Add the listeners
+			for (var i = 0; i < list.length; i++)
+				found.push(list[i]);
+		}
+
+		//Sort by priority, then by the order added
+		found.sort(function(pA, pB) {
+			return (pB.priority - pA.priority) || (pA.order - pB.order);
+		});
+
+		//Return the listeners
+		return found;
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                  General Functions                                         ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+	channelMatch - Check if a channel pattern matches a channel name
+	18/10/2026
+
+	param[in] pPattern - An array of the parts of the pattern (Can contain "*" parts)
+	param[in] pChannel - An array of the parts of the channel name
+
+	return bool - Returns true if the pattern matches the channel
+
+	Example:
+
+	//Check if the pattern matches
+	var matches = channelMatch("input.*".split("."), "input.pressed".split("."));    //Result - true
+*/
+function channelMatch(pPattern, pChannel) {
+	//Loop through the pattern
+	for (var i = 0; i < pPattern.length; i++) {
+		//A trailing wildcard matches the rest of the channel
+		if (pPattern[i] === "*" && i === pPattern.length - 1) return pChannel.length > i;
+
+		//Check the parts match
+		if (i >= pChannel.length || (pPattern[i] !== "*" && pPattern[i] !== pChannel[i])) return false;
+	}
+
+	//Check the whole channel was matched
+	return pPattern.length === pChannel.length;
+};
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                  Global Instance                                           ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: EventBus
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Purpose:
+ *		The framework wide EventEmitter. Publishes the channels
+ *		"graphics.resize", "input.pressed", "input.released"
+ *		and "ui.click"
+ **/
+var EventBus = new EventEmitter()
\ No newline at end of file
@@ -0,0 +1,614 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: ZipArchive
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Purpose:
+ *		Package a list of named files into an uncompressed zip
+ *		archive. Encoded images are already compressed, so the files
+ *		are stored as they are
+ **/
+var ZipArchive = {
+	/*
+		ZipArchive : create - Build a zip archive from a list of files
+		18/10/2026
+
+		param[in] pFiles - An array of objects containing the "name" of each file and its "data" as a
+						   Uint8Array or a base64 data URL string
+
+		return Uint8Array - Returns the bytes of the zip archive
+
+		Example:
+
+		//Package two screenshots together
+		var zip = ZipArchive.create([
+			{ name: "before.png", data: beforeDataURL },
+			{ name: "after.png", data: afterDataURL }
+		]);
+	*/
+	create: function(pFiles) {
+		//Check the files are in an array
+		if (!(pFiles instanceof Array))
+			throw new Error("Can not create a ZipArchive from " + pFiles + " (Type: '" + typeof pFiles + "') Please use an array of file objects");
+
+		//Get the DOS time and date values for the entries
+		var now = new Date();
+		var time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+		var date = ((Math.max(now.getFullYear(), 1980) - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+		//Prepare the entries, tracking the total size
+		var entries = [];
+		var localSize = 0;
+		var centralSize = 0;
+		for (var i = 0; i < pFiles.length; i++) {
+			//Get the file data
+			var data = (typeof pFiles[i]["data"] === "string" ? this.decodeDataURL(pFiles[i]["data"]) : pFiles[i]["data"]);
+			if (!(data instanceof Uint8Array))
+				throw new Error("Can not add the file '" + pFiles[i]["name"] + "' to a ZipArchive with the data " + data + " (Type: '" + typeof data + "') Please use a Uint8Array or a data URL string");
+
+			//Get the file name bytes
+			var name = this.encodeText(String(pFiles[i]["name"]));
+
+			//Store the entry
+			entries.push({ name: name, data: data, crc: this.crc32(data), offset: localSize });
+			localSize += 30 + name.length + data.length;
+			centralSize += 46 + name.length;
+		}
+
+		//Create the archive
+		var bytes = new Uint8Array(localSize + centralSize + 22);
+		var view = new DataView(bytes.buffer);
+		var pos = 0;
+
+		//Write the local file headers and data
+		for (var i = 0; i < entries.length; i++) {
+			view.setUint32(pos, 0x04034B50, true);
+			view.setUint16(pos + 4, 20, true);
+			view.setUint16(pos + 6, 0, true);
+			view.setUint16(pos + 8, 0, true);
+			view.setUint16(pos + 10, time, true);
+			view.setUint16(pos + 12, date, true);
+			view.setUint32(pos + 14, entries[i].crc, true);
+			view.setUint32(pos + 18, entries[i].data.length, true);
+			view.setUint32(pos + 22, entries[i].data.length, true);
+			view.setUint16(pos + 26, entries[i].name.length, true);
+			view.setUint16(pos + 28, 0, true);
+			bytes.set(entries[i].name, pos + 30);
+			bytes.set(entries[i].data, pos + 30 + entries[i].name.length);
+			pos += 30 + entries[i].name.length + entries[i].data.length;
+		}
+
+		//Write the central directory
+		for (var i = 0; i < entries.length; i++) {
+			view.setUint32(pos, 0x02014B50, true);
+			view.setUint16(pos + 4, 20, true);
+			view.setUint16(pos + 6, 20, true);
+			view.setUint16(pos + 8, 0, true);
+			view.setUint16(pos + 10, 0, true);
+			view.setUint16(pos + 12, time, true);
+			view.setUint16(pos + 14, date, true);
+			view.setUint32(pos + 16, entries[i].crc, true);
+			view.setUint32(pos + 20, entries[i].data.length, true);
+			view.setUint32(pos + 24, entries[i].data.length, true);
+			view.setUint16(pos + 28, entries[i].name.length, true);
+			view.setUint32(pos + 42, entries[i].offset, true);
+			bytes.set(entries[i].name, pos + 46);
+			pos += 46 + entries[i].name.length;
+		}
+
+		//Write the end of central directory record
+		view.setUint32(pos, 0x06054B50, true);
+		view.setUint16(pos + 8, entries.length, true);
+		view.setUint16(pos + 10, entries.length, true);
+		view.setUint32(pos + 12, centralSize, true);
+		view.setUint32(pos + 16, localSize, true);
+
+		//Return the archive
+		return bytes;
+	},
+
+	/*
+		ZipArchive : decodeDataURL - Get the bytes held by a base64 data URL
+		18/10/2026
+
+		param[in] pDataURL - The data URL string to decode
+
+		return Uint8Array - Returns the decoded bytes
+	*/
+	decodeDataURL: function(pDataURL) {
+		//Decode the base64 data
+		var binary = atob(pDataURL.substr(pDataURL.indexOf(",") + 1));
+
+		//Copy the bytes
+		var bytes = new Uint8Array(binary.length);
+		for (var i = 0; i < binary.length; i++)
+			bytes[i] = binary.charCodeAt(i);
+
+		//Return the bytes
+		return bytes;
+	},
+
+	/*
+		ZipArchive : encodeText - Get the UTF-8 bytes of a string
+		18/10/2026
+
+		param[in] pText - The string to encode
+
+		return Uint8Array - Returns the encoded bytes
+	*/
+	encodeText: function(pText) {
+		//Escape the multi-byte characters and read the bytes back
+		var binary = unescape(encodeURIComponent(pText));
+		var bytes = new Uint8Array(binary.length);
+		for (var i = 0; i < binary.length; i++)
+			bytes[i] = binary.charCodeAt(i);
+
+		//Return the bytes
+		return bytes;
+	},
+
+	/*
+		ZipArchive : crc32 - Calculate the CRC-32 checksum of a list of bytes
+		18/10/2026
+
+		param[in] pBytes - The Uint8Array to calculate the checksum of
+
+		return number - Returns the checksum as an unsigned number
+	*/
+	crc32: function(pBytes) {
+		//Build the lookup table the first time
+		if (this.crcTable === null) {
+			this.crcTable = new Uint32Array(256);
+			for (var i = 0; i < 256; i++) {
+				var c = i;
+				for (var k = 0; k < 8; k++)
+					c = (c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1);
+				this.crcTable[i] = c;
+			}
+		}
+
+		//Calculate the checksum
+		var crc = 0xFFFFFFFF;
+		for (var i = 0; i < pBytes.length; i++)
+			crc = this.crcTable[(crc ^ pBytes[i]) & 0xFF] ^ (crc >>> 8);
+
+		//Return the final value
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	},
+
+	//Store the checksum lookup table (Built when first needed)
+	crcTable: null,
+};
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: FrameRecorder
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js, Graphics.js, ZipArchive
+ *
+ *		Purpose:
+ *		Capture the frames presented by a Graphics object at a fixed
+ *		interval, keeping the encoded frames so they can be exported
+ *		as a zip of numbered images
+ **/
+
+/*
+	FrameRecorder : Constructor - Initialise with the Graphics object to capture
+	18/10/2026
+
+	param[in] pGraphics - The Graphics object whose presented frames are captured
+	param[in] pSetup - An optional object containing the values to setup the FrameRecorder with
+
+	Optional:
+	interval - The number of seconds between captured frames (Default 1 / 30)
+	maxFrames - The number of frames to capture before recording stops (Default 600)
+	region - An object containing the "x", "y", "width" and "height" of the area to capture (Default null)
+	type - The image format to encode the frames to (Default "image/png")
+	quality - A number between 0 and 1 for the quality of lossy formats (Default the browser's)
+	fixedStep - Flags if every update should be treated as one interval apart, for when the
+				game is stepped with a fixed delta time (Default false)
+	prefix - The string the exported file names start with (Default "frame_")
+
+	Example:
+
+	//Record the gameplay at 30 frames a second
+	var recorder = new FrameRecorder(graphics, { interval: 1 / 30 });
+	stateManager.recorder = recorder;
+	recorder.start();
+*/
+function FrameRecorder(pGraphics, pSetup) {
+	//Check the Graphics object is valid
+	if (typeof pGraphics !== "object" || pGraphics === null)
+		throw new Error("Can not create a FrameRecorder for " + pGraphics + " (Type: '" + typeof pGraphics + "') Please use a Graphics object");
+
+	//Clean the setup object
+	pSetup = Validate.type(pSetup, "object", null) || {};
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the FrameRecorder object.
+        Instead use FrameRecorder object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the Graphics object to capture
+		graphics: pGraphics,
+
+		//Store the capture values
+		interval: Math.max(Validate.type(pSetup["interval"], "number", 1 / 30), 0),
+		maxFrames: Math.max(Math.round(Validate.type(pSetup["maxFrames"], "number", 600)), 1),
+		region: Validate.type(pSetup["region"], "object", null) || {},
+		type: Validate.type(pSetup["type"], "string", "image/png"),
+		quality: Validate.type(pSetup["quality"], "number", undefined),
+		fixedStep: pSetup["fixedStep"] === true,
+		prefix: Validate.type(pSetup["prefix"], "string", "frame_"),
+
+		//Flag if frames are being captured by update
+		recording: false,
+
+		//Store the time since the last captured frame
+		timer: 0,
+
+		//Store the captured frames as data URLs
+		frames: [],
+	};
+};
+
+ExtendProperties(FrameRecorder, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		FrameRecorder : recording - Get the flag indicating if frames are being captured
+		18/10/2026
+
+		return bool - Returns true if update is capturing frames
+	*/
+	get recording() {
+		return this.__Internal__Dont__Modify__.recording;
+	},
+
+	/*
+		FrameRecorder : frameCount - Get the number of frames that have been captured
+		18/10/2026
+
+		return number - Returns the frame count as a number
+	*/
+	get frameCount() {
+		return this.__Internal__Dont__Modify__.frames.length;
+	},
+
+	/*
+		FrameRecorder : frames - Get the frames that have been captured
+		18/10/2026
+
+		return array - Returns a copy of the array of data URL strings
+	*/
+	get frames() {
+		return this.__Internal__Dont__Modify__.frames.slice();
+	},
+
+	/*
+		FrameRecorder : interval - Get the number of seconds between captured frames
+		18/10/2026
+
+		return number - Returns the interval as a number
+	*/
+	get interval() {
+		return this.__Internal__Dont__Modify__.interval;
+	},
+
+	/*
+		FrameRecorder : interval - Set the number of seconds between captured frames
+		18/10/2026
+
+		param[in] pInterval - The number of seconds between frames (0 captures every update)
+
+		Example:
+
+		//Capture at 60 frames a second
+		recorder.interval = 1 / 60;
+	*/
+	set interval(pInterval) {
+		this.__Internal__Dont__Modify__.interval = Math.max(Validate.type(pInterval, "number", 1 / 30, true), 0);
+	},
+
+	/*
+		FrameRecorder : fixedStep - Get the flag indicating if every update is treated as one interval apart
+		18/10/2026
+
+		return bool - Returns true if every update captures a frame
+	*/
+	get fixedStep() {
+		return this.__Internal__Dont__Modify__.fixedStep;
+	},
+
+	/*
+		FrameRecorder : fixedStep - Set the flag indicating if every update is treated as one interval apart
+		18/10/2026
+
+		param[in] pFixed - A bool indicating if every update should capture a frame
+
+		Example:
+
+		//Step the game by the recorder interval and capture every frame
+		recorder.fixedStep = true;
+		for (var i = 0; i < 90; i++)
+			stateManager.tick(recorder.interval);
+	*/
+	set fixedStep(pFixed) {
+		this.__Internal__Dont__Modify__.fixedStep = Validate.type(pFixed, "boolean", false, true);
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Recording Functions                                          ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		FrameRecorder : start - Begin capturing frames each interval when update is called
+		18/10/2026
+
+		param[in] pKeepFrames - Flags if the previously captured frames should be kept (Default false)
+
+		return bool - Returns true if recording started (False if already recording)
+
+		Example:
+
+		//Start recording when F9 is pressed
+		if (Input.keyPressed(Keys.F9)) recorder.start();
+	*/
+	start: function(pKeepFrames) {
+		//Check the recorder isn't already recording
+		if (this.__Internal__Dont__Modify__.recording) return false;
+
+		//Remove the previous frames
+		if (pKeepFrames !== true) this.clear();
+
+		//Capture the first frame on the next update
+		this.__Internal__Dont__Modify__.timer = this.__Internal__Dont__Modify__.interval;
+		this.__Internal__Dont__Modify__.recording = true;
+
+		//Return success
+		return true;
+	},
+
+	/*
+		FrameRecorder : stop - Stop capturing frames, keeping those already captured
+		18/10/2026
+
+		return bool - Returns true if recording was stopped (False if it wasn't recording)
+	*/
+	stop: function() {
+		//Check the recorder is recording
+		if (!this.__Internal__Dont__Modify__.recording) return false;
+
+		//Flag the recording as stopped
+		this.__Internal__Dont__Modify__.recording = false;
+
+		//Return success
+		return true;
+	},
+
+	/*
+		FrameRecorder : clear - Remove the captured frames
+		18/10/2026
+	*/
+	clear: function() {
+		this.__Internal__Dont__Modify__.frames = [];
+	},
+
+	/*
+		FrameRecorder : capture - Capture the frame last shown by Graphics.swapBuffers (Or the render buffer
+								  if no frame has been shown)
+		18/10/2026
+
+		return bool - Returns true if the frame was captured (False once the maximum frames are reached)
+
+		Example:
+
+		//Capture a single frame at the moment of the explosion
+		recorder.capture();
+	*/
+	capture: function() {
+		//Check there is room for the frame
+		if (this.__Internal__Dont__Modify__.frames.length >= this.__Internal__Dont__Modify__.maxFrames) {
+			this.stop();
+			return false;
+		}
+
+		//Capture the presented frame
+		var region = this.__Internal__Dont__Modify__.region;
+		this.__Internal__Dont__Modify__.frames.push(this.__Internal__Dont__Modify__.graphics.captureDataURL(
+			{ x: region["x"], y: region["y"], width: region["width"], height: region["height"], presented: true },
+			this.__Internal__Dont__Modify__.type, this.__Internal__Dont__Modify__.quality));
+
+		//Stop recording once the maximum frames are reached
+		if (this.__Internal__Dont__Modify__.frames.length >= this.__Internal__Dont__Modify__.maxFrames) this.stop();
+
+		//Return success
+		return true;
+	},
+
+	/*
+		FrameRecorder : update - Capture a frame if an interval has passed. Called automatically at the end of
+								 the frame when the FrameRecorder is set as the StateManager recorder
+		18/10/2026
+
+		param[in] pTime - The Time object of the StateManager
+
+		Example:
+
+		//Record from a custom game loop after the frame is presented with swapBuffers
+		recorder.update(stateManager.time);
+	*/
+	update: function(pTime) {
+		//Check the recorder is recording
+		if (!this.__Internal__Dont__Modify__.recording) return;
+
+		//Capture every update when stepping with a fixed delta
+		if (this.__Internal__Dont__Modify__.fixedStep) {
+			this.capture();
+			return;
+		}
+
+		//Add the real time onto the timer so slow motion doesn't slow the recording
+		this.__Internal__Dont__Modify__.timer += pTime.realDeltaTime;
+
+		//Check an interval has passed
+		if (this.__Internal__Dont__Modify__.timer < this.__Internal__Dont__Modify__.interval) return;
+
+		//Remove the interval, dropping any missed frames
+		this.__Internal__Dont__Modify__.timer = (this.__Internal__Dont__Modify__.interval > 0 ?
+			this.__Internal__Dont__Modify__.timer % this.__Internal__Dont__Modify__.interval : 0);
+
+		//Capture the frame
+		this.capture();
+	},
+
+	/*
+		FrameRecorder : recordFixed - Step a StateManager by the recorder interval, capturing each frame. The
+									  loop is stopped while recording so the output is smooth regardless
+									  of how long each frame takes to capture
+		18/10/2026
+
+		param[in] pStateManager - The StateManager object to step
+		param[in] pFrameCount - The number of frames to step and capture
+
+		return number - Returns the number of frames that were captured
+
+		Example:
+
+		//Record three seconds of the title screen for the store page
+		recorder.interval = 1 / 60;
+		recorder.recordFixed(stateManager, 180);
+		recorder.download("title.zip");
+	*/
+	recordFixed: function(pStateManager, pFrameCount) {
+		//Check the StateManager is valid
+		if (!(pStateManager instanceof StateManager))
+			throw new Error("Can not record the frames of " + pStateManager + " (Type: '" + typeof pStateManager + "') Please use a StateManager object");
+
+		//Stop the animation loop
+		var wasRunning = pStateManager.stop();
+
+		//Stop update capturing while the frames are stepped
+		var wasRecording = this.__Internal__Dont__Modify__.recording;
+		this.__Internal__Dont__Modify__.recording = false;
+
+		//Step and capture the frames
+		var captured = 0;
+		for (var i = 0; i < Validate.type(pFrameCount, "number", 0); i++) {
+			//Process the frame
+			pStateManager.tick(this.__Internal__Dont__Modify__.interval);
+
+			//Capture the frame
+			if (!this.capture()) break;
+			captured++;
+		}
+
+		//Resume update capturing if there is still room
+		this.__Internal__Dont__Modify__.recording = (wasRecording && this.__Internal__Dont__Modify__.frames.length < this.__Internal__Dont__Modify__.maxFrames);
+
+		//Restart the animation loop
+		if (wasRunning) pStateManager.start();
+
+		//Return the number of captured frames
+		return captured;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Export Functions                                             ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		FrameRecorder : toZip - Package the captured frames as a zip of numbered images
+		18/10/2026
+
+		return Uint8Array - Returns the bytes of the zip archive
+	*/
+	toZip: function() {
+		//Get the file extension for the format
+		var extension = this.__Internal__Dont__Modify__.type.substr(this.__Internal__Dont__Modify__.type.indexOf("/") + 1).replace("jpeg", "jpg");
+
+		//Name the frames
+		var files = [];
+		for (var i = 0; i < this.__Internal__Dont__Modify__.frames.length; i++) {
+			var number = String(i);
+			while (number.length < 5) number = "0" + number;
+			files.push({ name: this.__Internal__Dont__Modify__.prefix + number + "." + extension, data: this.__Internal__Dont__Modify__.frames[i] });
+		}
+
+		//Return the archive
+		return ZipArchive.create(files);
+	},
+
+	/*
+		FrameRecorder : exportZip - Package the captured frames as a zip Blob
+		18/10/2026
+
+		return Blob - Returns a Blob object of type "application/zip"
+
+		Example:
+
+		//Upload the recording with the bug report
+		report.attach(recorder.exportZip());
+	*/
+	exportZip: function() {
+		return new Blob([this.toZip()], { type: "application/zip" });
+	},
+
+	/*
+		FrameRecorder : download - Save the captured frames to the user's computer as a zip file
+		18/10/2026
+
+		param[in] pFileName - The name of the file to save (Default "frames.zip")
+
+		Example:
+
+		//Save the recording once it is stopped
+		recorder.stop();
+		recorder.download("boss_fight.zip");
+	*/
+	download: function(pFileName) {
+		//Create a link to the archive
+		var url = URL.createObjectURL(this.exportZip());
+		var link = document.createElement("a");
+		link.href = url;
+		link.download = Validate.type(pFileName, "string", "frames.zip");
+
+		//Save the file
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+
+		//Release the archive once the download has started
+		setTimeout(function() {
+			URL.revokeObjectURL(url);
+		}, 0);
+	},
+});
\ No newline at end of file
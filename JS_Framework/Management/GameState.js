@@ -0,0 +1,286 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: GameState
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js
+ *
+ *		Purpose:
+ *		Store the hook functions that make up a single named
+ *		state (E.g. Menu, Game, Pause) to be managed by the
+ *		StateManager's state stack
+ **/
+
+/*
+	GameState : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pSetup - An object with values used to setup the state. Must contain a "name"
+					   string and can contain any of the hook functions ("onEnter", "onExit",
+					   "onPause", "onResume", "update", "fixedUpdate" and "draw")
+
+	Example:
+
+	//Create the main menu state
+	var menuState = new GameState({
+		name: "menu",
+		onEnter: function(pManager) {
+			//TODO: Setup the menu UI
+		},
+		update: function(pTime) {
+			//TODO: Check for menu selections
+		},
+		draw: function(pGraphics, pTime) {
+			//TODO: Render the menu UI
+		}
+	});
+*/
+function GameState(pSetup) {
+	//Ensure that pSetup is an object
+	pSetup = Validate.type(pSetup, "object", null, true);
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the GameState object.
+        Instead use GameState object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the name used to identify the state
+		name: Validate.type(pSetup["name"], "string", "", true),
+	};
+
+	//Store the names of the hook functions that can be supplied
+	var hooks = ["onEnter", "onExit", "onPause", "onResume", "update", "fixedUpdate", "draw"];
+
+	//Assign the hook functions that were supplied
+	for (var i = 0; i < hooks.length; i++) {
+		if (typeof pSetup[hooks[i]] === "function")
+			this[hooks[i]] = pSetup[hooks[i]];
+	}
+};
+
+ExtendProperties(GameState, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		GameState : name - Get the name of the state
+		18/10/2026
+
+		return string - Returns the name as a string
+	*/
+	get name() {
+		return this.__Internal__Dont__Modify__.name;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Virtual Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		GameState : onEnter - Virtual function called when the state is added to the stack
+		18/10/2026
+
+		param[in] pManager - The StateManager object that the state was added to
+	*/
+	onEnter: null,
+
+	/*
+		GameState : onExit - Virtual function called when the state is removed from the stack
+		18/10/2026
+
+		param[in] pManager - The StateManager object that the state was removed from
+	*/
+	onExit: null,
+
+	/*
+		GameState : onPause - Virtual function called when another state is pushed on top of this one
+		18/10/2026
+
+		param[in] pManager - The StateManager object that the state belongs to
+	*/
+	onPause: null,
+
+	/*
+		GameState : onResume - Virtual function called when this state becomes the top of the stack again
+		18/10/2026
+
+		param[in] pManager - The StateManager object that the state belongs to
+	*/
+	onResume: null,
+
+	/*
+		GameState : update - Virtual function called once per frame while the state is the top of the stack
+		18/10/2026
+
+		param[in] pTime - The StateManager's Time object
+	*/
+	update: null,
+
+	/*
+		GameState : fixedUpdate - Virtual function called for each fixed step while the state is the top
+								  of the stack
+		18/10/2026
+
+		param[in] pTime - The StateManager's Time object
+	*/
+	fixedUpdate: null,
+
+	/*
+		GameState : draw - Virtual function called once per frame while the state is anywhere in the stack.
+						   States are drawn from the bottom of the stack to the top
+		18/10/2026
+
+		param[in] pGraphics - The Graphics object assigned to the StateManager (Or null if none)
+		param[in] pTime - The StateManager's Time object
+	*/
+	draw: null,
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: StateTransition
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js, Color.js
+ *
+ *		Purpose:
+ *		Describe a timed effect that covers the screen while the
+ *		StateManager changes the active state. The state change
+ *		is applied halfway through the transition
+ **/
+
+/*
+	StateTransition : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pSetup - An object with values used to setup the transition ("duration", "color"
+					   and "draw") (Default null)
+
+	Example:
+
+	//Fade to black over half a second
+	var fade = new StateTransition({ duration: 0.5, color: "#000" });
+
+	//Move to the game state
+	stateManager.replaceState("game", fade);
+*/
+function StateTransition(pSetup) {
+	//Clean the setup object
+	pSetup = Validate.type(pSetup, "object", null) || {};
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the StateTransition object.
+        Instead use StateTransition object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the total length of the transition (in seconds)
+		duration: Math.max(Validate.type(pSetup["duration"], "number", 1), 0),
+
+		//Store the color used by the default fade
+		color: (typeof pSetup["color"] === "string" ? new Color(pSetup["color"]) : Validate.instance(pSetup["color"], Color, new Color(0, 0, 0, 1))),
+	};
+
+	//Assign a custom draw function if supplied
+	if (typeof pSetup["draw"] === "function") this.draw = pSetup["draw"];
+};
+
+ExtendProperties(StateTransition, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		StateTransition : duration - Get the total length of the transition
+		18/10/2026
+
+		return number - Returns the duration as a number (in seconds)
+	*/
+	get duration() {
+		return this.__Internal__Dont__Modify__.duration;
+	},
+
+	/*
+		StateTransition : duration - Set the total length of the transition
+		18/10/2026
+
+		param[in] pVal - A number that is >= 0 defining the length of the transition (in seconds)
+	*/
+	set duration(pVal) {
+		this.__Internal__Dont__Modify__.duration = Math.max(Validate.type(pVal, "number", 0, true), 0);
+	},
+
+	/*
+		StateTransition : color - Get the color used by the default fade
+		18/10/2026
+
+		return Color - Returns a Color object
+	*/
+	get color() {
+		return new Color(this.__Internal__Dont__Modify__.color);
+	},
+
+	/*
+		StateTransition : color - Set the color used by the default fade
+		18/10/2026
+
+		param[in] pCol - A Color object holding the new values
+	*/
+	set color(pCol) {
+		this.__Internal__Dont__Modify__.color = new Color(Validate.instance(pCol, Color, null, true));
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                  Main Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		StateTransition : draw - Render the transition over the screen. Can be replaced through the
+								 setup object to create custom effects
+		18/10/2026
+
+		param[in] pGraphics - The Graphics object being used to render
+		param[in] pCoverage - A number in the range of 0-1 indicating how much of the screen should
+							  be covered (1 is reached at the point the state changes)
+	*/
+	draw: function(pGraphics, pCoverage) {
+		//Get the color to fade with
+		var col = new Color(this.__Internal__Dont__Modify__.color);
+		col.a *= pCoverage;
+
+		//Cover the screen
+		pGraphics.transform = null;
+		pGraphics.draw.fillStyle = col.rgba;
+		pGraphics.draw.fillRect(0, 0, pGraphics.width, pGraphics.height);
+	},
+});
\ No newline at end of file
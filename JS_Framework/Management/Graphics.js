@@ -15,6 +15,17 @@
  **/
 var TextAlign = { LEFT: 0, CENTER: 1, RIGHT: 2 };
 
+/*
+ *      Name: RendererType
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the numerical values used to choose the context a
+ *      Graphics object renders through when it is created
+ **/
+var RendererType = { CANVAS: 0, WEBGL: 1 };
+
 /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 /////                                                                                                            ////
 /////                                                 Object Definition                                          ////
@@ -26,11 +37,14 @@ var TextAlign = { LEFT: 0, CENTER: 1, RIGHT: 2 };
  *      Author: Mitchell Croft
  *      Date: 30/11/2016
  *
- *      Version: 3.0
- *      Removed use of pre-existing canvas objects and added a double buffer
+ *      Version: 4.5
+ *      Added loading levels exported from the Tiled map editor as TiledMaps
  *
  *      Requires:
- *      Mat3.js, Color.js, ExtendProperties.js
+ *      Mat3.js, Color.js, ExtendProperties.js, RecordingContext.js, EventEmitter.js,
+ *      Sprite.js, TextureAtlas.js, RenderLayer.js, RenderTarget.js, PostProcess.js,
+ *      DebugDraw.js, TextLayout.js, BitmapFont.js, NineSlice.js, WebGLContext.js,
+ *      Tilemap.js, TiledMap.js
  *
  *      Purpose:
  *      Control and manage the rendering of 2D graphics to a contained
@@ -46,6 +60,14 @@ var TextAlign = { LEFT: 0, CENTER: 1, RIGHT: 2 };
     param[in] pResizeCallback - A bool flag to indicate if the graphics object
                                  should call a user defined callback when the window
                                  resizes (Default true)
+    param[in] pSetup - An optional object with values used to choose where rendering goes.
+                       "context" is a 2D context to render to instead of creating canvas
+                       objects, "headless" is a flag to render to a RecordingContext and
+                       "renderer" is a RendererType value choosing the context of the created
+                       canvas (RendererType.WEBGL falls back to the 2D context when WebGL is not
+                       available. Its batched rendering is only shown once the frame is presented
+                       with swapBuffers, which a StateManager given the Graphics object does at
+                       the end of each frame) (Default null)
 
     Example:
 
@@ -53,8 +75,17 @@ var TextAlign = { LEFT: 0, CENTER: 1, RIGHT: 2 };
     var graphics = new Graphics(1280, 720);
     OR
     var graphics = new Graphics(1280, 720, false);
+    OR
+    var graphics = new Graphics(1280, 720, false, { context: myCanvas.getContext("2d") });
+    OR
+    var graphics = new Graphics(1280, 720, false, { headless: true });
+    OR
+    var graphics = new Graphics(1280, 720, true, { renderer: RendererType.WEBGL });
 */
-function Graphics(pWidth, pHeight, pResizeCallback) {
+function Graphics(pWidth, pHeight, pResizeCallback, pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
     /*  WARNING:
         Don't modify this internal object from the outside of the Graphics object.
         Instead use Graphics object properties and functions to modify these values
@@ -71,6 +102,9 @@ function Graphics(pWidth, pHeight, pResizeCallback) {
         //Store the currently active buffer that is being rendered to
         renderBufferIndex: 0,
 
+        //Store the buffer holding the frame last shown by swapBuffers (Null until a frame is shown)
+        presentedBufferIndex: null,
+
         //Store a stack of hierarchal matricies
         renderStack: [],
 
@@ -82,26 +116,91 @@ function Graphics(pWidth, pHeight, pResizeCallback) {
 
         //Save a list of callbacks to execute when the canvas changes size
         canvasResizeEvents: [],
+
+        //Flag if rendering is going to a RecordingContext
+        headless: false,
+
+        //Store the type of context the canvas is rendered through
+        renderer: RendererType.CANVAS,
+
+        //Store a scratch canvas used to tint sprites
+        tintCanvas: null,
+
+        //Store the render layers in the order they were added
+        layers: [],
+
+        //Store the active RenderTargets along with the render stacks they replaced
+        targetStack: [],
+
+        //Store the filter pipeline run over the frame before it is shown
+        postProcess: null,
+
+        //Store the debugging primitives drawn over the frame
+        debug: new DebugDraw(),
+
+        //Store the time the last frame was shown, used to age the debugging primitives (Null until a frame is shown)
+        swapTime: null,
     };
 
+    //Check if a context was supplied
+    if (typeof pSetup["context"] === "object" && pSetup["context"] !== null) {
+        //Use the supplied context as a single buffer
+        this.__Internal__Dont__Modify__.context[0] = pSetup["context"];
+        this.__Internal__Dont__Modify__.canvas[0] = pSetup["context"].canvas;
+    }
+
+    //Check if rendering without a document
+    else if (pSetup["headless"] === true) {
+        //Create a recording context as a single buffer
+        this.__Internal__Dont__Modify__.headless = true;
+        this.__Internal__Dont__Modify__.context[0] = new RecordingContext(pWidth, pHeight);
+        this.__Internal__Dont__Modify__.canvas[0] = this.__Internal__Dont__Modify__.context[0].canvas;
+    }
+
     //Create the canvas and context objects
-    for (var i = 0; i < 2; i++) {
-        //Create the canvas
-        this.__Internal__Dont__Modify__.canvas[i] = document.createElement("canvas");
+    else {
+        //Check if rendering through WebGL was requested
+        if (pSetup["renderer"] === RendererType.WEBGL) {
+            //Create a single canvas (WebGL presents the frame itself)
+            var canvas = document.createElement("canvas");
+            canvas.width = Math.abs(pWidth);
+            canvas.height = Math.abs(pHeight);
+
+            //Try to create the WebGL context
+            try {
+                this.__Internal__Dont__Modify__.context[0] = new WebGLContext(canvas);
+                this.__Internal__Dont__Modify__.canvas[0] = canvas;
+                this.__Internal__Dont__Modify__.renderer = RendererType.WEBGL;
+
+                //Add the canvas to the document
+                document.body.appendChild(canvas);
+            }
+
+            //Otherwise fall back to the 2D context
+            catch (pErr) {
+                this.__Internal__Dont__Modify__.context.length = 0;
+            }
+        }
 
-        //Add the canvas to the document
-        document.body.appendChild(this.__Internal__Dont__Modify__.canvas[i]);
+        //Create the 2D canvas objects
+        if (this.__Internal__Dont__Modify__.renderer === RendererType.CANVAS) for (var i = 0; i < 2; i++) {
+            //Create the canvas
+            this.__Internal__Dont__Modify__.canvas[i] = document.createElement("canvas");
 
-        //Set the dimensions of the canvas
-        this.__Internal__Dont__Modify__.canvas[i].width = Math.abs(pWidth);
-        this.__Internal__Dont__Modify__.canvas[i].height = Math.abs(pHeight);
+            //Add the canvas to the document
+            document.body.appendChild(this.__Internal__Dont__Modify__.canvas[i]);
 
-        //Get the 2D context from the canvas
-        this.__Internal__Dont__Modify__.context[i] = this.__Internal__Dont__Modify__.canvas[i].getContext("2d");
+            //Set the dimensions of the canvas
+            this.__Internal__Dont__Modify__.canvas[i].width = Math.abs(pWidth);
+            this.__Internal__Dont__Modify__.canvas[i].height = Math.abs(pHeight);
+
+            //Get the 2D context from the canvas
+            this.__Internal__Dont__Modify__.context[i] = this.__Internal__Dont__Modify__.canvas[i].getContext("2d");
+        }
     }
 
     //Setup the window resize callback
-    if (pResizeCallback !== false) {
+    if (pResizeCallback !== false && typeof window !== "undefined") {
         //Store a reference to this
         var that = this;
 
@@ -112,6 +211,9 @@ function Graphics(pWidth, pHeight, pResizeCallback) {
                 that.__Internal__Dont__Modify__.windowResizeCallback(window.innerWidth, window.innerHeight);
         }, false);
     }
+
+    //Create the filter pipeline
+    this.__Internal__Dont__Modify__.postProcess = new PostProcess({ headless: this.__Internal__Dont__Modify__.headless });
 };
 
 ExtendProperties(Graphics, {
@@ -122,25 +224,76 @@ ExtendProperties(Graphics, {
     /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
     /*
-        Graphics : draw - Get the rendering context for the current render buffer
+        Graphics : draw - Get the rendering context for the current render buffer (Or the active RenderTarget)
         30/11/2016
 
         return CanvasRenderingContext2D - Returns the rendering context for the current render buffer
     */
     get draw() {
+        //Check if a RenderTarget is active
+        if (this.__Internal__Dont__Modify__.targetStack.length)
+            return this.__Internal__Dont__Modify__.targetStack[this.__Internal__Dont__Modify__.targetStack.length - 1].target.draw;
+
+        //Otherwise use the render buffer
         return this.__Internal__Dont__Modify__.context[this.__Internal__Dont__Modify__.renderBufferIndex];
     },
 
     /*
-        Graphics : canvas - Get the canvas that is currently being rendered to
+        Graphics : canvas - Get the canvas that is currently being rendered to (Or the active RenderTarget's)
         30/11/2016
 
         return Canvas - Returns a HTML5 canvas object
     */
     get canvas() {
+        //Check if a RenderTarget is active
+        if (this.__Internal__Dont__Modify__.targetStack.length)
+            return this.__Internal__Dont__Modify__.targetStack[this.__Internal__Dont__Modify__.targetStack.length - 1].target.canvas;
+
+        //Otherwise use the render buffer
         return this.__Internal__Dont__Modify__.canvas[this.__Internal__Dont__Modify__.renderBufferIndex];
     },
 
+    /*
+        Graphics : renderTarget - Get the RenderTarget that is currently being rendered to
+        18/10/2026
+
+        return RenderTarget - Returns the active RenderTarget object or null if rendering to the canvas
+    */
+    get renderTarget() {
+        return (this.__Internal__Dont__Modify__.targetStack.length ?
+            this.__Internal__Dont__Modify__.targetStack[this.__Internal__Dont__Modify__.targetStack.length - 1].target : null);
+    },
+
+    /*
+        Graphics : headless - Get the flag indicating if rendering is going to a RecordingContext
+        18/10/2026
+
+        return bool - Returns true if the Graphics object was created with the "headless" flag
+
+        Example:
+
+        //Check the number of images drawn last frame
+        if (graphics.headless) console.log(graphics.draw.callCount("drawImage"));
+    */
+    get headless() {
+        return this.__Internal__Dont__Modify__.headless;
+    },
+
+    /*
+        Graphics : renderer - Get the type of context the canvas is rendered through
+        18/10/2026
+
+        return number - Returns a RendererType value (RendererType.CANVAS if WebGL was requested but is not available)
+
+        Example:
+
+        //Use more particles when the quads are batched
+        var maxParticles = (graphics.renderer === RendererType.WEBGL ? 5000 : 500);
+    */
+    get renderer() {
+        return this.__Internal__Dont__Modify__.renderer;
+    },
+
     /*
         Graphics : transform - Change the current transform being being used to render
         31/07/2016
@@ -167,6 +320,64 @@ ExtendProperties(Graphics, {
             this.draw.setTransform(1, 0, 0, 1, 0, 0);
     },
 
+    /*
+        Graphics : postProcess - Get the filter pipeline run over the finished frame as the last step of swapBuffers
+        18/10/2026
+
+        return PostProcess - Returns the PostProcess object
+
+        Example:
+
+        //Add a vignette and slowly drain the color from the screen
+        Graphics.postProcess.add(PostFilters.vignette());
+        var grey = Graphics.postProcess.add(PostFilters.greyscale({ amount: 0 }));
+        stateManager.tweens.to(grey.params, { amount: 1 }, 3);
+    */
+    get postProcess() {
+        return this.__Internal__Dont__Modify__.postProcess;
+    },
+
+    /*
+        Graphics : debug - Get the DebugDraw object whose primitives are drawn over the frame
+        18/10/2026
+
+        return DebugDraw - Returns the DebugDraw object
+
+        Example:
+
+        //Show the collision boxes through the world camera
+        Graphics.debug.camera = worldCam;
+        for (var i = 0; i < bodies.length; i++)
+            Graphics.debug.rect(bodies[i].min, bodies[i].size, { color: "#0FF" });
+    */
+    get debug() {
+        return this.__Internal__Dont__Modify__.debug;
+    },
+
+    /*
+        Graphics : layerNames - Get the names of the render layers in the order they are flushed
+        18/10/2026
+
+        return array - Returns an array of layer name strings
+
+        Example:
+
+        //List the layers
+        var layers = Graphics.layerNames;
+    */
+    get layerNames() {
+        //Get the sorted layers
+        var layers = this.sortedLayers();
+
+        //Extract the names
+        var names = [];
+        for (var i = 0; i < layers.length; i++)
+            names.push(layers[i].name);
+
+        //Return the names
+        return names;
+    },
+
     /*
         Graphics : size - Get the size of the contained canvas object
         28/08/2016
@@ -291,7 +502,7 @@ ExtendProperties(Graphics, {
         var available = Graphics.availableArea;
     */
     get availableArea() {
-        return new Vec2(window.innerWidth, window.innerHeight);
+        return new Vec2(this.availableWidth, this.availableHeight);
     },
 
     /*
@@ -306,7 +517,7 @@ ExtendProperties(Graphics, {
         var availableWidth = Graphics.availableWidth;
     */
     get availableWidth() {
-        return window.innerWidth;
+        return (typeof window !== "undefined" ? window.innerWidth : this.width);
     },
 
     /*
@@ -321,7 +532,7 @@ ExtendProperties(Graphics, {
         var availableHeight = Graphics.availableHeight;
     */
     get availableHeight() {
-        return window.innerHeight;
+        return (typeof window !== "undefined" ? window.innerHeight : this.height);
     },
 
     /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -449,8 +660,8 @@ ExtendProperties(Graphics, {
     loadImage: function(pFilePath) {
         //Check if the image has already been loaded
         if (!(pFilePath in this.__Internal__Dont__Modify__.imageMap)) {
-            //Create a new Image object
-            this.__Internal__Dont__Modify__.imageMap[pFilePath] = new Image();
+            //Create a new Image object (Or a stand in when there is no document)
+            this.__Internal__Dont__Modify__.imageMap[pFilePath] = (typeof Image !== "undefined" ? new Image() : { width: 0, height: 0, complete: false });
 
             //Assign the source filepath
             this.__Internal__Dont__Modify__.imageMap[pFilePath].src = pFilePath;
@@ -460,6 +671,387 @@ ExtendProperties(Graphics, {
         return this.__Internal__Dont__Modify__.imageMap[pFilePath];
     },
 
+    /*
+        Graphics : loadTileset - Load an image and slice it into a Tileset
+        18/10/2026
+
+        param[in] pFilePath - The filepath of the image to load (Relative to the HTML calling this)
+        param[in] pSetup - An object containing the values to setup the Tileset with (See the Tileset
+                           constructor, the image is set from pFilePath)
+
+        return Tileset - Returns the new Tileset object (Tilemaps render its tiles once the image has loaded)
+
+        Example:
+
+        //Load the terrain tiles
+        var terrain = Graphics.loadTileset("Tiles/terrain.png", { tileWidth: 16, tileHeight: 16, spacing: 1 });
+    */
+    loadTileset: function(pFilePath, pSetup) {
+        //Clean the setup object
+        pSetup = Validate.type(pSetup, "object", null, true);
+
+        //Copy the setup values
+        var setup = {};
+        for (var key in pSetup)
+            setup[key] = pSetup[key];
+
+        //Set the image
+        setup.image = this.loadImage(pFilePath);
+
+        //Return the tileset
+        return new Tileset(setup);
+    },
+
+    /*
+        Graphics : loadAtlas - Load a JSON atlas description and its image as a TextureAtlas
+        18/10/2026
+
+        param[in] pFilePath - The filepath of the JSON description to load (Relative to the HTML calling this)
+        param[in] pCallbacks - An object containing functions for the 'success' (Recieving the TextureAtlas
+                               once the image has loaded) and 'failure' (Recieving an object with the url and
+                               error) properties
+        param[in] pImagePath - The filepath of the atlas image (Default uses the description's meta.image
+                               relative to pFilePath)
+
+        Example:
+
+        //Load the player atlas
+        Graphics.loadAtlas("Sprites/player.json", {
+            success: function(pAtlas) {
+                playerSprite = pAtlas.getFrame("idle.png");
+            },
+            failure: function(pError) {
+                console.log("Failed to load " + pError.url + ": " + pError.error);
+            }
+        });
+    */
+    loadAtlas: function(pFilePath, pCallbacks, pImagePath) {
+        //Clean the callbacks object
+        pCallbacks = Validate.type(pCallbacks, "object", null) || {};
+
+        //Store a reference to this
+        var that = this;
+
+        //Define the failure response
+        var fail = function(pURL, pError) {
+            //Check if there is a callback
+            if (typeof pCallbacks["failure"] === "function") pCallbacks["failure"]({
+                url: pURL,
+                error: pError
+            });
+
+            //Otherwise ouput error message
+            else throw new Error("Error occured when attempting to load the atlas " + pURL + ". ERROR: " + pError);
+        };
+
+        //Request the description
+        asynchRequest(pFilePath, {
+            success: function(pText) {
+                //Create the atlas from the description
+                try {
+                    //Parse the description
+                    var data = JSON.parse(pText);
+
+                    //Find the image path
+                    var imagePath = (typeof pImagePath === "string" ? pImagePath :
+                        typeof data["meta"] === "object" && data["meta"] !== null && typeof data["meta"]["image"] === "string" ?
+                        Path.getDirectory(pFilePath) + data["meta"]["image"] : null);
+
+                    //Check there is an image to load
+                    if (imagePath === null) throw new Error("The description does not name an image (meta.image)");
+
+                    //Create the atlas
+                    var atlas = new TextureAtlas({ image: that.loadImage(imagePath), data: data });
+                } catch (pErr) {
+                    fail(pFilePath, pErr.message);
+                    return;
+                }
+
+                //Define the completion response
+                var complete = function() {
+                    if (typeof pCallbacks["success"] === "function") pCallbacks["success"](atlas);
+                };
+
+                //Check if the image is still loading
+                if (!atlas.image.complete && typeof atlas.image.addEventListener === "function") {
+                    atlas.image.addEventListener("load", complete, false);
+                    atlas.image.addEventListener("error", function() {
+                        fail(imagePath, "The atlas image could not be loaded");
+                    }, false);
+                }
+
+                //Otherwise the atlas is ready
+                else complete();
+            },
+            failure: function(pError) {
+                fail(pError.url, pError.error);
+            }
+        }, null, "GET");
+    },
+
+    /*
+        Graphics : loadBitmapFont - Load a BMFont descriptor and its page images as a BitmapFont
+        18/10/2026
+
+        param[in] pFilePath - The filepath of the descriptor to load (Text, XML or JSON, relative to the HTML calling this)
+        param[in] pCallbacks - An object containing functions for the 'success' (Recieving the BitmapFont
+                               once every page has loaded) and 'failure' (Recieving an object with the url and
+                               error) properties
+        param[in] pImagePath - The filepath of the first page image (Default uses the descriptor's page files
+                               relative to pFilePath)
+
+        Example:
+
+        //Load the pixel font
+        Graphics.loadBitmapFont("Fonts/pixel.fnt", {
+            success: function(pFont) {
+                pixelFont = pFont;
+            },
+            failure: function(pError) {
+                console.log("Failed to load " + pError.url + ": " + pError.error);
+            }
+        });
+    */
+    loadBitmapFont: function(pFilePath, pCallbacks, pImagePath) {
+        //Clean the callbacks object
+        pCallbacks = Validate.type(pCallbacks, "object", null) || {};
+
+        //Store a reference to this
+        var that = this;
+
+        //Define the failure response
+        var fail = function(pURL, pError) {
+            //Check if there is a callback
+            if (typeof pCallbacks["failure"] === "function") pCallbacks["failure"]({
+                url: pURL,
+                error: pError
+            });
+
+            //Otherwise ouput error message
+            else throw new Error("Error occured when attempting to load the bitmap font " + pURL + ". ERROR: " + pError);
+        };
+
+        //Request the descriptor
+        asynchRequest(pFilePath, {
+            success: function(pText) {
+                //Create the font from the descriptor
+                try {
+                    var font = new BitmapFont({ data: pText });
+
+                    //Get the page files
+                    var files = font.pageFiles;
+                    if (typeof pImagePath === "string") files[0] = pImagePath;
+                    else {
+                        for (var i = 0; i < files.length; i++)
+                            files[i] = Path.getDirectory(pFilePath) + files[i];
+                    }
+
+                    //Check there is an image to load
+                    if (!files.length) throw new Error("The descriptor does not name any page images");
+                } catch (pErr) {
+                    fail(pFilePath, pErr.message);
+                    return;
+                }
+
+                //Track the number of pages still loading
+                var remaining = files.length;
+                var failed = false;
+
+                //Define the completion response
+                var complete = function() {
+                    if (!failed && --remaining === 0 && typeof pCallbacks["success"] === "function")
+                        pCallbacks["success"](font);
+                };
+
+                //Load the pages
+                for (var i = 0; i < files.length; i++) {
+                    //Skip unused page indices
+                    if (typeof files[i] !== "string") {
+                        complete();
+                        continue;
+                    }
+
+                    //Set the page image
+                    var image = that.loadImage(files[i]);
+                    font.setPage(i, image);
+
+                    //Check if the image is still loading
+                    if (!image.complete && typeof image.addEventListener === "function") {
+                        image.addEventListener("load", complete, false);
+                        image.addEventListener("error", (function(pURL) {
+                            return function() {
+                                if (failed) return;
+                                failed = true;
+                                fail(pURL, "The font page image could not be loaded");
+                            };
+                        })(files[i]), false);
+                    }
+
+                    //Otherwise the page is ready
+                    else complete();
+                }
+            },
+            failure: function(pError) {
+                fail(pError.url, pError.error);
+            }
+        }, null, "GET");
+    },
+
+    /*
+        Graphics : loadTiledMap - Load a JSON map exported from the Tiled map editor, along with its
+                                  external tilesets and images, as a TiledMap
+        18/10/2026
+
+        param[in] pFilePath - The filepath of the exported map to load (Relative to the HTML calling this)
+        param[in] pCallbacks - An object containing functions for the 'success' (Recieving the TiledMap
+                               once every image has loaded) and 'failure' (Recieving an object with the url and
+                               error) properties
+        param[in] pSetup - An optional object containing extra values to setup the TiledMap with (See the
+                           TiledMap constructor, "data", "images" and "tilesets" are set by the loader)
+
+        Example:
+
+        //Load the first level
+        Graphics.loadTiledMap("Levels/level1.json", {
+            success: function(pMap) {
+                level = pMap;
+            },
+            failure: function(pError) {
+                console.log("Failed to load " + pError.url + ": " + pError.error);
+            }
+        });
+    */
+    loadTiledMap: function(pFilePath, pCallbacks, pSetup) {
+        //Clean the parameters
+        pCallbacks = Validate.type(pCallbacks, "object", null) || {};
+        pSetup = Validate.type(pSetup, "object", null) || {};
+
+        //Store a reference to this
+        var that = this;
+
+        //Track if loading has failed
+        var failed = false;
+
+        //Define the failure response
+        var fail = function(pURL, pError) {
+            //Only report the first failure
+            if (failed) return;
+            failed = true;
+
+            //Check if there is a callback
+            if (typeof pCallbacks["failure"] === "function") pCallbacks["failure"]({
+                url: pURL,
+                error: pError
+            });
+
+            //Otherwise ouput error message
+            else throw new Error("Error occured when attempting to load the tiled map " + pURL + ". ERROR: " + pError);
+        };
+
+        //Request the map
+        asynchRequest(pFilePath, {
+            success: function(pText) {
+                //Parse the map
+                try {
+                    var data = JSON.parse(pText);
+                } catch (pErr) {
+                    fail(pFilePath, pErr.message);
+                    return;
+                }
+
+                //Find the external tilesets
+                var sources = [];
+                var tilesets = (data["tilesets"] instanceof Array ? data["tilesets"] : []);
+                for (var i = 0; i < tilesets.length; i++) {
+                    if (typeof tilesets[i]["source"] === "string") sources.push(tilesets[i]["source"]);
+                }
+
+                //Store the loaded external tilesets
+                var loaded = {};
+
+                //Define the creation of the map once the tilesets have loaded
+                var create = function() {
+                    //Create the map
+                    try {
+                        var setup = {};
+                        for (var key in pSetup)
+                            setup[key] = pSetup[key];
+                        setup.data = data;
+                        setup.tilesets = loaded;
+                        setup.images = function(pPath) {
+                            return that.loadImage(Path.getDirectory(pFilePath) + pPath);
+                        };
+                        var map = new TiledMap(setup);
+                    } catch (pErr) {
+                        fail(pFilePath, pErr.message);
+                        return;
+                    }
+
+                    //Track the number of images still loading
+                    var images = map.images;
+                    var remaining = images.length + 1;
+
+                    //Define the completion response
+                    var complete = function() {
+                        if (!failed && --remaining === 0 && typeof pCallbacks["success"] === "function")
+                            pCallbacks["success"](map);
+                    };
+
+                    //Wait for the images
+                    for (var i = 0; i < images.length; i++) {
+                        //Check if the image is still loading
+                        if (!images[i].complete && typeof images[i].addEventListener === "function") {
+                            images[i].addEventListener("load", complete, false);
+                            images[i].addEventListener("error", (function(pURL) {
+                                return function() {
+                                    fail(pURL, "The map image could not be loaded");
+                                };
+                            })(images[i].src), false);
+                        }
+
+                        //Otherwise the image is ready
+                        else complete();
+                    }
+
+                    //Complete maps without images
+                    complete();
+                };
+
+                //Check there are external tilesets to load
+                var remaining = sources.length;
+                if (!remaining) {
+                    create();
+                    return;
+                }
+
+                //Load the external tilesets
+                for (var i = 0; i < sources.length; i++) {
+                    //Check the tileset was exported as JSON
+                    if (/\.tsx$/i.test(sources[i])) {
+                        fail(Path.getDirectory(pFilePath) + sources[i], "XML tilesets can not be read Please export the tileset as JSON or embed it in the map");
+                        return;
+                    }
+
+                    //Request the tileset
+                    asynchRequest(Path.getDirectory(pFilePath) + sources[i], {
+                        success: (function(pSource) {
+                            return function(pText) {
+                                loaded[pSource] = pText;
+                                if (!failed && --remaining === 0) create();
+                            };
+                        })(sources[i]),
+                        failure: function(pError) {
+                            fail(pError.url, pError.error);
+                        }
+                    }, null, "GET");
+                }
+            },
+            failure: function(pError) {
+                fail(pError.url, pError.error);
+            }
+        }, null, "GET");
+    },
+
     /*
         Graphics : outlineText - Render text to a specified position with an outline
         17/06/2016
@@ -518,6 +1110,747 @@ ExtendProperties(Graphics, {
         this.draw.fillText(pText, pXPos, pYPos);
     },
 
+    /*
+        Graphics : drawText - Render wrapped, aligned and styled text within a box
+        18/10/2026
+
+        param[in] pText - A TextLayout object or the text to display (Including any markup)
+        param[in] pXPos - The left of the box (Or the alignment point when there is no width)
+        param[in] pYPos - The top of the box (Or the alignment point when there is no height)
+        param[in] pSetup - An optional object containing the TextLayout values to render a string with
+                           (See the TextLayout constructor)
+
+        Example:
+
+        //Render the quest description wrapped to the panel
+        Graphics.drawText("Bring [color=#FC0]3 herbs[/color] to the healer", 20, 20, { width: 300, font: "16px Arial" });
+        OR
+        //Render a TextLayout that is kept between frames (Only measured when it changes)
+        Graphics.drawText(dialogue, 40, 500);
+    */
+    drawText: function(pText, pXPos, pYPos, pSetup) {
+        //Create a layout for strings
+        if (!(pText instanceof TextLayout)) pText = this.createTextLayout(pText, pSetup);
+
+        //Render the text
+        pText.draw(this.draw, pXPos, pYPos);
+    },
+
+    /*
+        Graphics : measureText - Get the dimensions of wrapped and styled text
+        18/10/2026
+
+        param[in] pText - A TextLayout object or the text to measure (Including any markup)
+        param[in] pSetup - An optional object containing the TextLayout values to measure a string with
+                           (See the TextLayout constructor)
+
+        return Vec2 - Returns a Vec2 object holding the width of the widest line and the total height
+
+        Example:
+
+        //Size the speech bubble to the text
+        var size = Graphics.measureText(speech, { width: 200, font: "14px Arial" });
+    */
+    measureText: function(pText, pSetup) {
+        //Create a layout for strings
+        if (!(pText instanceof TextLayout)) pText = this.createTextLayout(pText, pSetup);
+
+        //Measure the text
+        return pText.measure(this.draw);
+    },
+
+    /*
+        Graphics : createTextLayout - Create a TextLayout object for a string
+        18/10/2026
+
+        param[in] pText - The text to display
+        param[in] pSetup - An optional object containing the TextLayout values
+
+        return TextLayout - Returns the new TextLayout object
+    */
+    createTextLayout: function(pText, pSetup) {
+        //Copy the setup values
+        var setup = {};
+        pSetup = Validate.type(pSetup, "object", null) || {};
+        for (var key in pSetup) {
+            if (Object.prototype.hasOwnProperty.call(pSetup, key))
+                setup[key] = pSetup[key];
+        }
+
+        //Set the text
+        setup["text"] = String(pText);
+
+        //Return the layout
+        return new TextLayout(setup);
+    },
+
+    /*
+        Graphics : drawBitmapText - Render text with a BitmapFont
+        18/10/2026
+
+        param[in] pFont - The BitmapFont object to render with
+        param[in] pText - The text to render (Lines are separated by "\n")
+        param[in] pXPos - The X position to render the text at
+        param[in] pYPos - The Y position of the baseline of the first line (Matching outlineText)
+        param[in] pSetup - An optional object containing the render options ("scale", "color", "align" and "smooth",
+                           see BitmapFont.drawText)
+
+        Example:
+
+        //Render the score in the pixel font
+        Graphics.drawBitmapText(pixelFont, "SCORE " + score, 10, 40, { scale: 2, color: "#FF0" });
+    */
+    drawBitmapText: function(pFont, pText, pXPos, pYPos, pSetup) {
+        //Check the font is a BitmapFont
+        if (!(pFont instanceof BitmapFont))
+            throw new Error("Can not render text with " + pFont + " (Type: '" + typeof pFont + "') Please use a BitmapFont object");
+
+        //Render the text
+        pFont.drawText(this.draw, pText, pXPos, pYPos, pSetup);
+    },
+
+    /*
+        Graphics : drawSprite - Render a Sprite object with a transform
+        18/10/2026
+
+        param[in] pSprite - The Sprite object to render
+        param[in] pTransform - A Mat3 object holding the transform to render with (Default identity)
+        param[in] pSetup - An optional object containing the render options
+
+        Optional:
+        pivot - A Vec2 object overriding the normalised pivot of the sprite (Default Sprite.pivot)
+        flipX - Flags if the sprite should be mirrored horizontally around the pivot (Default false)
+        flipY - Flags if the sprite should be mirrored vertically around the pivot (Default false)
+        tint - A Color object or color string to multiply the sprite with (Default null)
+        alpha - The 0-1 scale opacity to render with (Default 1)
+
+        return bool - Returns true if the sprite was rendered
+
+        Example:
+
+        //Render the player facing left, flashing red
+        Graphics.drawSprite(runAnim.currentFrame, playerTransform, {
+            flipX: facingLeft,
+            tint: hurt ? "#F00" : null
+        });
+    */
+    drawSprite: function(pSprite, pTransform, pSetup) {
+        //Check the sprite is a Sprite
+        if (!(pSprite instanceof Sprite))
+            throw new Error("Can not draw the sprite " + pSprite + " (Type: '" + typeof pSprite + "') Please use a Sprite object");
+
+        //Clean the parameters
+        pTransform = Validate.instance(pTransform, Mat3, null);
+        pSetup = Validate.type(pSetup, "object", null) || {};
+
+        //Get the sprite dimensions
+        var width = pSprite.width;
+        var height = pSprite.height;
+
+        //Check there is something to render
+        if (width <= 0 || height <= 0) return false;
+
+        //Get the dimensions of the region on the image
+        var regionWidth = (pSprite.rotated ? height : width);
+        var regionHeight = (pSprite.rotated ? width : height);
+
+        //Get the render values
+        var pivot = (pSetup["pivot"] instanceof Vec2 ? pSetup["pivot"] : pSprite.pivot);
+        var alpha = Validate.type(pSetup["alpha"], "number", 1);
+        var tint = (pSetup["tint"] instanceof Color ? pSetup["tint"] :
+            typeof pSetup["tint"] === "string" ? new Color(pSetup["tint"]) : null);
+
+        //Store the source to render from
+        var source = pSprite.image;
+        var sourceX = pSprite.x;
+        var sourceY = pSprite.y;
+
+        //Check if the sprite should be tinted (Requires a document to composite with)
+        if (tint !== null && !this.__Internal__Dont__Modify__.headless && typeof document !== "undefined") {
+            //Create the scratch canvas if needed
+            if (this.__Internal__Dont__Modify__.tintCanvas === null)
+                this.__Internal__Dont__Modify__.tintCanvas = document.createElement("canvas");
+
+            //Get the scratch canvas
+            var canvas = this.__Internal__Dont__Modify__.tintCanvas;
+            if (canvas.width < regionWidth) canvas.width = regionWidth;
+            if (canvas.height < regionHeight) canvas.height = regionHeight;
+
+            //Get the scratch context
+            var context = canvas.getContext("2d");
+            context.globalCompositeOperation = "source-over";
+            context.clearRect(0, 0, regionWidth, regionHeight);
+
+            //Copy the sprite region
+            context.drawImage(source, sourceX, sourceY, regionWidth, regionHeight, 0, 0, regionWidth, regionHeight);
+
+            //Multiply the tint color over the region
+            context.globalCompositeOperation = "multiply";
+            context.fillStyle = tint.rgb;
+            context.fillRect(0, 0, regionWidth, regionHeight);
+
+            //Cut the result back to the sprite shape
+            context.globalCompositeOperation = "destination-in";
+            context.drawImage(source, sourceX, sourceY, regionWidth, regionHeight, 0, 0, regionWidth, regionHeight);
+            context.globalCompositeOperation = "source-over";
+
+            //Render from the scratch canvas
+            source = canvas;
+            sourceX = sourceY = 0;
+        }
+
+        //Apply the tint opacity
+        if (tint !== null) alpha *= tint.a;
+
+        //Create the local flip transform
+        var transform = (pTransform !== null ? new Mat3(pTransform) : new Mat3());
+        if (pSetup["flipX"] === true || pSetup["flipY"] === true)
+            transform.multiSet(createScaleMat(pSetup["flipX"] === true ? -1 : 1, pSetup["flipY"] === true ? -1 : 1));
+
+        //Set the opacity
+        var prevAlpha = this.draw.globalAlpha;
+        this.draw.globalAlpha = prevAlpha * alpha;
+
+        //Find the top left of the trimmed sprite relative to the pivot of the untrimmed sprite
+        var left = pSprite.offsetX - pivot.x * pSprite.sourceWidth;
+        var top = pSprite.offsetY - pivot.y * pSprite.sourceHeight;
+
+        //Check if the region needs to be rotated back upright
+        if (pSprite.rotated) {
+            //Move to the bottom left of the sprite and turn anti-clockwise
+            transform.multiSet(createTranslationMat(left, top + height));
+            transform.multiSet(createRotationMat(-Math.PI / 2));
+            left = top = 0;
+        }
+
+        //Render the sprite offset by the pivot
+        this.pushTransform(transform);
+        this.draw.drawImage(source, sourceX, sourceY, regionWidth, regionHeight, left, top, regionWidth, regionHeight);
+        this.endRender();
+
+        //Restore the opacity
+        this.draw.globalAlpha = prevAlpha;
+
+        //Return success
+        return true;
+    },
+
+    /*
+        Graphics : drawNineSlice - Render an image split into nine slices to fill a rectangle without distorting its borders
+        18/10/2026
+
+        param[in] pSlice - A NineSlice object or an object containing the values to create one with
+                           (See the NineSlice constructor)
+        param[in] pXPos - The left of the rectangle
+        param[in] pYPos - The top of the rectangle
+        param[in] pWidth - The width of the rectangle
+        param[in] pHeight - The height of the rectangle
+
+        Example:
+
+        //Render the dialogue box with a tiled border
+        Graphics.drawNineSlice(dialogueFrame, 20, 400, 600, 160);
+        OR
+        //Render an image with 12 pixel borders
+        Graphics.drawNineSlice({ image: boxImage, insets: 12 }, 0, 0, 200, 80);
+    */
+    drawNineSlice: function(pSlice, pXPos, pYPos, pWidth, pHeight) {
+        //Create a NineSlice from setup objects
+        if (!(pSlice instanceof NineSlice)) pSlice = new NineSlice(pSlice);
+
+        //Render the slices
+        pSlice.draw(this.draw, pXPos, pYPos, pWidth, pHeight);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Target Functions                                             ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Graphics : createRenderTarget - Create an offscreen RenderTarget that matches the Graphics object's
+                                        rendering mode
+        18/10/2026
+
+        param[in] pWidth - The width of the offscreen canvas
+        param[in] pHeight - The height of the offscreen canvas
+
+        return RenderTarget - Returns the new RenderTarget object
+
+        Example:
+
+        //Create a light map the size of the screen
+        var lightMap = Graphics.createRenderTarget(Graphics.width, Graphics.height);
+    */
+    createRenderTarget: function(pWidth, pHeight) {
+        return new RenderTarget(pWidth, pHeight, { headless: this.__Internal__Dont__Modify__.headless });
+    },
+
+    /*
+        Graphics : pushRenderTarget - Redirect rendering to a RenderTarget until popRenderTarget is called
+        18/10/2026
+
+        param[in] pTarget - The RenderTarget object to render to
+        param[in] pClear - Flags if the target should be cleared first, or a Color object or color string to
+                           clear it to (Default false)
+
+        return bool - Returns true if rendering was redirected (False if the target is already active)
+
+        Example:
+
+        //Render the static background once
+        if (Graphics.pushRenderTarget(background, true)) {
+            drawLevelBackground();
+            Graphics.popRenderTarget();
+        }
+    */
+    pushRenderTarget: function(pTarget, pClear) {
+        //Check the target is a RenderTarget
+        if (!(pTarget instanceof RenderTarget))
+            throw new Error("Can not render to the target " + pTarget + " (Type: '" + typeof pTarget + "') Please use a RenderTarget object");
+
+        //Check the target isn't already active
+        for (var i = 0; i < this.__Internal__Dont__Modify__.targetStack.length; i++) {
+            if (this.__Internal__Dont__Modify__.targetStack[i].target === pTarget) return false;
+        }
+
+        //Store the target and the render stack it replaces
+        this.__Internal__Dont__Modify__.targetStack.push({
+            target: pTarget,
+            renderStack: this.__Internal__Dont__Modify__.renderStack
+        });
+
+        //Start a clean render stack for the target
+        this.__Internal__Dont__Modify__.renderStack = [];
+
+        //Clear the target if requested
+        if (pClear === true) pTarget.clear();
+        else if (pClear instanceof Color || typeof pClear === "string") pTarget.clear(pClear);
+
+        //Reset the target transform
+        this.transform = null;
+
+        //Return success
+        return true;
+    },
+
+    /*
+        Graphics : popRenderTarget - Stop rendering to the current RenderTarget, returning to the previous
+                                     target or the canvas
+        18/10/2026
+
+        return RenderTarget - Returns the RenderTarget that was active or null if there was none
+
+        Example:
+
+        //Finish rendering the minimap
+        Graphics.popRenderTarget();
+    */
+    popRenderTarget: function() {
+        //Check there is a target to remove
+        if (!this.__Internal__Dont__Modify__.targetStack.length) return null;
+
+        //Remove the target
+        var entry = this.__Internal__Dont__Modify__.targetStack.pop();
+
+        //Restore the previous render stack
+        this.__Internal__Dont__Modify__.renderStack = entry.renderStack;
+        this.transform = (entry.renderStack.length ? entry.renderStack[entry.renderStack.length - 1] : null);
+
+        //Return the target
+        return entry.target;
+    },
+
+    /*
+        Graphics : drawRenderTarget - Composite a RenderTarget onto the canvas currently being rendered to
+        18/10/2026
+
+        param[in] pTarget - The RenderTarget object to draw
+        param[in] pTransform - A Mat3 object holding the transform to draw with (Default identity)
+        param[in] pSetup - An optional object containing the composite options
+
+        Optional:
+        blend - A BlendMode value (Or canvas composite operation string) to draw with (Default BlendMode.NORMAL)
+        alpha - The 0-1 scale opacity to draw with (Default 1)
+        width - The width to draw the target at (Default the target width)
+        height - The height to draw the target at (Default the target height)
+        pivot - A Vec2 object holding the normalised point of the target to draw from (Default 0, 0)
+
+        return bool - Returns true if the target was drawn (False if it is the active target)
+
+        Example:
+
+        //Darken the scene with the light map
+        Graphics.drawRenderTarget(lightMap, null, { blend: BlendMode.MULTIPLY });
+
+        //Draw the minimap in the corner
+        Graphics.drawRenderTarget(minimap, createTranslationMat(Graphics.width - 138, 10), { width: 128, height: 128, alpha: 0.8 });
+    */
+    drawRenderTarget: function(pTarget, pTransform, pSetup) {
+        //Check the target is a RenderTarget
+        if (!(pTarget instanceof RenderTarget))
+            throw new Error("Can not draw the target " + pTarget + " (Type: '" + typeof pTarget + "') Please use a RenderTarget object");
+
+        //Check the target isn't being rendered to
+        if (pTarget === this.renderTarget) return false;
+
+        //Clean the parameters
+        pTransform = Validate.instance(pTransform, Mat3, new Mat3());
+        pSetup = Validate.type(pSetup, "object", null) || {};
+
+        //Get the composite values
+        var width = Validate.type(pSetup["width"], "number", pTarget.width);
+        var height = Validate.type(pSetup["height"], "number", pTarget.height);
+        var pivot = Validate.instance(pSetup["pivot"], Vec2, new Vec2());
+
+        //Store the previous context values
+        var prevAlpha = this.draw.globalAlpha;
+        var prevBlend = this.draw.globalCompositeOperation;
+
+        //Set the composite values
+        this.draw.globalAlpha = prevAlpha * Validate.type(pSetup["alpha"], "number", 1);
+        this.draw.globalCompositeOperation = Validate.type(pSetup["blend"], "string", BlendMode.NORMAL);
+
+        //Draw the target
+        this.pushTransform(pTransform);
+        this.draw.drawImage(pTarget.canvas, -pivot.x * width, -pivot.y * height, width, height);
+        this.endRender();
+
+        //Restore the context values
+        this.draw.globalAlpha = prevAlpha;
+        this.draw.globalCompositeOperation = prevBlend;
+
+        //Return success
+        return true;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                              Capture Functions                                             ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Graphics : capture - Copy the contents of the render buffer to a new RenderTarget
+        18/10/2026
+
+        param[in] pRegion - An optional object containing the "x", "y", "width" and "height" of the area to
+                            copy, clamped to the buffer, and a "presented" flag to copy the frame last
+                            shown by swapBuffers instead of the buffer being rendered to (Default the
+                            entire render buffer)
+
+        return RenderTarget - Returns a RenderTarget object holding the copy
+
+        Example:
+
+        //Keep the last frame to fade out from
+        var lastFrame = Graphics.capture({ presented: true });
+        OR
+        //Copy the minimap in the corner of the screen
+        var minimap = Graphics.capture({ x: Graphics.width - 256, y: 0, width: 256, height: 256 });
+    */
+    capture: function(pRegion) {
+        //Finish any batched rendering
+        this.flush();
+
+        //Clean the region object
+        pRegion = Validate.type(pRegion, "object", null) || {};
+
+        //Get the buffer to copy
+        var buffer = this.__Internal__Dont__Modify__.canvas[pRegion["presented"] === true && this.__Internal__Dont__Modify__.presentedBufferIndex !== null ?
+            this.__Internal__Dont__Modify__.presentedBufferIndex : this.__Internal__Dont__Modify__.renderBufferIndex];
+
+        //Clamp the region to the buffer
+        var x = Math.max(0, Math.min(buffer.width, Math.floor(Validate.type(pRegion["x"], "number", 0))));
+        var y = Math.max(0, Math.min(buffer.height, Math.floor(Validate.type(pRegion["y"], "number", 0))));
+        var width = Math.max(0, Math.min(buffer.width - x, Math.floor(Validate.type(pRegion["width"], "number", buffer.width - x))));
+        var height = Math.max(0, Math.min(buffer.height - y, Math.floor(Validate.type(pRegion["height"], "number", buffer.height - y))));
+
+        //Check there is an area to copy
+        if (!width || !height)
+            throw new Error("Can not capture the region " + JSON.stringify(pRegion) + " as it lies outside of the " + buffer.width + "x" + buffer.height + " render buffer");
+
+        //Create the target to copy to
+        var target = this.createRenderTarget(width, height);
+
+        //Copy the region
+        target.draw.drawImage(buffer, x, y, width, height, 0, 0, width, height);
+
+        //Return the copy
+        return target;
+    },
+
+    /*
+        Graphics : captureDataURL - Get the contents of the render buffer as an encoded image data URL
+        18/10/2026
+
+        param[in] pRegion - An optional object containing the area to capture and the buffer to capture it
+                            from (See Graphics.capture) (Default the entire render buffer)
+        param[in] pType - The image format to encode to (Default "image/png")
+        param[in] pQuality - A number between 0 and 1 for the quality of lossy formats (Default the browser's)
+
+        return string - Returns the image as a data URL string
+
+        Example:
+
+        //Attach a screenshot to the bug report
+        report.screenshot = Graphics.captureDataURL();
+    */
+    captureDataURL: function(pRegion, pType, pQuality) {
+        return this.capture(pRegion).canvas.toDataURL(Validate.type(pType, "string", "image/png"), pQuality);
+    },
+
+    /*
+        Graphics : captureBlob - Get the contents of the render buffer as an encoded image Blob
+        18/10/2026
+
+        param[in] pCallback - A function that accepts the Blob object once it has been encoded
+        param[in] pRegion - An optional object containing the area to capture and the buffer to capture it
+                            from (See Graphics.capture) (Default the entire render buffer)
+        param[in] pType - The image format to encode to (Default "image/png")
+        param[in] pQuality - A number between 0 and 1 for the quality of lossy formats (Default the browser's)
+
+        Example:
+
+        //Upload a screenshot for the store page
+        Graphics.captureBlob(function(pBlob) {
+            uploadScreenshot(pBlob);
+        }, null, "image/jpeg", 0.9);
+    */
+    captureBlob: function(pCallback, pRegion, pType, pQuality) {
+        //Check the callback is a function
+        if (typeof pCallback !== "function")
+            throw new Error("Can not capture the render buffer as a Blob with the callback " + pCallback + " (Type: '" + typeof pCallback + "') Please use a function");
+
+        //Get the format to encode to
+        pType = Validate.type(pType, "string", "image/png");
+
+        //Copy the region
+        var canvas = this.capture(pRegion).canvas;
+
+        //Encode the image with the canvas if it is supported
+        if (typeof canvas.toBlob === "function") canvas.toBlob(pCallback, pType, pQuality);
+
+        //Otherwise convert the data URL
+        else {
+            //Decode the base64 data
+            var dataURL = canvas.toDataURL(pType, pQuality);
+            var binary = atob(dataURL.substr(dataURL.indexOf(",") + 1));
+
+            //Copy the bytes
+            var bytes = new Uint8Array(binary.length);
+            for (var i = 0; i < binary.length; i++)
+                bytes[i] = binary.charCodeAt(i);
+
+            //Pass the Blob to the callback
+            pCallback(new Blob([bytes], { type: pType }));
+        }
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Layer Functions                                              ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Graphics : addLayer - Add a named render layer that draw commands can be submitted to
+        18/10/2026
+
+        param[in] pName - A string containing the unique name of the layer
+        param[in] pSetup - An optional object containing the layer values ("order", "visible", "camera"
+                           and "screenSpace", see RenderLayer)
+
+        return RenderLayer - Returns the new RenderLayer object or null if the name is already in use
+
+        Example:
+
+        //Setup the game layers
+        Graphics.addLayer("world", { order: 0, camera: worldCam });
+        Graphics.addLayer("effects", { order: 1, camera: worldCam });
+        Graphics.addLayer("hud", { order: 2, camera: worldCam, screenSpace: true });
+    */
+    addLayer: function(pName, pSetup) {
+        //Check the name isn't in use
+        if (this.getLayer(pName) !== null) return null;
+
+        //Create the layer
+        var layer = new RenderLayer(pName, pSetup);
+
+        //Add the layer
+        this.__Internal__Dont__Modify__.layers.push(layer);
+
+        //Return the layer
+        return layer;
+    },
+
+    /*
+        Graphics : getLayer - Get a render layer by name
+        18/10/2026
+
+        param[in] pName - A string containing the name of the layer
+
+        return RenderLayer - Returns the RenderLayer object or null if it could not be found
+
+        Example:
+
+        //Hide the HUD
+        Graphics.getLayer("hud").visible = false;
+    */
+    getLayer: function(pName) {
+        //Loop through the layers
+        for (var i = 0; i < this.__Internal__Dont__Modify__.layers.length; i++) {
+            if (this.__Internal__Dont__Modify__.layers[i].name === pName)
+                return this.__Internal__Dont__Modify__.layers[i];
+        }
+
+        //Otherwise not found
+        return null;
+    },
+
+    /*
+        Graphics : removeLayer - Remove a render layer, discarding any commands waiting to be drawn
+        18/10/2026
+
+        param[in] pName - A string containing the name of the layer
+
+        return bool - Returns true if the layer was removed
+
+        Example:
+
+        //Remove the debug layer
+        Graphics.removeLayer("debug");
+    */
+    removeLayer: function(pName) {
+        //Find the layer
+        var layer = this.getLayer(pName);
+        if (layer === null) return false;
+
+        //Remove the layer
+        this.__Internal__Dont__Modify__.layers.splice(this.__Internal__Dont__Modify__.layers.indexOf(layer), 1);
+        return true;
+    },
+
+    /*
+        Graphics : submit - Queue a draw command on a render layer to be drawn when the layers are flushed
+        18/10/2026
+
+        NOTE: The current transform of the render stack is stored with the command. Commands on layers
+              with a camera should be submitted outside of the camera transform, as the layer applies it
+
+        param[in] pLayer - A string containing the name of the layer
+        param[in] pDepth - The depth of the command within the layer, lower values being drawn first (Default 0)
+        param[in] pCallback - A function that accepts the Graphics object and renders the command
+
+        return bool - Returns true if the command was queued (False if the layer does not exist)
+
+        Example:
+
+        //Draw the player sorted by their Y position
+        Graphics.submit("world", player.y, function(pGraphics) {
+            pGraphics.drawSprite(runAnim.currentFrame, playerTransform);
+        });
+    */
+    submit: function(pLayer, pDepth, pCallback) {
+        //Check the callback is a function
+        if (typeof pCallback !== "function")
+            throw new Error("Can not submit the draw command " + pCallback + " (Type: '" + typeof pCallback + "') Please use a function that accepts the Graphics object");
+
+        //Find the layer
+        var layer = this.getLayer(pLayer);
+        if (layer === null) return false;
+
+        //Get the current transform
+        var stack = this.__Internal__Dont__Modify__.renderStack;
+        var transform = (stack.length ? new Mat3(stack[stack.length - 1]) : null);
+
+        //Queue the command
+        layer.submit(pDepth, pCallback, transform);
+        return true;
+    },
+
+    /*
+        Graphics : flushLayers - Draw the commands queued on the render layers, sorted by layer order and
+                                 command depth, then clear the queues
+        18/10/2026
+
+        return number - Returns the number of commands that were drawn
+
+        Example:
+
+        //Draw the frame
+        Graphics.flushLayers();
+    */
+    flushLayers: function() {
+        //Get the layers in order
+        var layers = this.sortedLayers();
+
+        //Store the render stack so that commands draw from a clean stack
+        var previousStack = this.__Internal__Dont__Modify__.renderStack;
+
+        //Track the number of commands drawn
+        var drawn = 0;
+
+        //Loop through the layers
+        for (var i = 0; i < layers.length; i++) {
+            //Take the commands from the layer
+            var commands = layers[i].takeCommands();
+
+            //Check the layer is visible
+            if (!layers[i].visible) continue;
+
+            //Get the camera transform of the layer
+            var base = layers[i].baseTransform;
+
+            //Loop through the commands
+            for (var j = 0; j < commands.length; j++) {
+                //Find the transform of the command
+                var transform = (commands[j].transform === null ? (base === null ? new Mat3() : base) :
+                    base === null ? commands[j].transform : base.multi(commands[j].transform));
+
+                //Start a clean stack with the command transform
+                this.__Internal__Dont__Modify__.renderStack = [];
+                this.draw.save();
+                this.pushTransform(transform);
+
+                //Draw the command
+                commands[j].callback(this);
+                drawn++;
+
+                //Restore the context values
+                this.draw.restore();
+            }
+        }
+
+        //Restore the previous render stack
+        this.__Internal__Dont__Modify__.renderStack = previousStack;
+        this.transform = (previousStack.length ? previousStack[previousStack.length - 1] : null);
+
+        //Return the number drawn
+        return drawn;
+    },
+
+    /*
+        Graphics : sortedLayers - Get the render layers sorted by their order
+        18/10/2026
+
+        return array - Returns a new array of the RenderLayer objects, in the order they were added where orders are equal
+    */
+    sortedLayers: function() {
+        //Copy the layers
+        var layers = this.__Internal__Dont__Modify__.layers.slice();
+
+        //Sort by order, keeping the order layers were added for ties
+        var added = this.__Internal__Dont__Modify__.layers;
+        layers.sort(function(pA, pB) {
+            return (pA.order - pB.order) || (added.indexOf(pA) - added.indexOf(pB));
+        });
+
+        //Return the sorted layers
+        return layers;
+    },
+
     /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
     /////                                                                                                            ////
     /////                                               Resize Functions                                             ////
@@ -620,7 +1953,8 @@ ExtendProperties(Graphics, {
     },
 
     /*
-        Graphics : triggerResizeEvents - Go through and call all canvas resize event callbacks
+        Graphics : triggerResizeEvents - Go through and call all canvas resize event callbacks and
+                                         emit the "graphics.resize" event on the EventBus
                                          (Called through size, width and height properties)
         30/11/2016
 
@@ -633,6 +1967,9 @@ ExtendProperties(Graphics, {
         //Loop through all resize events
         for (var i = 0; i < this.__Internal__Dont__Modify__.canvasResizeEvents.length; i++)
             this.__Internal__Dont__Modify__.canvasResizeEvents[i](this.canvas.width, this.canvas.height);
+
+        //Publish the resize
+        EventBus.emit("graphics.resize", { graphics: this, width: this.canvas.width, height: this.canvas.height });
     },
 
     /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -642,9 +1979,33 @@ ExtendProperties(Graphics, {
     /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
     /*
-        Graphics : swapBuffers - Swap over the currently active render buffer
+        Graphics : flush - Submit any rendering that is being batched to the render buffer
+        18/10/2026
+
+        Example:
+
+        //Read the pixels drawn so far (Done automatically by swapBuffers and capture)
+        Graphics.flush();
+        var pixels = Graphics.canvas.toDataURL();
+    */
+    flush: function() {
+        //Get the context of the render buffer
+        var context = this.__Internal__Dont__Modify__.context[this.__Internal__Dont__Modify__.renderBufferIndex];
+
+        //Only batching contexts need to be flushed
+        if (typeof context.flush === "function") context.flush();
+    },
+
+    /*
+        Graphics : swapBuffers - Present the finished frame. Draws the commands queued on the render layers
+                                 and the debug primitives, runs the post process filters over the rendered
+                                 buffer and swaps over the currently active render buffer. Called at the
+                                 end of each frame by a StateManager that was given the Graphics object
         30/11/2016
 
+        param[in] pDeltaTime - The number of seconds since the last frame, used to count down the lifetime
+                               of the debug primitives (Default the real time since the last swapBuffers call)
+
         Example:
 
         //TODO: Render all obejcts for the frame
@@ -652,7 +2013,32 @@ ExtendProperties(Graphics, {
         //Swap over the render buffers
         Graphics.swapBuffers();
     */
-    swapBuffers: function() {
+    swapBuffers: function(pDeltaTime) {
+        //Draw the commands queued on the render layers
+        this.flushLayers();
+
+        //Measure the time since the last frame was shown
+        var now = (typeof performance !== "undefined" ? performance.now() : Date.now());
+        if (typeof pDeltaTime !== "number")
+            pDeltaTime = (this.__Internal__Dont__Modify__.swapTime === null ? 0 : (now - this.__Internal__Dont__Modify__.swapTime) / 1000);
+        this.__Internal__Dont__Modify__.swapTime = now;
+
+        //Draw the debug primitives over the frame
+        this.__Internal__Dont__Modify__.debug.render(this, pDeltaTime);
+
+        //Finish any batched rendering
+        this.flush();
+
+        //Filter the finished frame last, so everything drawn to it is filtered
+        if (this.__Internal__Dont__Modify__.postProcess.apply(this.__Internal__Dont__Modify__.context[this.__Internal__Dont__Modify__.renderBufferIndex]))
+            this.flush();
+
+        //Store the buffer holding the finished frame
+        this.__Internal__Dont__Modify__.presentedBufferIndex = this.__Internal__Dont__Modify__.renderBufferIndex;
+
+        //Check there is a second buffer to swap to
+        if (this.__Internal__Dont__Modify__.canvas.length < 2) return;
+
         //Store the index of the other buffer
         var otherBuffer = (this.__Internal__Dont__Modify__.renderBufferIndex + 1) % this.__Internal__Dont__Modify__.canvas.length;
 
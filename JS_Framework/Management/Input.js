@@ -10,11 +10,10 @@
  *		Date: 06/07/2017
  *
  *		Requires:
- *		Vec2.js, ExtendProperties.js
+ *		Vec2.js, ExtendProperties.js, EventEmitter.js
  *
- *		Version: 3.0
- *		Cleaned up object definition and useage to match
- *		other elements in the framework
+ *		Version: 3.1
+ *		Pressed and released inputs are published on the EventBus
  *
  *		Purpose:
  *		Manage changes in input states and provide an interface
@@ -293,6 +292,9 @@ ExtendProperties(Input, {
 		Requires:
 		This functionality requires the function to be called once per cycle. Call this at the start of each
 
+		Emits "input.pressed" and "input.released" on the EventBus with an object containing
+		the "input" value (As described in the Keys and Buttons objects) for each change
+
 		param[in] pDelta - The delta time for the cycle
     */
     update: function(pDelta) {
@@ -306,6 +308,10 @@ ExtendProperties(Input, {
 
             //Copy the current state from the buffer
             this.__Internal__Dont__Modify__.curKeyStates[key] = this.__Internal__Dont__Modify__.bufferStates[key];
+
+            //Publish changes in the input state
+            if (!this.__Internal__Dont__Modify__.curKeyStates[key] !== !this.__Internal__Dont__Modify__.prevKeyStates[key])
+                EventBus.emit(this.__Internal__Dont__Modify__.curKeyStates[key] ? "input.pressed" : "input.released", { input: Number(key) });
         }
 
         //Update the axis values
@@ -0,0 +1,565 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: Profiler
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js, Graphics.js
+ *
+ *		Purpose:
+ *		Record the time taken by each frame and by named sections
+ *		within it, keeping a rolling history that can be queried
+ *		for averages and percentiles or drawn as a graph overlay
+ **/
+
+/*
+	Profiler : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pSetup - An optional object with values used to setup the profiler ("historySize",
+					   the number of frames to keep, and "clock", a function returning the current
+					   time in milliseconds) (Default null)
+
+	Example:
+
+	//Create a profiler that keeps the last 4 seconds of frames at 60 FPS
+	var profiler = new Profiler({ historySize: 240 });
+
+	//Have the StateManager time each frame
+	stateManager.profiler = profiler;
+*/
+function Profiler(pSetup) {
+	//Clean the setup object
+	pSetup = Validate.type(pSetup, "object", null) || {};
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the Profiler object.
+        Instead use Profiler object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the function used to read the current time
+		clock: Validate.type(pSetup["clock"], "function", (typeof performance !== "undefined" ? performance.now.bind(performance) : Date.now)),
+
+		//Store the number of frames to keep in the history
+		historySize: Math.max(Math.round(Validate.type(pSetup["historySize"], "number", 120)), 1),
+
+		//Flag if timings are being recorded
+		enabled: true,
+
+		//Store the time the current frame began (Null when no frame is being recorded)
+		frameStart: null,
+
+		//Store the history of frame work times, from beginFrame to endFrame (in milliseconds)
+		frames: [],
+
+		//Store the time the previous frame began (Null when no frame has begun since enabling)
+		previousStart: null,
+
+		//Store the history of times between the start of each frame (in milliseconds)
+		intervals: [],
+
+		//Store a map of the named sections
+		sections: {},
+
+		//Store the order the sections were first seen in
+		sectionOrder: [],
+	};
+};
+
+ExtendProperties(Profiler, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Profiler : enabled - Get the flag indicating if timings are being recorded
+		18/10/2026
+
+		return bool - Returns true if the profiler is recording
+	*/
+	get enabled() {
+		return this.__Internal__Dont__Modify__.enabled;
+	},
+
+	/*
+		Profiler : enabled - Set the flag indicating if timings are being recorded
+		18/10/2026
+
+		param[in] pState - A boolean value indicating if timings should be recorded
+	*/
+	set enabled(pState) {
+		this.__Internal__Dont__Modify__.enabled = Validate.type(pState, "boolean", true, true);
+		this.__Internal__Dont__Modify__.frameStart = null;
+		this.__Internal__Dont__Modify__.previousStart = null;
+	},
+
+	/*
+		Profiler : historySize - Get the number of frames kept in the history
+		18/10/2026
+
+		return number - Returns the history size as a number
+	*/
+	get historySize() {
+		return this.__Internal__Dont__Modify__.historySize;
+	},
+
+	/*
+		Profiler : frameCount - Get the number of frames currently stored in the history
+		18/10/2026
+
+		return number - Returns the number of recorded frames
+	*/
+	get frameCount() {
+		return this.__Internal__Dont__Modify__.frames.length;
+	},
+
+	/*
+		Profiler : fps - Get the average frame rate, measured from the time between the start of
+						 each recorded frame
+		18/10/2026
+
+		return number - Returns the frames per second or 0 if fewer than two frames were recorded
+	*/
+	get fps() {
+		//Find the total of the intervals
+		var intervals = this.__Internal__Dont__Modify__.intervals;
+		var total = 0;
+		for (var i = 0; i < intervals.length; i++)
+			total += intervals[i];
+
+		//Return the rate
+		return (total > 0 ? 1000 * intervals.length / total : 0);
+	},
+
+	/*
+		Profiler : sectionNames - Get the names of the sections that have been recorded
+		18/10/2026
+
+		return array - Returns an array of section names in the order they were first recorded
+	*/
+	get sectionNames() {
+		return this.__Internal__Dont__Modify__.sectionOrder.slice();
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                 Timing Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Profiler : beginFrame - Start recording a new frame. Called by the StateManager when assigned
+		18/10/2026
+	*/
+	beginFrame: function() {
+		//Check the profiler is enabled
+		if (!this.__Internal__Dont__Modify__.enabled) return;
+
+		//Store the start time
+		this.__Internal__Dont__Modify__.frameStart = this.__Internal__Dont__Modify__.clock();
+
+		//Add the time since the previous frame began to the history
+		if (this.__Internal__Dont__Modify__.previousStart !== null)
+			this.addSample(this.__Internal__Dont__Modify__.intervals, this.__Internal__Dont__Modify__.frameStart - this.__Internal__Dont__Modify__.previousStart);
+		this.__Internal__Dont__Modify__.previousStart = this.__Internal__Dont__Modify__.frameStart;
+
+		//Clear the section times for the frame
+		for (var name in this.__Internal__Dont__Modify__.sections) {
+			this.__Internal__Dont__Modify__.sections[name].frameTotal = 0;
+			this.__Internal__Dont__Modify__.sections[name].openTime = null;
+		}
+	},
+
+	/*
+		Profiler : endFrame - Finish recording the current frame, adding its timings to the history.
+							  Called by the StateManager when assigned
+		18/10/2026
+	*/
+	endFrame: function() {
+		//Check a frame is being recorded
+		if (this.__Internal__Dont__Modify__.frameStart === null) return;
+
+		//Add the frame time to the history
+		this.addSample(this.__Internal__Dont__Modify__.frames, this.__Internal__Dont__Modify__.clock() - this.__Internal__Dont__Modify__.frameStart);
+		this.__Internal__Dont__Modify__.frameStart = null;
+
+		//Add the section times to their histories
+		for (var name in this.__Internal__Dont__Modify__.sections)
+			this.addSample(this.__Internal__Dont__Modify__.sections[name].samples, this.__Internal__Dont__Modify__.sections[name].frameTotal);
+	},
+
+	/*
+		Profiler : begin - Start timing a named section of the current frame. A section can be timed
+						   multiple times a frame, with the times being added together
+		18/10/2026
+
+		param[in] pName - The name of the section to time
+
+		Example:
+
+		//Time the particle update
+		profiler.begin("particles");
+		particleManager.update(pTime.deltaTime);
+		profiler.end("particles");
+	*/
+	begin: function(pName) {
+		//Check a frame is being recorded
+		if (this.__Internal__Dont__Modify__.frameStart === null) return;
+
+		//Validate the name
+		pName = Validate.type(pName, "string", "", true);
+
+		//Create the section if it doesn't exist
+		if (!(pName in this.__Internal__Dont__Modify__.sections)) {
+			this.__Internal__Dont__Modify__.sections[pName] = {
+				//Store the history of section times (in milliseconds)
+				samples: [],
+
+				//Store the time recorded for the section this frame
+				frameTotal: 0,
+
+				//Store the time the section was started (Null when not being timed)
+				openTime: null,
+			};
+			this.__Internal__Dont__Modify__.sectionOrder.push(pName);
+
+			//Fill the history so the section lines up with the frames
+			for (var i = 0; i < this.__Internal__Dont__Modify__.frames.length; i++)
+				this.__Internal__Dont__Modify__.sections[pName].samples.push(0);
+		}
+
+		//Store the start time
+		this.__Internal__Dont__Modify__.sections[pName].openTime = this.__Internal__Dont__Modify__.clock();
+	},
+
+	/*
+		Profiler : end - Stop timing a named section of the current frame
+		18/10/2026
+
+		param[in] pName - The name of the section to stop timing
+
+		return number - Returns the time taken since the matching begin call (in milliseconds)
+	*/
+	end: function(pName) {
+		//Get the section
+		var section = this.__Internal__Dont__Modify__.sections[pName];
+
+		//Check the section is being timed
+		if (!section || section.openTime === null) return 0;
+
+		//Add the time to the frame total
+		var elapsed = this.__Internal__Dont__Modify__.clock() - section.openTime;
+		section.frameTotal += elapsed;
+		section.openTime = null;
+
+		//Return the time taken
+		return elapsed;
+	},
+
+	/*
+		Profiler : measure - Time a function as a named section of the current frame
+		18/10/2026
+
+		param[in] pName - The name of the section to time
+		param[in] pFunc - The function to call
+
+		return any - Returns the value returned by the function
+
+		Example:
+
+		//Time the drawing of the particles
+		profiler.measure("draw", function() {
+			particleManager.draw(graphics);
+		});
+	*/
+	measure: function(pName, pFunc) {
+		//Start timing
+		this.begin(pName);
+
+		//Call the function, ending the section even if it throws
+		try {
+			return pFunc();
+		} finally {
+			this.end(pName);
+		}
+	},
+
+	/*
+		Profiler : reset - Clear all of the recorded timings
+		18/10/2026
+	*/
+	reset: function() {
+		this.__Internal__Dont__Modify__.frameStart = null;
+		this.__Internal__Dont__Modify__.frames = [];
+		this.__Internal__Dont__Modify__.previousStart = null;
+		this.__Internal__Dont__Modify__.intervals = [];
+		this.__Internal__Dont__Modify__.sections = {};
+		this.__Internal__Dont__Modify__.sectionOrder = [];
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                 Query Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Profiler : getHistory - Get the recorded times for the frames or a named section
+		18/10/2026
+
+		param[in] pName - The name of the section to get (Or undefined for whole frames)
+
+		return array - Returns a copy of the recorded times from oldest to newest (in milliseconds)
+	*/
+	getHistory: function(pName) {
+		//Get the samples
+		var samples = this.getSamples(pName);
+
+		//Return the copy
+		return (samples === null ? [] : samples.slice());
+	},
+
+	/*
+		Profiler : getStats - Get the statistics for the frames or a named section over the history
+		18/10/2026
+
+		param[in] pName - The name of the section to get (Or undefined for whole frames)
+
+		return object - Returns an object with the "last", "average", "min", "max", "p50", "p95"
+						and "p99" times (in milliseconds). All values are 0 if nothing was recorded
+
+		Example:
+
+		//Display the average time spent working on each frame
+		var stats = profiler.getStats();
+		graphics.outlineText("Frame Work: " + stats.average.toFixed(2) + "ms", 10, 40);
+	*/
+	getStats: function(pName) {
+		//Get a sorted copy of the samples
+		var sorted = this.getHistory(pName);
+		sorted.sort(function(pA, pB) { return pA - pB; });
+
+		//Check there are samples
+		if (!sorted.length) return { last: 0, average: 0, min: 0, max: 0, p50: 0, p95: 0, p99: 0 };
+
+		//Find the total
+		var total = 0;
+		for (var i = 0; i < sorted.length; i++)
+			total += sorted[i];
+
+		//Get the unsorted samples
+		var samples = this.getSamples(pName);
+
+		//Return the stats
+		return {
+			last: samples[samples.length - 1],
+			average: total / sorted.length,
+			min: sorted[0],
+			max: sorted[sorted.length - 1],
+			p50: this.percentileOf(sorted, 50),
+			p95: this.percentileOf(sorted, 95),
+			p99: this.percentileOf(sorted, 99),
+		};
+	},
+
+	/*
+		Profiler : percentile - Get the time that a percentage of the recorded times fall at or below
+		18/10/2026
+
+		param[in] pPercent - The percentage to find (0 - 100)
+		param[in] pName - The name of the section to check (Or undefined for whole frames)
+
+		return number - Returns the time (in milliseconds) or 0 if nothing was recorded
+
+		Example:
+
+		//Check for stutter
+		if (profiler.percentile(99) > 33) console.warn("Frames are being dropped");
+	*/
+	percentile: function(pPercent, pName) {
+		//Get a sorted copy of the samples
+		var sorted = this.getHistory(pName);
+		sorted.sort(function(pA, pB) { return pA - pB; });
+
+		//Return the percentile
+		return (sorted.length ? this.percentileOf(sorted, Validate.type(pPercent, "number", 50)) : 0);
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Rendering Functions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Profiler : drawOverlay - Render a graph of the frame work time history, with each frame split into
+								 its recorded sections, along with the current statistics
+		18/10/2026
+
+		param[in] pGraphics - The Graphics object to render with
+		param[in] pSetup - An optional object with values used to place the overlay ("x", "y", "width",
+						   "height" and "targetTime", the frame time in milliseconds to mark on
+						   the graph) (Default null)
+
+		Example:
+
+		//Show the profiler in the top left corner
+		profiler.drawOverlay(graphics, { x: 10, y: 60, width: 300, height: 100 });
+	*/
+	drawOverlay: function(pGraphics, pSetup) {
+		//Clean the setup object
+		pSetup = Validate.type(pSetup, "object", null) || {};
+
+		//Get the overlay area
+		var x = Validate.type(pSetup["x"], "number", 10);
+		var y = Validate.type(pSetup["y"], "number", 10);
+		var width = Validate.type(pSetup["width"], "number", 300);
+		var height = Validate.type(pSetup["height"], "number", 100);
+		var targetTime = Validate.type(pSetup["targetTime"], "number", 1000 / 60);
+
+		//Get the draw context
+		var draw = pGraphics.draw;
+
+		//Save the current context state
+		draw.save();
+		pGraphics.transform = null;
+
+		//Draw the background
+		draw.fillStyle = "rgba(0, 0, 0, 0.75)";
+		draw.fillRect(x, y, width, height);
+
+		//Find the scale of the graph (Showing at least twice the target time)
+		var stats = this.getStats();
+		var graphMax = Math.max(targetTime * 2, stats.max);
+		var scale = height / graphMax;
+
+		//Get the width of each bar
+		var frames = this.__Internal__Dont__Modify__.frames;
+		var barWidth = width / this.__Internal__Dont__Modify__.historySize;
+		var startX = x + width - frames.length * barWidth;
+
+		//Draw the bars for each frame
+		for (var i = 0; i < frames.length; i++) {
+			//Track the height used by the sections
+			var used = 0;
+			var barX = startX + i * barWidth;
+
+			//Draw each of the sections stacked on top of each other
+			for (var j = 0; j < this.__Internal__Dont__Modify__.sectionOrder.length; j++) {
+				var time = this.__Internal__Dont__Modify__.sections[this.__Internal__Dont__Modify__.sectionOrder[j]].samples[i];
+				if (!time) continue;
+				draw.fillStyle = this.sectionColor(j);
+				draw.fillRect(barX, y + height - (used + time) * scale, barWidth, time * scale);
+				used += time;
+			}
+
+			//Draw the untracked time on top
+			if (frames[i] > used) {
+				draw.fillStyle = "rgba(200, 200, 200, 0.6)";
+				draw.fillRect(barX, y + height - frames[i] * scale, barWidth, (frames[i] - used) * scale);
+			}
+		}
+
+		//Mark the target time
+		draw.strokeStyle = "#0F0";
+		draw.lineWidth = 1;
+		draw.beginPath();
+		draw.moveTo(x, y + height - targetTime * scale);
+		draw.lineTo(x + width, y + height - targetTime * scale);
+		draw.stroke();
+
+		//Setup the text
+		draw.font = "12px monospace";
+		draw.textAlign = "left";
+		draw.textBaseline = "top";
+
+		//Display the frame statistics
+		var textY = y + height + 4;
+		pGraphics.outlineText("Work " + stats.average.toFixed(2) + "ms (" + this.fps.toFixed(0) + " FPS)  p95 " +
+			stats.p95.toFixed(2) + "ms  max " + stats.max.toFixed(2) + "ms", x, textY, "#FFF", "#000");
+
+		//Display the section averages
+		for (var i = 0; i < this.__Internal__Dont__Modify__.sectionOrder.length; i++) {
+			textY += 14;
+			var sectionStats = this.getStats(this.__Internal__Dont__Modify__.sectionOrder[i]);
+			pGraphics.outlineText(this.__Internal__Dont__Modify__.sectionOrder[i] + " " + sectionStats.average.toFixed(2) + "ms  p95 " +
+				sectionStats.p95.toFixed(2) + "ms", x, textY, this.sectionColor(i), "#000");
+		}
+
+		//Restore the context state
+		draw.restore();
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                 Helper Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Profiler : getSamples - Get the stored history for the frames or a named section
+		18/10/2026
+
+		param[in] pName - The name of the section to get (Or undefined for whole frames)
+
+		return array - Returns the internal history array or null if the section doesn't exist
+	*/
+	getSamples: function(pName) {
+		//Check if the frame times are wanted
+		if (typeof pName === "undefined" || pName === null) return this.__Internal__Dont__Modify__.frames;
+
+		//Return the section samples
+		return (pName in this.__Internal__Dont__Modify__.sections ? this.__Internal__Dont__Modify__.sections[pName].samples : null);
+	},
+
+	/*
+		Profiler : addSample - Add a time to a history, removing the oldest time if it is full
+		18/10/2026
+
+		param[in] pSamples - The history array to add to
+		param[in] pTime - The time to add (in milliseconds)
+	*/
+	addSample: function(pSamples, pTime) {
+		pSamples.push(pTime);
+		if (pSamples.length > this.__Internal__Dont__Modify__.historySize)
+			pSamples.shift();
+	},
+
+	/*
+		Profiler : percentileOf - Find a percentile from a sorted array of times using the nearest rank
+		18/10/2026
+
+		param[in] pSorted - The array of times sorted from smallest to largest
+		param[in] pPercent - The percentage to find (0 - 100)
+
+		return number - Returns the time at the percentile
+	*/
+	percentileOf: function(pSorted, pPercent) {
+		var rank = Math.ceil(Math.clamp(pPercent, 0, 100) / 100 * pSorted.length) - 1;
+		return pSorted[Math.clamp(rank, 0, pSorted.length - 1)];
+	},
+
+	/*
+		Profiler : sectionColor - Get the color used to display a section on the overlay
+		18/10/2026
+
+		param[in] pIndex - The index of the section in the order they were recorded
+
+		return string - Returns a CSS color string
+	*/
+	sectionColor: function(pIndex) {
+		return "hsl(" + ((pIndex * 67) % 360) + ", 80%, 60%)";
+	},
+})
\ No newline at end of file
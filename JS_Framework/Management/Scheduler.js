@@ -0,0 +1,368 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: Scheduler
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js, StateManager.js
+ *
+ *		Purpose:
+ *		Manage delayed and repeating function calls that are
+ *		timed using a Time object, so that they respect pausing
+ *		and time scaling. Updated automatically by the StateManager
+ **/
+
+/*
+	Scheduler : Constructor - Initialise with default values
+	18/10/2026
+*/
+function Scheduler() {
+	/*  WARNING:
+        Don't modify this internal object from the outside of the Scheduler object.
+        Instead use Scheduler object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store a list of the tasks being managed
+		tasks: []
+	};
+};
+
+ExtendProperties(Scheduler, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Scheduler : count - Get the number of tasks waiting to be run
+		18/10/2026
+
+		return number - Returns the task count as a number
+	*/
+	get count() {
+		return this.__Internal__Dont__Modify__.tasks.length;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Management Functions                                        ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Scheduler : schedule - Create a new ScheduledTask and add it to the Scheduler
+		18/10/2026
+
+		param[in] pSetup - An object with values used to setup the task ("callback", "delay",
+						   "interval", "count" and "realTime")
+
+		return ScheduledTask - Returns the new ScheduledTask object, which can be used to cancel the call
+
+		Example:
+
+		//Spawn an enemy every 2 seconds, 5 times, starting in 10 seconds
+		var spawner = scheduler.schedule({
+			callback: spawnEnemy,
+			delay: 10,
+			interval: 2,
+			count: 5
+		});
+	*/
+	schedule: function(pSetup) {
+		//Create the new task
+		var task = new ScheduledTask(pSetup);
+
+		//Add the task to the list
+		this.__Internal__Dont__Modify__.tasks.push(task);
+
+		//Return the handle
+		return task;
+	},
+
+	/*
+		Scheduler : delay - Call a function once after a period of time
+		18/10/2026
+
+		param[in] pCB - The function to call, optionally taking the ScheduledTask as a parameter
+		param[in] pDelay - The number of seconds to wait before calling the function
+		param[in] pRealTime - A flag indicating if unscaled time should be used (Default false)
+
+		return ScheduledTask - Returns the new ScheduledTask object
+
+		Example:
+
+		//Hide the message in 2 seconds
+		scheduler.delay(hideMessage, 2);
+	*/
+	delay: function(pCB, pDelay, pRealTime) {
+		return this.schedule({
+			callback: pCB,
+			delay: pDelay,
+			count: 1,
+			realTime: pRealTime
+		});
+	},
+
+	/*
+		Scheduler : interval - Call a function repeatedly at a set interval until cancelled
+		18/10/2026
+
+		param[in] pCB - The function to call, optionally taking the ScheduledTask as a parameter
+		param[in] pInterval - The number of seconds between each call
+		param[in] pRealTime - A flag indicating if unscaled time should be used (Default false)
+
+		return ScheduledTask - Returns the new ScheduledTask object
+
+		Example:
+
+		//Flash the cursor every half second
+		var flash = scheduler.interval(toggleCursor, 0.5);
+
+		//Stop flashing
+		flash.cancel();
+	*/
+	interval: function(pCB, pInterval, pRealTime) {
+		return this.schedule({
+			callback: pCB,
+			interval: pInterval,
+			count: -1,
+			realTime: pRealTime
+		});
+	},
+
+	/*
+		Scheduler : cancel - Cancel a ScheduledTask that is being managed by the Scheduler
+		18/10/2026
+
+		param[in] pTask - The ScheduledTask object to cancel
+
+		return bool - Returns true if the task was found and removed
+	*/
+	cancel: function(pTask) {
+		//Validate the task object
+		pTask = Validate.instance(pTask, ScheduledTask, null, true);
+
+		//Loop through the tasks
+		for (var i = this.__Internal__Dont__Modify__.tasks.length - 1; i >= 0; i--) {
+			if (this.__Internal__Dont__Modify__.tasks[i] === pTask) {
+				//Flag the task as finished
+				pTask.cancel();
+
+				//Remove the task
+				this.__Internal__Dont__Modify__.tasks.splice(i, 1);
+
+				//Return success
+				return true;
+			}
+		}
+
+		//Return failure
+		return false;
+	},
+
+	/*
+		Scheduler : cancelAll - Cancel all of the tasks being managed by the Scheduler
+		18/10/2026
+	*/
+	cancelAll: function() {
+		//Flag all tasks as finished
+		for (var i = 0; i < this.__Internal__Dont__Modify__.tasks.length; i++)
+			this.__Internal__Dont__Modify__.tasks[i].cancel();
+
+		//Clear the list
+		this.__Internal__Dont__Modify__.tasks = [];
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                   Main Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Scheduler : update - Progress all tasks, calling those that are due
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+	*/
+	update: function(pTime) {
+		//Copy the list so tasks scheduled or cancelled during the update don't affect the loop
+		var tasks = this.__Internal__Dont__Modify__.tasks.slice();
+
+		//Update the tasks
+		for (var i = 0; i < tasks.length; i++)
+			tasks[i].update(pTime);
+
+		//Remove the finished tasks
+		for (var i = this.__Internal__Dont__Modify__.tasks.length - 1; i >= 0; i--) {
+			if (!this.__Internal__Dont__Modify__.tasks[i].active)
+				this.__Internal__Dont__Modify__.tasks.splice(i, 1);
+		}
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: ScheduledTask
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js
+ *
+ *		Purpose:
+ *		Store the timing information for a single delayed or
+ *		repeating function call. Acts as the handle used to
+ *		cancel the call
+ **/
+
+/*
+	ScheduledTask : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pSetup - An object with values used to setup the task
+*/
+function ScheduledTask(pSetup) {
+	//Clean the setup object
+	pSetup = Validate.type(pSetup, "object", null, true);
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the ScheduledTask object.
+        Instead use ScheduledTask object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the function to call
+		callback: Validate.type(pSetup["callback"], "function", null, true),
+
+		//Store the number of seconds between calls
+		interval: Math.max(Validate.type(pSetup["interval"], "number", 0), 0),
+
+		//Store the number of calls remaining (Negative values repeat indefinitely)
+		remaining: Math.round(Validate.type(pSetup["count"], "number", 1)),
+
+		//Flag if the task is timed with unscaled time
+		realTime: Validate.type(pSetup["realTime"], "boolean", false),
+
+		//Flag if the task is still waiting to be called
+		active: true,
+	};
+
+	//Store the time until the next call (Defaults to the interval)
+	this.__Internal__Dont__Modify__.timer = Math.max(Validate.type(pSetup["delay"], "number", this.__Internal__Dont__Modify__.interval), 0);
+
+	//Check there are calls to make
+	if (this.__Internal__Dont__Modify__.remaining === 0) this.__Internal__Dont__Modify__.active = false;
+};
+
+ExtendProperties(ScheduledTask, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		ScheduledTask : active - Get the flag indicating if the task is still waiting to be called
+		18/10/2026
+
+		return bool - Returns false once the task has finished or been cancelled
+	*/
+	get active() {
+		return this.__Internal__Dont__Modify__.active;
+	},
+
+	/*
+		ScheduledTask : timeRemaining - Get the time until the next call
+		18/10/2026
+
+		return number - Returns the time as a number (in seconds)
+	*/
+	get timeRemaining() {
+		return this.__Internal__Dont__Modify__.timer;
+	},
+
+	/*
+		ScheduledTask : callsRemaining - Get the number of calls left to be made
+		18/10/2026
+
+		return number - Returns the number of calls or a negative number if repeating indefinitely
+	*/
+	get callsRemaining() {
+		return this.__Internal__Dont__Modify__.remaining;
+	},
+
+	/*
+		ScheduledTask : realTime - Get the flag indicating if the task is timed with unscaled time
+		18/10/2026
+
+		return bool - Returns true if unscaled time is used
+	*/
+	get realTime() {
+		return this.__Internal__Dont__Modify__.realTime;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                   Main Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		ScheduledTask : cancel - Stop the task from making any further calls
+		18/10/2026
+	*/
+	cancel: function() {
+		this.__Internal__Dont__Modify__.active = false;
+	},
+
+	/*
+		ScheduledTask : update - Progress the timer, calling the function as many times as are owed.
+								 Called by the Scheduler
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+	*/
+	update: function(pTime) {
+		//Check the task is still active
+		if (!this.__Internal__Dont__Modify__.active) return;
+
+		//Reduce the timer
+		this.__Internal__Dont__Modify__.timer -= (this.__Internal__Dont__Modify__.realTime ? pTime.realDeltaTime : pTime.deltaTime);
+
+		//Call the function while calls are owed
+		while (this.__Internal__Dont__Modify__.active && this.__Internal__Dont__Modify__.timer <= 0) {
+			//Reduce the remaining calls
+			if (this.__Internal__Dont__Modify__.remaining > 0 && --this.__Internal__Dont__Modify__.remaining === 0)
+				this.__Internal__Dont__Modify__.active = false;
+
+			//Reset the timer for the next call
+			this.__Internal__Dont__Modify__.timer += this.__Internal__Dont__Modify__.interval;
+
+			//Raise the callback
+			this.__Internal__Dont__Modify__.callback(this);
+
+			//Intervals of 0 are only called once per cycle
+			if (this.__Internal__Dont__Modify__.interval <= 0) break;
+		}
+	},
+});
\ No newline at end of file
@@ -9,12 +9,12 @@
  *		Author: Mitchell Croft
  *		Date: 07/07/2017
  *
- *		Version: 3.0
- *		Modified to align closer with the rest of the 
- *		framework
+ *		Version: 4.2
+ *		The frame delta time is passed to Graphics.swapBuffers to age debug primitives
  *
  *		Requires:
- *		ExtendProperties.js
+ *		ExtendProperties.js, GameState.js, Scheduler.js, CoroutineManager.js, TweenManager.js, Profiler.js,
+ *		EventEmitter.js, FrameRecorder.js
  *
  *		Purpose:
  *		Manage the active game loop function and supply
@@ -27,8 +27,50 @@
 
 	param[in] pCB - The function that will be called every frame, optionally taking 
 					the State Managers Time object as a parameter
+	param[in] pSetup - An optional object with values used to setup the fixed timestep
+					   ("fixedCallback", "fixedStep" and "maxFixedSteps"), the Graphics
+					   object passed to GameState draw functions and presented at the end
+					   of each frame ("graphics"), the function returning the current
+					   time in milliseconds ("clock"), the functions used to request
+					   and cancel the next frame ("frameDriver" and
+					   "cancelFrame"), a flag to only process frames when tick is called
+					   ("manual"), a flag to stop the loop while the page is hidden
+					   ("pauseWhenHidden", Default true), a Profiler object to time
+					   each frame with ("profiler") and a FrameRecorder object to
+					   capture each frame with ("recorder") (Default null)
+
+	Example:
+
+	//Create a state manager that only uses a variable update
+	var stateManager = new StateManager(updateLoop);
+
+	OR
+
+	//Simulate physics 120 times a second
+	var stateManager = new StateManager(updateLoop, {
+		fixedCallback: physicsLoop,
+		fixedStep: 1 / 120,
+		maxFixedSteps: 8
+	});
+
+	OR
+
+	//Manage a stack of GameState objects
+	var stateManager = new StateManager(null, { graphics: graphics });
+	stateManager.addState(menuState);
+	stateManager.pushState("menu");
+
+	OR
+
+	//Step the game manually with a fixed delta (E.g. in a Node test)
+	var stateManager = new StateManager(updateLoop, { manual: true });
+	for (var i = 0; i < 60; i++)
+		stateManager.tick(1 / 60);
 */
-function StateManager(pCB) {
+function StateManager(pCB, pSetup) {
+	//Clean the setup object
+	pSetup = Validate.type(pSetup, "object", null) || {};
+
 	/*  WARNING:
         Don't modify this internal object from the outside of the StateManager object.
         Instead use StateManager object properties and functions to modify these values
@@ -37,17 +79,104 @@ function StateManager(pCB) {
     */
 	this.__Internal__Dont__Modify__ = {
 		//Maintain a time object 
-		time: new Time(true),
+		time: new Time(true, pSetup["clock"]),
+
+		//Maintain a scheduler for timed function calls
+		scheduler: new Scheduler(),
+
+		//Maintain a manager for running coroutines
+		coroutines: new CoroutineManager(),
+
+		//Maintain a manager for animating values
+		tweens: new TweenManager(),
 
 		//Track the callback function
 		callback: Validate.type(pCB, "function", null),
+
+		//Track the fixed timestep callback function
+		fixedCallback: Validate.type(pSetup["fixedCallback"], "function", null),
+
+		//Store the Graphics object passed to the GameState draw functions
+		graphics: Validate.instance(pSetup["graphics"], Graphics, null),
+
+		//Store the Profiler object that times each frame
+		profiler: Validate.instance(pSetup["profiler"], Profiler, null),
+
+		//Store the FrameRecorder object updated at the end of each frame
+		recorder: Validate.instance(pSetup["recorder"], FrameRecorder, null),
+
+		//Store a map of the GameState objects that have been added
+		states: {},
+
+		//Store the stack of active GameState objects
+		stateStack: [],
+
+		//Store the transition in progress
+		transition: null,
+		transitionAction: null,
+		transitionTimer: 0,
+
+		//Store the function used to request the next frame (Null uses window.requestAnimationFrame)
+		frameDriver: Validate.type(pSetup["frameDriver"], "function", null),
+
+		//Store the function used to cancel a requested frame (Null uses window.cancelAnimationFrame)
+		cancelFrame: Validate.type(pSetup["cancelFrame"], "function", null),
+
+		//Store the value returned by the last frame request
+		frameRequest: null,
+
+		//Store the number of times the loop has been started, so frames requested by an earlier loop can be ignored
+		loopGeneration: 0,
+
+		//Store the function passed to the frame request for the current loop
+		frameCallback: null,
+
+		//Flag if frames are only processed when tick is called
+		manual: Validate.type(pSetup["manual"], "boolean", false),
+
+		//Flag if the animation loop is running
+		running: false,
+
+		//Flag if the loop was stopped because the page was hidden
+		hiddenStop: false,
+
+		//Store the function listening for page visibility changes
+		visibilityListener: null,
+
+		//Flag if the StateManager has been disposed
+		disposed: false,
 	};
 
+	//Apply the fixed timestep settings
+	this.__Internal__Dont__Modify__.time.fixedDeltaTime = Validate.type(pSetup["fixedStep"], "number", 1 / 60);
+	this.__Internal__Dont__Modify__.time.maxFixedSteps = Validate.type(pSetup["maxFixedSteps"], "number", 5);
+
 	//Bind the animation loop to this object
 	this.animationLoop = this.animationLoop.bind(this);
 
+	//Stop the loop while the page is hidden
+	if (!this.__Internal__Dont__Modify__.manual && pSetup["pauseWhenHidden"] !== false && typeof document !== "undefined") {
+		//Store a reference to this
+		var that = this;
+
+		//Create the listener
+		this.__Internal__Dont__Modify__.visibilityListener = function() {
+			//Stop the loop when the page is hidden
+			if (document.hidden) that.__Internal__Dont__Modify__.hiddenStop = that.stop();
+
+			//Restart the loop if it was stopped by hiding the page
+			else if (that.__Internal__Dont__Modify__.hiddenStop) {
+				that.__Internal__Dont__Modify__.hiddenStop = false;
+				that.start();
+			}
+		};
+
+		//Add the listener to the document
+		document.addEventListener("visibilitychange", this.__Internal__Dont__Modify__.visibilityListener, false);
+	}
+
 	//Start the animation loop
-	this.animationLoop();
+	this.start();
 };
 
 ExtendProperties(StateManager, {
@@ -68,6 +197,544 @@ ExtendProperties(StateManager, {
 		this.__Internal__Dont__Modify__.callback = Validate.type(pCB, "function", null, true);
 	},
 
+	/*
+		StateManager : fixedCallback - Set the function that will be called at a fixed rate
+		18/10/2026
+
+		param[in] pCB - The function that will be called zero or more times a frame, optionally
+						taking the State Managers Time object as a parameter (Or null to disable
+						the fixed timestep)
+	*/
+	set fixedCallback(pCB) {
+		//Check for null
+		if (pCB === null) {
+			this.__Internal__Dont__Modify__.fixedCallback = null;
+			return;
+		}
+
+		//Set the callback
+		this.__Internal__Dont__Modify__.fixedCallback = Validate.type(pCB, "function", null, true);
+	},
+
+	/*
+		StateManager : time - Get the Time object being used by the State Manager
+		18/10/2026
+
+		return Time - Returns the Time object passed to the callback functions
+	*/
+	get time() {
+		return this.__Internal__Dont__Modify__.time;
+	},
+
+	/*
+		StateManager : scheduler - Get the Scheduler object that is updated by the State Manager
+		18/10/2026
+
+		return Scheduler - Returns the Scheduler object
+
+		Example:
+
+		//Show the game over screen in 3 seconds
+		stateManager.scheduler.delay(function() {
+			stateManager.replaceState("gameOver");
+		}, 3);
+	*/
+	get scheduler() {
+		return this.__Internal__Dont__Modify__.scheduler;
+	},
+
+	/*
+		StateManager : coroutines - Get the CoroutineManager object that is updated by the State Manager
+		18/10/2026
+
+		return CoroutineManager - Returns the CoroutineManager object
+
+		Example:
+
+		//Play the intro cutscene
+		var intro = stateManager.coroutines.start(introCutscene);
+
+		//Skip the cutscene
+		stateManager.coroutines.stop(intro);
+	*/
+	get coroutines() {
+		return this.__Internal__Dont__Modify__.coroutines;
+	},
+
+	/*
+		StateManager : tweens - Get the TweenManager object that is updated by the State Manager
+		18/10/2026
+
+		return TweenManager - Returns the TweenManager object
+
+		Example:
+
+		//Fade the background to red over a second
+		stateManager.tweens.to(background, { color: "#F00" }, 1, "quadOut");
+	*/
+	get tweens() {
+		return this.__Internal__Dont__Modify__.tweens;
+	},
+
+	/*
+		StateManager : profiler - Get the Profiler object that times each frame
+		18/10/2026
+
+		return Profiler - Returns the Profiler object or null if none has been set
+	*/
+	get profiler() {
+		return this.__Internal__Dont__Modify__.profiler;
+	},
+
+	/*
+		StateManager : profiler - Set the Profiler object that times each frame
+		18/10/2026
+
+		param[in] pProfiler - The Profiler object to use (Or null to stop profiling)
+
+		Example:
+
+		//Start profiling the game
+		stateManager.profiler = new Profiler();
+	*/
+	set profiler(pProfiler) {
+		this.__Internal__Dont__Modify__.profiler = (pProfiler === null ? null : Validate.instance(pProfiler, Profiler, null, true));
+	},
+
+	/*
+		StateManager : recorder - Get the FrameRecorder object updated at the end of each frame
+		18/10/2026
+
+		return FrameRecorder - Returns the FrameRecorder object or null if none has been set
+	*/
+	get recorder() {
+		return this.__Internal__Dont__Modify__.recorder;
+	},
+
+	/*
+		StateManager : recorder - Set the FrameRecorder object updated at the end of each frame
+		18/10/2026
+
+		param[in] pRecorder - The FrameRecorder object to use (Or null to stop updating it)
+
+		Example:
+
+		//Record the game
+		stateManager.recorder = new FrameRecorder(graphics);
+		stateManager.recorder.start();
+	*/
+	set recorder(pRecorder) {
+		this.__Internal__Dont__Modify__.recorder = (pRecorder === null ? null : Validate.instance(pRecorder, FrameRecorder, null, true));
+	},
+
+	/*
+		StateManager : graphics - Set the Graphics object that is passed to GameState draw functions
+		18/10/2026
+
+		param[in] pGraphics - The Graphics object to render with (Or null)
+	*/
+	set graphics(pGraphics) {
+		this.__Internal__Dont__Modify__.graphics = (pGraphics === null ? null : Validate.instance(pGraphics, Graphics, null, true));
+	},
+
+	/*
+		StateManager : manual - Get the flag indicating if frames are only processed when tick is called
+		18/10/2026
+
+		return bool - Returns true if the StateManager was created in manual mode
+	*/
+	get manual() {
+		return this.__Internal__Dont__Modify__.manual;
+	},
+
+	/*
+		StateManager : isRunning - Get the flag indicating if the animation loop is running
+		18/10/2026
+
+		return bool - Returns true if frames are being requested automatically
+	*/
+	get isRunning() {
+		return this.__Internal__Dont__Modify__.running;
+	},
+
+	/*
+		StateManager : currentState - Get the GameState object at the top of the stack
+		18/10/2026
+
+		return GameState - Returns the active GameState object or null if the stack is empty
+	*/
+	get currentState() {
+		return (this.__Internal__Dont__Modify__.stateStack.length ?
+			this.__Internal__Dont__Modify__.stateStack[this.__Internal__Dont__Modify__.stateStack.length - 1] : null);
+	},
+
+	/*
+		StateManager : stackSize - Get the number of GameState objects on the stack
+		18/10/2026
+
+		return number - Returns the stack size as a number
+	*/
+	get stackSize() {
+		return this.__Internal__Dont__Modify__.stateStack.length;
+	},
+
+	/*
+		StateManager : transitioning - Get the flag indicating if a state transition is in progress
+		18/10/2026
+
+		return bool - Returns true if a transition is in progress
+	*/
+	get transitioning() {
+		return (this.__Internal__Dont__Modify__.transition !== null);
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                State Functions                                             ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		StateManager : addState - Add a GameState object so that it can be referred to by name
+		18/10/2026
+
+		param[in] pState - The GameState object to add
+
+		return bool - Returns true if the state was added (False if the name is already in use)
+	*/
+	addState: function(pState) {
+		//Validate the state object
+		pState = Validate.instance(pState, GameState, null, true);
+
+		//Check the name isn't in use
+		if (pState.name in this.__Internal__Dont__Modify__.states) return false;
+
+		//Add the state to the map
+		this.__Internal__Dont__Modify__.states[pState.name] = pState;
+
+		//Return success
+		return true;
+	},
+
+	/*
+		StateManager : removeState - Remove a named GameState object from the StateManager
+		18/10/2026
+
+		NOTE: Does not remove the state from the stack if it is currently in use
+
+		param[in] pName - The name of the state to remove
+
+		return bool - Returns true if the state was removed
+	*/
+	removeState: function(pName) {
+		//Validate the parameter
+		pName = Validate.type(pName, "string", "", true);
+
+		//Check the state exists
+		if (!(pName in this.__Internal__Dont__Modify__.states)) return false;
+
+		//Remove the state
+		delete this.__Internal__Dont__Modify__.states[pName];
+
+		//Return success
+		return true;
+	},
+
+	/*
+		StateManager : getState - Get a GameState object that has been added to the StateManager
+		18/10/2026
+
+		param[in] pName - The name of the state to retrieve
+
+		return GameState - Returns the GameState object or null if not found
+	*/
+	getState: function(pName) {
+		return (pName in this.__Internal__Dont__Modify__.states ? this.__Internal__Dont__Modify__.states[pName] : null);
+	},
+
+	/*
+		StateManager : pushState - Push a GameState onto the top of the stack, pausing the current state
+		18/10/2026
+
+		param[in] pState - The GameState object or the name of an added GameState to push
+		param[in] pTransition - An optional StateTransition object to use for the change (Default null)
+
+		return bool - Returns true if the change was started (False if a transition is in progress
+					  or the state is already on the stack)
+
+		Example:
+
+		//Pause the game
+		stateManager.pushState("pause");
+	*/
+	pushState: function(pState, pTransition) {
+		//Find the state to push
+		pState = this.resolveState(pState);
+
+		//Check the state isn't already on the stack
+		if (this.__Internal__Dont__Modify__.stateStack.indexOf(pState) !== -1) return false;
+
+		//Store a reference to this
+		var that = this;
+
+		//Start the change
+		return this.beginStateChange(function() {
+			//Pause the current state
+			var current = that.currentState;
+			if (current !== null && current.onPause !== null) current.onPause(that);
+
+			//Add the new state
+			that.__Internal__Dont__Modify__.stateStack.push(pState);
+			if (pState.onEnter !== null) pState.onEnter(that);
+		}, pTransition);
+	},
+
+	/*
+		StateManager : popState - Remove the GameState at the top of the stack, resuming the one below it
+		18/10/2026
+
+		param[in] pTransition - An optional StateTransition object to use for the change (Default null)
+
+		return bool - Returns true if the change was started (False if a transition is in progress
+					  or the stack is empty)
+
+		Example:
+
+		//Unpause the game
+		stateManager.popState();
+	*/
+	popState: function(pTransition) {
+		//Check there is a state to remove
+		if (!this.__Internal__Dont__Modify__.stateStack.length) return false;
+
+		//Store a reference to this
+		var that = this;
+
+		//Start the change
+		return this.beginStateChange(function() {
+			//Remove the current state
+			var current = that.__Internal__Dont__Modify__.stateStack.pop();
+			if (current.onExit !== null) current.onExit(that);
+
+			//Resume the state below
+			var next = that.currentState;
+			if (next !== null && next.onResume !== null) next.onResume(that);
+		}, pTransition);
+	},
+
+	/*
+		StateManager : replaceState - Replace the GameState at the top of the stack with another
+		18/10/2026
+
+		param[in] pState - The GameState object or the name of an added GameState to change to
+		param[in] pTransition - An optional StateTransition object to use for the change (Default null)
+
+		return bool - Returns true if the change was started (False if a transition is in progress
+					  or the state is already on the stack)
+
+		Example:
+
+		//Move from the menu to the game
+		stateManager.replaceState("game", new StateTransition({ duration: 0.5 }));
+	*/
+	replaceState: function(pState, pTransition) {
+		//Find the state to change to
+		pState = this.resolveState(pState);
+
+		//Check the state isn't already on the stack
+		if (this.__Internal__Dont__Modify__.stateStack.indexOf(pState) !== -1) return false;
+
+		//Store a reference to this
+		var that = this;
+
+		//Start the change
+		return this.beginStateChange(function() {
+			//Remove the current state
+			var current = that.__Internal__Dont__Modify__.stateStack.pop();
+			if (typeof current !== "undefined" && current.onExit !== null) current.onExit(that);
+
+			//Add the new state
+			that.__Internal__Dont__Modify__.stateStack.push(pState);
+			if (pState.onEnter !== null) pState.onEnter(that);
+		}, pTransition);
+	},
+
+	/*
+		StateManager : resolveState - Find the GameState object referred to by a parameter. Used by the
+									  stack functions
+		18/10/2026
+
+		param[in] pState - A GameState object or the name of an added GameState
+
+		return GameState - Returns the GameState object
+	*/
+	resolveState: function(pState) {
+		//Check for a name
+		if (typeof pState === "string") {
+			//Check the state has been added
+			if (!(pState in this.__Internal__Dont__Modify__.states))
+				throw new Error("Can not find a GameState with the name '" + pState + "'. Please add the state using addState before referring to it by name");
+
+			//Return the named state
+			return this.__Internal__Dont__Modify__.states[pState];
+		}
+
+		//Otherwise it must be a GameState object
+		return Validate.instance(pState, GameState, null, true);
+	},
+
+	/*
+		StateManager : beginStateChange - Apply a change to the state stack, either immediately or
+										  halfway through a transition. Used by the stack functions
+		18/10/2026
+
+		param[in] pAction - The function that applies the change to the stack
+		param[in] pTransition - An optional StateTransition object to use for the change
+
+		return bool - Returns true if the change was started
+	*/
+	beginStateChange: function(pAction, pTransition) {
+		//Check a transition isn't already in progress
+		if (this.__Internal__Dont__Modify__.transition !== null) return false;
+
+		//Check if there is a transition to use
+		if (pTransition instanceof StateTransition) {
+			this.__Internal__Dont__Modify__.transition = pTransition;
+			this.__Internal__Dont__Modify__.transitionAction = pAction;
+			this.__Internal__Dont__Modify__.transitionTimer = 0;
+		}
+
+		//Otherwise apply the change
+		else pAction();
+
+		//Return success
+		return true;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                             Lifecycle Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		StateManager : start - Start the animation loop if it is not already running
+		18/10/2026
+
+		return bool - Returns true if the loop was started (False if it is already running, the
+					  StateManager is in manual mode or has been disposed)
+
+		Example:
+
+		//Resume the game loop after closing the options dialog
+		stateManager.start();
+	*/
+	start: function() {
+		//Check the loop can be started
+		if (this.__Internal__Dont__Modify__.running || this.__Internal__Dont__Modify__.manual || this.__Internal__Dont__Modify__.disposed)
+			return false;
+
+		//Flag the loop as running
+		this.__Internal__Dont__Modify__.running = true;
+
+		//Ignore the time that passed while stopped
+		this.__Internal__Dont__Modify__.time.resetClock();
+
+		//Create the frame callback for this loop (A frame driver without a cancelFrame function can't
+		//cancel its pending frame on stop, so that frame must not continue the loop after a restart)
+		var generation = ++this.__Internal__Dont__Modify__.loopGeneration;
+		var that = this;
+		this.__Internal__Dont__Modify__.frameCallback = function() {
+			if (generation === that.__Internal__Dont__Modify__.loopGeneration) that.animationLoop();
+		};
+
+		//Start the animation loop
+		this.animationLoop();
+
+		//Return success
+		return true;
+	},
+
+	/*
+		StateManager : stop - Stop the animation loop, cancelling the pending frame
+		18/10/2026
+
+		return bool - Returns true if the loop was stopped (False if it was not running)
+
+		Example:
+
+		//Halt the game loop while the options dialog is open
+		stateManager.stop();
+	*/
+	stop: function() {
+		//Check the loop is running
+		if (!this.__Internal__Dont__Modify__.running) return false;
+
+		//Flag the loop as stopped
+		this.__Internal__Dont__Modify__.running = false;
+
+		//Cancel the pending frame
+		if (this.__Internal__Dont__Modify__.frameRequest !== null) {
+			if (this.__Internal__Dont__Modify__.cancelFrame !== null)
+				this.__Internal__Dont__Modify__.cancelFrame(this.__Internal__Dont__Modify__.frameRequest);
+			else if (this.__Internal__Dont__Modify__.frameDriver === null)
+				window.cancelAnimationFrame(this.__Internal__Dont__Modify__.frameRequest);
+			this.__Internal__Dont__Modify__.frameRequest = null;
+		}
+
+		//Return success
+		return true;
+	},
+
+	/*
+		StateManager : dispose - Stop the animation loop and release everything the StateManager is
+								 managing. The StateManager can not be started again afterwards
+		18/10/2026
+
+		Example:
+
+		//Tear down the game before returning to the launcher
+		stateManager.dispose();
+		stateManager = null;
+	*/
+	dispose: function() {
+		//Check the StateManager hasn't already been disposed
+		if (this.__Internal__Dont__Modify__.disposed) return;
+
+		//Stop the loop
+		this.stop();
+		this.__Internal__Dont__Modify__.disposed = true;
+
+		//Remove the visibility listener
+		if (this.__Internal__Dont__Modify__.visibilityListener !== null) {
+			document.removeEventListener("visibilitychange", this.__Internal__Dont__Modify__.visibilityListener, false);
+			this.__Internal__Dont__Modify__.visibilityListener = null;
+		}
+
+		//Exit the stacked states from the top down
+		while (this.__Internal__Dont__Modify__.stateStack.length) {
+			var state = this.__Internal__Dont__Modify__.stateStack.pop();
+			if (state.onExit !== null) state.onExit(this);
+		}
+
+		//Clear the remaining state information
+		this.__Internal__Dont__Modify__.states = {};
+		this.__Internal__Dont__Modify__.transition = null;
+		this.__Internal__Dont__Modify__.transitionAction = null;
+
+		//Stop everything that is waiting on time
+		this.__Internal__Dont__Modify__.scheduler.cancelAll();
+		this.__Internal__Dont__Modify__.coroutines.stopAll();
+		this.__Internal__Dont__Modify__.tweens.stopAll();
+
+		//Release the callbacks
+		this.__Internal__Dont__Modify__.callback = null;
+		this.__Internal__Dont__Modify__.fixedCallback = null;
+		this.__Internal__Dont__Modify__.graphics = null;
+		this.__Internal__Dont__Modify__.profiler = null;
+		this.__Internal__Dont__Modify__.recorder = null;
+	},
+
 	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 	/////                                                                                                            ////
 	/////                                               Main Function                                                ////
@@ -80,15 +747,138 @@ ExtendProperties(StateManager, {
 		07/07/2017
 	*/
 	animationLoop: function() {
+		//Check the loop hasn't been stopped
+		if (!this.__Internal__Dont__Modify__.running) return;
+
+		//Clear the completed frame request
+		this.__Internal__Dont__Modify__.frameRequest = null;
+
+		//Process the frame
+		this.tick();
+
+		//Check the loop wasn't stopped during the frame
+		if (!this.__Internal__Dont__Modify__.running) return;
+
+		//Request the next frame
+		this.__Internal__Dont__Modify__.frameRequest = (this.__Internal__Dont__Modify__.frameDriver !== null ?
+			this.__Internal__Dont__Modify__.frameDriver(this.__Internal__Dont__Modify__.frameCallback) :
+			window.requestAnimationFrame(this.__Internal__Dont__Modify__.frameCallback));
+		if (typeof this.__Internal__Dont__Modify__.frameRequest === "undefined") this.__Internal__Dont__Modify__.frameRequest = null;
+	},
+
+	/*
+		StateManager : tick - Process a single frame. Called by the animation loop, or by the user
+							  when the StateManager was created in manual mode
+		18/10/2026
+
+		param[in] pDeltaTime - An optional number of seconds to advance time by, used in place
+							   of reading the clock for deterministic stepping (Default undefined)
+
+		Example:
+
+		//Simulate ten seconds of game time at 30 frames a second
+		for (var i = 0; i < 300; i++)
+			stateManager.tick(1 / 30);
+	*/
+	tick: function(pDeltaTime) {
+		//Get the profiler for the frame
+		var profiler = this.__Internal__Dont__Modify__.profiler;
+
+		//Start timing the frame
+		if (profiler !== null) profiler.beginFrame();
+
 		//Update the time values
-		this.__Internal__Dont__Modify__.time.update();
+		this.__Internal__Dont__Modify__.time.update(pDeltaTime);
+
+		//Run the scheduled tasks that are due
+		this.__Internal__Dont__Modify__.scheduler.update(this.__Internal__Dont__Modify__.time);
+
+		//Resume the coroutines that have finished waiting
+		this.__Internal__Dont__Modify__.coroutines.update(this.__Internal__Dont__Modify__.time);
+
+		//Progress the tweens
+		this.__Internal__Dont__Modify__.tweens.update(this.__Internal__Dont__Modify__.time);
+
+		//Get the active state
+		var state = this.currentState;
+
+		//Run the fixed callbacks as many times as required to catch up
+		if (this.__Internal__Dont__Modify__.fixedCallback || (state !== null && state.fixedUpdate !== null)) {
+			//Get the number of steps to process this frame
+			var steps = this.__Internal__Dont__Modify__.time.calculateFixedSteps();
+
+			//Process the fixed steps
+			for (var i = 0; i < steps; i++) {
+				if (this.__Internal__Dont__Modify__.fixedCallback)
+					this.__Internal__Dont__Modify__.fixedCallback(this.__Internal__Dont__Modify__.time);
+				if (state !== null && state.fixedUpdate !== null)
+					state.fixedUpdate(this.__Internal__Dont__Modify__.time);
+			}
+		}
 
 		//Run the callback function
 		if (this.__Internal__Dont__Modify__.callback)
 			this.__Internal__Dont__Modify__.callback(this.__Internal__Dont__Modify__.time);
 
-		//Request the window recalls the loop
-		window.requestAnimationFrame(this.animationLoop);
+		//Update the active state
+		if (state !== null && state.update !== null)
+			state.update(this.__Internal__Dont__Modify__.time);
+
+		//Progress the current transition
+		if (this.__Internal__Dont__Modify__.transition !== null) {
+			//Add the real time onto the timer so pausing doesn't freeze transitions
+			this.__Internal__Dont__Modify__.transitionTimer += this.__Internal__Dont__Modify__.time.realDeltaTime;
+
+			//Apply the change once the halfway point is reached
+			if (this.__Internal__Dont__Modify__.transitionAction !== null &&
+				this.__Internal__Dont__Modify__.transitionTimer >= this.__Internal__Dont__Modify__.transition.duration / 2) {
+				this.__Internal__Dont__Modify__.transitionAction();
+				this.__Internal__Dont__Modify__.transitionAction = null;
+			}
+		}
+
+		//Draw the states from the bottom of the stack up
+		for (var i = 0; i < this.__Internal__Dont__Modify__.stateStack.length; i++) {
+			if (this.__Internal__Dont__Modify__.stateStack[i].draw !== null)
+				this.__Internal__Dont__Modify__.stateStack[i].draw(this.__Internal__Dont__Modify__.graphics, this.__Internal__Dont__Modify__.time);
+		}
+
+		//Draw the commands the states submitted to the render layers, so the transition covers them
+		if (this.__Internal__Dont__Modify__.graphics !== null)
+			this.__Internal__Dont__Modify__.graphics.flushLayers();
+
+		//Draw the current transition
+		if (this.__Internal__Dont__Modify__.transition !== null) {
+			//Get the halfway point of the transition
+			var half = this.__Internal__Dont__Modify__.transition.duration / 2;
+
+			//Calculate the amount of the screen to cover
+			var coverage = (half <= 0 ? 1 : Math.clamp01(this.__Internal__Dont__Modify__.transitionTimer <= half ?
+				this.__Internal__Dont__Modify__.transitionTimer / half :
+				1 - (this.__Internal__Dont__Modify__.transitionTimer - half) / half));
+
+			//Render the transition
+			if (this.__Internal__Dont__Modify__.graphics !== null)
+				this.__Internal__Dont__Modify__.transition.draw(this.__Internal__Dont__Modify__.graphics, coverage);
+
+			//Check if the transition is over
+			if (this.__Internal__Dont__Modify__.transitionTimer >= this.__Internal__Dont__Modify__.transition.duration)
+				this.__Internal__Dont__Modify__.transition = null;
+		}
+
+		//Present the finished frame
+		if (this.__Internal__Dont__Modify__.graphics !== null)
+			this.__Internal__Dont__Modify__.graphics.swapBuffers(this.__Internal__Dont__Modify__.time.deltaTime);
+
+		//Capture the presented frame
+		if (this.__Internal__Dont__Modify__.recorder !== null)
+			this.__Internal__Dont__Modify__.recorder.update(this.__Internal__Dont__Modify__.time);
+
+		//Dispatch the events deferred during the frame
+		EventBus.flush();
+
+		//Finish timing the frame
+		if (profiler !== null) profiler.endFrame();
 	},
 });
 
@@ -103,7 +893,8 @@ ExtendProperties(StateManager, {
  *		Author: Mitchell Croft
  *		Date: 07/07/2017
  *
- *		Version: 1.0
+ *		Version: 1.4
+ *		Added resetClock to skip time that passes while the loop is stopped
  *
  *		Requires:
  *		ExtendProperties.js
@@ -119,8 +910,12 @@ ExtendProperties(StateManager, {
 
 	param[in] pRestrict - A flag that indicates delta time information should be
 						  clamped to a maximum value of 1 (Default false)
+	param[in] pClock - A function that returns the current time in milliseconds (Default Date.now)
 */
-function Time(pRestrict) {
+function Time(pRestrict, pClock) {
+	//Clean the clock function
+	pClock = Validate.type(pClock, "function", Date.now);
+
 	/*  WARNING:
         Don't modify this internal object from the outside of the Time object.
         Instead use Time object properties and functions to modify these values
@@ -131,13 +926,23 @@ function Time(pRestrict) {
 		//Store the restriction flag
 		restricted: (pRestrict === true),
 
+		//Store the function used to read the current time
+		clock: pClock,
+
 		//Store time information
-		preTime: Date.now(),
-		curTime: Date.now(),
+		preTime: pClock(),
+		curTime: pClock(),
 
 		//Store the active time scale
 		timeScale: 1,
 
+		//Store the pause state and the number of frames to step through while paused
+		paused: false,
+		pendingSteps: 0,
+
+		//Store the number of frames that have been processed
+		frameCount: 0,
+
 		//Store delta time values
 		deltaTime: 0,
 		realDeltaTime: 0,
@@ -145,6 +950,12 @@ function Time(pRestrict) {
 		//Store runtime values
 		elapsedTime: 0,
 		realElapsedTime: 0,
+
+		//Store fixed timestep values
+		fixedDeltaTime: 1 / 60,
+		maxFixedSteps: 5,
+		fixedAccumulator: 0,
+		interpolation: 0,
 	};
 };
 
@@ -195,6 +1006,51 @@ ExtendProperties(Time, {
 		this.__Internal__Dont__Modify__.timeScale = Math.max(Validate.type(pScl, "number", 0, true), 0);
 	},
 
+	/*
+		Time : paused - Get the paused flag of the Time object
+		18/10/2026
+
+		return bool - Returns true if scaled time is currently paused
+	*/
+	get paused() {
+		return this.__Internal__Dont__Modify__.paused;
+	},
+
+	/*
+		Time : paused - Set the paused flag of the Time object. While paused the scaled delta time
+						is 0, but the real delta time continues to update
+		18/10/2026
+
+		param[in] pState - A boolean value that defines the new paused state
+	*/
+	set paused(pState) {
+		//Set the state
+		this.__Internal__Dont__Modify__.paused = Validate.type(pState, "boolean", false, true);
+
+		//Clear any outstanding steps
+		this.__Internal__Dont__Modify__.pendingSteps = 0;
+	},
+
+	/*
+		Time : pendingSteps - Get the number of frames still to be stepped through while paused
+		18/10/2026
+
+		return number - Returns the number of outstanding steps
+	*/
+	get pendingSteps() {
+		return this.__Internal__Dont__Modify__.pendingSteps;
+	},
+
+	/*
+		Time : frameCount - Get the number of frames that have been processed
+		18/10/2026
+
+		return number - Returns the frame count as an integral number
+	*/
+	get frameCount() {
+		return this.__Internal__Dont__Modify__.frameCount;
+	},
+
 	/*
 		Time : deltaTime - Get the scaled delta time 
 		07/07/2017
@@ -235,23 +1091,117 @@ ExtendProperties(Time, {
 		return this.__Internal__Dont__Modify__.realElapsedTime;
 	},
 
+	/*
+		Time : fixedDeltaTime - Get the length of a single fixed timestep
+		18/10/2026
+
+		return number - Returns the fixed delta time as a number (in seconds)
+	*/
+	get fixedDeltaTime() {
+		return this.__Internal__Dont__Modify__.fixedDeltaTime;
+	},
+
+	/*
+		Time : fixedDeltaTime - Set the length of a single fixed timestep
+		18/10/2026
+
+		param[in] pVal - A number that is > 0 defining the length of a step (in seconds)
+	*/
+	set fixedDeltaTime(pVal) {
+		this.__Internal__Dont__Modify__.fixedDeltaTime = Math.max(Validate.type(pVal, "number", 0, true), 0.001);
+	},
+
+	/*
+		Time : maxFixedSteps - Get the maximum number of fixed steps that can be processed in a frame
+		18/10/2026
+
+		return number - Returns the maximum step count as a number
+	*/
+	get maxFixedSteps() {
+		return this.__Internal__Dont__Modify__.maxFixedSteps;
+	},
+
+	/*
+		Time : maxFixedSteps - Set the maximum number of fixed steps that can be processed in a frame
+		18/10/2026
+
+		param[in] pVal - An integral number that is >= 1. Time owed past this number of steps is dropped
+	*/
+	set maxFixedSteps(pVal) {
+		this.__Internal__Dont__Modify__.maxFixedSteps = Math.max(Math.round(Validate.type(pVal, "number", 0, true)), 1);
+	},
+
+	/*
+		Time : interpolation - Get the progress towards the next fixed step
+		18/10/2026
+
+		NOTE: Used to blend between the previous and current fixed states when rendering
+
+		return number - Returns a number in the range of 0-1
+	*/
+	get interpolation() {
+		return this.__Internal__Dont__Modify__.interpolation;
+	},
+
 	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 	/////                                                                                                            ////
 	/////                                               Main Function                                                ////
 	/////                                                                                                            ////
 	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+	/*
+		Time : step - Advance scaled time by a number of frames while paused
+		18/10/2026
+
+		param[in] pCount - The number of frames to advance (Default 1)
+
+		return bool - Returns true if the steps were queued (False if not paused)
+
+		Example:
+
+		//Inspect the next frame
+		time.paused = true;
+		time.step();
+	*/
+	step: function(pCount) {
+		//Check the time is paused
+		if (!this.__Internal__Dont__Modify__.paused) return false;
+
+		//Add the steps to the queue
+		this.__Internal__Dont__Modify__.pendingSteps += Math.max(Math.round(Validate.type(pCount, "number", 1)), 0);
+
+		//Return success
+		return true;
+	},
+
 	/*
 		Time : update - Update the time values based on time elapsed between update function calls
 		07/07/2017
+
+		param[in] pDeltaTime - An optional number of seconds that have passed, used in place of
+							   reading the clock (Default undefined)
     */
-	update: function() {
+	update: function(pDeltaTime) {
 		//Update the time values
 		this.__Internal__Dont__Modify__.preTime = this.__Internal__Dont__Modify__.curTime;
-		this.__Internal__Dont__Modify__.curTime = Date.now();
 
-		//Calculate the delta time
-		this.__Internal__Dont__Modify__.realDeltaTime = (this.__Internal__Dont__Modify__.curTime - this.__Internal__Dont__Modify__.preTime) * 0.001;
+		//Check if a manual step was supplied
+		if (typeof pDeltaTime === "number") {
+			//Use the step exactly as given
+			this.__Internal__Dont__Modify__.realDeltaTime = Math.max(pDeltaTime, 0);
+
+			//Measure the next clock driven frame from now, so the step isn't counted twice
+			this.__Internal__Dont__Modify__.curTime = this.__Internal__Dont__Modify__.clock();
+		}
+
+		//Otherwise read the clock
+		else {
+			//Get the current time
+			this.__Internal__Dont__Modify__.curTime = this.__Internal__Dont__Modify__.clock();
+
+			//Calculate the delta time
+			this.__Internal__Dont__Modify__.realDeltaTime = (this.__Internal__Dont__Modify__.curTime - this.__Internal__Dont__Modify__.preTime) * 0.001;
+		}
 
 		//Check if delta time needs to be restricted
 		if (this.__Internal__Dont__Modify__.realDeltaTime > 1 && this.__Internal__Dont__Modify__.restricted)
@@ -260,8 +1210,64 @@ ExtendProperties(Time, {
 		//Calculate the scaled delta time
 		this.__Internal__Dont__Modify__.deltaTime = this.__Internal__Dont__Modify__.realDeltaTime * this.__Internal__Dont__Modify__.timeScale;
 
+		//Check if scaled time is paused
+		if (this.__Internal__Dont__Modify__.paused) {
+			//Use up a pending step if there is one
+			if (this.__Internal__Dont__Modify__.pendingSteps > 0)
+				this.__Internal__Dont__Modify__.pendingSteps--;
+
+			//Otherwise stop scaled time
+			else this.__Internal__Dont__Modify__.deltaTime = 0;
+		}
+
+		//Increase the frame count
+		this.__Internal__Dont__Modify__.frameCount++;
+
 		//Increase the runtime values
 		this.__Internal__Dont__Modify__.elapsedTime += this.__Internal__Dont__Modify__.deltaTime;
 		this.__Internal__Dont__Modify__.realElapsedTime += this.__Internal__Dont__Modify__.realDeltaTime;
 	},
+
+	/*
+		Time : resetClock - Restart the delta time measurement from the current time, so that the
+							time since the last update is not counted. Called by the StateManager
+							when the loop is started
+		18/10/2026
+	*/
+	resetClock: function() {
+		this.__Internal__Dont__Modify__.preTime = this.__Internal__Dont__Modify__.curTime = this.__Internal__Dont__Modify__.clock();
+	},
+
+	/*
+		Time : calculateFixedSteps - Accumulate the scaled delta time and determine the number of fixed
+									 steps to process this frame. Called automatically by the StateManager
+		18/10/2026
+
+		return number - Returns the number of fixed steps to process
+	*/
+	calculateFixedSteps: function() {
+		//Add the scaled delta time to the accumulator
+		this.__Internal__Dont__Modify__.fixedAccumulator += this.__Internal__Dont__Modify__.deltaTime;
+
+		//Determine the number of steps owed
+		var steps = Math.floor(this.__Internal__Dont__Modify__.fixedAccumulator / this.__Internal__Dont__Modify__.fixedDeltaTime);
+
+		//Check if the steps need to be capped
+		if (steps > this.__Internal__Dont__Modify__.maxFixedSteps) {
+			//Limit the number of steps
+			steps = this.__Internal__Dont__Modify__.maxFixedSteps;
+
+			//Drop the time that can not be caught up on
+			this.__Internal__Dont__Modify__.fixedAccumulator %= this.__Internal__Dont__Modify__.fixedDeltaTime;
+		}
+
+		//Remove the processed time from the accumulator
+		else this.__Internal__Dont__Modify__.fixedAccumulator -= steps * this.__Internal__Dont__Modify__.fixedDeltaTime;
+
+		//Calculate the interpolation towards the next step
+		this.__Internal__Dont__Modify__.interpolation = this.__Internal__Dont__Modify__.fixedAccumulator / this.__Internal__Dont__Modify__.fixedDeltaTime;
+
+		//Return the step count
+		return steps;
+	},
 });
\ No newline at end of file
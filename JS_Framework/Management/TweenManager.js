@@ -0,0 +1,696 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: TweenManager
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js, Vec2.js, Color.js, StateManager.js
+ *
+ *		Purpose:
+ *		Manage a collection of Tween objects that animate the
+ *		values of other objects over time. Updated automatically
+ *		by the StateManager
+ **/
+
+/*
+	TweenManager : Constructor - Initialise with default values
+	18/10/2026
+*/
+function TweenManager() {
+	/*  WARNING:
+        Don't modify this internal object from the outside of the TweenManager object.
+        Instead use TweenManager object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store a list of the tweens being played
+		tweens: []
+	};
+};
+
+ExtendProperties(TweenManager, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		TweenManager : count - Get the number of tweens being played by the manager
+		18/10/2026
+
+		return number - Returns the tween count as a number
+	*/
+	get count() {
+		return this.__Internal__Dont__Modify__.tweens.length;
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                Management Functions                                        ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		TweenManager : start - Start playing a Tween from the beginning
+		18/10/2026
+
+		param[in] pTween - A Tween object or an object with values used to setup a new Tween
+
+		return Tween - Returns the Tween object being played, which can be used to stop it
+
+		Example:
+
+		//Fade out the title over 2 seconds, then remove it
+		stateManager.tweens.start({
+			target: titleColor,
+			to: { a: 0 },
+			duration: 2,
+			ease: "sineOut",
+			onComplete: removeTitle
+		});
+	*/
+	start: function(pTween) {
+		//Create the tween if required
+		if (!(pTween instanceof Tween)) pTween = new Tween(pTween);
+
+		//Reset the tween to its starting point
+		pTween.reset();
+
+		//Add the tween to the list
+		this.__Internal__Dont__Modify__.tweens.push(pTween);
+
+		//Return the handle
+		return pTween;
+	},
+
+	/*
+		TweenManager : to - Start a new Tween that moves the values of an object to the specified end points
+		18/10/2026
+
+		param[in] pTarget - The object that has the values to animate
+		param[in] pValues - An object containing the end points for each property to animate (Number, Vec2 or Color)
+		param[in] pDuration - The number of seconds the animation takes
+		param[in] pEase - The easing function (Or name of an Easing function) to apply (Default Easing.linear)
+
+		return Tween - Returns the new Tween object
+
+		Example:
+
+		//Glide the camera to the player
+		stateManager.tweens.to(camera, { position: playerPosition }, 1.5, "cubicInOut");
+	*/
+	to: function(pTarget, pValues, pDuration, pEase) {
+		return this.start({
+			target: pTarget,
+			to: pValues,
+			duration: pDuration,
+			ease: pEase
+		});
+	},
+
+	/*
+		TweenManager : stop - Stop a Tween that is being played by the manager. Chained Tweens are not started
+		18/10/2026
+
+		param[in] pTween - The Tween object to stop
+
+		return bool - Returns true if the Tween was found and stopped
+	*/
+	stop: function(pTween) {
+		//Validate the tween object
+		pTween = Validate.instance(pTween, Tween, null, true);
+
+		//Loop through the tweens
+		for (var i = this.__Internal__Dont__Modify__.tweens.length - 1; i >= 0; i--) {
+			if (this.__Internal__Dont__Modify__.tweens[i] === pTween) {
+				//Stop the tween
+				pTween.stop();
+
+				//Remove the tween
+				this.__Internal__Dont__Modify__.tweens.splice(i, 1);
+
+				//Return success
+				return true;
+			}
+		}
+
+		//Return failure
+		return false;
+	},
+
+	/*
+		TweenManager : stopTarget - Stop all of the Tweens that are animating a specific object
+		18/10/2026
+
+		param[in] pTarget - The object that is being animated
+
+		return number - Returns the number of Tweens that were stopped
+
+		Example:
+
+		//Cancel any movement on the enemy before it is destroyed
+		stateManager.tweens.stopTarget(enemy);
+	*/
+	stopTarget: function(pTarget) {
+		//Track the number of tweens stopped
+		var stopped = 0;
+
+		//Loop through the tweens
+		for (var i = this.__Internal__Dont__Modify__.tweens.length - 1; i >= 0; i--) {
+			if (this.__Internal__Dont__Modify__.tweens[i].target === pTarget) {
+				//Stop the tween
+				this.__Internal__Dont__Modify__.tweens[i].stop();
+
+				//Remove the tween
+				this.__Internal__Dont__Modify__.tweens.splice(i, 1);
+				stopped++;
+			}
+		}
+
+		//Return the count
+		return stopped;
+	},
+
+	/*
+		TweenManager : stopAll - Stop all of the Tweens being played by the manager
+		18/10/2026
+	*/
+	stopAll: function() {
+		//Flag all tweens as stopped
+		for (var i = 0; i < this.__Internal__Dont__Modify__.tweens.length; i++)
+			this.__Internal__Dont__Modify__.tweens[i].stop();
+
+		//Clear the list
+		this.__Internal__Dont__Modify__.tweens = [];
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                   Main Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		TweenManager : update - Progress all of the Tweens, starting any chained Tweens once they finish
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+	*/
+	update: function(pTime) {
+		//Copy the list so tweens started or stopped during the update don't affect the loop
+		var tweens = this.__Internal__Dont__Modify__.tweens.slice();
+
+		//Update the tweens
+		for (var i = 0; i < tweens.length; i++) {
+			//Skip tweens that have been stopped
+			if (!tweens[i].active) continue;
+
+			//Progress the tween
+			tweens[i].update(pTime);
+
+			//Start the chained tweens once finished
+			if (tweens[i].finished) {
+				var chained = tweens[i].chained;
+				for (var j = 0; j < chained.length; j++)
+					this.start(chained[j]);
+			}
+		}
+
+		//Remove the finished tweens
+		for (var i = this.__Internal__Dont__Modify__.tweens.length - 1; i >= 0; i--) {
+			if (!this.__Internal__Dont__Modify__.tweens[i].active)
+				this.__Internal__Dont__Modify__.tweens.splice(i, 1);
+		}
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *		Name: Tween
+ *		Author: Mitchell Croft
+ *		Date: 18/10/2026
+ *
+ *		Version: 1.0
+ *
+ *		Requires:
+ *		ExtendProperties.js, Vec2.js, Color.js
+ *
+ *		Purpose:
+ *		Animate number, Vec2 and Color properties of an object
+ *		from their current values to set end points, using an
+ *		easing function. Acts as the handle used to stop the
+ *		animation
+ **/
+
+/*
+	Tween : Constructor - Initialise with default values
+	18/10/2026
+
+	param[in] pSetup - An object with values used to setup the tween. Must contain a "target" object
+					   and a "to" object of end points. Can also contain "duration", "delay", "ease",
+					   "yoyo", "loop", "realTime", "onStart", "onUpdate", "onLoop" and "onComplete"
+
+	Example:
+
+	//Pulse a button forever
+	var pulse = new Tween({
+		target: buttonScale,
+		to: { x: 1.2, y: 1.2 },
+		duration: 0.4,
+		ease: Easing.quadInOut,
+		yoyo: true,
+		loop: -1
+	});
+
+	//Play the pulse
+	stateManager.tweens.start(pulse);
+*/
+function Tween(pSetup) {
+	//Ensure that pSetup is an object
+	pSetup = Validate.type(pSetup, "object", null, true);
+
+	/*  WARNING:
+        Don't modify this internal object from the outside of the Tween object.
+        Instead use Tween object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+	this.__Internal__Dont__Modify__ = {
+		//Store the object being animated
+		target: Validate.type(pSetup["target"], "object", null, true),
+
+		//Store the properties being animated
+		values: [],
+
+		//Store the number of seconds a single cycle takes
+		duration: Math.max(Validate.type(pSetup["duration"], "number", 1), 0),
+
+		//Store the number of seconds to wait before starting
+		delay: Math.max(Validate.type(pSetup["delay"], "number", 0), 0),
+
+		//Store the easing function
+		ease: Easing.linear,
+
+		//Flag if the tween reverses direction each loop
+		yoyo: Validate.type(pSetup["yoyo"], "boolean", false),
+
+		//Store the number of extra cycles to play (Negative values repeat indefinitely)
+		loop: Math.round(Validate.type(pSetup["loop"], "number", 0)),
+
+		//Flag if the tween is timed with unscaled time
+		realTime: Validate.type(pSetup["realTime"], "boolean", false),
+
+		//Store the callback functions
+		onStart: Validate.type(pSetup["onStart"], "function", null),
+		onUpdate: Validate.type(pSetup["onUpdate"], "function", null),
+		onLoop: Validate.type(pSetup["onLoop"], "function", null),
+		onComplete: Validate.type(pSetup["onComplete"], "function", null),
+
+		//Store the tweens to start once this one finishes
+		chained: [],
+
+		//Store the playback values
+		delayTimer: 0,
+		elapsed: 0,
+		loopsRemaining: 0,
+		reversed: false,
+		started: false,
+		active: false,
+		finished: false,
+	};
+
+	//Find the easing function
+	if (typeof pSetup["ease"] === "string") {
+		if (typeof Easing[pSetup["ease"]] !== "function")
+			throw new Error("Can not find the Easing function '" + pSetup["ease"] + "'. Please use the name of a function in the Easing object");
+		this.__Internal__Dont__Modify__.ease = Easing[pSetup["ease"]];
+	} else this.__Internal__Dont__Modify__.ease = Validate.type(pSetup["ease"], "function", Easing.linear);
+
+	//Get the end points
+	var to = Validate.type(pSetup["to"], "object", null, true);
+
+	//Store the end point for each of the properties
+	for (var name in to) {
+		//Get the end value
+		var end = to[name];
+
+		//Copy the end value
+		if (end instanceof Vec2) end = new Vec2(end);
+		else if (end instanceof Color || typeof end === "string") end = new Color(end);
+		else if (typeof end !== "number") throw new Error("Can not tween the property '" + name + "' to " + end + " (Type: '" + typeof end + "') Please use a number, Vec2 or Color object");
+
+		//Add the value to the list
+		this.__Internal__Dont__Modify__.values.push({
+			name: name,
+			start: null,
+			end: end
+		});
+	}
+};
+
+ExtendProperties(Tween, {
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                               Property Definitions                                         ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Tween : target - Get the object being animated
+		18/10/2026
+
+		return object - Returns the target object
+	*/
+	get target() {
+		return this.__Internal__Dont__Modify__.target;
+	},
+
+	/*
+		Tween : duration - Get the number of seconds a single cycle takes
+		18/10/2026
+
+		return number - Returns the duration as a number (in seconds)
+	*/
+	get duration() {
+		return this.__Internal__Dont__Modify__.duration;
+	},
+
+	/*
+		Tween : active - Get the flag indicating if the tween is waiting or playing
+		18/10/2026
+
+		return bool - Returns false once the tween has finished or been stopped
+	*/
+	get active() {
+		return this.__Internal__Dont__Modify__.active;
+	},
+
+	/*
+		Tween : finished - Get the flag indicating if the tween played through to its end
+		18/10/2026
+
+		return bool - Returns true if the tween completed without being stopped
+	*/
+	get finished() {
+		return this.__Internal__Dont__Modify__.finished;
+	},
+
+	/*
+		Tween : progress - Get the progress through the current cycle
+		18/10/2026
+
+		return number - Returns the un-eased progress as a number in the range of 0-1
+	*/
+	get progress() {
+		return (this.__Internal__Dont__Modify__.duration > 0 ?
+			Math.clamp01(this.__Internal__Dont__Modify__.elapsed / this.__Internal__Dont__Modify__.duration) :
+			(this.__Internal__Dont__Modify__.started ? 1 : 0));
+	},
+
+	/*
+		Tween : chained - Get the list of Tweens that will be started once this one finishes
+		18/10/2026
+
+		return array - Returns a copy of the list of Tween objects
+	*/
+	get chained() {
+		return this.__Internal__Dont__Modify__.chained.slice();
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                   Main Functions                                           ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		Tween : chain - Add a Tween to be started once this one finishes. The start values of the
+						chained Tween are read when it starts
+		18/10/2026
+
+		param[in] pTween - A Tween object or an object with values used to setup a new Tween
+
+		return Tween - Returns the chained Tween object, so further Tweens can be chained after it
+
+		Example:
+
+		//Move the box right, then down, then fade it out
+		var move = stateManager.tweens.to(box, { position: new Vec2(100, 0) }, 1);
+		move.chain({ target: box, to: { position: new Vec2(100, 100) }, duration: 1 })
+			.chain({ target: box, to: { color: "#0000" }, duration: 0.5 });
+	*/
+	chain: function(pTween) {
+		//Create the tween if required
+		if (!(pTween instanceof Tween)) pTween = new Tween(pTween);
+
+		//Add the tween to the list
+		this.__Internal__Dont__Modify__.chained.push(pTween);
+
+		//Return the chained tween
+		return pTween;
+	},
+
+	/*
+		Tween : reset - Return the Tween to its starting point so it can be played again. Called
+						by the TweenManager when the Tween is started
+		18/10/2026
+	*/
+	reset: function() {
+		this.__Internal__Dont__Modify__.delayTimer = this.__Internal__Dont__Modify__.delay;
+		this.__Internal__Dont__Modify__.elapsed = 0;
+		this.__Internal__Dont__Modify__.loopsRemaining = this.__Internal__Dont__Modify__.loop;
+		this.__Internal__Dont__Modify__.reversed = false;
+		this.__Internal__Dont__Modify__.started = false;
+		this.__Internal__Dont__Modify__.active = true;
+		this.__Internal__Dont__Modify__.finished = false;
+	},
+
+	/*
+		Tween : stop - Stop the Tween, leaving the target values where they are
+		18/10/2026
+	*/
+	stop: function() {
+		this.__Internal__Dont__Modify__.active = false;
+	},
+
+	/*
+		Tween : update - Progress the Tween and apply the new values to the target. Called by the TweenManager
+		18/10/2026
+
+		param[in] pTime - The Time object for the cycle
+	*/
+	update: function(pTime) {
+		//Check the tween is active
+		if (!this.__Internal__Dont__Modify__.active) return;
+
+		//Get the time that has passed
+		var delta = (this.__Internal__Dont__Modify__.realTime ? pTime.realDeltaTime : pTime.deltaTime);
+
+		//Wait for the delay to pass
+		if (this.__Internal__Dont__Modify__.delayTimer > 0) {
+			this.__Internal__Dont__Modify__.delayTimer -= delta;
+			if (this.__Internal__Dont__Modify__.delayTimer > 0) return;
+
+			//Carry over the remaining time
+			delta = -this.__Internal__Dont__Modify__.delayTimer;
+			this.__Internal__Dont__Modify__.delayTimer = 0;
+		}
+
+		//Read the starting values
+		if (!this.__Internal__Dont__Modify__.started) {
+			this.__Internal__Dont__Modify__.started = true;
+			this.readStartValues();
+
+			//Raise the start callback
+			if (this.__Internal__Dont__Modify__.onStart !== null) this.__Internal__Dont__Modify__.onStart(this);
+			if (!this.__Internal__Dont__Modify__.active) return;
+		}
+
+		//Progress the cycle
+		this.__Internal__Dont__Modify__.elapsed += delta;
+
+		//Check for completed cycles
+		while (this.__Internal__Dont__Modify__.elapsed >= this.__Internal__Dont__Modify__.duration) {
+			//Check if this is the final cycle
+			if (this.__Internal__Dont__Modify__.loopsRemaining === 0) {
+				//Set the end values
+				this.__Internal__Dont__Modify__.elapsed = this.__Internal__Dont__Modify__.duration;
+				this.apply(1);
+
+				//Flag the tween as finished
+				this.__Internal__Dont__Modify__.active = false;
+				this.__Internal__Dont__Modify__.finished = true;
+
+				//Raise the complete callback
+				if (this.__Internal__Dont__Modify__.onComplete !== null) this.__Internal__Dont__Modify__.onComplete(this);
+				return;
+			}
+
+			//Reduce the remaining loops
+			if (this.__Internal__Dont__Modify__.loopsRemaining > 0) this.__Internal__Dont__Modify__.loopsRemaining--;
+
+			//Start the next cycle
+			this.__Internal__Dont__Modify__.elapsed = (this.__Internal__Dont__Modify__.duration > 0 ? this.__Internal__Dont__Modify__.elapsed - this.__Internal__Dont__Modify__.duration : 0);
+			if (this.__Internal__Dont__Modify__.yoyo) this.__Internal__Dont__Modify__.reversed = !this.__Internal__Dont__Modify__.reversed;
+
+			//Raise the loop callback
+			if (this.__Internal__Dont__Modify__.onLoop !== null) this.__Internal__Dont__Modify__.onLoop(this);
+			if (!this.__Internal__Dont__Modify__.active) return;
+
+			//Cycles with no duration are only looped once per update
+			if (this.__Internal__Dont__Modify__.duration <= 0) break;
+		}
+
+		//Apply the values for the current point in the cycle
+		this.apply(this.progress);
+	},
+
+	/*
+		Tween : readStartValues - Store the current values of the target's properties as the starting points
+		18/10/2026
+	*/
+	readStartValues: function() {
+		//Loop through the values
+		for (var i = 0; i < this.__Internal__Dont__Modify__.values.length; i++) {
+			//Get the value information
+			var value = this.__Internal__Dont__Modify__.values[i];
+
+			//Get the current value of the property
+			var current = this.__Internal__Dont__Modify__.target[value.name];
+
+			//Check the current value matches the type of the end point
+			if (typeof value.end === "number" ? typeof current !== "number" : !(current instanceof value.end.constructor))
+				throw new Error("Can not tween the property '" + value.name + "' from " + current + " (Type: '" + typeof current + "') The current value must match the type of the end point");
+
+			//Store a copy of the value
+			value.start = (typeof current === "number" ? current : new current.constructor(current));
+		}
+	},
+
+	/*
+		Tween : apply - Set the target's properties to a point in the current cycle and raise the update callback
+		18/10/2026
+
+		param[in] pProgress - The un-eased progress through the cycle in the range of 0-1
+	*/
+	apply: function(pProgress) {
+		//Get the eased scale, flipped when playing in reverse
+		var t = this.__Internal__Dont__Modify__.ease(this.__Internal__Dont__Modify__.reversed ? 1 - pProgress : pProgress);
+
+		//Loop through the values
+		for (var i = 0; i < this.__Internal__Dont__Modify__.values.length; i++) {
+			//Get the value information
+			var value = this.__Internal__Dont__Modify__.values[i];
+
+			//Interpolate based on the type of value
+			if (typeof value.end === "number")
+				this.__Internal__Dont__Modify__.target[value.name] = Math.lerp(value.start, value.end, t);
+			else if (value.end instanceof Vec2)
+				this.__Internal__Dont__Modify__.target[value.name] = vec2Lerp(value.start, value.end, t);
+			else this.__Internal__Dont__Modify__.target[value.name] = colorLerp(value.start, value.end, t);
+		}
+
+		//Raise the update callback
+		if (this.__Internal__Dont__Modify__.onUpdate !== null) this.__Internal__Dont__Modify__.onUpdate(this);
+	},
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                  Easing Functions                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+	Easing - A collection of functions that take a linear scale in the range of 0-1 and return
+			 the eased scale. Values outside of 0-1 can be returned by the back and elastic curves
+	18/10/2026
+
+	Example:
+
+	//Ease a value in and out
+	var t = Easing.cubicInOut(progress);
+*/
+var Easing = {
+	linear: function(t) { return t; },
+
+	quadIn: function(t) { return t * t; },
+	quadOut: function(t) { return t * (2 - t); },
+	quadInOut: function(t) { return (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2); },
+
+	cubicIn: function(t) { return t * t * t; },
+	cubicOut: function(t) { return 1 - Math.pow(1 - t, 3); },
+	cubicInOut: function(t) { return (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2); },
+
+	quartIn: function(t) { return t * t * t * t; },
+	quartOut: function(t) { return 1 - Math.pow(1 - t, 4); },
+	quartInOut: function(t) { return (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2); },
+
+	quintIn: function(t) { return t * t * t * t * t; },
+	quintOut: function(t) { return 1 - Math.pow(1 - t, 5); },
+	quintInOut: function(t) { return (t < 0.5 ? 16 * t * t * t * t * t : 1 - Math.pow(-2 * t + 2, 5) / 2); },
+
+	sineIn: function(t) { return 1 - Math.cos(t * Math.PI / 2); },
+	sineOut: function(t) { return Math.sin(t * Math.PI / 2); },
+	sineInOut: function(t) { return -(Math.cos(Math.PI * t) - 1) / 2; },
+
+	expoIn: function(t) { return (t === 0 ? 0 : Math.pow(2, 10 * t - 10)); },
+	expoOut: function(t) { return (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)); },
+	expoInOut: function(t) {
+		if (t === 0 || t === 1) return t;
+		return (t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2);
+	},
+
+	circIn: function(t) { return 1 - Math.sqrt(1 - t * t); },
+	circOut: function(t) { return Math.sqrt(1 - Math.pow(t - 1, 2)); },
+	circInOut: function(t) {
+		return (t < 0.5 ? (1 - Math.sqrt(1 - Math.pow(2 * t, 2))) / 2 : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2);
+	},
+
+	backIn: function(t) { return 2.70158 * t * t * t - 1.70158 * t * t; },
+	backOut: function(t) { return 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2); },
+	backInOut: function(t) {
+		var c = 1.70158 * 1.525;
+		return (t < 0.5 ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2 : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2);
+	},
+
+	elasticIn: function(t) {
+		if (t === 0 || t === 1) return t;
+		return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI / 3));
+	},
+	elasticOut: function(t) {
+		if (t === 0 || t === 1) return t;
+		return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1;
+	},
+	elasticInOut: function(t) {
+		if (t === 0 || t === 1) return t;
+		var c = 2 * Math.PI / 4.5;
+		return (t < 0.5 ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c)) / 2 : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c)) / 2 + 1);
+	},
+
+	bounceIn: function(t) { return 1 - Easing.bounceOut(1 - t); },
+	bounceOut: function(t) {
+		if (t < 1 / 2.75) return 7.5625 * t * t;
+		else if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+		else if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+		return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+	},
+	bounceInOut: function(t) {
+		return (t < 0.5 ? (1 - Easing.bounceOut(1 - 2 * t)) / 2 : (1 + Easing.bounceOut(2 * t - 1)) / 2);
+	},
+};
\ No newline at end of file
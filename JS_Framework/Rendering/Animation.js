@@ -0,0 +1,501 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                               Mode Defines                                                 ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: AnimationMode
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the numerical values used to control how an Animation
+ *      behaves when it reaches the end of its frames
+ **/
+var AnimationMode = { ONCE: 0, LOOP: 1, PING_PONG: 2 };
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: Animation
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Sprite.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Step through a sequence of Sprite frames over time, raising
+ *      callbacks as frames change and the sequence loops or completes
+ **/
+
+/*
+    Animation : Constructor - Initialise with the frames and playback values
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the Animation with
+
+    Requires:
+    frames - An array of Sprite objects to step through
+
+    Optional:
+    frameDuration - The number of seconds each frame is displayed for (Default 0.1)
+    durations - An array of per frame durations in seconds, overriding frameDuration (Default null)
+    mode - An AnimationMode value (Default AnimationMode.LOOP)
+    speed - A multiplier applied to the elapsed time (Default 1)
+    autoPlay - Flags if the animation starts playing straight away (Default true)
+    onFrame - A function called with the Animation and new frame index when the frame changes (Default null)
+    onLoop - A function called with the Animation when the frames repeat (Default null)
+    onComplete - A function called with the Animation when an AnimationMode.ONCE animation ends (Default null)
+
+    Example:
+
+    //Create the run cycle animation once the sheet has been sliced
+    playerSheet.onLoad(function(pSheet) {
+        runAnim = new Animation({
+            frames: pSheet.getFrames("run_"),
+            frameDuration: 1 / 12
+        });
+    });
+*/
+function Animation(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    //Check there are frames to animate
+    if (!(pSetup["frames"] instanceof Array) || !pSetup["frames"].length)
+        throw new Error("Can not create an Animation using the frames " + pSetup["frames"] + " (Type: '" + typeof pSetup["frames"] + "') Please use a non-empty array of Sprite objects");
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the Animation.
+        Instead use Animation properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the frames to step through
+        frames: [],
+
+        //Store the duration of each frame in seconds
+        durations: [],
+
+        //Store the playback values
+        mode: AnimationMode.LOOP,
+        speed: 1,
+
+        //Store the playback state
+        index: 0,
+        timer: 0,
+        direction: 1,
+        playing: pSetup["autoPlay"] !== false,
+        finished: false,
+
+        //Store a map of frame indices to event callbacks
+        frameEvents: {},
+    };
+
+    //Get the default frame duration
+    var frameDuration = Validate.type(pSetup["frameDuration"], "number", 0.1);
+
+    //Get the per frame durations
+    var durations = Validate.instance(pSetup["durations"], Array, []);
+
+    //Loop through the frames
+    for (var i = 0; i < pSetup["frames"].length; i++) {
+        //Check the frame is a Sprite
+        if (!(pSetup["frames"][i] instanceof Sprite))
+            throw new Error("Can not create an Animation using the frame " + pSetup["frames"][i] + " (Type: '" + typeof pSetup["frames"][i] + "') Please use Sprite objects");
+
+        //Store the frame and its duration (Clamped to stop endless stepping)
+        this.__Internal__Dont__Modify__.frames.push(pSetup["frames"][i]);
+        this.__Internal__Dont__Modify__.durations.push(Math.max(0.001, Validate.type(durations[i], "number", frameDuration)));
+    }
+
+    //Set the playback values
+    if (typeof pSetup["mode"] === "number") this.mode = pSetup["mode"];
+    if (typeof pSetup["speed"] === "number") this.speed = pSetup["speed"];
+
+    //Set the callbacks
+    this.onFrame = Validate.type(pSetup["onFrame"], "function", null);
+    this.onLoop = Validate.type(pSetup["onLoop"], "function", null);
+    this.onComplete = Validate.type(pSetup["onComplete"], "function", null);
+};
+
+ExtendProperties(Animation, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Animation : currentFrame - Get the Sprite for the current frame
+        18/10/2026
+
+        return Sprite - Returns the current Sprite object
+
+        Example:
+
+        //Draw the current frame
+        Graphics.drawSprite(runAnim.currentFrame, playerTransform);
+    */
+    get currentFrame() {
+        return this.__Internal__Dont__Modify__.frames[this.__Internal__Dont__Modify__.index];
+    },
+
+    /*
+        Animation : frameIndex - Get the index of the current frame
+        18/10/2026
+
+        return number - Returns the index as a number
+    */
+    get frameIndex() {
+        return this.__Internal__Dont__Modify__.index;
+    },
+
+    /*
+        Animation : frameIndex - Jump to a specific frame, restarting its duration
+        18/10/2026
+
+        param[in] pIndex - The index of the frame to jump to (Clamped to the frame range)
+
+        Example:
+
+        //Start the swing from the wind up frame
+        attackAnim.frameIndex = 2;
+    */
+    set frameIndex(pIndex) {
+        this.__Internal__Dont__Modify__.index = Math.max(0, Math.min(this.__Internal__Dont__Modify__.frames.length - 1, Math.floor(Validate.type(pIndex, "number", 0))));
+        this.__Internal__Dont__Modify__.timer = 0;
+    },
+
+    /*
+        Animation : frameCount - Get the number of frames in the animation
+        18/10/2026
+
+        return number - Returns the number of frames as a number
+    */
+    get frameCount() {
+        return this.__Internal__Dont__Modify__.frames.length;
+    },
+
+    /*
+        Animation : duration - Get the time taken to play through every frame once
+        18/10/2026
+
+        return number - Returns the total duration in seconds (Ignoring speed)
+    */
+    get duration() {
+        //Sum the frame durations
+        var total = 0;
+        for (var i = 0; i < this.__Internal__Dont__Modify__.durations.length; i++)
+            total += this.__Internal__Dont__Modify__.durations[i];
+
+        //Return the total
+        return total;
+    },
+
+    /*
+        Animation : mode - Get the AnimationMode the animation is using
+        18/10/2026
+
+        return number - Returns an AnimationMode value
+    */
+    get mode() {
+        return this.__Internal__Dont__Modify__.mode;
+    },
+
+    /*
+        Animation : mode - Set the AnimationMode the animation is using
+        18/10/2026
+
+        param[in] pMode - An AnimationMode value
+
+        Example:
+
+        //Bounce the idle animation back and forth
+        idleAnim.mode = AnimationMode.PING_PONG;
+    */
+    set mode(pMode) {
+        //Check the mode is valid
+        if (pMode !== AnimationMode.ONCE && pMode !== AnimationMode.LOOP && pMode !== AnimationMode.PING_PONG)
+            throw new Error("Can not set the Animation mode to " + pMode + " (Type: '" + typeof pMode + "') Please use an AnimationMode value");
+
+        //Save the mode
+        this.__Internal__Dont__Modify__.mode = pMode;
+    },
+
+    /*
+        Animation : speed - Get the multiplier applied to the elapsed time
+        18/10/2026
+
+        return number - Returns the speed as a number
+    */
+    get speed() {
+        return this.__Internal__Dont__Modify__.speed;
+    },
+
+    /*
+        Animation : speed - Set the multiplier applied to the elapsed time
+        18/10/2026
+
+        param[in] pSpeed - The multiplier to use (Clamped to 0 or greater)
+
+        Example:
+
+        //Play the run cycle faster while sprinting
+        runAnim.speed = 1.5;
+    */
+    set speed(pSpeed) {
+        this.__Internal__Dont__Modify__.speed = Math.max(0, Validate.type(pSpeed, "number", 1));
+    },
+
+    /*
+        Animation : playing - Get the flag indicating if the animation is playing
+        18/10/2026
+
+        return bool - Returns true if the animation will advance when updated
+    */
+    get playing() {
+        return this.__Internal__Dont__Modify__.playing;
+    },
+
+    /*
+        Animation : finished - Get the flag indicating if an AnimationMode.ONCE animation has ended
+        18/10/2026
+
+        return bool - Returns true if the animation has reached its final frame
+    */
+    get finished() {
+        return this.__Internal__Dont__Modify__.finished;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Animation : play - Resume the animation, restarting it if it has finished
+        18/10/2026
+
+        Example:
+
+        //Start the attack
+        attackAnim.play();
+    */
+    play: function() {
+        //Restart a finished animation
+        if (this.__Internal__Dont__Modify__.finished) this.reset();
+
+        //Flag as playing
+        this.__Internal__Dont__Modify__.playing = true;
+    },
+
+    /*
+        Animation : pause - Stop the animation advancing on the current frame
+        18/10/2026
+
+        Example:
+
+        //Freeze the player
+        runAnim.pause();
+    */
+    pause: function() {
+        this.__Internal__Dont__Modify__.playing = false;
+    },
+
+    /*
+        Animation : stop - Stop the animation and return to the first frame
+        18/10/2026
+
+        Example:
+
+        //Stop the run cycle
+        runAnim.stop();
+    */
+    stop: function() {
+        this.reset();
+        this.__Internal__Dont__Modify__.playing = false;
+    },
+
+    /*
+        Animation : reset - Return the animation to the first frame without changing if it is playing
+        18/10/2026
+
+        Example:
+
+        //Restart the attack
+        attackAnim.reset();
+    */
+    reset: function() {
+        this.__Internal__Dont__Modify__.index = 0;
+        this.__Internal__Dont__Modify__.timer = 0;
+        this.__Internal__Dont__Modify__.direction = 1;
+        this.__Internal__Dont__Modify__.finished = false;
+    },
+
+    /*
+        Animation : addFrameEvent - Add a callback to be raised when a specific frame is reached
+        18/10/2026
+
+        param[in] pIndex - The index of the frame to raise the callback on
+        param[in] pCB - A function that accepts the Animation and frame index
+
+        return bool - Returns true if the callback was added
+
+        Example:
+
+        //Play a footstep sound when the foot lands
+        runAnim.addFrameEvent(3, function(pAnim, pIndex) {
+            footstepSound.play();
+        });
+    */
+    addFrameEvent: function(pIndex, pCB) {
+        //Check the callback is a function
+        if (typeof pCB !== "function")
+            throw new Error("Can not add a frame event using " + pCB + " (Type: '" + typeof pCB + "') Please use a function that accepts the Animation and frame index");
+
+        //Check the index is in range
+        if (typeof pIndex !== "number" || pIndex < 0 || pIndex >= this.__Internal__Dont__Modify__.frames.length) return false;
+
+        //Create the list if needed
+        if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.frameEvents, pIndex))
+            this.__Internal__Dont__Modify__.frameEvents[pIndex] = [];
+
+        //Check the callback is not already added
+        if (this.__Internal__Dont__Modify__.frameEvents[pIndex].indexOf(pCB) !== -1) return false;
+
+        //Add the callback
+        this.__Internal__Dont__Modify__.frameEvents[pIndex].push(pCB);
+        return true;
+    },
+
+    /*
+        Animation : removeFrameEvent - Remove a callback raised on a specific frame
+        18/10/2026
+
+        param[in] pIndex - The index of the frame the callback was added to
+        param[in] pCB - The function to remove
+
+        return bool - Returns true if the callback was removed
+
+        Example:
+
+        //Silence the footsteps
+        runAnim.removeFrameEvent(3, footstepCallback);
+    */
+    removeFrameEvent: function(pIndex, pCB) {
+        //Check the index has events
+        if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.frameEvents, pIndex)) return false;
+
+        //Find the callback
+        var ind = this.__Internal__Dont__Modify__.frameEvents[pIndex].indexOf(pCB);
+
+        //Check the callback was found
+        if (ind === -1) return false;
+
+        //Remove the callback
+        this.__Internal__Dont__Modify__.frameEvents[pIndex].splice(ind, 1);
+        return true;
+    },
+
+    /*
+        Animation : update - Advance the animation by the elapsed time
+        18/10/2026
+
+        param[in] pDelta - The number of seconds that have passed since the last update
+
+        Example:
+
+        //Update the run cycle
+        runAnim.update(Time.deltaTime);
+    */
+    update: function(pDelta) {
+        //Check the animation is advancing
+        if (!this.__Internal__Dont__Modify__.playing || this.__Internal__Dont__Modify__.finished) return;
+
+        //Add the elapsed time
+        this.__Internal__Dont__Modify__.timer += Validate.type(pDelta, "number", 0) * this.__Internal__Dont__Modify__.speed;
+
+        //Step through the frames that have elapsed
+        while (this.__Internal__Dont__Modify__.timer >= this.__Internal__Dont__Modify__.durations[this.__Internal__Dont__Modify__.index]) {
+            //Remove the frame duration
+            this.__Internal__Dont__Modify__.timer -= this.__Internal__Dont__Modify__.durations[this.__Internal__Dont__Modify__.index];
+
+            //Move to the next frame
+            if (!this.advance()) break;
+        }
+    },
+
+    /*
+        Animation : advance - Move to the next frame based on the mode and direction
+        18/10/2026
+
+        return bool - Returns true if the animation is still playing
+    */
+    advance: function() {
+        //Get the frame count
+        var count = this.__Internal__Dont__Modify__.frames.length;
+
+        //Find the next frame
+        var next = this.__Internal__Dont__Modify__.index + this.__Internal__Dont__Modify__.direction;
+
+        //Check if the end of the frames has been passed
+        if (next >= count || next < 0) {
+            //Switch on the mode
+            switch (this.__Internal__Dont__Modify__.mode) {
+                case AnimationMode.ONCE:
+                    //Finish on the last frame
+                    this.__Internal__Dont__Modify__.finished = true;
+                    this.__Internal__Dont__Modify__.playing = false;
+                    this.__Internal__Dont__Modify__.timer = 0;
+
+                    //Raise the complete callback
+                    if (this.onComplete !== null) this.onComplete(this);
+                    return false;
+
+                case AnimationMode.LOOP:
+                    //Return to the first frame
+                    next = 0;
+
+                    //Raise the loop callback
+                    if (this.onLoop !== null) this.onLoop(this);
+                    break;
+
+                case AnimationMode.PING_PONG:
+                    //Reverse the direction
+                    this.__Internal__Dont__Modify__.direction *= -1;
+                    next = Math.max(0, Math.min(count - 1, this.__Internal__Dont__Modify__.index + this.__Internal__Dont__Modify__.direction));
+
+                    //Raise the loop callback once back at the start
+                    if (this.__Internal__Dont__Modify__.direction === 1 && this.onLoop !== null) this.onLoop(this);
+                    break;
+            }
+        }
+
+        //Set the new frame
+        this.__Internal__Dont__Modify__.index = next;
+
+        //Raise the frame callback
+        if (this.onFrame !== null) this.onFrame(this, next);
+
+        //Raise the frame events
+        if (Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.frameEvents, next)) {
+            var events = this.__Internal__Dont__Modify__.frameEvents[next].slice();
+            for (var i = 0; i < events.length; i++)
+                events[i](this, next);
+        }
+
+        //Return the playing state
+        return this.__Internal__Dont__Modify__.playing && !this.__Internal__Dont__Modify__.finished;
+    },
+});
\ No newline at end of file
@@ -0,0 +1,529 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: BitmapFont
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Vec2.js, Color.js, Graphics.js (TextAlign), ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Render text from glyphs packed into images, as described by
+ *      the BMFont format. The text, XML and JSON variants of the
+ *      descriptor are supported, including kerning pairs and fonts
+ *      spread over multiple page images
+ **/
+
+/*
+    BitmapFont : Constructor - Initialise with the font descriptor and page images
+    18/10/2026
+
+    param[in] pSetup - An optional object containing the values to setup the BitmapFont with
+
+    Optional:
+    data - The descriptor as a string (Text, XML or JSON) or parsed JSON object (Default null)
+    pages - An array of Image (Or canvas) objects for each page of the font (Default [])
+    image - A single Image object used as the first page, in place of pages (Default null)
+
+    Example:
+
+    //Load the font through Graphics
+    Graphics.loadBitmapFont("Fonts/pixel.fnt", {
+        success: function(pFont) {
+            pixelFont = pFont;
+        }
+    });
+    OR
+    //Create the font from an already loaded descriptor and image
+    var pixelFont = new BitmapFont({ data: pixelFontText, image: pixelFontImage });
+*/
+function BitmapFont(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the BitmapFont.
+        Instead use BitmapFont properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the font information
+        face: "",
+        size: 0,
+        lineHeight: 0,
+        base: 0,
+
+        //Store the file names of the pages named by the descriptor
+        pageFiles: [],
+
+        //Store the page images
+        pages: [],
+
+        //Store a map of the glyphs by character code
+        glyphs: {},
+        glyphCount: 0,
+
+        //Store a map of the kerning amounts by the first and second character codes
+        kernings: {},
+
+        //Store the tinted copies of the pages
+        tints: {},
+    };
+
+    //Set the page images
+    if (pSetup["pages"] instanceof Array) {
+        for (var i = 0; i < pSetup["pages"].length; i++)
+            this.setPage(i, pSetup["pages"][i]);
+    } else if (typeof pSetup["image"] === "object" && pSetup["image"] !== null)
+        this.setPage(0, pSetup["image"]);
+
+    //Parse the descriptor if it was supplied
+    if (typeof pSetup["data"] === "string" || (typeof pSetup["data"] === "object" && pSetup["data"] !== null))
+        this.parse(pSetup["data"]);
+};
+
+ExtendProperties(BitmapFont, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        BitmapFont : face - Get the name of the font the glyphs were created from
+        18/10/2026
+
+        return string - Returns the face name as a string
+    */
+    get face() {
+        return this.__Internal__Dont__Modify__.face;
+    },
+
+    /*
+        BitmapFont : size - Get the size the glyphs were created at
+        18/10/2026
+
+        return number - Returns the size in pixels as a number
+    */
+    get size() {
+        return this.__Internal__Dont__Modify__.size;
+    },
+
+    /*
+        BitmapFont : lineHeight - Get the distance between lines of text
+        18/10/2026
+
+        return number - Returns the line height in pixels as a number
+    */
+    get lineHeight() {
+        return this.__Internal__Dont__Modify__.lineHeight;
+    },
+
+    /*
+        BitmapFont : base - Get the distance from the top of a line to the baseline
+        18/10/2026
+
+        return number - Returns the base in pixels as a number
+    */
+    get base() {
+        return this.__Internal__Dont__Modify__.base;
+    },
+
+    /*
+        BitmapFont : pageFiles - Get the file names of the page images named by the descriptor
+        18/10/2026
+
+        return array - Returns a copy of the array of file name strings
+    */
+    get pageFiles() {
+        return this.__Internal__Dont__Modify__.pageFiles.slice();
+    },
+
+    /*
+        BitmapFont : glyphCount - Get the number of glyphs in the font
+        18/10/2026
+
+        return number - Returns the glyph count as a number
+    */
+    get glyphCount() {
+        return this.__Internal__Dont__Modify__.glyphCount;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Font Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        BitmapFont : parse - Read the font information, glyphs and kerning pairs from a descriptor
+        18/10/2026
+
+        param[in] pData - The descriptor as a string (Text, XML or JSON) or parsed JSON object
+
+        return number - Returns the number of glyphs that were read
+
+        Example:
+
+        //Add the glyphs from the descriptor
+        font.parse(fontText);
+    */
+    parse: function(pData) {
+        //Parse JSON descriptors
+        if (typeof pData === "string" && /^\s*\{/.test(pData)) pData = JSON.parse(pData);
+
+        //Store the blocks of the descriptor
+        var blocks = { info: {}, common: {}, page: [], char: [], kerning: [] };
+
+        //Read the blocks from a text or XML descriptor
+        if (typeof pData === "string") {
+            //Find each of the tags
+            var tagPattern = /(?:^|<)[ \t]*(info|common|page|char|kerning)[ \t]+([^\n<>]*)/gm;
+            var attributePattern = /(\w+)=(?:"([^"]*)"|([^\s\/]+))/g;
+            var tag;
+            while ((tag = tagPattern.exec(pData)) !== null) {
+                //Read the attributes of the tag
+                var attributes = {};
+                var attribute;
+                while ((attribute = attributePattern.exec(tag[2])) !== null)
+                    attributes[attribute[1]] = (typeof attribute[2] === "string" ? attribute[2] : attribute[3]);
+
+                //Store the tag
+                if (blocks[tag[1]] instanceof Array) blocks[tag[1]].push(attributes);
+                else blocks[tag[1]] = attributes;
+            }
+        }
+
+        //Read the blocks from a JSON descriptor
+        else if (typeof pData === "object" && pData !== null) {
+            blocks.info = Validate.type(pData["info"], "object", null) || {};
+            blocks.common = Validate.type(pData["common"], "object", null) || {};
+            blocks.char = (pData["chars"] instanceof Array ? pData["chars"] : []);
+            blocks.kerning = (pData["kernings"] instanceof Array ? pData["kernings"] : []);
+
+            //Pages are stored as an array of file names
+            if (pData["pages"] instanceof Array) {
+                for (var i = 0; i < pData["pages"].length; i++)
+                    blocks.page.push({ id: i, file: pData["pages"][i] });
+            }
+        }
+
+        //Otherwise the descriptor is invalid
+        else throw new Error("Can not parse the BitmapFont data " + pData + " (Type: '" + typeof pData + "') Please use a BMFont descriptor string or parsed JSON object");
+
+        //Check there are glyphs to read
+        if (!blocks.char.length)
+            throw new Error("Can not parse the BitmapFont data as it does not contain any 'char' entries. Please use a BMFont descriptor");
+
+        //Store the font information
+        this.__Internal__Dont__Modify__.face = String(Validate.type(blocks.info["face"], "string", this.__Internal__Dont__Modify__.face));
+        this.__Internal__Dont__Modify__.size = Math.abs(Number(blocks.info["size"]) || this.__Internal__Dont__Modify__.size);
+        this.__Internal__Dont__Modify__.lineHeight = Number(blocks.common["lineHeight"]) || this.__Internal__Dont__Modify__.lineHeight;
+        this.__Internal__Dont__Modify__.base = Number(blocks.common["base"]) || this.__Internal__Dont__Modify__.base;
+
+        //Store the page file names
+        for (var i = 0; i < blocks.page.length; i++)
+            this.__Internal__Dont__Modify__.pageFiles[Number(blocks.page[i]["id"]) || 0] = String(blocks.page[i]["file"]);
+
+        //Store the glyphs
+        for (var i = 0; i < blocks.char.length; i++) {
+            //Get the character code
+            var code = Number(blocks.char[i]["id"]);
+
+            //Count new glyphs
+            if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.glyphs, code))
+                this.__Internal__Dont__Modify__.glyphCount++;
+
+            //Store the glyph
+            this.__Internal__Dont__Modify__.glyphs[code] = {
+                x: Number(blocks.char[i]["x"]) || 0,
+                y: Number(blocks.char[i]["y"]) || 0,
+                width: Number(blocks.char[i]["width"]) || 0,
+                height: Number(blocks.char[i]["height"]) || 0,
+                xoffset: Number(blocks.char[i]["xoffset"]) || 0,
+                yoffset: Number(blocks.char[i]["yoffset"]) || 0,
+                xadvance: Number(blocks.char[i]["xadvance"]) || 0,
+                page: Number(blocks.char[i]["page"]) || 0
+            };
+        }
+
+        //Store the kerning pairs
+        for (var i = 0; i < blocks.kerning.length; i++) {
+            var first = Number(blocks.kerning[i]["first"]);
+            if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.kernings, first))
+                this.__Internal__Dont__Modify__.kernings[first] = {};
+            this.__Internal__Dont__Modify__.kernings[first][Number(blocks.kerning[i]["second"])] = Number(blocks.kerning[i]["amount"]) || 0;
+        }
+
+        //Fall back to the glyph heights when there is no line information
+        if (!this.__Internal__Dont__Modify__.lineHeight || !this.__Internal__Dont__Modify__.base) {
+            var tallest = 0;
+            for (var code in this.__Internal__Dont__Modify__.glyphs)
+                tallest = Math.max(tallest, this.__Internal__Dont__Modify__.glyphs[code].yoffset + this.__Internal__Dont__Modify__.glyphs[code].height);
+            if (!this.__Internal__Dont__Modify__.lineHeight) this.__Internal__Dont__Modify__.lineHeight = tallest;
+            if (!this.__Internal__Dont__Modify__.base) this.__Internal__Dont__Modify__.base = tallest;
+        }
+
+        //Return the number of glyphs read
+        return blocks.char.length;
+    },
+
+    /*
+        BitmapFont : setPage - Set the image for a page of the font
+        18/10/2026
+
+        param[in] pIndex - The index of the page
+        param[in] pImage - An Image (Or canvas) object holding the glyphs of the page
+    */
+    setPage: function(pIndex, pImage) {
+        //Check the image is an object
+        if (typeof pImage !== "object" || pImage === null)
+            throw new Error("Can not set the BitmapFont page " + pIndex + " to " + pImage + " (Type: '" + typeof pImage + "') Please use an Image object");
+
+        //Set the page
+        this.__Internal__Dont__Modify__.pages[pIndex] = pImage;
+
+        //Remove the tinted copies of the old image
+        this.__Internal__Dont__Modify__.tints = {};
+    },
+
+    /*
+        BitmapFont : getPage - Get the image for a page of the font
+        18/10/2026
+
+        param[in] pIndex - The index of the page
+
+        return Image - Returns the Image object or null if the page has not been set
+    */
+    getPage: function(pIndex) {
+        return this.__Internal__Dont__Modify__.pages[pIndex] || null;
+    },
+
+    /*
+        BitmapFont : getGlyph - Get the description of the glyph for a character
+        18/10/2026
+
+        param[in] pCode - The character code or a string whose first character is used
+
+        return object - Returns the glyph object ("x", "y", "width", "height", "xoffset", "yoffset", "xadvance"
+                        and "page") or null if the font has no glyph for the character
+    */
+    getGlyph: function(pCode) {
+        //Get the character code
+        if (typeof pCode === "string") pCode = pCode.codePointAt(0);
+
+        //Return the glyph
+        return (Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.glyphs, pCode) ?
+            this.__Internal__Dont__Modify__.glyphs[pCode] : null);
+    },
+
+    /*
+        BitmapFont : getKerning - Get the adjustment to the advance between two characters
+        18/10/2026
+
+        param[in] pFirst - The character code of the first character
+        param[in] pSecond - The character code of the second character
+
+        return number - Returns the adjustment in pixels (0 when there is no kerning pair)
+    */
+    getKerning: function(pFirst, pSecond) {
+        //Get the pairs for the first character
+        var pairs = this.__Internal__Dont__Modify__.kernings[pFirst];
+
+        //Return the amount
+        return (pairs && Object.prototype.hasOwnProperty.call(pairs, pSecond) ? pairs[pSecond] : 0);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        BitmapFont : measureText - Get the dimensions of a block of text
+        18/10/2026
+
+        param[in] pText - The text to measure (Lines are separated by "\n")
+        param[in] pScale - The scale the text is drawn at (Default 1)
+
+        return Vec2 - Returns a Vec2 object holding the width of the widest line and the total height
+
+        Example:
+
+        //Center the title on the screen
+        var size = titleFont.measureText("GAME OVER", 4);
+    */
+    measureText: function(pText, pScale) {
+        //Get the scale
+        pScale = Validate.type(pScale, "number", 1);
+
+        //Find the widest line
+        var lines = String(pText).split("\n");
+        var width = 0;
+        for (var i = 0; i < lines.length; i++)
+            width = Math.max(width, this.measureLine(lines[i]));
+
+        //Return the dimensions
+        return new Vec2(width * pScale, lines.length * this.__Internal__Dont__Modify__.lineHeight * pScale);
+    },
+
+    /*
+        BitmapFont : drawText - Render a block of text
+        18/10/2026
+
+        param[in] pDraw - The 2D context to render to
+        param[in] pText - The text to render (Lines are separated by "\n")
+        param[in] pX - The X position to render the text at
+        param[in] pY - The Y position of the baseline of the first line (Matching fillText)
+        param[in] pSetup - An optional object containing the render options
+
+        Optional:
+        scale - The scale to render the glyphs at (Default 1)
+        color - A Color object or color string to tint the glyphs with (Default null, untinted)
+        align - A TextAlign value indicating how lines are aligned to pX (Default TextAlign.LEFT)
+        smooth - Flags if the glyphs are smoothed when scaled (Default false, keeping pixel art crisp)
+
+        Example:
+
+        //Render the score at four times the size
+        scoreFont.drawText(Graphics.draw, "SCORE " + score, 10, 40, { scale: 4, color: "#FF0" });
+    */
+    drawText: function(pDraw, pText, pX, pY, pSetup) {
+        //Clean the setup object
+        pSetup = Validate.type(pSetup, "object", null) || {};
+
+        //Get the render options
+        var scale = Validate.type(pSetup["scale"], "number", 1);
+        var align = Validate.type(pSetup["align"], "number", TextAlign.LEFT);
+        var color = (pSetup["color"] instanceof Color ? pSetup["color"].rgba : Validate.type(pSetup["color"], "string", null));
+
+        //Set the smoothing
+        pDraw.save();
+        pDraw.imageSmoothingEnabled = pSetup["smooth"] === true;
+
+        //Loop through the lines
+        var lines = String(pText).split("\n");
+        for (var i = 0; i < lines.length; i++) {
+            //Find the start of the line
+            var x = pX;
+            if (align === TextAlign.CENTER) x -= this.measureLine(lines[i]) * scale / 2;
+            else if (align === TextAlign.RIGHT) x -= this.measureLine(lines[i]) * scale;
+
+            //Find the top of the line
+            var top = pY + (i * this.__Internal__Dont__Modify__.lineHeight - this.__Internal__Dont__Modify__.base) * scale;
+
+            //Loop through the characters
+            var previous = null;
+            for (var j = 0; j < lines[i].length; j++) {
+                //Get the character code (Skipping the second half of surrogate pairs)
+                var code = lines[i].codePointAt(j);
+                if (code > 0xFFFF) j++;
+
+                //Get the glyph (Falling back to a question mark)
+                var glyph = this.getGlyph(code) || this.getGlyph(63);
+                if (glyph === null) continue;
+
+                //Apply the kerning
+                if (previous !== null) x += this.getKerning(previous, code) * scale;
+                previous = code;
+
+                //Render the glyph
+                var image = this.getTintedPage(glyph.page, color);
+                if (image !== null && glyph.width > 0 && glyph.height > 0)
+                    pDraw.drawImage(image, glyph.x, glyph.y, glyph.width, glyph.height,
+                        x + glyph.xoffset * scale, top + glyph.yoffset * scale, glyph.width * scale, glyph.height * scale);
+
+                //Advance to the next character
+                x += glyph.xadvance * scale;
+            }
+        }
+
+        //Restore the context values
+        pDraw.restore();
+    },
+
+    /*
+        BitmapFont : measureLine - Get the unscaled width of a single line of text
+        18/10/2026
+
+        param[in] pLine - The line of text to measure
+
+        return number - Returns the width in pixels as a number
+    */
+    measureLine: function(pLine) {
+        //Track the width and previous character
+        var width = 0;
+        var previous = null;
+
+        //Loop through the characters
+        for (var i = 0; i < pLine.length; i++) {
+            //Get the character code
+            var code = pLine.codePointAt(i);
+            if (code > 0xFFFF) i++;
+
+            //Get the glyph
+            var glyph = this.getGlyph(code) || this.getGlyph(63);
+            if (glyph === null) continue;
+
+            //Add the advance and kerning
+            if (previous !== null) width += this.getKerning(previous, code);
+            width += glyph.xadvance;
+            previous = code;
+        }
+
+        //Return the width
+        return width;
+    },
+
+    /*
+        BitmapFont : getTintedPage - Get the image for a page multiplied by a color
+        18/10/2026
+
+        param[in] pIndex - The index of the page
+        param[in] pColor - A color string to tint with (Or null for the original image)
+
+        return Image - Returns the Image or canvas object, or null if the page has not been set. The
+                       original image is returned when tinting is not possible (E.g. without a document)
+    */
+    getTintedPage: function(pIndex, pColor) {
+        //Get the page
+        var image = this.getPage(pIndex);
+
+        //Check the page can be tinted
+        if (image === null || pColor === null || typeof document === "undefined" || !image.width || !image.height)
+            return image;
+
+        //Check for a previous copy
+        var key = pIndex + "|" + pColor;
+        if (!Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.tints, key)) {
+            //Create the canvas
+            var canvas = document.createElement("canvas");
+            canvas.width = image.width;
+            canvas.height = image.height;
+            var draw = canvas.getContext("2d");
+
+            //Multiply the glyphs by the color, keeping their transparency
+            draw.drawImage(image, 0, 0);
+            draw.globalCompositeOperation = "multiply";
+            draw.fillStyle = pColor;
+            draw.fillRect(0, 0, canvas.width, canvas.height);
+            draw.globalCompositeOperation = "destination-in";
+            draw.drawImage(image, 0, 0);
+
+            //Save the copy
+            this.__Internal__Dont__Modify__.tints[key] = canvas;
+        }
+
+        //Return the copy
+        return this.__Internal__Dont__Modify__.tints[key];
+    },
+});
\ No newline at end of file
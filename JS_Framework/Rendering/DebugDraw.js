@@ -0,0 +1,545 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Debug Defines                                              ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: DebugSpace
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the coordinate spaces DebugDraw primitives can be
+ *      positioned in. WORLD positions are transformed by the camera
+ *      of the DebugDraw object, SCREEN positions are canvas pixels
+ **/
+var DebugSpace = { WORLD: 0, SCREEN: 1 };
+
+/*
+ *      Name: DEBUG_DRAW_ENABLED
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Toggle all DebugDraw objects. When false primitives are
+ *      ignored as they are added, so debug calls can be left in
+ *      release builds at almost no cost
+ *
+ *      Example:
+ *
+ *      //Turn off debug drawing for the release build
+ *      DEBUG_DRAW_ENABLED = false;
+ **/
+var DEBUG_DRAW_ENABLED = true;
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: DebugDraw
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Vec2.js, Mat3.js, Color.js, Camera.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Retain simple debugging primitives (lines, arrows, circles,
+ *      rectangles, polygons, crosses and text) that are drawn over
+ *      the frame for a single frame or a number of seconds. Line
+ *      widths and text sizes are in pixels regardless of the camera
+ **/
+
+/*
+    DebugDraw : Constructor - Initialise with default values
+    18/10/2026
+
+    param[in] pSetup - An optional object containing the values to setup the DebugDraw with
+
+    Optional:
+    camera - The Camera object used to transform WORLD space primitives (Default null, treating
+             world positions as canvas pixels)
+    color - The default Color object or color string of the primitives (Default "#0F0")
+    font - The default font of text primitives (Default "12px monospace")
+
+    Example:
+
+    //Draw the collision boxes through the world camera (Normally done via Graphics.debug)
+    Graphics.debug.camera = worldCam;
+    Graphics.debug.rect(player.position, player.size);
+*/
+function DebugDraw(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the DebugDraw.
+        Instead use DebugDraw properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the camera used for world space primitives
+        camera: Validate.instance(pSetup["camera"], Camera, null),
+
+        //Store the default appearance values
+        color: "#0F0",
+        font: Validate.type(pSetup["font"], "string", "12px monospace"),
+
+        //Store the primitives waiting to be drawn
+        primitives: [],
+    };
+
+    //Set the default color
+    if (pSetup["color"] instanceof Color || typeof pSetup["color"] === "string")
+        this.color = pSetup["color"];
+};
+
+ExtendProperties(DebugDraw, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        DebugDraw : camera - Get the Camera used to transform WORLD space primitives
+        18/10/2026
+
+        return Camera - Returns the Camera object or null if there is none
+    */
+    get camera() {
+        return this.__Internal__Dont__Modify__.camera;
+    },
+
+    /*
+        DebugDraw : camera - Set the Camera used to transform WORLD space primitives
+        18/10/2026
+
+        param[in] pCamera - A Camera object or null to treat world positions as canvas pixels
+
+        Example:
+
+        //Follow the player camera
+        Graphics.debug.camera = playerCam;
+    */
+    set camera(pCamera) {
+        //Check the camera is valid
+        if (pCamera !== null && !(pCamera instanceof Camera))
+            throw new Error("Can not set the DebugDraw camera to " + pCamera + " (Type: '" + typeof pCamera + "') Please use a Camera object or null");
+
+        //Save the camera
+        this.__Internal__Dont__Modify__.camera = pCamera;
+    },
+
+    /*
+        DebugDraw : color - Get the default color of the primitives
+        18/10/2026
+
+        return string - Returns the color as a color string
+    */
+    get color() {
+        return this.__Internal__Dont__Modify__.color;
+    },
+
+    /*
+        DebugDraw : color - Set the default color of the primitives
+        18/10/2026
+
+        param[in] pColor - A Color object or color string
+
+        Example:
+
+        //Draw the debug information in magenta
+        Graphics.debug.color = "#F0F";
+    */
+    set color(pColor) {
+        this.__Internal__Dont__Modify__.color = this.toColorString(pColor, null);
+    },
+
+    /*
+        DebugDraw : count - Get the number of primitives waiting to be drawn
+        18/10/2026
+
+        return number - Returns the primitive count as a number
+    */
+    get count() {
+        return this.__Internal__Dont__Modify__.primitives.length;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                              Primitive Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        DebugDraw : line - Add a line between two points
+        18/10/2026
+
+        param[in] pStart - A Vec2 object holding the start of the line
+        param[in] pEnd - A Vec2 object holding the end of the line
+        param[in] pOptions - An optional object containing the "color", "lifetime" in seconds (Default 0, a
+                             single frame), "space" (Default DebugSpace.WORLD) and pixel "width" (Default 1)
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+
+        Example:
+
+        //Show the line of sight for two seconds
+        Graphics.debug.line(enemy.position, player.position, { color: "#F00", lifetime: 2 });
+    */
+    line: function(pStart, pEnd, pOptions) {
+        return this.addPrimitive("line", [pStart, pEnd], pOptions);
+    },
+
+    /*
+        DebugDraw : arrow - Add a line between two points with a head at the end
+        18/10/2026
+
+        param[in] pStart - A Vec2 object holding the start of the arrow
+        param[in] pEnd - A Vec2 object holding the point of the arrow
+        param[in] pOptions - An optional object containing the "color", "lifetime", "space", "width" and
+                             pixel "headSize" (Default 8)
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+
+        Example:
+
+        //Show the player velocity
+        Graphics.debug.arrow(player.position, player.position.add(player.velocity));
+    */
+    arrow: function(pStart, pEnd, pOptions) {
+        return this.addPrimitive("arrow", [pStart, pEnd], pOptions);
+    },
+
+    /*
+        DebugDraw : circle - Add a circle around a point
+        18/10/2026
+
+        param[in] pCenter - A Vec2 object holding the center of the circle
+        param[in] pRadius - The radius of the circle in the units of its space
+        param[in] pOptions - An optional object containing the "color", "lifetime", "space", "width" and a
+                             "fill" flag (Default false)
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+
+        Example:
+
+        //Show the explosion radius
+        Graphics.debug.circle(bomb.position, bomb.radius, { lifetime: 0.5 });
+    */
+    circle: function(pCenter, pRadius, pOptions) {
+        //Check the radius is a number
+        if (typeof pRadius !== "number")
+            throw new Error("Can not add a DebugDraw circle with the radius " + pRadius + " (Type: '" + typeof pRadius + "') Please use a number");
+
+        //Add the circle with a point on the edge to find the transformed radius from
+        return this.addPrimitive("circle", [pCenter, new Vec2(pCenter.x + pRadius, pCenter.y)], pOptions);
+    },
+
+    /*
+        DebugDraw : rect - Add an axis aligned rectangle
+        18/10/2026
+
+        param[in] pPosition - A Vec2 object holding the top left corner of the rectangle
+        param[in] pSize - A Vec2 object holding the width and height of the rectangle
+        param[in] pOptions - An optional object containing the "color", "lifetime", "space", "width" and
+                             "fill" flag
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+
+        Example:
+
+        //Show the collision box
+        Graphics.debug.rect(box.min, box.max.subtract(box.min));
+    */
+    rect: function(pPosition, pSize, pOptions) {
+        //Check the values are Vec2 objects
+        if (!(pPosition instanceof Vec2) || !(pSize instanceof Vec2))
+            throw new Error("Can not add a DebugDraw rect at " + pPosition + " with the size " + pSize + " Please use Vec2 objects");
+
+        //Add the corners of the rectangle
+        return this.addPrimitive("polygon", [
+            pPosition,
+            new Vec2(pPosition.x + pSize.x, pPosition.y),
+            new Vec2(pPosition.x + pSize.x, pPosition.y + pSize.y),
+            new Vec2(pPosition.x, pPosition.y + pSize.y)
+        ], pOptions);
+    },
+
+    /*
+        DebugDraw : polygon - Add a shape or path through a list of points
+        18/10/2026
+
+        param[in] pPoints - An array of Vec2 objects holding the points in order
+        param[in] pOptions - An optional object containing the "color", "lifetime", "space", "width", "fill"
+                             flag and a "closed" flag to join the last point to the first (Default true)
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+
+        Example:
+
+        //Show the path the enemy is following
+        Graphics.debug.polygon(enemy.path, { closed: false, color: "#FF0" });
+    */
+    polygon: function(pPoints, pOptions) {
+        //Check the points are in an array
+        if (!(pPoints instanceof Array))
+            throw new Error("Can not add a DebugDraw polygon with the points " + pPoints + " (Type: '" + typeof pPoints + "') Please use an array of Vec2 objects");
+
+        //Add the path
+        return this.addPrimitive((Validate.type(pOptions, "object", null) || {})["closed"] === false ? "path" : "polygon", pPoints, pOptions);
+    },
+
+    /*
+        DebugDraw : cross - Add a cross marking a point
+        18/10/2026
+
+        param[in] pPoint - A Vec2 object holding the point to mark
+        param[in] pOptions - An optional object containing the "color", "lifetime", "space", "width" and
+                             pixel "size" of the cross (Default 8)
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+
+        Example:
+
+        //Mark the spawn points
+        for (var i = 0; i < spawns.length; i++)
+            Graphics.debug.cross(spawns[i]);
+    */
+    cross: function(pPoint, pOptions) {
+        return this.addPrimitive("cross", [pPoint], pOptions);
+    },
+
+    /*
+        DebugDraw : text - Add a line of text at a point
+        18/10/2026
+
+        param[in] pText - The value to display (Converted to a string)
+        param[in] pPoint - A Vec2 object holding the top left of the text
+        param[in] pOptions - An optional object containing the "color", "lifetime", "space" and "font"
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+
+        Example:
+
+        //Label the enemy with its state
+        Graphics.debug.text(enemy.state, enemy.position);
+    */
+    text: function(pText, pPoint, pOptions) {
+        //Add the text position
+        if (!this.addPrimitive("text", [pPoint], pOptions)) return false;
+
+        //Store the text
+        this.__Internal__Dont__Modify__.primitives[this.__Internal__Dont__Modify__.primitives.length - 1].text = String(pText);
+        return true;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        DebugDraw : render - Draw the primitives and remove those whose lifetime has run out. Called
+                             automatically by Graphics.swapBuffers for the Graphics debug object
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object to draw with
+        param[in] pDeltaTime - The number of seconds that have passed since the last render (Default 0)
+
+        return number - Returns the number of primitives that were drawn
+
+        Example:
+
+        //Draw a separate set of debug information into a RenderTarget
+        Graphics.pushRenderTarget(minimapTarget, true);
+        minimapDebug.render(Graphics, time.deltaTime);
+        Graphics.popRenderTarget();
+    */
+    render: function(pGraphics, pDeltaTime) {
+        //Discard everything while disabled
+        if (!DEBUG_DRAW_ENABLED) {
+            this.clear();
+            return 0;
+        }
+
+        //Get the values used for drawing
+        var draw = pGraphics.draw;
+        var primitives = this.__Internal__Dont__Modify__.primitives;
+        var projection = (this.__Internal__Dont__Modify__.camera !== null ? this.__Internal__Dont__Modify__.camera.projectionView : null);
+
+        //Draw in canvas pixels
+        draw.save();
+        draw.setTransform(1, 0, 0, 1, 0, 0);
+        draw.globalAlpha = 1;
+        draw.globalCompositeOperation = "source-over";
+        draw.lineCap = "round";
+        draw.lineJoin = "round";
+        draw.textBaseline = "top";
+
+        //Loop through the primitives
+        for (var i = 0; i < primitives.length; i++)
+            this.drawPrimitive(draw, primitives[i], (primitives[i].space === DebugSpace.WORLD ? projection : null));
+
+        //Restore the context values
+        draw.restore();
+
+        //Remove the primitives whose lifetime has run out
+        var drawn = primitives.length;
+        var remaining = [];
+        pDeltaTime = Validate.type(pDeltaTime, "number", 0);
+        for (var i = 0; i < primitives.length; i++) {
+            primitives[i].lifetime -= pDeltaTime;
+            if (primitives[i].lifetime > 0) remaining.push(primitives[i]);
+        }
+        this.__Internal__Dont__Modify__.primitives = remaining;
+
+        //Return the number drawn
+        return drawn;
+    },
+
+    /*
+        DebugDraw : clear - Remove all of the primitives, including those with lifetime remaining
+        18/10/2026
+    */
+    clear: function() {
+        this.__Internal__Dont__Modify__.primitives = [];
+    },
+
+    /*
+        DebugDraw : addPrimitive - Store a primitive to be drawn
+        18/10/2026
+
+        param[in] pType - A string containing the type of primitive
+        param[in] pPoints - An array of Vec2 objects holding the points of the primitive
+        param[in] pOptions - An optional object containing the appearance values of the primitive
+
+        return bool - Returns true if the primitive was added (False when debug drawing is disabled)
+    */
+    addPrimitive: function(pType, pPoints, pOptions) {
+        //Check debug drawing is enabled
+        if (!DEBUG_DRAW_ENABLED) return false;
+
+        //Check the points are Vec2 objects
+        for (var i = 0; i < pPoints.length; i++) {
+            if (!(pPoints[i] instanceof Vec2))
+                throw new Error("Can not add a DebugDraw " + pType + " with the point " + pPoints[i] + " (Type: '" + typeof pPoints[i] + "') Please use Vec2 objects");
+        }
+
+        //Clean the options object
+        pOptions = Validate.type(pOptions, "object", null) || {};
+
+        //Store the primitive, copying the points so later changes don't move it
+        var points = [];
+        for (var i = 0; i < pPoints.length; i++)
+            points.push(pPoints[i].clone);
+        this.__Internal__Dont__Modify__.primitives.push({
+            type: pType,
+            points: points,
+            text: "",
+            color: this.toColorString(pOptions["color"], this.__Internal__Dont__Modify__.color),
+            lifetime: Validate.type(pOptions["lifetime"], "number", 0),
+            space: (pOptions["space"] === DebugSpace.SCREEN ? DebugSpace.SCREEN : DebugSpace.WORLD),
+            width: Validate.type(pOptions["width"], "number", 1),
+            size: Validate.type(pOptions["size"], "number", 8),
+            headSize: Validate.type(pOptions["headSize"], "number", 8),
+            fill: pOptions["fill"] === true,
+            font: Validate.type(pOptions["font"], "string", this.__Internal__Dont__Modify__.font),
+        });
+
+        //Return success
+        return true;
+    },
+
+    /*
+        DebugDraw : drawPrimitive - Draw a single primitive in canvas pixels
+        18/10/2026
+
+        param[in] pDraw - The 2D context to draw to
+        param[in] pPrimitive - The primitive object to draw
+        param[in] pProjection - A Mat3 object to transform the points by (Or null)
+    */
+    drawPrimitive: function(pDraw, pPrimitive, pProjection) {
+        //Transform the points
+        var points = [];
+        for (var i = 0; i < pPrimitive.points.length; i++)
+            points.push(pProjection !== null ? pProjection.multiVec(pPrimitive.points[i]) : pPrimitive.points[i]);
+
+        //Set the appearance values
+        pDraw.strokeStyle = pDraw.fillStyle = pPrimitive.color;
+        pDraw.lineWidth = pPrimitive.width;
+
+        //Define the primitive
+        pDraw.beginPath();
+        switch (pPrimitive.type) {
+            case "arrow":
+                //Find the direction of the head
+                var dir = points[1].subtract(points[0]).normalized;
+                var side = dir.right.multi(pPrimitive.headSize / 2);
+                var back = points[1].subtract(dir.multi(pPrimitive.headSize));
+
+                //Define the head
+                pDraw.moveTo(back.x + side.x, back.y + side.y);
+                pDraw.lineTo(points[1].x, points[1].y);
+                pDraw.lineTo(back.x - side.x, back.y - side.y);
+            case "line":
+                pDraw.moveTo(points[0].x, points[0].y);
+                pDraw.lineTo(points[1].x, points[1].y);
+                break;
+            case "circle":
+                pDraw.arc(points[0].x, points[0].y, points[1].subtract(points[0]).mag, 0, Math.PI * 2);
+                break;
+            case "polygon":
+            case "path":
+                for (var i = 0; i < points.length; i++) {
+                    if (i) pDraw.lineTo(points[i].x, points[i].y);
+                    else pDraw.moveTo(points[i].x, points[i].y);
+                }
+                if (pPrimitive.type === "polygon") pDraw.closePath();
+                break;
+            case "cross":
+                var half = pPrimitive.size / 2;
+                pDraw.moveTo(points[0].x - half, points[0].y - half);
+                pDraw.lineTo(points[0].x + half, points[0].y + half);
+                pDraw.moveTo(points[0].x + half, points[0].y - half);
+                pDraw.lineTo(points[0].x - half, points[0].y + half);
+                break;
+            case "text":
+                pDraw.font = pPrimitive.font;
+                pDraw.fillText(pPrimitive.text, points[0].x, points[0].y);
+                return;
+        }
+
+        //Render the primitive
+        if (pPrimitive.fill && (pPrimitive.type === "circle" || pPrimitive.type === "polygon")) pDraw.fill();
+        else pDraw.stroke();
+    },
+
+    /*
+        DebugDraw : toColorString - Get the color string of a Color object or color string
+        18/10/2026
+
+        param[in] pColor - A Color object or color string
+        param[in] pDefault - The value to return if pColor is neither (Null throws an error)
+
+        return string - Returns the color as a color string
+    */
+    toColorString: function(pColor, pDefault) {
+        //Check the type of the color
+        if (pColor instanceof Color) return pColor.rgba;
+        else if (typeof pColor === "string") return pColor;
+        else if (pDefault !== null) return pDefault;
+
+        //Otherwise the color is invalid
+        throw new Error("Can not use " + pColor + " (Type: '" + typeof pColor + "') as a DebugDraw color Please use a Color object or color string");
+    },
+});
\ No newline at end of file
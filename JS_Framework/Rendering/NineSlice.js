@@ -0,0 +1,414 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                               Slice Defines                                                ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: SliceMode
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the numerical values used to describe how the edges
+ *      and centre of a NineSlice fill the space between its corners
+ **/
+var SliceMode = { STRETCH: 0, TILE: 1 };
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: NineSlice
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Sprite.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Split a region of an image into a 3x3 grid so that it can be
+ *      rendered at any size without distorting its borders. The corners
+ *      keep their size while the edges and centre are stretched or
+ *      tiled to fill the remaining space
+ **/
+
+/*
+    NineSlice : Constructor - Initialise with the image, region and inset values
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the NineSlice with
+
+    Requires:
+    image - An Image (Or canvas) object to take the slices from
+    OR
+    sprite - A Sprite object whose image and region are sliced
+
+    Optional:
+    x - The left pixel of the region on the image (Default 0)
+    y - The top pixel of the region on the image (Default 0)
+    width - The pixel width of the region (Default null, uses the remaining image width)
+    height - The pixel height of the region (Default null, uses the remaining image height)
+    insets - The pixel size of every border of the region (Default 0)
+    left - The pixel size of the left border (Default insets)
+    top - The pixel size of the top border (Default insets)
+    right - The pixel size of the right border (Default insets)
+    bottom - The pixel size of the bottom border (Default insets)
+    edgeMode - A SliceMode value for how the edges are filled (Default SliceMode.STRETCH)
+    centerMode - A SliceMode value for how the centre is filled (Default SliceMode.STRETCH)
+    drawCenter - Flags if the centre is rendered (Default true)
+    scale - The scale the borders are rendered at (Default 1)
+
+    Example:
+
+    //Create a panel frame with 8 pixel borders and a tiled centre
+    var frame = new NineSlice({
+        image: Graphics.loadImage("UI/frame.png"),
+        insets: 8,
+        centerMode: SliceMode.TILE
+    });
+*/
+function NineSlice(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the NineSlice.
+        Instead use NineSlice properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the image the slices are taken from
+        image: null,
+
+        //Store the region of the image
+        x: Validate.type(pSetup["x"], "number", 0),
+        y: Validate.type(pSetup["y"], "number", 0),
+        width: Validate.type(pSetup["width"], "number", null),
+        height: Validate.type(pSetup["height"], "number", null),
+
+        //Store the borders of the region
+        left: 0,
+        top: 0,
+        right: 0,
+        bottom: 0,
+
+        //Store the fill values
+        edgeMode: Validate.type(pSetup["edgeMode"], "number", SliceMode.STRETCH),
+        centerMode: Validate.type(pSetup["centerMode"], "number", SliceMode.STRETCH),
+        drawCenter: Validate.type(pSetup["drawCenter"], "boolean", true),
+        scale: Validate.type(pSetup["scale"], "number", 1),
+    };
+
+    //Take the image and region from a sprite
+    if (pSetup["sprite"] instanceof Sprite) {
+        this.__Internal__Dont__Modify__.image = pSetup["sprite"].image;
+        this.__Internal__Dont__Modify__.x = pSetup["sprite"].x;
+        this.__Internal__Dont__Modify__.y = pSetup["sprite"].y;
+        this.__Internal__Dont__Modify__.width = pSetup["sprite"].width;
+        this.__Internal__Dont__Modify__.height = pSetup["sprite"].height;
+    }
+
+    //Otherwise check the image
+    else if (typeof pSetup["image"] !== "object" || pSetup["image"] === null)
+        throw new Error("Can not create a NineSlice with the image " + pSetup["image"] + " (Type: '" + typeof pSetup["image"] + "') Please use an Image object or a Sprite");
+    else this.__Internal__Dont__Modify__.image = pSetup["image"];
+
+    //Set the borders
+    this.setInsets(Validate.type(pSetup["left"], "number", Validate.type(pSetup["insets"], "number", 0)),
+        Validate.type(pSetup["top"], "number", Validate.type(pSetup["insets"], "number", 0)),
+        Validate.type(pSetup["right"], "number", Validate.type(pSetup["insets"], "number", 0)),
+        Validate.type(pSetup["bottom"], "number", Validate.type(pSetup["insets"], "number", 0)));
+};
+
+ExtendProperties(NineSlice, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        NineSlice : image - Get the image the slices are taken from
+        18/10/2026
+
+        return Image - Returns the Image (Or canvas) object
+    */
+    get image() {
+        return this.__Internal__Dont__Modify__.image;
+    },
+
+    /*
+        NineSlice : width - Get the pixel width of the region being sliced
+        18/10/2026
+
+        return number - Returns the width as a number (The remaining image width if none was set)
+    */
+    get width() {
+        return (this.__Internal__Dont__Modify__.width !== null ? this.__Internal__Dont__Modify__.width :
+            Math.max(0, (this.__Internal__Dont__Modify__.image.width || 0) - this.__Internal__Dont__Modify__.x));
+    },
+
+    /*
+        NineSlice : height - Get the pixel height of the region being sliced
+        18/10/2026
+
+        return number - Returns the height as a number (The remaining image height if none was set)
+    */
+    get height() {
+        return (this.__Internal__Dont__Modify__.height !== null ? this.__Internal__Dont__Modify__.height :
+            Math.max(0, (this.__Internal__Dont__Modify__.image.height || 0) - this.__Internal__Dont__Modify__.y));
+    },
+
+    /*
+        NineSlice : insets - Get the pixel sizes of the borders
+        18/10/2026
+
+        return object - Returns an object with the "left", "top", "right" and "bottom" values
+    */
+    get insets() {
+        return {
+            left: this.__Internal__Dont__Modify__.left,
+            top: this.__Internal__Dont__Modify__.top,
+            right: this.__Internal__Dont__Modify__.right,
+            bottom: this.__Internal__Dont__Modify__.bottom
+        };
+    },
+
+    /*
+        NineSlice : edgeMode - Get how the edges are filled
+        18/10/2026
+
+        return number - Returns a SliceMode value
+    */
+    get edgeMode() {
+        return this.__Internal__Dont__Modify__.edgeMode;
+    },
+
+    /*
+        NineSlice : edgeMode - Set how the edges are filled
+        18/10/2026
+
+        param[in] pMode - A SliceMode value
+    */
+    set edgeMode(pMode) {
+        this.__Internal__Dont__Modify__.edgeMode = Validate.type(pMode, "number", SliceMode.STRETCH, true);
+    },
+
+    /*
+        NineSlice : centerMode - Get how the centre is filled
+        18/10/2026
+
+        return number - Returns a SliceMode value
+    */
+    get centerMode() {
+        return this.__Internal__Dont__Modify__.centerMode;
+    },
+
+    /*
+        NineSlice : centerMode - Set how the centre is filled
+        18/10/2026
+
+        param[in] pMode - A SliceMode value
+    */
+    set centerMode(pMode) {
+        this.__Internal__Dont__Modify__.centerMode = Validate.type(pMode, "number", SliceMode.STRETCH, true);
+    },
+
+    /*
+        NineSlice : drawCenter - Get the flag indicating if the centre is rendered
+        18/10/2026
+
+        return bool - Returns true if the centre is rendered
+    */
+    get drawCenter() {
+        return this.__Internal__Dont__Modify__.drawCenter;
+    },
+
+    /*
+        NineSlice : drawCenter - Set the flag indicating if the centre is rendered
+        18/10/2026
+
+        param[in] pState - A boolean value indicating if the centre is rendered
+    */
+    set drawCenter(pState) {
+        this.__Internal__Dont__Modify__.drawCenter = Validate.type(pState, "boolean", true, true);
+    },
+
+    /*
+        NineSlice : scale - Get the scale the borders are rendered at
+        18/10/2026
+
+        return number - Returns the scale as a number
+    */
+    get scale() {
+        return this.__Internal__Dont__Modify__.scale;
+    },
+
+    /*
+        NineSlice : scale - Set the scale the borders are rendered at
+        18/10/2026
+
+        param[in] pScale - A number greater than 0
+    */
+    set scale(pScale) {
+        this.__Internal__Dont__Modify__.scale = Math.max(0.0001, Validate.type(pScale, "number", 1, true));
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        NineSlice : setInsets - Set the pixel sizes of the borders
+        18/10/2026
+
+        param[in] pLeft - The size of the left border (Used for every border when the others are not set)
+        param[in] pTop - The size of the top border (Default pLeft)
+        param[in] pRight - The size of the right border (Default pLeft)
+        param[in] pBottom - The size of the bottom border (Default pTop)
+
+        Example:
+
+        //Use 4 pixel borders with a thicker bottom
+        frame.setInsets(4, 4, 4, 10);
+    */
+    setInsets: function(pLeft, pTop, pRight, pBottom) {
+        //Clean the values
+        pLeft = Math.max(0, Validate.type(pLeft, "number", 0, true));
+        pTop = Math.max(0, Validate.type(pTop, "number", pLeft));
+        pRight = Math.max(0, Validate.type(pRight, "number", pLeft));
+        pBottom = Math.max(0, Validate.type(pBottom, "number", pTop));
+
+        //Set the values
+        this.__Internal__Dont__Modify__.left = pLeft;
+        this.__Internal__Dont__Modify__.top = pTop;
+        this.__Internal__Dont__Modify__.right = pRight;
+        this.__Internal__Dont__Modify__.bottom = pBottom;
+    },
+
+    /*
+        NineSlice : draw - Render the slices to fill a rectangle
+        18/10/2026
+
+        param[in] pDraw - The 2D context to render to
+        param[in] pX - The left of the rectangle
+        param[in] pY - The top of the rectangle
+        param[in] pWidth - The width of the rectangle
+        param[in] pHeight - The height of the rectangle
+
+        Example:
+
+        //Render the frame around the inventory
+        frame.draw(Graphics.draw, 20, 20, 300, 180);
+    */
+    draw: function(pDraw, pX, pY, pWidth, pHeight) {
+        //Get the region
+        var sx = this.__Internal__Dont__Modify__.x;
+        var sy = this.__Internal__Dont__Modify__.y;
+        var sw = this.width;
+        var sh = this.height;
+
+        //Check there is something to render
+        if (sw <= 0 || sh <= 0 || pWidth <= 0 || pHeight <= 0) return;
+
+        //Get the source borders (Limited to the region)
+        var left = Math.min(this.__Internal__Dont__Modify__.left, sw);
+        var right = Math.min(this.__Internal__Dont__Modify__.right, sw - left);
+        var top = Math.min(this.__Internal__Dont__Modify__.top, sh);
+        var bottom = Math.min(this.__Internal__Dont__Modify__.bottom, sh - top);
+
+        //Get the rendered borders
+        var scale = this.__Internal__Dont__Modify__.scale;
+        var dLeft = left * scale;
+        var dRight = right * scale;
+        var dTop = top * scale;
+        var dBottom = bottom * scale;
+
+        //Shrink the borders when the rectangle is too small to hold them
+        if (dLeft + dRight > pWidth) {
+            var shrink = pWidth / (dLeft + dRight);
+            dLeft *= shrink;
+            dRight *= shrink;
+        }
+        if (dTop + dBottom > pHeight) {
+            var shrink = pHeight / (dTop + dBottom);
+            dTop *= shrink;
+            dBottom *= shrink;
+        }
+
+        //Get the sizes of the middle slices
+        var midW = sw - left - right;
+        var midH = sh - top - bottom;
+        var dMidW = pWidth - dLeft - dRight;
+        var dMidH = pHeight - dTop - dBottom;
+
+        //Get the fill values
+        var tileEdges = this.__Internal__Dont__Modify__.edgeMode === SliceMode.TILE;
+        var tileCenter = this.__Internal__Dont__Modify__.centerMode === SliceMode.TILE;
+
+        //Render the corners
+        this.drawPart(pDraw, sx, sy, left, top, pX, pY, dLeft, dTop, false, false);
+        this.drawPart(pDraw, sx + sw - right, sy, right, top, pX + pWidth - dRight, pY, dRight, dTop, false, false);
+        this.drawPart(pDraw, sx, sy + sh - bottom, left, bottom, pX, pY + pHeight - dBottom, dLeft, dBottom, false, false);
+        this.drawPart(pDraw, sx + sw - right, sy + sh - bottom, right, bottom, pX + pWidth - dRight, pY + pHeight - dBottom, dRight, dBottom, false, false);
+
+        //Render the edges
+        this.drawPart(pDraw, sx + left, sy, midW, top, pX + dLeft, pY, dMidW, dTop, tileEdges, false);
+        this.drawPart(pDraw, sx + left, sy + sh - bottom, midW, bottom, pX + dLeft, pY + pHeight - dBottom, dMidW, dBottom, tileEdges, false);
+        this.drawPart(pDraw, sx, sy + top, left, midH, pX, pY + dTop, dLeft, dMidH, false, tileEdges);
+        this.drawPart(pDraw, sx + sw - right, sy + top, right, midH, pX + pWidth - dRight, pY + dTop, dRight, dMidH, false, tileEdges);
+
+        //Render the centre
+        if (this.__Internal__Dont__Modify__.drawCenter)
+            this.drawPart(pDraw, sx + left, sy + top, midW, midH, pX + dLeft, pY + dTop, dMidW, dMidH, tileCenter, tileCenter);
+    },
+
+    /*
+        NineSlice : drawPart - Render a single slice, stretching or tiling it to fill its rectangle
+        18/10/2026
+
+        param[in] pDraw - The 2D context to render to
+        param[in] pSrcX - The left pixel of the slice on the image
+        param[in] pSrcY - The top pixel of the slice on the image
+        param[in] pSrcW - The pixel width of the slice
+        param[in] pSrcH - The pixel height of the slice
+        param[in] pX - The left of the rectangle to fill
+        param[in] pY - The top of the rectangle to fill
+        param[in] pWidth - The width of the rectangle to fill
+        param[in] pHeight - The height of the rectangle to fill
+        param[in] pTileX - Flags if the slice is repeated horizontally (Stretched otherwise)
+        param[in] pTileY - Flags if the slice is repeated vertically (Stretched otherwise)
+    */
+    drawPart: function(pDraw, pSrcX, pSrcY, pSrcW, pSrcH, pX, pY, pWidth, pHeight, pTileX, pTileY) {
+        //Check there is something to render
+        if (pSrcW <= 0 || pSrcH <= 0 || pWidth <= 0 || pHeight <= 0) return;
+
+        //Get the size of a single tile
+        var tileW = (pTileX ? pSrcW * this.__Internal__Dont__Modify__.scale : pWidth);
+        var tileH = (pTileY ? pSrcH * this.__Internal__Dont__Modify__.scale : pHeight);
+
+        //Loop through the tiles
+        for (var y = 0; y < pHeight; y += tileH) {
+            //Crop the last row to the rectangle
+            var h = Math.min(tileH, pHeight - y);
+
+            for (var x = 0; x < pWidth; x += tileW) {
+                //Crop the last column to the rectangle
+                var w = Math.min(tileW, pWidth - x);
+
+                //Render the tile
+                pDraw.drawImage(this.__Internal__Dont__Modify__.image, pSrcX, pSrcY, pSrcW * w / tileW, pSrcH * h / tileH,
+                    pX + x, pY + y, w, h);
+            }
+        }
+    },
+})
\ No newline at end of file
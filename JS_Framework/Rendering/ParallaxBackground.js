@@ -0,0 +1,608 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: ParallaxLayer
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Sprite.js, Vec2.js, Mat3.js, Camera.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Render an image behind (Or in front of) the world that scrolls
+ *      at a fraction of the Camera's movement, optionally repeating
+ *      across and down so it fills any visible area
+ **/
+
+/*
+    ParallaxLayer : Constructor - Initialise with the image and scroll values
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the ParallaxLayer with
+
+    Requires:
+    image - An Image (Or canvas) object to render
+    OR
+    sprite - A Sprite object holding the region of an image to render
+
+    Optional:
+    name - A name used to find the layer in a ParallaxBackground (Default "")
+    scrollX - The fraction of the Camera's horizontal movement the layer moves by. 0 stays fixed to
+              the screen, 1 moves with the world (Default 1)
+    scrollY - The fraction of the Camera's vertical movement the layer moves by (Default 1)
+    scroll - A number setting both scrollX and scrollY (Default 1)
+    repeatX - Flags if the image repeats across forever (Default false)
+    repeatY - Flags if the image repeats down forever (Default false)
+    offset - A Vec2 object holding the position of the image in the layer (Default 0, 0)
+    scale - The scale the image is rendered at (Default 1)
+    opacity - The 0-1 scale opacity the layer is rendered with (Default 1)
+    visible - Flags if the layer is rendered (Default true)
+
+    Example:
+
+    //Create distant mountains that repeat across the horizon
+    var mountains = new ParallaxLayer({
+        image: Graphics.loadImage("Backgrounds/mountains.png"),
+        scrollX: 0.2,
+        scrollY: 0.1,
+        repeatX: true,
+        offset: new Vec2(0, -120)
+    });
+*/
+function ParallaxLayer(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null, true);
+
+    //Find the sprite to render
+    var sprite = (pSetup["sprite"] instanceof Sprite ? pSetup["sprite"] :
+        typeof pSetup["image"] === "object" && pSetup["image"] !== null ? new Sprite({ image: pSetup["image"] }) : null);
+
+    //Check there is something to render
+    if (sprite === null)
+        throw new Error("Can not create a ParallaxLayer with the image " + pSetup["image"] + " (Type: '" + typeof pSetup["image"] + "') Please use an Image or Sprite object");
+
+    //Get the shared scroll value
+    var scroll = Validate.type(pSetup["scroll"], "number", 1);
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the ParallaxLayer.
+        Instead use ParallaxLayer properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the identifying values
+        name: Validate.type(pSetup["name"], "string", ""),
+
+        //Store the sprite to render
+        sprite: sprite,
+
+        //Store the scroll values
+        scroll: new Vec2(Validate.type(pSetup["scrollX"], "number", scroll), Validate.type(pSetup["scrollY"], "number", scroll)),
+
+        //Store the repeat values
+        repeatX: Validate.type(pSetup["repeatX"], "boolean", false),
+        repeatY: Validate.type(pSetup["repeatY"], "boolean", false),
+
+        //Store the render values
+        offset: new Vec2(Validate.instance(pSetup["offset"], Vec2, new Vec2())),
+        scale: Validate.type(pSetup["scale"], "number", 1),
+        opacity: Math.clamp(Validate.type(pSetup["opacity"], "number", 1), 0, 1),
+        visible: Validate.type(pSetup["visible"], "boolean", true),
+
+        //Store the number of images drawn by the last draw
+        drawnImages: 0,
+    };
+};
+
+ExtendProperties(ParallaxLayer, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        ParallaxLayer : name - Get the name of the layer
+        18/10/2026
+
+        return string - Returns the name as a string
+    */
+    get name() {
+        return this.__Internal__Dont__Modify__.name;
+    },
+
+    /*
+        ParallaxLayer : sprite - Get the Sprite rendered by the layer
+        18/10/2026
+
+        return Sprite - Returns the Sprite object
+    */
+    get sprite() {
+        return this.__Internal__Dont__Modify__.sprite;
+    },
+
+    /*
+        ParallaxLayer : sprite - Set the Sprite rendered by the layer
+        18/10/2026
+
+        param[in] pSprite - A Sprite object (Or an Image object to render whole)
+    */
+    set sprite(pSprite) {
+        this.__Internal__Dont__Modify__.sprite = (pSprite instanceof Sprite ? pSprite : new Sprite({ image: pSprite }));
+    },
+
+    /*
+        ParallaxLayer : scroll - Get the fraction of the Camera's movement the layer moves by
+        18/10/2026
+
+        return Vec2 - Returns a Vec2 object holding the horizontal and vertical scroll values
+    */
+    get scroll() {
+        return new Vec2(this.__Internal__Dont__Modify__.scroll);
+    },
+
+    /*
+        ParallaxLayer : scroll - Set the fraction of the Camera's movement the layer moves by
+        18/10/2026
+
+        param[in] pScroll - A Vec2 object holding the horizontal and vertical scroll values, or a number
+                            setting both
+
+        Example:
+
+        //Fix the sky to the screen
+        sky.scroll = 0;
+    */
+    set scroll(pScroll) {
+        this.__Internal__Dont__Modify__.scroll = (typeof pScroll === "number" ? new Vec2(pScroll) : new Vec2(Validate.instance(pScroll, Vec2, null, true)));
+    },
+
+    /*
+        ParallaxLayer : repeatX - Get the flag indicating if the image repeats across
+        18/10/2026
+
+        return bool - Returns true if the image repeats
+    */
+    get repeatX() {
+        return this.__Internal__Dont__Modify__.repeatX;
+    },
+
+    /*
+        ParallaxLayer : repeatX - Set the flag indicating if the image repeats across
+        18/10/2026
+
+        param[in] pState - A boolean value indicating if the image repeats
+    */
+    set repeatX(pState) {
+        this.__Internal__Dont__Modify__.repeatX = Validate.type(pState, "boolean", false, true);
+    },
+
+    /*
+        ParallaxLayer : repeatY - Get the flag indicating if the image repeats down
+        18/10/2026
+
+        return bool - Returns true if the image repeats
+    */
+    get repeatY() {
+        return this.__Internal__Dont__Modify__.repeatY;
+    },
+
+    /*
+        ParallaxLayer : repeatY - Set the flag indicating if the image repeats down
+        18/10/2026
+
+        param[in] pState - A boolean value indicating if the image repeats
+    */
+    set repeatY(pState) {
+        this.__Internal__Dont__Modify__.repeatY = Validate.type(pState, "boolean", false, true);
+    },
+
+    /*
+        ParallaxLayer : offset - Get the position of the image in the layer
+        18/10/2026
+
+        return Vec2 - Returns a copy of the offset
+    */
+    get offset() {
+        return new Vec2(this.__Internal__Dont__Modify__.offset);
+    },
+
+    /*
+        ParallaxLayer : offset - Set the position of the image in the layer
+        18/10/2026
+
+        param[in] pPos - A Vec2 object holding the new offset
+
+        Example:
+
+        //Drift the clouds
+        clouds.offset = clouds.offset.addSet(new Vec2(10 * deltaTime, 0));
+    */
+    set offset(pPos) {
+        this.__Internal__Dont__Modify__.offset = new Vec2(Validate.instance(pPos, Vec2, null, true));
+    },
+
+    /*
+        ParallaxLayer : scale - Get the scale the image is rendered at
+        18/10/2026
+
+        return number - Returns the scale as a number
+    */
+    get scale() {
+        return this.__Internal__Dont__Modify__.scale;
+    },
+
+    /*
+        ParallaxLayer : scale - Set the scale the image is rendered at
+        18/10/2026
+
+        param[in] pVal - A number greater than 0
+    */
+    set scale(pVal) {
+        this.__Internal__Dont__Modify__.scale = Validate.type(pVal, "number", 1, true);
+    },
+
+    /*
+        ParallaxLayer : opacity - Get the opacity the layer is rendered with
+        18/10/2026
+
+        return number - Returns the 0-1 scale opacity
+    */
+    get opacity() {
+        return this.__Internal__Dont__Modify__.opacity;
+    },
+
+    /*
+        ParallaxLayer : opacity - Set the opacity the layer is rendered with
+        18/10/2026
+
+        param[in] pVal - A 0-1 scale number
+    */
+    set opacity(pVal) {
+        this.__Internal__Dont__Modify__.opacity = Math.clamp(Validate.type(pVal, "number", 1, true), 0, 1);
+    },
+
+    /*
+        ParallaxLayer : visible - Get the flag indicating if the layer is rendered
+        18/10/2026
+
+        return bool - Returns true if the layer is rendered
+    */
+    get visible() {
+        return this.__Internal__Dont__Modify__.visible;
+    },
+
+    /*
+        ParallaxLayer : visible - Set the flag indicating if the layer is rendered
+        18/10/2026
+
+        param[in] pState - A boolean value indicating if the layer is rendered
+    */
+    set visible(pState) {
+        this.__Internal__Dont__Modify__.visible = Validate.type(pState, "boolean", true, true);
+    },
+
+    /*
+        ParallaxLayer : drawnImages - Get the number of images that were visible in the last draw
+        18/10/2026
+
+        return number - Returns the count as a number
+    */
+    get drawnImages() {
+        return this.__Internal__Dont__Modify__.drawnImages;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Main Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        ParallaxLayer : getTransform - Get the matrix that views the layer through a Camera
+        18/10/2026
+
+        param[in] pCamera - The Camera object the world is viewed through
+
+        return Mat3 - Returns a Mat3 object used in place of the Camera's projectionView, with the
+                      Camera's position scaled by the scroll values
+
+        Example:
+
+        //Draw a sprite that moves with the mountains
+        Graphics.pushTransform(mountains.getTransform(worldCam).multi(createTranslationMat(400, 0)));
+    */
+    getTransform: function(pCamera) {
+        //Check the camera
+        pCamera = Validate.instance(pCamera, Camera, null, true);
+
+        //Find the view from the scrolled position
+        var view = createTransform(pCamera.x * this.__Internal__Dont__Modify__.scroll.x,
+            pCamera.y * this.__Internal__Dont__Modify__.scroll.y,
+            pCamera.rotation * Math.PI / 180).inverse();
+
+        //Return the layer projection view
+        return pCamera.projection.multi(view);
+    },
+
+    /*
+        ParallaxLayer : draw - Render the layer as seen through a Camera
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object to render with
+        param[in] pCamera - The Camera object the world is viewed through
+
+        return number - Returns the number of images that were drawn
+
+        Example:
+
+        //Draw the mountains behind the level
+        mountains.draw(Graphics, worldCam);
+        level.draw(Graphics, worldCam);
+    */
+    draw: function(pGraphics, pCamera) {
+        //Reset the count
+        this.__Internal__Dont__Modify__.drawnImages = 0;
+
+        //Check the layer is visible
+        if (!this.__Internal__Dont__Modify__.visible || this.__Internal__Dont__Modify__.opacity <= 0) return 0;
+
+        //Get the size of each image
+        var sprite = this.__Internal__Dont__Modify__.sprite;
+        var width = sprite.sourceWidth * this.__Internal__Dont__Modify__.scale;
+        var height = sprite.sourceHeight * this.__Internal__Dont__Modify__.scale;
+
+        //Check there is something to render (The image may still be loading)
+        if (width <= 0 || height <= 0) return 0;
+
+        //Get the layer transform
+        var transform = this.getTransform(pCamera);
+
+        //Find the layer positions of the corners of the camera's canvas
+        var inverse = transform.inversed;
+        var screen = pCamera.canvasDimensions;
+        var corners = [new Vec2(0, 0), new Vec2(screen.x, 0), new Vec2(0, screen.y), new Vec2(screen.x, screen.y)];
+        var area = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        for (var i = 0; i < corners.length; i++) {
+            var corner = inverse.multiVec(corners[i]);
+            area.left = Math.min(area.left, corner.x);
+            area.top = Math.min(area.top, corner.y);
+            area.right = Math.max(area.right, corner.x);
+            area.bottom = Math.max(area.bottom, corner.y);
+        }
+
+        //Find the range of images covering the visible area (A single image when not repeating)
+        var offset = this.__Internal__Dont__Modify__.offset;
+        var left = (this.__Internal__Dont__Modify__.repeatX ? Math.floor((area.left - offset.x) / width) : 0);
+        var right = (this.__Internal__Dont__Modify__.repeatX ? Math.floor((area.right - offset.x) / width) : 0);
+        var top = (this.__Internal__Dont__Modify__.repeatY ? Math.floor((area.top - offset.y) / height) : 0);
+        var bottom = (this.__Internal__Dont__Modify__.repeatY ? Math.floor((area.bottom - offset.y) / height) : 0);
+
+        //Render the images that overlap the visible area
+        var setup = { pivot: new Vec2(0, 0), alpha: this.__Internal__Dont__Modify__.opacity };
+        for (var y = top; y <= bottom; y++) {
+            for (var x = left; x <= right; x++) {
+                //Find the position of the image
+                var posX = offset.x + x * width;
+                var posY = offset.y + y * height;
+
+                //Skip images outside of the visible area
+                if (posX > area.right || posY > area.bottom || posX + width < area.left || posY + height < area.top) continue;
+
+                //Render the image
+                pGraphics.drawSprite(sprite, transform.multi(createTransform(posX, posY, 0, this.__Internal__Dont__Modify__.scale, this.__Internal__Dont__Modify__.scale)), setup);
+                this.__Internal__Dont__Modify__.drawnImages++;
+            }
+        }
+
+        //Return the number of images drawn
+        return this.__Internal__Dont__Modify__.drawnImages;
+    },
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: ParallaxBackground
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      ParallaxLayer, TiledMap.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Hold an ordered set of ParallaxLayers, drawn from the most
+ *      distant to the closest through a Camera
+ **/
+
+/*
+    ParallaxBackground : Constructor - Initialise with an optional set of layers
+    18/10/2026
+
+    param[in] pLayers - An optional array of ParallaxLayer objects (Or setup objects for them), from the
+                        most distant to the closest (Default [])
+
+    Example:
+
+    //Create the forest background
+    var forest = new ParallaxBackground([
+        { name: "sky", image: skyImage, scroll: 0, repeatX: true },
+        { name: "hills", image: hillsImage, scrollX: 0.3, scrollY: 0.1, repeatX: true, offset: new Vec2(0, 100) },
+        { name: "trees", image: treesImage, scrollX: 0.6, scrollY: 0.4, repeatX: true, offset: new Vec2(0, 160) }
+    ]);
+*/
+function ParallaxBackground(pLayers) {
+    /*  WARNING:
+        Don't modify this internal object from the outside of the ParallaxBackground.
+        Instead use ParallaxBackground properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the layers in the order they are drawn
+        layers: [],
+    };
+
+    //Add the layers
+    if (pLayers instanceof Array) {
+        for (var i = 0; i < pLayers.length; i++)
+            this.addLayer(pLayers[i]);
+    }
+};
+
+ExtendProperties(ParallaxBackground, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        ParallaxBackground : layers - Get the layers in the order they are drawn
+        18/10/2026
+
+        return array - Returns a copy of the array of ParallaxLayer objects
+    */
+    get layers() {
+        return this.__Internal__Dont__Modify__.layers.slice();
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Main Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        ParallaxBackground : addLayer - Add a layer in front of the previous layers
+        18/10/2026
+
+        param[in] pLayer - The ParallaxLayer object to add, or an object to setup a new one with
+
+        return ParallaxLayer - Returns the added layer or null if it was already added
+
+        Example:
+
+        //Add fog over the other layers
+        forest.addLayer({ name: "fog", image: fogImage, scrollX: 0.8, repeatX: true, opacity: 0.4 });
+    */
+    addLayer: function(pLayer) {
+        //Create the layer from setup values
+        if (!(pLayer instanceof ParallaxLayer)) pLayer = new ParallaxLayer(pLayer);
+
+        //Check the layer hasn't been added
+        if (this.__Internal__Dont__Modify__.layers.indexOf(pLayer) !== -1) return null;
+
+        //Add the layer
+        this.__Internal__Dont__Modify__.layers.push(pLayer);
+        return pLayer;
+    },
+
+    /*
+        ParallaxBackground : addTiledLayers - Add a layer for each image layer of a TiledMap
+        18/10/2026
+
+        param[in] pMap - The TiledMap object to read the image layers of
+
+        return number - Returns the number of layers that were added
+
+        Example:
+
+        //Use the backgrounds set up in the level editor
+        var background = new ParallaxBackground();
+        background.addTiledLayers(level);
+    */
+    addTiledLayers: function(pMap) {
+        //Check the map
+        if (!(pMap instanceof TiledMap))
+            throw new Error("Can not add the image layers of " + pMap + " (Type: '" + typeof pMap + "') Please use a TiledMap object");
+
+        //Add the image layers
+        var layers = pMap.imageLayers;
+        for (var i = 0; i < layers.length; i++) {
+            this.addLayer({
+                name: layers[i].name,
+                image: layers[i].image,
+                scrollX: layers[i].parallax.x,
+                scrollY: layers[i].parallax.y,
+                repeatX: layers[i].repeatX,
+                repeatY: layers[i].repeatY,
+                offset: layers[i].offset,
+                opacity: layers[i].opacity,
+                visible: layers[i].visible
+            });
+        }
+
+        //Return the number added
+        return layers.length;
+    },
+
+    /*
+        ParallaxBackground : getLayer - Get a layer by name
+        18/10/2026
+
+        param[in] pName - The name of the layer
+
+        return ParallaxLayer - Returns the first layer with the name or null if it doesn't exist
+    */
+    getLayer: function(pName) {
+        for (var i = 0; i < this.__Internal__Dont__Modify__.layers.length; i++) {
+            if (this.__Internal__Dont__Modify__.layers[i].name === pName)
+                return this.__Internal__Dont__Modify__.layers[i];
+        }
+        return null;
+    },
+
+    /*
+        ParallaxBackground : removeLayer - Remove a layer
+        18/10/2026
+
+        param[in] pLayer - The ParallaxLayer object or the name of the layer to remove
+
+        return bool - Returns true if the layer was removed
+    */
+    removeLayer: function(pLayer) {
+        //Find the layer
+        var index = this.__Internal__Dont__Modify__.layers.indexOf(pLayer instanceof ParallaxLayer ? pLayer : this.getLayer(pLayer));
+        if (index === -1) return false;
+
+        //Remove the layer
+        this.__Internal__Dont__Modify__.layers.splice(index, 1);
+        return true;
+    },
+
+    /*
+        ParallaxBackground : draw - Render the layers as seen through a Camera
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object to render with
+        param[in] pCamera - The Camera object the world is viewed through
+
+        return number - Returns the number of images that were drawn
+
+        Example:
+
+        //Draw the background behind the level
+        forest.draw(Graphics, worldCam);
+        level.draw(Graphics, worldCam);
+    */
+    draw: function(pGraphics, pCamera) {
+        var count = 0;
+        for (var i = 0; i < this.__Internal__Dont__Modify__.layers.length; i++)
+            count += this.__Internal__Dont__Modify__.layers[i].draw(pGraphics, pCamera);
+        return count;
+    },
+})
\ No newline at end of file
@@ -0,0 +1,676 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: PostFilter
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Describe a single named pass of a PostProcess pipeline, holding
+ *      the function that renders the pass and the parameters it reads
+ **/
+
+/*
+    PostFilter : Constructor - Initialise with the name, render function and parameters
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the PostFilter with
+
+    Requires:
+    name - A string containing the unique name of the filter
+    apply - A function that renders the pass, accepting the source canvas, the destination 2D
+            context, the parameters object and the width and height of the frame
+
+    Optional:
+    params - An object holding the values read by the apply function (Default {})
+    enabled - Flags if the pass is run (Default true)
+
+    Example:
+
+    //Create a filter that inverts the frame
+    var invert = new PostFilter({
+        name: "invert",
+        params: { amount: 1 },
+        apply: function(pSource, pDraw, pParams, pWidth, pHeight) {
+            pDraw.filter = "invert(" + pParams.amount + ")";
+            pDraw.drawImage(pSource, 0, 0);
+        }
+    });
+*/
+function PostFilter(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null, true);
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the PostFilter.
+        Instead use PostFilter properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the name of the filter
+        name: Validate.type(pSetup["name"], "string", "", true),
+
+        //Store the function that renders the pass
+        apply: Validate.type(pSetup["apply"], "function", null, true),
+
+        //Store the parameters read by the pass
+        params: {},
+
+        //Flag if the pass is run
+        enabled: pSetup["enabled"] !== false,
+    };
+
+    //Copy the parameters
+    var params = Validate.type(pSetup["params"], "object", null) || {};
+    for (var key in params) {
+        if (Object.prototype.hasOwnProperty.call(params, key))
+            this.__Internal__Dont__Modify__.params[key] = params[key];
+    }
+};
+
+ExtendProperties(PostFilter, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        PostFilter : name - Get the name of the filter
+        18/10/2026
+
+        return string - Returns the name as a string
+    */
+    get name() {
+        return this.__Internal__Dont__Modify__.name;
+    },
+
+    /*
+        PostFilter : params - Get the parameters read by the filter. The object is read every time
+                              the pass runs, so its values can be changed or tweened directly
+        18/10/2026
+
+        return object - Returns the parameters object
+
+        Example:
+
+        //Fade the frame to grey over two seconds
+        stateManager.tweens.to(Graphics.postProcess.get("greyscale").params, { amount: 1 }, 2);
+    */
+    get params() {
+        return this.__Internal__Dont__Modify__.params;
+    },
+
+    /*
+        PostFilter : enabled - Get the flag indicating if the pass is run
+        18/10/2026
+
+        return bool - Returns true if the pass is run
+    */
+    get enabled() {
+        return this.__Internal__Dont__Modify__.enabled;
+    },
+
+    /*
+        PostFilter : enabled - Set the flag indicating if the pass is run
+        18/10/2026
+
+        param[in] pEnabled - A bool indicating if the pass should be run
+
+        Example:
+
+        //Turn off the scanlines
+        Graphics.postProcess.get("scanlines").enabled = false;
+    */
+    set enabled(pEnabled) {
+        this.__Internal__Dont__Modify__.enabled = Validate.type(pEnabled, "boolean", true, true);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        PostFilter : apply - Render the pass from a source canvas to a destination context
+        18/10/2026
+
+        param[in] pSource - The canvas holding the frame so far
+        param[in] pDraw - The 2D context to render the filtered frame to
+        param[in] pWidth - The width of the frame
+        param[in] pHeight - The height of the frame
+    */
+    apply: function(pSource, pDraw, pWidth, pHeight) {
+        this.__Internal__Dont__Modify__.apply(pSource, pDraw, this.__Internal__Dont__Modify__.params, pWidth, pHeight);
+    },
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: PostProcess
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      PostFilter, RenderTarget.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Run an ordered list of PostFilter passes over a rendered
+ *      frame, ping-ponging between two offscreen RenderTargets and
+ *      copying the result back to the frame
+ **/
+
+/*
+    PostProcess : Constructor - Initialise with default values
+    18/10/2026
+
+    param[in] pSetup - An optional object containing the "headless" flag, used to create the
+                       offscreen RenderTargets as RecordingContexts (Default false)
+
+    Example:
+
+    //Add a filter to the Graphics pipeline
+    Graphics.postProcess.add(PostFilters.vignette());
+*/
+function PostProcess(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the PostProcess.
+        Instead use PostProcess properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the filters in the order they are run
+        filters: [],
+
+        //Flag if the pipeline is run
+        enabled: true,
+
+        //Flag if the offscreen targets should be headless
+        headless: pSetup["headless"] === true,
+
+        //Store the two offscreen targets passes render between
+        targets: [],
+    };
+};
+
+ExtendProperties(PostProcess, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        PostProcess : count - Get the number of filters in the pipeline
+        18/10/2026
+
+        return number - Returns the filter count as a number
+    */
+    get count() {
+        return this.__Internal__Dont__Modify__.filters.length;
+    },
+
+    /*
+        PostProcess : filters - Get the filters in the order they are run
+        18/10/2026
+
+        return array - Returns a copy of the array of PostFilter objects
+    */
+    get filters() {
+        return this.__Internal__Dont__Modify__.filters.slice();
+    },
+
+    /*
+        PostProcess : enabled - Get the flag indicating if the pipeline is run
+        18/10/2026
+
+        return bool - Returns true if the pipeline is run
+    */
+    get enabled() {
+        return this.__Internal__Dont__Modify__.enabled;
+    },
+
+    /*
+        PostProcess : enabled - Set the flag indicating if the pipeline is run
+        18/10/2026
+
+        param[in] pEnabled - A bool indicating if the pipeline should be run
+
+        Example:
+
+        //Disable the effects on low end devices
+        Graphics.postProcess.enabled = false;
+    */
+    set enabled(pEnabled) {
+        this.__Internal__Dont__Modify__.enabled = Validate.type(pEnabled, "boolean", true, true);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Filter Functions                                             ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        PostProcess : add - Add a filter to the pipeline
+        18/10/2026
+
+        param[in] pFilter - A PostFilter object or an object to setup a new PostFilter with
+        param[in] pIndex - The position in the pipeline to insert the filter at (Default the end)
+
+        return PostFilter - Returns the added PostFilter object or null if the name is already in use
+
+        Example:
+
+        //Pixelate the frame before the scanlines are added
+        Graphics.postProcess.add(PostFilters.scanlines());
+        Graphics.postProcess.add(PostFilters.pixelate({ size: 3 }), 0);
+    */
+    add: function(pFilter, pIndex) {
+        //Create the filter if a setup object was supplied
+        if (!(pFilter instanceof PostFilter)) pFilter = new PostFilter(pFilter);
+
+        //Check the name isn't in use
+        if (this.get(pFilter.name) !== null) return null;
+
+        //Find the insert position
+        var index = Math.max(0, Math.min(this.__Internal__Dont__Modify__.filters.length,
+            Validate.type(pIndex, "number", this.__Internal__Dont__Modify__.filters.length)));
+
+        //Insert the filter
+        this.__Internal__Dont__Modify__.filters.splice(index, 0, pFilter);
+
+        //Return the filter
+        return pFilter;
+    },
+
+    /*
+        PostProcess : get - Get a filter in the pipeline by name
+        18/10/2026
+
+        param[in] pName - A string containing the name of the filter
+
+        return PostFilter - Returns the PostFilter object or null if it could not be found
+    */
+    get: function(pName) {
+        //Loop through the filters
+        for (var i = 0; i < this.__Internal__Dont__Modify__.filters.length; i++) {
+            if (this.__Internal__Dont__Modify__.filters[i].name === pName)
+                return this.__Internal__Dont__Modify__.filters[i];
+        }
+
+        //Otherwise not found
+        return null;
+    },
+
+    /*
+        PostProcess : remove - Remove a filter from the pipeline
+        18/10/2026
+
+        param[in] pFilter - The PostFilter object or the name of the filter to remove
+
+        return bool - Returns true if the filter was removed
+
+        Example:
+
+        //Remove the blur once the pause menu closes
+        Graphics.postProcess.remove("blur");
+    */
+    remove: function(pFilter) {
+        //Find the filter
+        var filter = (pFilter instanceof PostFilter ? pFilter : this.get(pFilter));
+
+        //Find the index of the filter
+        var index = this.__Internal__Dont__Modify__.filters.indexOf(filter);
+        if (index === -1) return false;
+
+        //Remove the filter
+        this.__Internal__Dont__Modify__.filters.splice(index, 1);
+        return true;
+    },
+
+    /*
+        PostProcess : clear - Remove every filter from the pipeline
+        18/10/2026
+    */
+    clear: function() {
+        this.__Internal__Dont__Modify__.filters = [];
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        PostProcess : apply - Run the enabled filters over the frame held by a context, replacing its contents
+        18/10/2026
+
+        param[in] pDraw - The 2D context holding the rendered frame
+
+        return number - Returns the number of passes that were run
+
+        Example:
+
+        //Filter the frame (Done automatically by Graphics.swapBuffers)
+        Graphics.postProcess.apply(Graphics.draw);
+    */
+    apply: function(pDraw) {
+        //Check the pipeline is enabled
+        if (!this.__Internal__Dont__Modify__.enabled) return 0;
+
+        //Get the dimensions of the frame
+        var width = pDraw.canvas.width;
+        var height = pDraw.canvas.height;
+
+        //Store the canvas holding the frame so far
+        var source = pDraw.canvas;
+
+        //Track the number of passes run
+        var passes = 0;
+
+        //Loop through the filters
+        for (var i = 0; i < this.__Internal__Dont__Modify__.filters.length; i++) {
+            //Get the filter
+            var filter = this.__Internal__Dont__Modify__.filters[i];
+
+            //Check the filter is enabled
+            if (!filter.enabled) continue;
+
+            //Get the target to render the pass to
+            var target = this.getTarget(passes % 2, width, height);
+
+            //Reset the target for the pass
+            target.clear();
+            target.draw.filter = "none";
+            target.draw.imageSmoothingEnabled = true;
+
+            //Render the pass
+            filter.apply(source, target.draw, width, height);
+
+            //The target holds the frame for the next pass
+            source = target.canvas;
+            passes++;
+        }
+
+        //Check if any passes were run
+        if (!passes) return 0;
+
+        //Copy the result back to the frame
+        pDraw.save();
+        pDraw.setTransform(1, 0, 0, 1, 0, 0);
+        pDraw.globalAlpha = 1;
+        pDraw.globalCompositeOperation = "source-over";
+        pDraw.filter = "none";
+        pDraw.clearRect(0, 0, width, height);
+        pDraw.drawImage(source, 0, 0);
+        pDraw.restore();
+
+        //Return the number of passes
+        return passes;
+    },
+
+    /*
+        PostProcess : getTarget - Get one of the offscreen targets, sized to the frame
+        18/10/2026
+
+        param[in] pIndex - The index of the target (0 or 1)
+        param[in] pWidth - The width of the frame
+        param[in] pHeight - The height of the frame
+
+        return RenderTarget - Returns the RenderTarget object
+    */
+    getTarget: function(pIndex, pWidth, pHeight) {
+        //Create the target if needed
+        if (!this.__Internal__Dont__Modify__.targets[pIndex])
+            this.__Internal__Dont__Modify__.targets[pIndex] = new RenderTarget(pWidth, pHeight, { headless: this.__Internal__Dont__Modify__.headless });
+
+        //Get the target
+        var target = this.__Internal__Dont__Modify__.targets[pIndex];
+
+        //Match the frame dimensions
+        if (target.width !== pWidth || target.height !== pHeight) target.resize(pWidth, pHeight);
+
+        //Return the target
+        return target;
+    },
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: PostFilters
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      PostFilter, Color.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Provide functions that create common screen effect filters.
+ *      Filters using the context "filter" property (greyscale, blur and
+ *      colorGrade) pass the frame through unchanged on browsers without it
+ **/
+var PostFilters = {
+    /*
+        PostFilters : greyscale - Create a filter that removes the color from the frame
+        18/10/2026
+
+        param[in] pParams - An optional object containing the "amount" of greyscale to apply (0-1, Default 1)
+        param[in] pName - The name of the filter (Default "greyscale")
+
+        return PostFilter - Returns the new PostFilter object
+    */
+    greyscale: function(pParams, pName) {
+        return new PostFilter({
+            name: Validate.type(pName, "string", "greyscale"),
+            params: this.withDefaults(pParams, { amount: 1 }),
+            apply: function(pSource, pDraw, pParams) {
+                pDraw.filter = "grayscale(" + Math.clamp01(pParams.amount) + ")";
+                pDraw.drawImage(pSource, 0, 0);
+            }
+        });
+    },
+
+    /*
+        PostFilters : blur - Create a filter that blurs the frame
+        18/10/2026
+
+        param[in] pParams - An optional object containing the blur "radius" in pixels (Default 4)
+        param[in] pName - The name of the filter (Default "blur")
+
+        return PostFilter - Returns the new PostFilter object
+    */
+    blur: function(pParams, pName) {
+        return new PostFilter({
+            name: Validate.type(pName, "string", "blur"),
+            params: this.withDefaults(pParams, { radius: 4 }),
+            apply: function(pSource, pDraw, pParams) {
+                pDraw.filter = "blur(" + Math.max(0, pParams.radius) + "px)";
+                pDraw.drawImage(pSource, 0, 0);
+            }
+        });
+    },
+
+    /*
+        PostFilters : colorGrade - Create a filter that adjusts the tone of the frame
+        18/10/2026
+
+        param[in] pParams - An optional object containing the "brightness", "contrast" and "saturation"
+                            multipliers (Default 1), the "hue" rotation in degrees (Default 0) and the
+                            0-1 "sepia" amount (Default 0)
+        param[in] pName - The name of the filter (Default "colorGrade")
+
+        return PostFilter - Returns the new PostFilter object
+    */
+    colorGrade: function(pParams, pName) {
+        return new PostFilter({
+            name: Validate.type(pName, "string", "colorGrade"),
+            params: this.withDefaults(pParams, { brightness: 1, contrast: 1, saturation: 1, hue: 0, sepia: 0 }),
+            apply: function(pSource, pDraw, pParams) {
+                pDraw.filter = "brightness(" + Math.max(0, pParams.brightness) + ") " +
+                    "contrast(" + Math.max(0, pParams.contrast) + ") " +
+                    "saturate(" + Math.max(0, pParams.saturation) + ") " +
+                    "hue-rotate(" + pParams.hue + "deg) " +
+                    "sepia(" + Math.clamp01(pParams.sepia) + ")";
+                pDraw.drawImage(pSource, 0, 0);
+            }
+        });
+    },
+
+    /*
+        PostFilters : vignette - Create a filter that darkens the edges of the frame
+        18/10/2026
+
+        param[in] pParams - An optional object containing the 0-1 "strength" (Default 0.6), the 0-1 "radius"
+                            the darkening starts at (Default 0.6) and the "color" as a Color object or
+                            color string (Default "#000")
+        param[in] pName - The name of the filter (Default "vignette")
+
+        return PostFilter - Returns the new PostFilter object
+    */
+    vignette: function(pParams, pName) {
+        return new PostFilter({
+            name: Validate.type(pName, "string", "vignette"),
+            params: this.withDefaults(pParams, { strength: 0.6, radius: 0.6, color: "#000" }),
+            apply: function(pSource, pDraw, pParams, pWidth, pHeight) {
+                //Copy the frame
+                pDraw.drawImage(pSource, 0, 0);
+
+                //Find the gradient extents
+                var outer = Math.sqrt(pWidth * pWidth + pHeight * pHeight) / 2;
+                var inner = outer * Math.clamp01(pParams.radius);
+
+                //Get the edge color with no opacity
+                var color = new Color(pParams.color instanceof Color ? pParams.color : String(pParams.color));
+                var clear = new Color(color);
+                clear.a = 0;
+
+                //Create the gradient
+                var gradient = pDraw.createRadialGradient(pWidth / 2, pHeight / 2, inner, pWidth / 2, pHeight / 2, outer);
+                gradient.addColorStop(0, clear.rgba);
+                gradient.addColorStop(1, color.rgba);
+
+                //Darken the edges
+                pDraw.globalAlpha = Math.clamp01(pParams.strength);
+                pDraw.fillStyle = gradient;
+                pDraw.fillRect(0, 0, pWidth, pHeight);
+            }
+        });
+    },
+
+    /*
+        PostFilters : scanlines - Create a filter that overlays CRT style horizontal lines on the frame
+        18/10/2026
+
+        param[in] pParams - An optional object containing the pixel "spacing" between lines (Default 3), the
+                            pixel "thickness" of each line (Default 1) and the 0-1 "opacity" of the lines (Default 0.3)
+        param[in] pName - The name of the filter (Default "scanlines")
+
+        return PostFilter - Returns the new PostFilter object
+    */
+    scanlines: function(pParams, pName) {
+        return new PostFilter({
+            name: Validate.type(pName, "string", "scanlines"),
+            params: this.withDefaults(pParams, { spacing: 3, thickness: 1, opacity: 0.3 }),
+            apply: function(pSource, pDraw, pParams, pWidth, pHeight) {
+                //Copy the frame
+                pDraw.drawImage(pSource, 0, 0);
+
+                //Get the line values
+                var spacing = Math.max(1, pParams.spacing);
+                var thickness = Math.max(0, Math.min(spacing, pParams.thickness));
+
+                //Draw the lines
+                pDraw.globalAlpha = Math.clamp01(pParams.opacity);
+                pDraw.fillStyle = "#000";
+                pDraw.beginPath();
+                for (var y = 0; y < pHeight; y += spacing)
+                    pDraw.rect(0, y, pWidth, thickness);
+                pDraw.fill();
+            }
+        });
+    },
+
+    /*
+        PostFilters : pixelate - Create a filter that renders the frame as large blocks
+        18/10/2026
+
+        param[in] pParams - An optional object containing the pixel "size" of each block (Default 4)
+        param[in] pName - The name of the filter (Default "pixelate")
+
+        return PostFilter - Returns the new PostFilter object
+    */
+    pixelate: function(pParams, pName) {
+        return new PostFilter({
+            name: Validate.type(pName, "string", "pixelate"),
+            params: this.withDefaults(pParams, { size: 4 }),
+            apply: function(pSource, pDraw, pParams, pWidth, pHeight) {
+                //Get the reduced dimensions
+                var size = Math.max(1, pParams.size);
+                var width = Math.max(1, Math.ceil(pWidth / size));
+                var height = Math.max(1, Math.ceil(pHeight / size));
+
+                //Shrink the frame into the corner
+                pDraw.imageSmoothingEnabled = false;
+                pDraw.drawImage(pSource, 0, 0, width, height);
+
+                //Stretch the corner back over the frame
+                pDraw.drawImage(pDraw.canvas, 0, 0, width, height, 0, 0, pWidth, pHeight);
+            }
+        });
+    },
+
+    /*
+        PostFilters : withDefaults - Create a parameters object from supplied values and defaults
+        18/10/2026
+
+        param[in] pParams - An object containing the supplied values (Or undefined)
+        param[in] pDefaults - An object containing the default values
+
+        return object - Returns a new object with the default values overridden by matching supplied values
+    */
+    withDefaults: function(pParams, pDefaults) {
+        //Clean the supplied values
+        pParams = Validate.type(pParams, "object", null) || {};
+
+        //Copy the defaults, using the supplied values where set
+        var params = {};
+        for (var key in pDefaults) {
+            if (Object.prototype.hasOwnProperty.call(pDefaults, key))
+                params[key] = (Object.prototype.hasOwnProperty.call(pParams, key) ? pParams[key] : pDefaults[key]);
+        }
+
+        //Return the parameters
+        return params;
+    },
+};
\ No newline at end of file
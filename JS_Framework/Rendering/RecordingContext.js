@@ -0,0 +1,486 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: RecordingContext
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Version: 1.1
+ *      Added an empty toDataURL to the stub canvas
+ *
+ *      Requires:
+ *      ExtendProperties.js
+ *
+ *      Purpose:
+ *      Stand in for a CanvasRenderingContext2D when there is no
+ *      browser available (E.g. running tests in Node). Keeps track of
+ *      the drawing state and records each drawing call made so the
+ *      output of a frame can be inspected
+ **/
+
+/*
+    RecordingContext : Constructor - Initialise with default values
+    18/10/2026
+
+    param[in] pWidth - The width of the stub canvas (Default 0)
+    param[in] pHeight - The height of the stub canvas (Default 0)
+
+    Example:
+
+    //Render the frame to a recording context
+    var graphics = new Graphics(1280, 720, false, { headless: true });
+    drawScene(graphics);
+
+    //Check that the player was drawn
+    var drawn = graphics.draw.callCount("drawImage");
+*/
+function RecordingContext(pWidth, pHeight) {
+    /*  WARNING:
+        Don't modify this internal object from the outside of the RecordingContext object.
+        Instead use RecordingContext object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the list of calls that have been made
+        calls: [],
+
+        //Store the current transform (In the order a, b, c, d, e, f)
+        transform: [1, 0, 0, 1, 0, 0],
+
+        //Store the states pushed by save
+        stateStack: [],
+    };
+
+    //Create a stub canvas that matches the parts of a HTML5 canvas used by the framework
+    this.canvas = {
+        width: Math.abs(Validate.type(pWidth, "number", 0)),
+        height: Math.abs(Validate.type(pHeight, "number", 0)),
+        style: {},
+
+        //Encode nothing, as no pixels are drawn
+        toDataURL: function(pType) {
+            return "data:" + (typeof pType === "string" ? pType : "image/png") + ";base64,";
+        },
+    };
+
+    //Set the default drawing state
+    this.fillStyle = "#000";
+    this.strokeStyle = "#000";
+    this.lineWidth = 1;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = "source-over";
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.imageSmoothingEnabled = true;
+    this.shadowBlur = 0;
+    this.shadowColor = "rgba(0, 0, 0, 0)";
+    this.shadowOffsetX = 0;
+    this.shadowOffsetY = 0;
+    this.filter = "none";
+};
+
+ExtendProperties(RecordingContext, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RecordingContext : calls - Get the list of calls that have been recorded
+        18/10/2026
+
+        return array - Returns a copy of the list of call objects. Each has a "name", the
+                       "args" it was called with and the "state" of the styles at the time
+
+        Example:
+
+        //Output the calls made this frame
+        var calls = graphics.draw.calls;
+        for (var i = 0; i < calls.length; i++)
+            console.log(calls[i].name, calls[i].args);
+    */
+    get calls() {
+        return this.__Internal__Dont__Modify__.calls.slice();
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                Recording Functions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RecordingContext : record - Add a call to the list of recorded calls
+        18/10/2026
+
+        param[in] pName - The name of the function that was called
+        param[in] pArgs - The arguments object the function was called with
+    */
+    record: function(pName, pArgs) {
+        this.__Internal__Dont__Modify__.calls.push({
+            name: pName,
+            args: Array.prototype.slice.call(pArgs),
+            state: {
+                fillStyle: this.fillStyle,
+                strokeStyle: this.strokeStyle,
+                lineWidth: this.lineWidth,
+                globalAlpha: this.globalAlpha,
+                globalCompositeOperation: this.globalCompositeOperation,
+                font: this.font,
+                transform: this.__Internal__Dont__Modify__.transform.slice(),
+            },
+        });
+    },
+
+    /*
+        RecordingContext : callCount - Count the number of times a function has been called
+        18/10/2026
+
+        param[in] pName - The name of the function to count (Or undefined to count all calls)
+
+        return number - Returns the number of matching calls
+    */
+    callCount: function(pName) {
+        //Check if all calls are being counted
+        if (typeof pName !== "string") return this.__Internal__Dont__Modify__.calls.length;
+
+        //Count the matching calls
+        var count = 0;
+        for (var i = 0; i < this.__Internal__Dont__Modify__.calls.length; i++) {
+            if (this.__Internal__Dont__Modify__.calls[i].name === pName)
+                count++;
+        }
+
+        //Return the count
+        return count;
+    },
+
+    /*
+        RecordingContext : clearCalls - Remove all of the recorded calls, leaving the drawing state as is
+        18/10/2026
+
+        Example:
+
+        //Only inspect the calls from the next frame
+        graphics.draw.clearCalls();
+        stateManager.tick(1 / 60);
+    */
+    clearCalls: function() {
+        this.__Internal__Dont__Modify__.calls = [];
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  State Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RecordingContext : save - Push the current drawing state onto the state stack
+        18/10/2026
+    */
+    save: function() {
+        //Record the call
+        this.record("save", arguments);
+
+        //Store the current state
+        this.__Internal__Dont__Modify__.stateStack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            globalAlpha: this.globalAlpha,
+            globalCompositeOperation: this.globalCompositeOperation,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            imageSmoothingEnabled: this.imageSmoothingEnabled,
+            shadowBlur: this.shadowBlur,
+            shadowColor: this.shadowColor,
+            shadowOffsetX: this.shadowOffsetX,
+            shadowOffsetY: this.shadowOffsetY,
+            filter: this.filter,
+            transform: this.__Internal__Dont__Modify__.transform.slice(),
+        });
+    },
+
+    /*
+        RecordingContext : restore - Pop the last saved drawing state off of the state stack
+        18/10/2026
+    */
+    restore: function() {
+        //Record the call
+        this.record("restore", arguments);
+
+        //Check there is a state to restore
+        if (!this.__Internal__Dont__Modify__.stateStack.length) return;
+
+        //Get the saved state
+        var state = this.__Internal__Dont__Modify__.stateStack.pop();
+
+        //Apply the saved values
+        for (var prop in state) {
+            if (prop === "transform") this.__Internal__Dont__Modify__.transform = state[prop];
+            else this[prop] = state[prop];
+        }
+    },
+
+    /*
+        RecordingContext : getTransform - Get the current transform
+        18/10/2026
+
+        return object - Returns an object with the matrix values "a", "b", "c", "d", "e" and "f"
+    */
+    getTransform: function() {
+        var m = this.__Internal__Dont__Modify__.transform;
+        return { a: m[0], b: m[1], c: m[2], d: m[3], e: m[4], f: m[5] };
+    },
+
+    /*
+        RecordingContext : setTransform - Replace the current transform
+        18/10/2026
+
+        param[in] pA - The horizontal scale
+        param[in] pB - The vertical skew
+        param[in] pC - The horizontal skew
+        param[in] pD - The vertical scale
+        param[in] pE - The horizontal translation
+        param[in] pF - The vertical translation
+    */
+    setTransform: function(pA, pB, pC, pD, pE, pF) {
+        this.record("setTransform", arguments);
+        this.__Internal__Dont__Modify__.transform = [pA, pB, pC, pD, pE, pF];
+    },
+
+    /*
+        RecordingContext : resetTransform - Replace the current transform with the identity matrix
+        18/10/2026
+    */
+    resetTransform: function() {
+        this.record("resetTransform", arguments);
+        this.__Internal__Dont__Modify__.transform = [1, 0, 0, 1, 0, 0];
+    },
+
+    /*
+        RecordingContext : transform - Multiply the current transform by the passed in values
+        18/10/2026
+
+        param[in] pA - The horizontal scale
+        param[in] pB - The vertical skew
+        param[in] pC - The horizontal skew
+        param[in] pD - The vertical scale
+        param[in] pE - The horizontal translation
+        param[in] pF - The vertical translation
+    */
+    transform: function(pA, pB, pC, pD, pE, pF) {
+        //Record the call
+        this.record("transform", arguments);
+
+        //Multiply the matrices
+        var m = this.__Internal__Dont__Modify__.transform;
+        this.__Internal__Dont__Modify__.transform = [
+            m[0] * pA + m[2] * pB,
+            m[1] * pA + m[3] * pB,
+            m[0] * pC + m[2] * pD,
+            m[1] * pC + m[3] * pD,
+            m[0] * pE + m[2] * pF + m[4],
+            m[1] * pE + m[3] * pF + m[5]
+        ];
+    },
+
+    /*
+        RecordingContext : translate - Move the origin of the current transform
+        18/10/2026
+
+        param[in] pX - The distance to move along the X axis
+        param[in] pY - The distance to move along the Y axis
+    */
+    translate: function(pX, pY) {
+        this.record("translate", arguments);
+        var m = this.__Internal__Dont__Modify__.transform;
+        m[4] += m[0] * pX + m[2] * pY;
+        m[5] += m[1] * pX + m[3] * pY;
+    },
+
+    /*
+        RecordingContext : rotate - Rotate the current transform
+        18/10/2026
+
+        param[in] pAngle - The angle to rotate by (In radians)
+    */
+    rotate: function(pAngle) {
+        this.record("rotate", arguments);
+        var m = this.__Internal__Dont__Modify__.transform;
+        var cos = Math.cos(pAngle), sin = Math.sin(pAngle);
+        this.__Internal__Dont__Modify__.transform = [
+            m[0] * cos + m[2] * sin,
+            m[1] * cos + m[3] * sin,
+            m[2] * cos - m[0] * sin,
+            m[3] * cos - m[1] * sin,
+            m[4],
+            m[5]
+        ];
+    },
+
+    /*
+        RecordingContext : scale - Scale the current transform
+        18/10/2026
+
+        param[in] pX - The scale along the X axis
+        param[in] pY - The scale along the Y axis
+    */
+    scale: function(pX, pY) {
+        this.record("scale", arguments);
+        var m = this.__Internal__Dont__Modify__.transform;
+        m[0] *= pX;
+        m[1] *= pX;
+        m[2] *= pY;
+        m[3] *= pY;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Query Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RecordingContext : measureText - Estimate the size of a string of text using the current font.
+                                         As there are no fonts available each character is treated
+                                         as being half as wide as the font size
+        18/10/2026
+
+        param[in] pText - The text to measure
+
+        return object - Returns an object with the "width" of the text
+    */
+    measureText: function(pText) {
+        //Record the call
+        this.record("measureText", arguments);
+
+        //Find the font size
+        var size = /(\d+(\.\d+)?)px/.exec(this.font);
+
+        //Return the estimate
+        return { width: String(pText).length * (size ? parseFloat(size[1]) : 10) * 0.5 };
+    },
+
+    /*
+        RecordingContext : getImageData - Get a blank block of pixel data
+        18/10/2026
+
+        param[in] pX - The X position of the area
+        param[in] pY - The Y position of the area
+        param[in] pWidth - The width of the area
+        param[in] pHeight - The height of the area
+
+        return object - Returns an object with the "width", "height" and RGBA "data" of the area
+    */
+    getImageData: function(pX, pY, pWidth, pHeight) {
+        this.record("getImageData", arguments);
+        return this.createImageData(pWidth, pHeight);
+    },
+
+    /*
+        RecordingContext : createImageData - Create a blank block of pixel data
+        18/10/2026
+
+        param[in] pWidth - The width of the area
+        param[in] pHeight - The height of the area
+
+        return object - Returns an object with the "width", "height" and RGBA "data" of the area
+    */
+    createImageData: function(pWidth, pHeight) {
+        pWidth = Math.abs(Math.round(pWidth));
+        pHeight = Math.abs(Math.round(pHeight));
+        return { width: pWidth, height: pHeight, data: new Uint8ClampedArray(pWidth * pHeight * 4) };
+    },
+
+    /*
+        RecordingContext : createLinearGradient - Create a stub gradient that ignores color stops
+        18/10/2026
+
+        return object - Returns an object with an "addColorStop" function
+    */
+    createLinearGradient: function() {
+        this.record("createLinearGradient", arguments);
+        return { addColorStop: function() {} };
+    },
+
+    /*
+        RecordingContext : createRadialGradient - Create a stub gradient that ignores color stops
+        18/10/2026
+
+        return object - Returns an object with an "addColorStop" function
+    */
+    createRadialGradient: function() {
+        this.record("createRadialGradient", arguments);
+        return { addColorStop: function() {} };
+    },
+
+    /*
+        RecordingContext : createPattern - Create a stub pattern
+        18/10/2026
+
+        return object - Returns an empty object
+    */
+    createPattern: function() {
+        this.record("createPattern", arguments);
+        return {};
+    },
+
+    /*
+        RecordingContext : isPointInPath - Stub for the point in path test
+        18/10/2026
+
+        return bool - Always returns false
+    */
+    isPointInPath: function() {
+        this.record("isPointInPath", arguments);
+        return false;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Drawing Functions                                          ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RecordingContext : Drawing Functions - Record the call without drawing anything. These
+                                               take the same parameters as the CanvasRenderingContext2D
+                                               functions of the same name
+        18/10/2026
+    */
+    clearRect: function() { this.record("clearRect", arguments); },
+    fillRect: function() { this.record("fillRect", arguments); },
+    strokeRect: function() { this.record("strokeRect", arguments); },
+    fillText: function() { this.record("fillText", arguments); },
+    strokeText: function() { this.record("strokeText", arguments); },
+    drawImage: function() { this.record("drawImage", arguments); },
+    putImageData: function() { this.record("putImageData", arguments); },
+    beginPath: function() { this.record("beginPath", arguments); },
+    closePath: function() { this.record("closePath", arguments); },
+    moveTo: function() { this.record("moveTo", arguments); },
+    lineTo: function() { this.record("lineTo", arguments); },
+    bezierCurveTo: function() { this.record("bezierCurveTo", arguments); },
+    quadraticCurveTo: function() { this.record("quadraticCurveTo", arguments); },
+    arc: function() { this.record("arc", arguments); },
+    arcTo: function() { this.record("arcTo", arguments); },
+    ellipse: function() { this.record("ellipse", arguments); },
+    rect: function() { this.record("rect", arguments); },
+    fill: function() { this.record("fill", arguments); },
+    stroke: function() { this.record("stroke", arguments); },
+    clip: function() { this.record("clip", arguments); },
+    setLineDash: function() { this.record("setLineDash", arguments); },
+})
\ No newline at end of file
@@ -0,0 +1,267 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: RenderLayer
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Mat3.js, Camera.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Store the draw commands submitted to a named layer of a
+ *      Graphics object, along with the order, visibility and camera
+ *      used when the layer is flushed
+ **/
+
+/*
+    RenderLayer : Constructor - Initialise with the name and layer values
+    18/10/2026
+
+    param[in] pName - A string containing the name of the layer
+    param[in] pSetup - An optional object containing the values to setup the layer with
+
+    Optional:
+    order - The order the layer is flushed in, lower values being drawn first (Default 0)
+    visible - Flags if the commands of the layer are drawn when flushed (Default true)
+    camera - A Camera object whose transform is applied before each command (Default null)
+    screenSpace - Flags if the camera's UI projection should be used in place of its
+                  projection view (Default false)
+
+    Example:
+
+    //Create the world layer (Normally done via Graphics.addLayer)
+    var worldLayer = new RenderLayer("world", { order: 0, camera: worldCam });
+*/
+function RenderLayer(pName, pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the RenderLayer.
+        Instead use RenderLayer properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the name of the layer
+        name: Validate.type(pName, "string", "", true),
+
+        //Store the layer values
+        order: Validate.type(pSetup["order"], "number", 0),
+        visible: pSetup["visible"] !== false,
+        camera: Validate.instance(pSetup["camera"], Camera, null),
+        screenSpace: pSetup["screenSpace"] === true,
+
+        //Store the commands submitted this frame
+        commands: [],
+    };
+};
+
+ExtendProperties(RenderLayer, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RenderLayer : name - Get the name of the layer
+        18/10/2026
+
+        return string - Returns the name as a string
+    */
+    get name() {
+        return this.__Internal__Dont__Modify__.name;
+    },
+
+    /*
+        RenderLayer : order - Get the order the layer is flushed in
+        18/10/2026
+
+        return number - Returns the order as a number
+    */
+    get order() {
+        return this.__Internal__Dont__Modify__.order;
+    },
+
+    /*
+        RenderLayer : order - Set the order the layer is flushed in
+        18/10/2026
+
+        param[in] pOrder - The order value, lower values being drawn first
+
+        Example:
+
+        //Draw the effects above the world
+        Graphics.getLayer("effects").order = 5;
+    */
+    set order(pOrder) {
+        this.__Internal__Dont__Modify__.order = Validate.type(pOrder, "number", 0, true);
+    },
+
+    /*
+        RenderLayer : visible - Get the flag indicating if the layer is drawn
+        18/10/2026
+
+        return bool - Returns true if the commands of the layer are drawn when flushed
+    */
+    get visible() {
+        return this.__Internal__Dont__Modify__.visible;
+    },
+
+    /*
+        RenderLayer : visible - Set the flag indicating if the layer is drawn
+        18/10/2026
+
+        param[in] pVisible - A bool indicating if the layer should be drawn
+
+        Example:
+
+        //Hide the debug layer
+        Graphics.getLayer("debug").visible = false;
+    */
+    set visible(pVisible) {
+        this.__Internal__Dont__Modify__.visible = Validate.type(pVisible, "boolean", true, true);
+    },
+
+    /*
+        RenderLayer : camera - Get the Camera whose transform is applied to the layer
+        18/10/2026
+
+        return Camera - Returns the Camera object or null if there is none
+    */
+    get camera() {
+        return this.__Internal__Dont__Modify__.camera;
+    },
+
+    /*
+        RenderLayer : camera - Set the Camera whose transform is applied to the layer
+        18/10/2026
+
+        param[in] pCamera - A Camera object or null to use the submitted transforms as they are
+
+        Example:
+
+        //View the world through the player camera
+        Graphics.getLayer("world").camera = playerCam;
+    */
+    set camera(pCamera) {
+        //Check the camera is valid
+        if (pCamera !== null && !(pCamera instanceof Camera))
+            throw new Error("Can not set the RenderLayer camera to " + pCamera + " (Type: '" + typeof pCamera + "') Please use a Camera object or null");
+
+        //Save the camera
+        this.__Internal__Dont__Modify__.camera = pCamera;
+    },
+
+    /*
+        RenderLayer : screenSpace - Get the flag indicating if the camera's UI projection is used
+        18/10/2026
+
+        return bool - Returns true if the UI projection is used in place of the projection view
+    */
+    get screenSpace() {
+        return this.__Internal__Dont__Modify__.screenSpace;
+    },
+
+    /*
+        RenderLayer : screenSpace - Set the flag indicating if the camera's UI projection is used
+        18/10/2026
+
+        param[in] pScreenSpace - A bool indicating if the UI projection should be used
+
+        Example:
+
+        //Scale the HUD to the canvas without following the camera
+        Graphics.getLayer("hud").screenSpace = true;
+    */
+    set screenSpace(pScreenSpace) {
+        this.__Internal__Dont__Modify__.screenSpace = Validate.type(pScreenSpace, "boolean", false, true);
+    },
+
+    /*
+        RenderLayer : baseTransform - Get the transform applied before each command of the layer
+        18/10/2026
+
+        return Mat3 - Returns a Mat3 object from the camera or null if there is no camera
+    */
+    get baseTransform() {
+        //Check there is a camera
+        if (this.__Internal__Dont__Modify__.camera === null) return null;
+
+        //Return the camera transform
+        return (this.__Internal__Dont__Modify__.screenSpace ?
+            this.__Internal__Dont__Modify__.camera.projectionUI :
+            this.__Internal__Dont__Modify__.camera.projectionView);
+    },
+
+    /*
+        RenderLayer : commandCount - Get the number of commands waiting to be drawn
+        18/10/2026
+
+        return number - Returns the command count as a number
+    */
+    get commandCount() {
+        return this.__Internal__Dont__Modify__.commands.length;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RenderLayer : submit - Add a draw command to the layer
+        18/10/2026
+
+        param[in] pDepth - The depth of the command within the layer, lower values being drawn first
+        param[in] pCallback - A function that accepts the Graphics object and renders the command
+        param[in] pTransform - A Mat3 object holding the transform to render the command with (Or null)
+    */
+    submit: function(pDepth, pCallback, pTransform) {
+        this.__Internal__Dont__Modify__.commands.push({
+            depth: Validate.type(pDepth, "number", 0),
+            sequence: this.__Internal__Dont__Modify__.commands.length,
+            callback: pCallback,
+            transform: pTransform
+        });
+    },
+
+    /*
+        RenderLayer : takeCommands - Remove the submitted commands sorted by depth
+        18/10/2026
+
+        return array - Returns an array of command objects, in submission order where depths are equal
+    */
+    takeCommands: function() {
+        //Get the commands
+        var commands = this.__Internal__Dont__Modify__.commands;
+
+        //Clear the layer
+        this.__Internal__Dont__Modify__.commands = [];
+
+        //Sort the commands
+        commands.sort(function(pA, pB) {
+            return (pA.depth - pB.depth) || (pA.sequence - pB.sequence);
+        });
+
+        //Return the sorted commands
+        return commands;
+    },
+
+    /*
+        RenderLayer : clear - Remove the submitted commands without drawing them
+        18/10/2026
+    */
+    clear: function() {
+        this.__Internal__Dont__Modify__.commands = [];
+    },
+});
\ No newline at end of file
@@ -0,0 +1,266 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Blend Defines                                              ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: BlendMode
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the canvas composite operations used to blend a
+ *      RenderTarget back onto the canvas being rendered to
+ **/
+var BlendMode = {
+    NORMAL: "source-over",
+    ADD: "lighter",
+    MULTIPLY: "multiply",
+    SCREEN: "screen",
+    OVERLAY: "overlay",
+    DARKEN: "darken",
+    LIGHTEN: "lighten",
+    DIFFERENCE: "difference",
+    MASK: "destination-in",
+    ERASE: "destination-out"
+};
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: RenderTarget
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Vec2.js, Color.js, RecordingContext.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Hold an offscreen canvas of any size that Graphics can render
+ *      to and composite back, for minimaps, cached backgrounds and
+ *      light maps
+ **/
+
+/*
+    RenderTarget : Constructor - Initialise the offscreen canvas with the specified dimensions
+    18/10/2026
+
+    param[in] pWidth - The width of the offscreen canvas
+    param[in] pHeight - The height of the offscreen canvas
+    param[in] pSetup - An optional object containing the values to setup the RenderTarget with
+
+    Optional:
+    context - A 2D context to render to in place of creating a canvas (Default null)
+    headless - Flags if a RecordingContext should be used in place of a canvas (Default true when
+               there is no document)
+
+    Example:
+
+    //Create a target for the minimap
+    var minimap = new RenderTarget(256, 256);
+    OR
+    //Create a target matching the Graphics object
+    var lightMap = graphics.createRenderTarget(graphics.width, graphics.height);
+*/
+function RenderTarget(pWidth, pHeight, pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the RenderTarget.
+        Instead use RenderTarget properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the canvas being rendered to
+        canvas: null,
+
+        //Store the 2D context of the canvas
+        context: null,
+    };
+
+    //Check if a context was supplied
+    if (typeof pSetup["context"] === "object" && pSetup["context"] !== null)
+        this.__Internal__Dont__Modify__.context = pSetup["context"];
+
+    //Check if rendering without a document
+    else if (pSetup["headless"] === true || typeof document === "undefined")
+        this.__Internal__Dont__Modify__.context = new RecordingContext(pWidth, pHeight);
+
+    //Otherwise create an offscreen canvas
+    else {
+        //Create the canvas (Not added to the document)
+        var canvas = document.createElement("canvas");
+
+        //Get the 2D context from the canvas
+        this.__Internal__Dont__Modify__.context = canvas.getContext("2d");
+    }
+
+    //Store the canvas of the context
+    this.__Internal__Dont__Modify__.canvas = this.__Internal__Dont__Modify__.context.canvas;
+
+    //Set the dimensions
+    this.resize(pWidth, pHeight);
+};
+
+ExtendProperties(RenderTarget, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RenderTarget : draw - Get the rendering context of the offscreen canvas
+        18/10/2026
+
+        return CanvasRenderingContext2D - Returns the rendering context
+    */
+    get draw() {
+        return this.__Internal__Dont__Modify__.context;
+    },
+
+    /*
+        RenderTarget : canvas - Get the offscreen canvas
+        18/10/2026
+
+        return Canvas - Returns a HTML5 canvas object (Or a stand in when headless)
+    */
+    get canvas() {
+        return this.__Internal__Dont__Modify__.canvas;
+    },
+
+    /*
+        RenderTarget : width - Get the width of the offscreen canvas
+        18/10/2026
+
+        return number - Returns the width as a number
+    */
+    get width() {
+        return this.__Internal__Dont__Modify__.canvas.width;
+    },
+
+    /*
+        RenderTarget : width - Set the width of the offscreen canvas, clearing its contents
+        18/10/2026
+
+        param[in] pWidth - The new width of the canvas
+    */
+    set width(pWidth) {
+        this.resize(pWidth, this.height);
+    },
+
+    /*
+        RenderTarget : height - Get the height of the offscreen canvas
+        18/10/2026
+
+        return number - Returns the height as a number
+    */
+    get height() {
+        return this.__Internal__Dont__Modify__.canvas.height;
+    },
+
+    /*
+        RenderTarget : height - Set the height of the offscreen canvas, clearing its contents
+        18/10/2026
+
+        param[in] pHeight - The new height of the canvas
+    */
+    set height(pHeight) {
+        this.resize(this.width, pHeight);
+    },
+
+    /*
+        RenderTarget : size - Get the dimensions of the offscreen canvas
+        18/10/2026
+
+        return Vec2 - Returns a Vec2 object holding the dimensions
+    */
+    get size() {
+        return new Vec2(this.width, this.height);
+    },
+
+    /*
+        RenderTarget : size - Set the dimensions of the offscreen canvas, clearing its contents
+        18/10/2026
+
+        param[in] pDim - A Vec2 object containing the new dimensions
+
+        Example:
+
+        //Match the light map to the screen
+        lightMap.size = graphics.size;
+    */
+    set size(pDim) {
+        //Check the type
+        if (!(pDim instanceof Vec2))
+            throw new Error("Can not set the RenderTarget dimensions to " + pDim + " (Type: '" + typeof pDim + "') Please use a Vec2 object");
+
+        //Resize the canvas
+        this.resize(pDim.x, pDim.y);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        RenderTarget : resize - Change the dimensions of the offscreen canvas, clearing its contents
+        18/10/2026
+
+        param[in] pWidth - The new width of the canvas
+        param[in] pHeight - The new height of the canvas
+
+        Example:
+
+        //Double the minimap resolution
+        minimap.resize(512, 512);
+    */
+    resize: function(pWidth, pHeight) {
+        //Check the dimensions are numbers
+        if (typeof pWidth !== "number" || typeof pHeight !== "number")
+            throw new Error("Can not set the RenderTarget dimensions to " + pWidth + "x" + pHeight + " Please use numbers for the width and height");
+
+        //Set the canvas dimensions
+        this.__Internal__Dont__Modify__.canvas.width = Math.max(1, Math.floor(Math.abs(pWidth)));
+        this.__Internal__Dont__Modify__.canvas.height = Math.max(1, Math.floor(Math.abs(pHeight)));
+    },
+
+    /*
+        RenderTarget : clear - Clear the contents of the offscreen canvas
+        18/10/2026
+
+        param[in] pColor - An optional Color object or color string to fill the canvas with (Default
+                           leaves the canvas transparent)
+
+        Example:
+
+        //Start the light map in darkness
+        lightMap.clear("#111");
+    */
+    clear: function(pColor) {
+        //Reset the context values
+        this.__Internal__Dont__Modify__.context.setTransform(1, 0, 0, 1, 0, 0);
+        this.__Internal__Dont__Modify__.context.globalAlpha = 1;
+        this.__Internal__Dont__Modify__.context.globalCompositeOperation = "source-over";
+
+        //Clear the canvas
+        this.__Internal__Dont__Modify__.context.clearRect(0, 0, this.width, this.height);
+
+        //Check if there is a color to fill with
+        if (pColor instanceof Color || typeof pColor === "string") {
+            this.__Internal__Dont__Modify__.context.fillStyle = (pColor instanceof Color ? pColor.rgba : pColor);
+            this.__Internal__Dont__Modify__.context.fillRect(0, 0, this.width, this.height);
+        }
+    },
+});
\ No newline at end of file
@@ -0,0 +1,748 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: Sprite
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Vec2.js, ExtendProperties.js
+ *
+ *      Version: 1.1
+ *      Added trimmed and rotated regions for packed atlases
+ *
+ *      Purpose:
+ *      Describe a rectangular region of an image that can be
+ *      rendered via the Graphics.drawSprite function
+ **/
+
+/*
+    Sprite : Constructor - Initialise with the image and region values
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the Sprite with
+
+    Requires:
+    image - An Image (Or canvas) object to take the sprite from
+
+    Optional:
+    x - The left pixel of the region on the image (Default 0)
+    y - The top pixel of the region on the image (Default 0)
+    width - The pixel width of the region (Default null, uses the remaining image width)
+    height - The pixel height of the region (Default null, uses the remaining image height)
+    pivot - A Vec2 object holding the normalised point of the untrimmed sprite to render from (Default 0.5, 0.5)
+    offsetX - The pixels trimmed from the left of the sprite when it was packed (Default 0)
+    offsetY - The pixels trimmed from the top of the sprite when it was packed (Default 0)
+    sourceWidth - The pixel width of the sprite before it was trimmed (Default null, uses width)
+    sourceHeight - The pixel height of the sprite before it was trimmed (Default null, uses height)
+    rotated - Flags if the region is stored rotated 90 degrees clockwise on the image, in which case
+              width and height describe the unrotated sprite (Default false)
+
+    Example:
+
+    //Create a sprite from the entire player image
+    var playerSprite = new Sprite({ image: Graphics.loadImage("Sprites/player.png") });
+    OR
+    //Create a sprite from a region of the image pivoting at the feet
+    var playerSprite = new Sprite({
+        image: playerImage,
+        x: 32,
+        y: 0,
+        width: 32,
+        height: 48,
+        pivot: new Vec2(0.5, 1)
+    });
+*/
+function Sprite(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the Sprite.
+        Instead use Sprite properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the image the sprite is taken from
+        image: null,
+
+        //Store the region of the image
+        x: Validate.type(pSetup["x"], "number", 0),
+        y: Validate.type(pSetup["y"], "number", 0),
+        width: Validate.type(pSetup["width"], "number", null),
+        height: Validate.type(pSetup["height"], "number", null),
+
+        //Store the values used to restore a packed region
+        offsetX: Validate.type(pSetup["offsetX"], "number", 0),
+        offsetY: Validate.type(pSetup["offsetY"], "number", 0),
+        sourceWidth: Validate.type(pSetup["sourceWidth"], "number", null),
+        sourceHeight: Validate.type(pSetup["sourceHeight"], "number", null),
+        rotated: pSetup["rotated"] === true,
+
+        //Store the normalised pivot point
+        pivot: new Vec2(0.5, 0.5),
+    };
+
+    //Set the image
+    this.image = pSetup["image"];
+
+    //Set the pivot
+    if (pSetup["pivot"] instanceof Vec2) this.pivot = pSetup["pivot"];
+};
+
+ExtendProperties(Sprite, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Sprite : image - Get the image the sprite is taken from
+        18/10/2026
+
+        return object - Returns the Image (Or canvas) object
+
+        Example:
+
+        //Get the sprite image
+        var img = playerSprite.image;
+    */
+    get image() {
+        return this.__Internal__Dont__Modify__.image;
+    },
+
+    /*
+        Sprite : image - Set the image the sprite is taken from
+        18/10/2026
+
+        param[in] pImage - An Image (Or canvas) object
+
+        Example:
+
+        //Swap the sprite image
+        playerSprite.image = Graphics.loadImage("Sprites/playerAlt.png");
+    */
+    set image(pImage) {
+        //Check the image is an object
+        if (typeof pImage !== "object" || pImage === null)
+            throw new Error("Can not set the Sprite image to " + pImage + " (Type: '" + typeof pImage + "') Please use an Image or canvas object");
+
+        //Save the image
+        this.__Internal__Dont__Modify__.image = pImage;
+    },
+
+    /*
+        Sprite : x - Get the left pixel of the sprite region
+        18/10/2026
+
+        return number - Returns the X position as a number
+    */
+    get x() {
+        return this.__Internal__Dont__Modify__.x;
+    },
+
+    /*
+        Sprite : y - Get the top pixel of the sprite region
+        18/10/2026
+
+        return number - Returns the Y position as a number
+    */
+    get y() {
+        return this.__Internal__Dont__Modify__.y;
+    },
+
+    /*
+        Sprite : width - Get the pixel width of the sprite region
+        18/10/2026
+
+        return number - Returns the width as a number (0 if the image has not loaded)
+
+        Example:
+
+        //Get the width of the sprite
+        var spriteWidth = playerSprite.width;
+    */
+    get width() {
+        //Check if a width was specified
+        if (this.__Internal__Dont__Modify__.width !== null)
+            return this.__Internal__Dont__Modify__.width;
+
+        //Otherwise use the remaining image width
+        return Math.max(0, (this.__Internal__Dont__Modify__.image.width || 0) - this.__Internal__Dont__Modify__.x);
+    },
+
+    /*
+        Sprite : height - Get the pixel height of the sprite region
+        18/10/2026
+
+        return number - Returns the height as a number (0 if the image has not loaded)
+
+        Example:
+
+        //Get the height of the sprite
+        var spriteHeight = playerSprite.height;
+    */
+    get height() {
+        //Check if a height was specified
+        if (this.__Internal__Dont__Modify__.height !== null)
+            return this.__Internal__Dont__Modify__.height;
+
+        //Otherwise use the remaining image height
+        return Math.max(0, (this.__Internal__Dont__Modify__.image.height || 0) - this.__Internal__Dont__Modify__.y);
+    },
+
+    /*
+        Sprite : size - Get the pixel dimensions of the sprite region
+        18/10/2026
+
+        return Vec2 - Returns a Vec2 object containing the dimensions
+    */
+    get size() {
+        return new Vec2(this.width, this.height);
+    },
+
+    /*
+        Sprite : offsetX - Get the pixels trimmed from the left of the sprite
+        18/10/2026
+
+        return number - Returns the offset as a number
+    */
+    get offsetX() {
+        return this.__Internal__Dont__Modify__.offsetX;
+    },
+
+    /*
+        Sprite : offsetY - Get the pixels trimmed from the top of the sprite
+        18/10/2026
+
+        return number - Returns the offset as a number
+    */
+    get offsetY() {
+        return this.__Internal__Dont__Modify__.offsetY;
+    },
+
+    /*
+        Sprite : sourceWidth - Get the pixel width of the sprite before it was trimmed
+        18/10/2026
+
+        return number - Returns the width as a number
+    */
+    get sourceWidth() {
+        return (this.__Internal__Dont__Modify__.sourceWidth !== null ? this.__Internal__Dont__Modify__.sourceWidth : this.width);
+    },
+
+    /*
+        Sprite : sourceHeight - Get the pixel height of the sprite before it was trimmed
+        18/10/2026
+
+        return number - Returns the height as a number
+    */
+    get sourceHeight() {
+        return (this.__Internal__Dont__Modify__.sourceHeight !== null ? this.__Internal__Dont__Modify__.sourceHeight : this.height);
+    },
+
+    /*
+        Sprite : rotated - Get the flag indicating if the region is stored rotated on the image
+        18/10/2026
+
+        return bool - Returns true if the region is rotated 90 degrees clockwise
+    */
+    get rotated() {
+        return this.__Internal__Dont__Modify__.rotated;
+    },
+
+    /*
+        Sprite : pivot - Get the normalised point the sprite is rendered from
+        18/10/2026
+
+        return Vec2 - Returns a Vec2 object containing the pivot
+
+        Example:
+
+        //Get the sprite pivot
+        var pivot = playerSprite.pivot;
+    */
+    get pivot() {
+        return new Vec2(this.__Internal__Dont__Modify__.pivot);
+    },
+
+    /*
+        Sprite : pivot - Set the normalised point the sprite is rendered from
+        18/10/2026
+
+        param[in] pPivot - A Vec2 object holding the pivot (0, 0 is the top left, 1, 1 the bottom right)
+
+        Example:
+
+        //Pivot the sprite at the feet
+        playerSprite.pivot = new Vec2(0.5, 1);
+    */
+    set pivot(pPivot) {
+        //Check the pivot is a Vec2
+        if (!(pPivot instanceof Vec2))
+            throw new Error("Can not set the Sprite pivot to " + pPivot + " (Type: '" + typeof pPivot + "') Please use a Vec2 object");
+
+        //Save the pivot
+        this.__Internal__Dont__Modify__.pivot.set(pPivot);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Sprite : setRegion - Set the region of the image that the sprite uses
+        18/10/2026
+
+        param[in] pX - The left pixel of the region
+        param[in] pY - The top pixel of the region
+        param[in] pWidth - The pixel width of the region (Or null to use the remaining image width)
+        param[in] pHeight - The pixel height of the region (Or null to use the remaining image height)
+
+        Example:
+
+        //Move the sprite to the next frame
+        playerSprite.setRegion(64, 0, 32, 48);
+    */
+    setRegion: function(pX, pY, pWidth, pHeight) {
+        this.__Internal__Dont__Modify__.x = Validate.type(pX, "number", 0);
+        this.__Internal__Dont__Modify__.y = Validate.type(pY, "number", 0);
+        this.__Internal__Dont__Modify__.width = Validate.type(pWidth, "number", null);
+        this.__Internal__Dont__Modify__.height = Validate.type(pHeight, "number", null);
+    },
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: SpriteSheet
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Sprite.js, Vec2.js, ExtendProperties.js
+ *
+ *      Version: 1.1
+ *      Added addSprite for adding pre-made frames
+ *
+ *      Purpose:
+ *      Store a collection of named Sprite frames taken from a
+ *      single image, either sliced from a grid or added individually
+ **/
+
+/*
+    SpriteSheet : Constructor - Initialise with the image and optional grid values
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the SpriteSheet with
+
+    Requires:
+    image - An Image (Or canvas) object holding the frames
+
+    Optional:
+    frameWidth - The pixel width of each grid cell. When this and frameHeight are set the image
+                 is sliced as a grid, once it has loaded (See SpriteSheet.sliceGrid for the other
+                 grid options)
+    frameHeight - The pixel height of each grid cell
+    onLoad - A function called with the SpriteSheet once the grid has been sliced (See SpriteSheet.onLoad)
+
+    Example:
+
+    //Create a sheet of 32x48 frames
+    var playerSheet = new SpriteSheet({
+        image: Graphics.loadImage("Sprites/playerSheet.png"),
+        frameWidth: 32,
+        frameHeight: 48,
+        onLoad: function(pSheet) {
+            runAnim = new Animation({ frames: pSheet.getFrames("run_") });
+        }
+    });
+*/
+function SpriteSheet(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    //Check the image is an object
+    if (typeof pSetup["image"] !== "object" || pSetup["image"] === null)
+        throw new Error("Can not create a SpriteSheet using the image " + pSetup["image"] + " (Type: '" + typeof pSetup["image"] + "') Please use an Image or canvas object");
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the SpriteSheet.
+        Instead use SpriteSheet properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the image the frames are taken from
+        image: pSetup["image"],
+
+        //Store the frames in the order they were added
+        frames: [],
+
+        //Store the frame names in the order they were added
+        names: [],
+
+        //Store a map of names to frame indices
+        lookup: {},
+
+        //Store the number of grids waiting for the image to load before they are sliced
+        pending: 0,
+
+        //Store the functions to call once the pending grids have been sliced
+        loadCallbacks: [],
+    };
+
+    //Check if the sheet should be sliced as a grid
+    if (typeof pSetup["frameWidth"] === "number" && typeof pSetup["frameHeight"] === "number")
+        this.sliceGrid(pSetup);
+
+    //Add the load callback
+    if (typeof pSetup["onLoad"] === "function")
+        this.onLoad(pSetup["onLoad"]);
+};
+
+ExtendProperties(SpriteSheet, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        SpriteSheet : image - Get the image the frames are taken from
+        18/10/2026
+
+        return object - Returns the Image (Or canvas) object
+    */
+    get image() {
+        return this.__Internal__Dont__Modify__.image;
+    },
+
+    /*
+        SpriteSheet : frameCount - Get the number of frames in the sheet
+        18/10/2026
+
+        return number - Returns the number of frames as a number
+
+        Example:
+
+        //Get the number of frames
+        var count = playerSheet.frameCount;
+    */
+    get frameCount() {
+        return this.__Internal__Dont__Modify__.frames.length;
+    },
+
+    /*
+        SpriteSheet : loaded - Get the flag indicating if every grid has been sliced
+        18/10/2026
+
+        return bool - Returns false while a grid is waiting for the image to load
+    */
+    get loaded() {
+        return this.__Internal__Dont__Modify__.pending === 0;
+    },
+
+    /*
+        SpriteSheet : frameNames - Get the names of the frames in the sheet
+        18/10/2026
+
+        return array - Returns an array of strings in the order the frames were added
+
+        Example:
+
+        //List the frame names
+        var names = playerSheet.frameNames;
+    */
+    get frameNames() {
+        return this.__Internal__Dont__Modify__.names.slice();
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        SpriteSheet : addFrame - Add a single named frame to the sheet
+        18/10/2026
+
+        param[in] pName - A string containing the unique name of the frame
+        param[in] pX - The left pixel of the frame on the image
+        param[in] pY - The top pixel of the frame on the image
+        param[in] pWidth - The pixel width of the frame
+        param[in] pHeight - The pixel height of the frame
+        param[in] pPivot - A Vec2 object holding the normalised pivot of the frame (Default 0.5, 0.5)
+
+        return Sprite - Returns the new Sprite object or null if the name is already in use
+
+        Example:
+
+        //Add the idle frame
+        playerSheet.addFrame("idle", 0, 0, 32, 48);
+    */
+    addFrame: function(pName, pX, pY, pWidth, pHeight, pPivot) {
+        //Create the sprite
+        var sprite = new Sprite({
+            image: this.__Internal__Dont__Modify__.image,
+            x: pX,
+            y: pY,
+            width: pWidth,
+            height: pHeight,
+            pivot: pPivot
+        });
+
+        //Add the sprite to the sheet
+        return (this.addSprite(pName, sprite) ? sprite : null);
+    },
+
+    /*
+        SpriteSheet : addSprite - Add a pre-made Sprite object to the sheet as a named frame
+        18/10/2026
+
+        param[in] pName - A string containing the unique name of the frame
+        param[in] pSprite - The Sprite object to add
+
+        return bool - Returns true if the Sprite was added
+
+        Example:
+
+        //Add a trimmed frame
+        playerSheet.addSprite("jump", new Sprite({ image: playerImage, x: 64, y: 0, width: 30, height: 40, offsetX: 1, sourceWidth: 32, sourceHeight: 48 }));
+    */
+    addSprite: function(pName, pSprite) {
+        //Check the name is a string
+        if (typeof pName !== "string")
+            throw new Error("Can not add a SpriteSheet frame with the name " + pName + " (Type: '" + typeof pName + "') Please use a string");
+
+        //Check the sprite is a Sprite
+        if (!(pSprite instanceof Sprite))
+            throw new Error("Can not add the SpriteSheet frame " + pSprite + " (Type: '" + typeof pSprite + "') Please use a Sprite object");
+
+        //Check the name is not in use
+        if (Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.lookup, pName)) return false;
+
+        //Store the frame
+        this.__Internal__Dont__Modify__.lookup[pName] = this.__Internal__Dont__Modify__.frames.length;
+        this.__Internal__Dont__Modify__.frames.push(pSprite);
+        this.__Internal__Dont__Modify__.names.push(pName);
+        return true;
+    },
+
+    /*
+        SpriteSheet : sliceGrid - Add frames to the sheet by slicing the image as a grid
+        18/10/2026
+
+        param[in] pSetup - An object containing the grid values
+
+        Requires:
+        frameWidth - The pixel width of each grid cell
+        frameHeight - The pixel height of each grid cell
+
+        Optional:
+        margin - The pixel gap around the edge of the image (Default 0)
+        spacing - The pixel gap between grid cells (Default 0)
+        columns - The number of columns in the grid (Default fits the image width, waiting for the
+                  image to load if it hasn't yet)
+        rows - The number of rows in the grid (Default fits the image height, waiting for the image
+               to load if it hasn't yet)
+        count - The maximum number of frames to add (Default columns * rows)
+        prefix - A string placed before the frame index to name the frames (Default "")
+        pivot - A Vec2 object holding the normalised pivot of the frames (Default 0.5, 0.5)
+
+        return number - Returns the number of frames that were added (0 if slicing is waiting for the image to
+                        load, see SpriteSheet.onLoad)
+
+        Example:
+
+        //Slice the run cycle from a padded sheet
+        playerSheet.sliceGrid({ frameWidth: 32, frameHeight: 48, spacing: 2, count: 8, prefix: "run_" });
+    */
+    sliceGrid: function(pSetup) {
+        //Clean the setup object
+        pSetup = Validate.type(pSetup, "object", null) || {};
+
+        //Get the cell dimensions
+        var frameWidth = Validate.type(pSetup["frameWidth"], "number", 0);
+        var frameHeight = Validate.type(pSetup["frameHeight"], "number", 0);
+
+        //Check the dimensions are usable
+        if (frameWidth <= 0 || frameHeight <= 0)
+            throw new Error("Can not slice a SpriteSheet with the frame dimensions " + frameWidth + "x" + frameHeight + " Please use positive frameWidth and frameHeight values");
+
+        //Check if the grid needs to wait for the image to be measured
+        var image = this.__Internal__Dont__Modify__.image;
+        if ((typeof pSetup["columns"] !== "number" || typeof pSetup["rows"] !== "number") &&
+            image.complete === false && typeof image.addEventListener === "function") {
+            //Slice the grid once the image has loaded
+            var that = this;
+            this.__Internal__Dont__Modify__.pending++;
+            image.addEventListener("load", function() {
+                //Slice the grid
+                that.sliceGrid(pSetup);
+                that.__Internal__Dont__Modify__.pending--;
+
+                //Check every grid has been sliced
+                if (that.__Internal__Dont__Modify__.pending > 0) return;
+
+                //Call the load callbacks
+                var callbacks = that.__Internal__Dont__Modify__.loadCallbacks;
+                that.__Internal__Dont__Modify__.loadCallbacks = [];
+                for (var i = 0; i < callbacks.length; i++)
+                    callbacks[i](that);
+            }, false);
+            return 0;
+        }
+
+        //Get the grid spacing values
+        var margin = Validate.type(pSetup["margin"], "number", 0);
+        var spacing = Validate.type(pSetup["spacing"], "number", 0);
+
+        //Get the grid dimensions
+        var columns = Validate.type(pSetup["columns"], "number", Math.floor(((image.width || 0) - margin * 2 + spacing) / (frameWidth + spacing)));
+        var rows = Validate.type(pSetup["rows"], "number", Math.floor(((image.height || 0) - margin * 2 + spacing) / (frameHeight + spacing)));
+
+        //Get the frame limit
+        var count = Math.min(Validate.type(pSetup["count"], "number", columns * rows), columns * rows);
+
+        //Get the naming prefix
+        var prefix = Validate.type(pSetup["prefix"], "string", "");
+
+        //Track the number of frames added
+        var added = 0;
+
+        //Loop through the grid cells
+        for (var i = 0; i < count; i++) {
+            //Add the frame
+            if (this.addFrame(prefix + i,
+                    margin + (i % columns) * (frameWidth + spacing),
+                    margin + Math.floor(i / columns) * (frameHeight + spacing),
+                    frameWidth, frameHeight, pSetup["pivot"]) !== null)
+                added++;
+        }
+
+        //Return the number of frames added
+        return added;
+    },
+
+    /*
+        SpriteSheet : onLoad - Call a function once every grid waiting for the image to load has been
+                               sliced (Straight away if none are waiting)
+        18/10/2026
+
+        param[in] pCallback - A function that accepts the SpriteSheet object
+
+        Example:
+
+        //Create the run cycle once the frames exist
+        playerSheet.onLoad(function(pSheet) {
+            runAnim = new Animation({ frames: pSheet.getFrames("run_"), frameDuration: 1 / 12 });
+        });
+    */
+    onLoad: function(pCallback) {
+        //Check the callback is a function
+        if (typeof pCallback !== "function")
+            throw new Error("Can not add the SpriteSheet load callback " + pCallback + " (Type: '" + typeof pCallback + "') Please use a function");
+
+        //Call the function if the sheet is ready
+        if (this.__Internal__Dont__Modify__.pending === 0) pCallback(this);
+
+        //Otherwise wait for the image
+        else this.__Internal__Dont__Modify__.loadCallbacks.push(pCallback);
+    },
+
+    /*
+        SpriteSheet : getFrame - Get a frame from the sheet by name or index
+        18/10/2026
+
+        param[in] pKey - A string containing the name of the frame or the index number of the frame
+
+        return Sprite - Returns the Sprite object or null if it could not be found
+
+        Example:
+
+        //Get the idle frame
+        var idle = playerSheet.getFrame("idle");
+    */
+    getFrame: function(pKey) {
+        //Check if the key is an index
+        if (typeof pKey === "number")
+            return this.__Internal__Dont__Modify__.frames[pKey] || null;
+
+        //Check if the name exists
+        if (Object.prototype.hasOwnProperty.call(this.__Internal__Dont__Modify__.lookup, pKey))
+            return this.__Internal__Dont__Modify__.frames[this.__Internal__Dont__Modify__.lookup[pKey]];
+
+        //Otherwise not found
+        return null;
+    },
+
+    /*
+        SpriteSheet : getFrames - Get a sequence of frames from the sheet
+        18/10/2026
+
+        param[in] pFirst - Either an array of frame names/indices, a string prefix that frame names
+                           must start with or the index number of the first frame
+        param[in] pCount - When pFirst is an index, the number of frames to get (Default to the end of the sheet)
+
+        return array - Returns an array of the Sprite objects that were found
+
+        Example:
+
+        //Get the run cycle frames for an Animation
+        var runFrames = playerSheet.getFrames("run_");
+        OR
+        var runFrames = playerSheet.getFrames(8, 8);
+    */
+    getFrames: function(pFirst, pCount) {
+        //Store the found frames
+        var found = [];
+
+        //Check if an array of keys was supplied
+        if (pFirst instanceof Array) {
+            //Loop through the keys
+            for (var i = 0; i < pFirst.length; i++) {
+                //Get the frame
+                var frame = this.getFrame(pFirst[i]);
+
+                //Add the frame if found
+                if (frame !== null) found.push(frame);
+            }
+        }
+
+        //Check if a prefix was supplied
+        else if (typeof pFirst === "string") {
+            //Loop through the frame names
+            for (var i = 0; i < this.__Internal__Dont__Modify__.names.length; i++) {
+                if (this.__Internal__Dont__Modify__.names[i].indexOf(pFirst) === 0)
+                    found.push(this.__Internal__Dont__Modify__.frames[i]);
+            }
+        }
+
+        //Otherwise use an index range
+        else {
+            //Get the range values
+            var first = Math.max(0, Validate.type(pFirst, "number", 0));
+            var last = Math.min(this.__Internal__Dont__Modify__.frames.length, first + Validate.type(pCount, "number", this.__Internal__Dont__Modify__.frames.length));
+
+            //Copy the frames
+            found = this.__Internal__Dont__Modify__.frames.slice(first, Math.max(first, last));
+        }
+
+        //Return the found frames
+        return found;
+    },
+});
\ No newline at end of file
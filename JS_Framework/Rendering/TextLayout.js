@@ -0,0 +1,744 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                               Align Defines                                                ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: VerticalAlign
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the numerical values used to vertically align the lines
+ *      of a TextLayout within its box
+ **/
+var VerticalAlign = { TOP: 0, MIDDLE: 1, BOTTOM: 2 };
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: TextLayout
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Vec2.js, Color.js, Graphics.js (TextAlign), ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Measure, word wrap and render a block of text within a box.
+ *      Supports horizontal and vertical alignment, line spacing and
+ *      inline markup to change the style of parts of the text:
+ *
+ *      [color=#F00]red[/color]  [b]bold[/b]  [i]italic[/i]  [size=24]large[/size]
+ *
+ *      Tags can be nested and "[[" renders a single "[". The layout is
+ *      cached and only recalculated after a value is changed
+ **/
+
+/*
+    TextLayout : Constructor - Initialise with the text and layout values
+    18/10/2026
+
+    param[in] pSetup - An optional object containing the values to setup the TextLayout with
+
+    Optional:
+    text - The text to display (Default "")
+    font - The CSS font of unstyled text (Default "12px Arial")
+    color - The Color object or color string of unstyled text (Default "#FFF")
+    outlineColor - The Color object or color string to outline the text with (Default null, no outline)
+    outlineDistance - The distance of the outline from the text (Default 1)
+    width - The width of the box, text is wrapped to fit when greater than 0 (Default 0)
+    height - The height of the box, used for vertical alignment when greater than 0 (Default 0)
+    align - A TextAlign value for the horizontal alignment (Default TextAlign.LEFT)
+    verticalAlign - A VerticalAlign value for the vertical alignment (Default VerticalAlign.TOP)
+    lineSpacing - The height of each line as a multiple of its largest font size (Default 1.2)
+    markup - Flags if inline markup tags are processed (Default true)
+
+    Example:
+
+    //Create a wrapped dialogue box
+    var dialogue = new TextLayout({
+        text: "Welcome to [color=#FC0]Sunport[/color], [b]traveller[/b]!",
+        font: "18px Georgia",
+        width: 400,
+        height: 120,
+        verticalAlign: VerticalAlign.MIDDLE
+    });
+    dialogue.draw(Graphics.draw, 40, 500);
+*/
+function TextLayout(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the TextLayout.
+        Instead use TextLayout properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the text values
+        text: Validate.type(pSetup["text"], "string", ""),
+        font: Validate.type(pSetup["font"], "string", "12px Arial"),
+        color: "#FFF",
+        outlineColor: null,
+        outlineDistance: Validate.type(pSetup["outlineDistance"], "number", 1),
+        markup: pSetup["markup"] !== false,
+
+        //Store the box values
+        width: Math.max(Validate.type(pSetup["width"], "number", 0), 0),
+        height: Math.max(Validate.type(pSetup["height"], "number", 0), 0),
+        align: Validate.type(pSetup["align"], "number", TextAlign.LEFT),
+        verticalAlign: Validate.type(pSetup["verticalAlign"], "number", VerticalAlign.TOP),
+        lineSpacing: Validate.type(pSetup["lineSpacing"], "number", 1.2),
+
+        //Store the calculated lines
+        lines: [],
+        measuredWidth: 0,
+        measuredHeight: 0,
+
+        //Flag if the lines need to be recalculated
+        dirty: true,
+    };
+
+    //Set the colors
+    if (pSetup["color"] instanceof Color || typeof pSetup["color"] === "string") this.color = pSetup["color"];
+    if (pSetup["outlineColor"] instanceof Color || typeof pSetup["outlineColor"] === "string") this.outlineColor = pSetup["outlineColor"];
+};
+
+ExtendProperties(TextLayout, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TextLayout : text - Get the text being displayed
+        18/10/2026
+
+        return string - Returns the text, including any markup, as a string
+    */
+    get text() {
+        return this.__Internal__Dont__Modify__.text;
+    },
+
+    /*
+        TextLayout : text - Set the text being displayed
+        18/10/2026
+
+        param[in] pText - A string containing the text to display
+
+        Example:
+
+        //Show the score
+        scoreText.text = "Score: [b]" + score + "[/b]";
+    */
+    set text(pText) {
+        this.setValue("text", Validate.type(pText, "string", "", true));
+    },
+
+    /*
+        TextLayout : font - Get the CSS font of unstyled text
+        18/10/2026
+
+        return string - Returns the font as a string
+    */
+    get font() {
+        return this.__Internal__Dont__Modify__.font;
+    },
+
+    /*
+        TextLayout : font - Set the CSS font of unstyled text
+        18/10/2026
+
+        param[in] pFont - A string containing the font (E.g. "16px Arial")
+    */
+    set font(pFont) {
+        this.setValue("font", Validate.type(pFont, "string", "12px Arial", true));
+    },
+
+    /*
+        TextLayout : color - Get the color of unstyled text
+        18/10/2026
+
+        return string - Returns the color as a color string
+    */
+    get color() {
+        return this.__Internal__Dont__Modify__.color;
+    },
+
+    /*
+        TextLayout : color - Set the color of unstyled text
+        18/10/2026
+
+        param[in] pColor - A Color object or color string
+    */
+    set color(pColor) {
+        //Check the type
+        if (!(pColor instanceof Color) && typeof pColor !== "string")
+            throw new Error("Can not set the TextLayout color to " + pColor + " (Type: '" + typeof pColor + "') Please use a Color object or color string");
+
+        //Set the value
+        this.setValue("color", (pColor instanceof Color ? pColor.rgba : pColor));
+    },
+
+    /*
+        TextLayout : outlineColor - Get the color the text is outlined with
+        18/10/2026
+
+        return string - Returns the color as a color string or null if there is no outline
+    */
+    get outlineColor() {
+        return this.__Internal__Dont__Modify__.outlineColor;
+    },
+
+    /*
+        TextLayout : outlineColor - Set the color the text is outlined with
+        18/10/2026
+
+        param[in] pColor - A Color object, color string or null to remove the outline
+    */
+    set outlineColor(pColor) {
+        //Check the type
+        if (pColor !== null && !(pColor instanceof Color) && typeof pColor !== "string")
+            throw new Error("Can not set the TextLayout outline color to " + pColor + " (Type: '" + typeof pColor + "') Please use a Color object, color string or null");
+
+        //Set the value
+        this.__Internal__Dont__Modify__.outlineColor = (pColor instanceof Color ? pColor.rgba : pColor);
+    },
+
+    /*
+        TextLayout : outlineDistance - Get the distance of the outline from the text
+        18/10/2026
+
+        return number - Returns the distance as a number
+    */
+    get outlineDistance() {
+        return this.__Internal__Dont__Modify__.outlineDistance;
+    },
+
+    /*
+        TextLayout : outlineDistance - Set the distance of the outline from the text
+        18/10/2026
+
+        param[in] pDist - A number defining the distance to outline the text
+    */
+    set outlineDistance(pDist) {
+        this.__Internal__Dont__Modify__.outlineDistance = Validate.type(pDist, "number", 1, true);
+    },
+
+    /*
+        TextLayout : width - Get the width of the box
+        18/10/2026
+
+        return number - Returns the width as a number (0 when the text isn't wrapped)
+    */
+    get width() {
+        return this.__Internal__Dont__Modify__.width;
+    },
+
+    /*
+        TextLayout : width - Set the width of the box, wrapping the text to fit
+        18/10/2026
+
+        param[in] pWidth - The width of the box (0 to stop wrapping)
+    */
+    set width(pWidth) {
+        this.setValue("width", Math.max(Validate.type(pWidth, "number", 0, true), 0));
+    },
+
+    /*
+        TextLayout : height - Get the height of the box
+        18/10/2026
+
+        return number - Returns the height as a number
+    */
+    get height() {
+        return this.__Internal__Dont__Modify__.height;
+    },
+
+    /*
+        TextLayout : height - Set the height of the box the text is vertically aligned within
+        18/10/2026
+
+        param[in] pHeight - The height of the box (0 to align around the draw position)
+    */
+    set height(pHeight) {
+        this.__Internal__Dont__Modify__.height = Math.max(Validate.type(pHeight, "number", 0, true), 0);
+    },
+
+    /*
+        TextLayout : align - Get the horizontal alignment of the lines
+        18/10/2026
+
+        return number - Returns a value from the TextAlign define object
+    */
+    get align() {
+        return this.__Internal__Dont__Modify__.align;
+    },
+
+    /*
+        TextLayout : align - Set the horizontal alignment of the lines
+        18/10/2026
+
+        param[in] pAlign - A value from the TextAlign define object
+    */
+    set align(pAlign) {
+        this.__Internal__Dont__Modify__.align = Validate.type(pAlign, "number", TextAlign.LEFT, true);
+    },
+
+    /*
+        TextLayout : verticalAlign - Get the vertical alignment of the lines
+        18/10/2026
+
+        return number - Returns a value from the VerticalAlign define object
+    */
+    get verticalAlign() {
+        return this.__Internal__Dont__Modify__.verticalAlign;
+    },
+
+    /*
+        TextLayout : verticalAlign - Set the vertical alignment of the lines
+        18/10/2026
+
+        param[in] pAlign - A value from the VerticalAlign define object
+    */
+    set verticalAlign(pAlign) {
+        this.__Internal__Dont__Modify__.verticalAlign = Validate.type(pAlign, "number", VerticalAlign.TOP, true);
+    },
+
+    /*
+        TextLayout : lineSpacing - Get the height of each line as a multiple of its largest font size
+        18/10/2026
+
+        return number - Returns the spacing as a number
+    */
+    get lineSpacing() {
+        return this.__Internal__Dont__Modify__.lineSpacing;
+    },
+
+    /*
+        TextLayout : lineSpacing - Set the height of each line as a multiple of its largest font size
+        18/10/2026
+
+        param[in] pSpacing - The line spacing multiplier (E.g. 1.5)
+    */
+    set lineSpacing(pSpacing) {
+        this.setValue("lineSpacing", Validate.type(pSpacing, "number", 1.2, true));
+    },
+
+    /*
+        TextLayout : markup - Get the flag indicating if inline markup tags are processed
+        18/10/2026
+
+        return bool - Returns true if markup is processed
+    */
+    get markup() {
+        return this.__Internal__Dont__Modify__.markup;
+    },
+
+    /*
+        TextLayout : markup - Set the flag indicating if inline markup tags are processed
+        18/10/2026
+
+        param[in] pMarkup - A bool indicating if markup should be processed (False displays tags as they are)
+
+        Example:
+
+        //Display the player name exactly as it was typed
+        nameText.markup = false;
+    */
+    set markup(pMarkup) {
+        this.setValue("markup", Validate.type(pMarkup, "boolean", true, true));
+    },
+
+    /*
+        TextLayout : lines - Get the lines calculated by the last layout
+        18/10/2026
+
+        return array - Returns a copy of the array of line objects. Each has the "runs" of styled text
+                       (With "text", "font", "color", "x" and "width"), the "width", "height" and
+                       "baseline" offset of the line
+    */
+    get lines() {
+        return this.__Internal__Dont__Modify__.lines.slice();
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TextLayout : measure - Get the dimensions of the laid out text
+        18/10/2026
+
+        param[in] pDraw - The 2D context used to measure the text
+
+        return Vec2 - Returns a Vec2 object holding the width of the widest line and the total height
+
+        Example:
+
+        //Size the tooltip background to the text
+        var size = tooltip.measure(Graphics.draw);
+    */
+    measure: function(pDraw) {
+        //Update the layout
+        this.layout(pDraw);
+
+        //Return the dimensions
+        return new Vec2(this.__Internal__Dont__Modify__.measuredWidth, this.__Internal__Dont__Modify__.measuredHeight);
+    },
+
+    /*
+        TextLayout : draw - Render the text within its box
+        18/10/2026
+
+        param[in] pDraw - The 2D context to render to
+        param[in] pX - The left of the box (Or the alignment point when the width is 0)
+        param[in] pY - The top of the box (Or the alignment point when the height is 0)
+
+        Example:
+
+        //Render the dialogue box text
+        dialogue.draw(Graphics.draw, 40, 500);
+    */
+    draw: function(pDraw, pX, pY) {
+        //Update the layout
+        this.layout(pDraw);
+
+        //Get the values used for rendering
+        var internal = this.__Internal__Dont__Modify__;
+        var offsets = [{ x: -1, y: -1 }, { x: 1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }, { x: -1, y: 0 }, { x: 1, y: 0 }, { x: 0, y: -1 }, { x: 0, y: 1 }];
+
+        //Find the top of the first line
+        var y = pY;
+        if (internal.verticalAlign === VerticalAlign.MIDDLE) y += (internal.height - internal.measuredHeight) / 2;
+        else if (internal.verticalAlign === VerticalAlign.BOTTOM) y += internal.height - internal.measuredHeight;
+
+        //Set the context values
+        pDraw.save();
+        pDraw.textAlign = "left";
+        pDraw.textBaseline = "alphabetic";
+
+        //Loop through the lines
+        for (var i = 0; i < internal.lines.length; i++) {
+            //Get the line
+            var line = internal.lines[i];
+
+            //Find the left of the line
+            var x = pX;
+            if (internal.align === TextAlign.CENTER) x += (internal.width - line.width) / 2;
+            else if (internal.align === TextAlign.RIGHT) x += internal.width - line.width;
+
+            //Render the runs of the line
+            for (var j = 0; j < line.runs.length; j++) {
+                //Set the font
+                pDraw.font = line.runs[j].font;
+
+                //Render the outline
+                if (internal.outlineColor !== null) {
+                    pDraw.fillStyle = internal.outlineColor;
+                    for (var k = 0; k < offsets.length; k++)
+                        pDraw.fillText(line.runs[j].text, x + line.runs[j].x + offsets[k].x * internal.outlineDistance,
+                            y + line.baseline + offsets[k].y * internal.outlineDistance);
+                }
+
+                //Render the text
+                pDraw.fillStyle = line.runs[j].color;
+                pDraw.fillText(line.runs[j].text, x + line.runs[j].x, y + line.baseline);
+            }
+
+            //Move to the next line
+            y += line.height;
+        }
+
+        //Restore the context values
+        pDraw.restore();
+    },
+
+    /*
+        TextLayout : layout - Calculate the lines of the text if a value has changed since the last layout
+        18/10/2026
+
+        param[in] pDraw - The 2D context used to measure the text
+    */
+    layout: function(pDraw) {
+        //Check the layout is out of date
+        if (!this.__Internal__Dont__Modify__.dirty) return;
+
+        //Get the values used for the layout
+        var internal = this.__Internal__Dont__Modify__;
+        var base = this.parseFont(internal.font);
+
+        //Store the lines
+        var lines = [];
+        var line = null;
+        var x = 0;
+
+        //Start a new line
+        function newLine(pSize) {
+            line = { runs: [], width: 0, size: pSize, wrapped: false };
+            lines.push(line);
+            x = 0;
+        }
+
+        //Add a run of text to the current line
+        function addRun(pText, pStyle, pWidth, pSpace) {
+            //Track the largest font on the line
+            line.size = (line.runs.length ? Math.max(line.size, pStyle.size) : pStyle.size);
+
+            //Extend the previous run if the style matches
+            var last = line.runs[line.runs.length - 1];
+            if (last && last.font === pStyle.font && last.color === pStyle.color) {
+                last.text += pText;
+                last.width += pWidth;
+            }
+
+            //Otherwise start a new run
+            else line.runs.push({ text: pText, font: pStyle.font, color: pStyle.color, x: x, width: pWidth });
+            x += pWidth;
+
+            //Measure the line up to the last visible character, ignoring trailing spaces
+            if (!pSpace) line.width = x;
+        }
+
+        //Create the first line
+        newLine(base.size);
+
+        //Save the context values changed while measuring
+        pDraw.save();
+
+        //Loop through the styled spans of the text
+        var spans = this.parseMarkup(internal.text, base);
+        for (var i = 0; i < spans.length; i++) {
+            //Split the span into words, spaces and line breaks
+            var pieces = spans[i].text.match(/\n|[ \t]+|[^ \t\n]+/g) || [];
+            for (var j = 0; j < pieces.length; j++) {
+                //Check for a line break
+                if (pieces[j] === "\n") {
+                    newLine(spans[i].style.size);
+                    continue;
+                }
+
+                //Measure the piece
+                pDraw.font = spans[i].style.font;
+                var width = pDraw.measureText(pieces[j]).width;
+                var space = /^[ \t]/.test(pieces[j]);
+
+                //Skip spaces at the start of wrapped lines
+                if (space && line.wrapped && !line.runs.length) continue;
+
+                //Wrap words that don't fit onto a new line
+                if (internal.width > 0 && !space && x + width > internal.width && line.runs.length) {
+                    newLine(spans[i].style.size);
+                    line.wrapped = true;
+                }
+
+                //Break words longer than the box over multiple lines
+                if (internal.width > 0 && !space && width > internal.width) {
+                    for (var k = 0; k < pieces[j].length; k++) {
+                        var charWidth = pDraw.measureText(pieces[j].charAt(k)).width;
+                        if (x + charWidth > internal.width && line.runs.length) {
+                            newLine(spans[i].style.size);
+                            line.wrapped = true;
+                        }
+                        addRun(pieces[j].charAt(k), spans[i].style, charWidth, false);
+                    }
+                }
+
+                //Otherwise add the piece
+                else addRun(pieces[j], spans[i].style, width, space);
+            }
+        }
+
+        //Restore the context values
+        pDraw.restore();
+
+        //Position the lines
+        internal.measuredWidth = 0;
+        internal.measuredHeight = 0;
+        for (var i = 0; i < lines.length; i++) {
+            //Size the line by its largest font
+            lines[i].height = lines[i].size * internal.lineSpacing;
+
+            //Place the baseline (Approximating the ascent as 80% of the font size)
+            lines[i].baseline = (lines[i].height - lines[i].size) / 2 + lines[i].size * 0.8;
+
+            //Track the dimensions
+            internal.measuredWidth = Math.max(internal.measuredWidth, lines[i].width);
+            internal.measuredHeight += lines[i].height;
+
+            //Remove the working values
+            delete lines[i].size;
+            delete lines[i].wrapped;
+        }
+
+        //Save the layout
+        internal.lines = lines;
+        internal.dirty = false;
+    },
+
+    /*
+        TextLayout : parseMarkup - Split text into spans of the same style
+        18/10/2026
+
+        param[in] pText - The text to split
+        param[in] pBase - The font object of unstyled text from parseFont
+
+        return array - Returns an array of objects containing the "text" and "style" of each span
+    */
+    parseMarkup: function(pText, pBase) {
+        //Store the stack of active styles
+        var styles = [{ tag: "", color: this.__Internal__Dont__Modify__.color, size: pBase.size, bold: pBase.bold, italic: pBase.italic }];
+
+        //Store the spans
+        var spans = [];
+        var text = "";
+        var that = this;
+
+        //Finish the current span
+        function endSpan() {
+            if (text === "") return;
+            var style = styles[styles.length - 1];
+            spans.push({
+                text: text,
+                style: { font: that.buildFont(pBase, style), color: style.color, size: style.size }
+            });
+            text = "";
+        }
+
+        //Check if markup is processed
+        if (!this.__Internal__Dont__Modify__.markup) {
+            text = pText;
+            endSpan();
+            return spans;
+        }
+
+        //Loop through the text
+        var tagPattern = /^\[(\/?)(color|b|i|size)(?:=([^\]]+))?\]/;
+        for (var i = 0; i < pText.length; i++) {
+            //Check for an escaped bracket
+            if (pText.charAt(i) === "[" && pText.charAt(i + 1) === "[") {
+                text += "[";
+                i++;
+                continue;
+            }
+
+            //Check for a tag
+            var tag = (pText.charAt(i) === "[" ? tagPattern.exec(pText.substr(i)) : null);
+            if (tag === null) {
+                text += pText.charAt(i);
+                continue;
+            }
+
+            //Finish the span before the tag
+            endSpan();
+            i += tag[0].length - 1;
+
+            //Check for a closing tag
+            if (tag[1] === "/") {
+                //Remove the most recent matching style
+                for (var j = styles.length - 1; j > 0; j--) {
+                    if (styles[j].tag === tag[2]) {
+                        styles.splice(j, 1);
+                        break;
+                    }
+                }
+                continue;
+            }
+
+            //Copy the current style
+            var current = styles[styles.length - 1];
+            var style = { tag: tag[2], color: current.color, size: current.size, bold: current.bold, italic: current.italic };
+
+            //Apply the tag
+            switch (tag[2]) {
+                case "color":
+                    style.color = Validate.type(tag[3], "string", current.color);
+                    break;
+                case "b":
+                    style.bold = true;
+                    break;
+                case "i":
+                    style.italic = true;
+                    break;
+                case "size":
+                    var size = parseFloat(tag[3]);
+                    if (!isNaN(size) && size > 0) style.size = size;
+                    break;
+            }
+
+            //Add the style
+            styles.push(style);
+        }
+
+        //Finish the last span
+        endSpan();
+
+        //Return the spans
+        return spans;
+    },
+
+    /*
+        TextLayout : parseFont - Split a CSS font into the parts changed by markup
+        18/10/2026
+
+        param[in] pFont - The CSS font string
+
+        return object - Returns an object containing the pixel "size", "family" and "bold" and "italic" flags
+    */
+    parseFont: function(pFont) {
+        //Find the size and family
+        var parts = /^(.*?)(\d*\.?\d+)px(?:\/\S+)?\s+(.+)$/.exec(pFont.trim());
+
+        //Use the font as the family if it couldn't be read
+        if (parts === null) return { size: 12, family: pFont, bold: false, italic: false };
+
+        //Return the parts
+        return {
+            size: parseFloat(parts[2]),
+            family: parts[3],
+            bold: /\b(bold|bolder|[6-9]00)\b/.test(parts[1]),
+            italic: /\b(italic|oblique)\b/.test(parts[1])
+        };
+    },
+
+    /*
+        TextLayout : buildFont - Create a CSS font string for a style
+        18/10/2026
+
+        param[in] pBase - The font object from parseFont
+        param[in] pStyle - An object containing the "size" and "bold" and "italic" flags
+
+        return string - Returns the CSS font string
+    */
+    buildFont: function(pBase, pStyle) {
+        return (pStyle.italic ? "italic " : "") + (pStyle.bold ? "bold " : "") + pStyle.size + "px " + pBase.family;
+    },
+
+    /*
+        TextLayout : setValue - Change a value that affects the layout, flagging the lines to be recalculated
+        18/10/2026
+
+        param[in] pName - The name of the internal value
+        param[in] pValue - The new value
+    */
+    setValue: function(pName, pValue) {
+        //Check the value has changed
+        if (this.__Internal__Dont__Modify__[pName] === pValue) return;
+
+        //Save the value
+        this.__Internal__Dont__Modify__[pName] = pValue;
+        this.__Internal__Dont__Modify__.dirty = true;
+    },
+});
\ No newline at end of file
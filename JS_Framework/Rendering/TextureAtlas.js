@@ -0,0 +1,184 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: TextureAtlas
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Sprite.js, Vec2.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Read the named frames of a packed image from the JSON
+ *      description exported by common atlas packing tools. Both the
+ *      hash ("frames": { name: {...} }) and array ("frames": [{ filename, ... }])
+ *      variants are supported, including trimmed and rotated frames
+ **/
+
+/*
+    TextureAtlas : Constructor - Initialise with the packed image and its description
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the TextureAtlas with
+
+    Requires:
+    image - An Image (Or canvas) object holding the packed frames
+
+    Optional:
+    data - The atlas description as a JSON string or parsed object (Default null)
+
+    Example:
+
+    //Load the atlas through Graphics
+    Graphics.loadAtlas("Sprites/player.json", {
+        success: function(pAtlas) {
+            playerAtlas = pAtlas;
+        }
+    });
+    OR
+    //Create the atlas from an already loaded description
+    var playerAtlas = new TextureAtlas({ image: playerImage, data: playerAtlasJSON });
+*/
+function TextureAtlas(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    //Setup the frame storage
+    SpriteSheet.call(this, pSetup);
+
+    //Store the meta information from the description
+    this.__Internal__Dont__Modify__.meta = {};
+
+    //Parse the description if it was supplied
+    if (typeof pSetup["data"] === "string" || (typeof pSetup["data"] === "object" && pSetup["data"] !== null))
+        this.parse(pSetup["data"]);
+};
+
+ExtendProperties(TextureAtlas, SpriteSheet, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TextureAtlas : meta - Get the meta information from the atlas description
+        18/10/2026
+
+        return object - Returns the "meta" object from the description (Empty if there was none)
+
+        Example:
+
+        //Get the packing tool that created the atlas
+        var app = playerAtlas.meta.app;
+    */
+    get meta() {
+        return this.__Internal__Dont__Modify__.meta;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Main Functions                                               ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TextureAtlas : parse - Add the frames from an atlas description to the atlas
+        18/10/2026
+
+        param[in] pData - The atlas description as a JSON string or parsed object
+
+        return number - Returns the number of frames that were added
+
+        Example:
+
+        //Add the frames from a second description of the same image
+        playerAtlas.parse(extraFramesJSON);
+    */
+    parse: function(pData) {
+        //Parse the description if it is a string
+        if (typeof pData === "string") pData = JSON.parse(pData);
+
+        //Check there are frames to read
+        if (typeof pData !== "object" || pData === null || typeof pData["frames"] !== "object" || pData["frames"] === null)
+            throw new Error("Can not parse the TextureAtlas data " + pData + " (Type: '" + typeof pData + "') Please use an atlas description containing a 'frames' hash or array");
+
+        //Store the meta information
+        if (typeof pData["meta"] === "object" && pData["meta"] !== null)
+            this.__Internal__Dont__Modify__.meta = pData["meta"];
+
+        //Track the number of frames added
+        var added = 0;
+
+        //Check if the frames are stored as an array
+        if (pData["frames"] instanceof Array) {
+            //Loop through the frames
+            for (var i = 0; i < pData["frames"].length; i++) {
+                if (this.addSprite(String(pData["frames"][i]["filename"]), this.createFrame(pData["frames"][i])))
+                    added++;
+            }
+        }
+
+        //Otherwise the frames are stored as a hash
+        else for (var name in pData["frames"]) {
+            //Ensure the property belongs to the object
+            if (Object.prototype.hasOwnProperty.call(pData["frames"], name) &&
+                this.addSprite(name, this.createFrame(pData["frames"][name])))
+                added++;
+        }
+
+        //Return the number of frames added
+        return added;
+    },
+
+    /*
+        TextureAtlas : createFrame - Create a Sprite object from a single frame description
+        18/10/2026
+
+        param[in] pFrame - The frame object from the atlas description
+
+        return Sprite - Returns a new Sprite object for the frame
+    */
+    createFrame: function(pFrame) {
+        //Check the frame has a region
+        if (typeof pFrame !== "object" || pFrame === null || typeof pFrame["frame"] !== "object" || pFrame["frame"] === null)
+            throw new Error("Can not create a TextureAtlas frame from " + pFrame + " (Type: '" + typeof pFrame + "') Please use a frame object containing a 'frame' region");
+
+        //Get the packed region
+        var region = pFrame["frame"];
+        var rotated = pFrame["rotated"] === true;
+
+        //Get the trimmed values (Falling back to the full region)
+        var trim = Validate.type(pFrame["spriteSourceSize"], "object", null) || {};
+        var source = Validate.type(pFrame["sourceSize"], "object", null) || {};
+
+        //Get the dimensions of the trimmed sprite (Described unrotated, even when packed rotated)
+        var width = Validate.type(trim["w"], "number", region["w"]);
+        var height = Validate.type(trim["h"], "number", region["h"]);
+
+        //Get the pivot if it was exported
+        var pivot = (typeof pFrame["pivot"] === "object" && pFrame["pivot"] !== null ?
+            new Vec2(Validate.type(pFrame["pivot"]["x"], "number", 0.5), Validate.type(pFrame["pivot"]["y"], "number", 0.5)) : undefined);
+
+        //Create the sprite
+        return new Sprite({
+            image: this.image,
+            x: region["x"],
+            y: region["y"],
+            width: width,
+            height: height,
+            offsetX: trim["x"],
+            offsetY: trim["y"],
+            sourceWidth: Validate.type(source["w"], "number", width),
+            sourceHeight: Validate.type(source["h"], "number", height),
+            rotated: rotated,
+            pivot: pivot
+        });
+    },
+});
\ No newline at end of file
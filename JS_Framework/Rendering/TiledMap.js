@@ -0,0 +1,815 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                               Object Defines                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: MapObjectType
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the numerical values given to the kinds of objects read
+ *      from the object layers of a TiledMap
+ **/
+var MapObjectType = { RECTANGLE: 0, ELLIPSE: 1, POINT: 2, POLYGON: 3, POLYLINE: 4, TILE: 5, TEXT: 6 };
+
+/*
+ *      Name: TILED_FLIP_FLAGS
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      The bits in the high end of an exported global id that flag
+ *      how the tile is flipped, and the TileFlags they are read as
+ **/
+var TILED_FLIP_FLAGS = [
+    { bit: 0x80000000, flag: TileFlags.FLIP_X },
+    { bit: 0x40000000, flag: TileFlags.FLIP_Y },
+    { bit: 0x20000000, flag: TileFlags.FLIP_DIAGONAL }
+];
+
+/*
+ *      Name: TILED_ID_MASK
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Mask the global id of a tile from the flip (And hexagonal
+ *      rotation) bits of an exported global id
+ **/
+var TILED_ID_MASK = 0x0FFFFFFF;
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: TiledMap
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Tilemap.js, Shape.js, Color.js, Vec2.js, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Import a level from the JSON export of the Tiled map editor.
+ *      Tile layers become the layers of a Tilemap, object layers
+ *      become lists of named objects holding Vec2 positions and
+ *      Shapes, image layers are kept for rendering backgrounds and
+ *      custom properties are exposed as plain objects. Group layers
+ *      are flattened with their names joined by "/"
+ **/
+
+/*
+    TiledMap : Constructor - Initialise from the exported map
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the TiledMap with
+
+    Requires:
+    data - The exported map as a JSON string or parsed object
+
+    Optional:
+    images - A function that receives the path of an image (Relative to the map file) and returns
+             an Image object, or an object of Image objects keyed by path (Default missing images
+             throw an error)
+    tilesets - An object of external tileset exports (JSON strings or parsed objects) keyed by the
+               "source" path they are referenced with in the map (Default {})
+    chunkSize - The chunk size of the created Tilemap (Default 16)
+
+    Example:
+
+    //Load the level through Graphics
+    Graphics.loadTiledMap("Levels/level1.json", {
+        success: function(pMap) {
+            level = pMap;
+            player.position = level.getObject("spawn").position;
+        }
+    });
+    OR
+    //Create the map from an already loaded export
+    var level = new TiledMap({ data: levelJSON, images: function(pPath) { return Graphics.loadImage("Levels/" + pPath); } });
+*/
+function TiledMap(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null, true);
+
+    //Parse the export if it is a string
+    var data = (typeof pSetup["data"] === "string" ? JSON.parse(pSetup["data"]) : pSetup["data"]);
+
+    //Check the export
+    if (typeof data !== "object" || data === null || !(data["layers"] instanceof Array))
+        throw new Error("Can not create a TiledMap from the data " + data + " (Type: '" + typeof data + "') Please use an exported map containing a 'layers' array");
+    if (typeof data["orientation"] === "string" && data["orientation"] !== "orthogonal")
+        throw new Error("Can not create a TiledMap with the orientation '" + data["orientation"] + "' Please use an orthogonal map");
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the TiledMap.
+        Instead use TiledMap properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the image and external tileset sources
+        images: pSetup["images"],
+        externalTilesets: Validate.type(pSetup["tilesets"], "object", null) || {},
+
+        //Store the Image objects that have been used, keyed by path
+        loadedImages: {},
+
+        //Store the Tilemap holding the tile layers
+        tilemap: null,
+
+        //Store the object layers in order
+        objectLayers: [],
+
+        //Store the image layers in order
+        imageLayers: [],
+
+        //Store the custom values of the map
+        properties: this.readProperties(data["properties"]),
+
+        //Store the custom values and classes of tiles, keyed by global id
+        tileProperties: {},
+
+        //Store the background color
+        backgroundColor: (typeof data["backgroundcolor"] === "string" ? this.readColor(data["backgroundcolor"]) : null),
+    };
+
+    //Read the tile bounds (Infinite maps are sized to fit every chunk)
+    var bounds = this.findBounds(data);
+
+    //Create the Tilemap
+    this.__Internal__Dont__Modify__.tilemap = new Tilemap({
+        width: bounds.width,
+        height: bounds.height,
+        tileWidth: Validate.type(data["tilewidth"], "number", 0, true),
+        tileHeight: Validate.type(data["tileheight"], "number", 0, true),
+        chunkSize: Validate.type(pSetup["chunkSize"], "number", 16),
+        position: new Vec2(bounds.x * data["tilewidth"], bounds.y * data["tileheight"]),
+        properties: this.__Internal__Dont__Modify__.properties
+    });
+
+    //Read the tilesets
+    var tilesets = (data["tilesets"] instanceof Array ? data["tilesets"] : []);
+    for (var i = 0; i < tilesets.length; i++)
+        this.readTileset(tilesets[i]);
+
+    //Read the layers
+    this.readLayers(data["layers"], bounds, { name: "", x: 0, y: 0, opacity: 1, visible: true, parallaxX: 1, parallaxY: 1 });
+};
+
+ExtendProperties(TiledMap, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TiledMap : tilemap - Get the Tilemap holding the tile layers
+        18/10/2026
+
+        return Tilemap - Returns the Tilemap object
+
+        Example:
+
+        //Check the ground under the player
+        if (level.tilemap.hasFlag("ground", tileX, tileY + 1, TileFlags.SOLID)) grounded = true;
+    */
+    get tilemap() {
+        return this.__Internal__Dont__Modify__.tilemap;
+    },
+
+    /*
+        TiledMap : properties - Get the custom values of the map
+        18/10/2026
+
+        return object - Returns the properties object
+    */
+    get properties() {
+        return this.__Internal__Dont__Modify__.properties;
+    },
+
+    /*
+        TiledMap : backgroundColor - Get the background color of the map
+        18/10/2026
+
+        return Color - Returns a Color object or null if the map has no background color
+    */
+    get backgroundColor() {
+        return this.__Internal__Dont__Modify__.backgroundColor;
+    },
+
+    /*
+        TiledMap : objectLayerNames - Get the names of the object layers in order
+        18/10/2026
+
+        return array - Returns an array of name strings
+    */
+    get objectLayerNames() {
+        var names = [];
+        for (var i = 0; i < this.__Internal__Dont__Modify__.objectLayers.length; i++)
+            names.push(this.__Internal__Dont__Modify__.objectLayers[i].name);
+        return names;
+    },
+
+    /*
+        TiledMap : imageLayers - Get the image layers in order
+        18/10/2026
+
+        return array - Returns a copy of the array of image layer objects, each holding the "name", "image",
+                       "offset" (Vec2), "parallax" (Vec2 scroll factor), "repeatX", "repeatY", "opacity",
+                       "visible" and "properties" of the layer
+    */
+    get imageLayers() {
+        return this.__Internal__Dont__Modify__.imageLayers.slice();
+    },
+
+    /*
+        TiledMap : images - Get the Image objects used by the tilesets and image layers
+        18/10/2026
+
+        return array - Returns an array of the Image objects
+
+        Example:
+
+        //Check every image has loaded
+        var ready = level.images.every(function(pImage) { return pImage.complete; });
+    */
+    get images() {
+        var images = [];
+        for (var key in this.__Internal__Dont__Modify__.loadedImages)
+            images.push(this.__Internal__Dont__Modify__.loadedImages[key]);
+        return images;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Main Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TiledMap : getObjectLayer - Get an object layer by name
+        18/10/2026
+
+        param[in] pName - The name of the layer
+
+        return object - Returns an object holding the "name", "objects" (Array), "offset" (Vec2), "opacity",
+                        "visible", "color" and "properties" of the layer, or null if it doesn't exist
+
+        Example:
+
+        //Create the enemies
+        var spawns = level.getObjectLayer("enemies").objects;
+    */
+    getObjectLayer: function(pName) {
+        for (var i = 0; i < this.__Internal__Dont__Modify__.objectLayers.length; i++) {
+            if (this.__Internal__Dont__Modify__.objectLayers[i].name === pName)
+                return this.__Internal__Dont__Modify__.objectLayers[i];
+        }
+        return null;
+    },
+
+    /*
+        TiledMap : getObject - Get the first object with a name from any object layer
+        18/10/2026
+
+        param[in] pName - The name of the object
+
+        return object - Returns the map object or null if no object has the name
+
+        Example:
+
+        //Move the player to the spawn point
+        player.position = level.getObject("spawn").position;
+    */
+    getObject: function(pName) {
+        for (var i = 0; i < this.__Internal__Dont__Modify__.objectLayers.length; i++) {
+            for (var j = 0; j < this.__Internal__Dont__Modify__.objectLayers[i].objects.length; j++) {
+                if (this.__Internal__Dont__Modify__.objectLayers[i].objects[j].name === pName)
+                    return this.__Internal__Dont__Modify__.objectLayers[i].objects[j];
+            }
+        }
+        return null;
+    },
+
+    /*
+        TiledMap : getObjectsOfType - Get every object with a type (Or class) from all object layers
+        18/10/2026
+
+        param[in] pType - The type string set on the objects in the editor
+
+        return array - Returns an array of the matching map objects
+
+        Example:
+
+        //Create the coins
+        var coins = level.getObjectsOfType("coin");
+    */
+    getObjectsOfType: function(pType) {
+        var objects = [];
+        for (var i = 0; i < this.__Internal__Dont__Modify__.objectLayers.length; i++) {
+            for (var j = 0; j < this.__Internal__Dont__Modify__.objectLayers[i].objects.length; j++) {
+                if (this.__Internal__Dont__Modify__.objectLayers[i].objects[j].type === pType)
+                    objects.push(this.__Internal__Dont__Modify__.objectLayers[i].objects[j]);
+            }
+        }
+        return objects;
+    },
+
+    /*
+        TiledMap : getTileProperties - Get the custom values set on a tile in its tileset
+        18/10/2026
+
+        param[in] pId - The global id of the tile
+
+        return object - Returns the properties object (Empty if the tile has none)
+
+        Example:
+
+        //Get the damage of the tile the player is standing in
+        var damage = level.getTileProperties(level.tilemap.getTile("hazards", tileX, tileY)).damage;
+    */
+    getTileProperties: function(pId) {
+        var tile = this.__Internal__Dont__Modify__.tileProperties[pId];
+        return (tile ? tile.properties : {});
+    },
+
+    /*
+        TiledMap : getTileType - Get the type (Or class) set on a tile in its tileset
+        18/10/2026
+
+        param[in] pId - The global id of the tile
+
+        return string - Returns the type string (Empty if the tile has none)
+    */
+    getTileType: function(pId) {
+        var tile = this.__Internal__Dont__Modify__.tileProperties[pId];
+        return (tile ? tile.type : "");
+    },
+
+    /*
+        TiledMap : draw - Render the visible chunks of the tile layers
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object to render with
+        param[in] pCamera - The Camera object to view the map through (Default null, rendering in screen space)
+        param[in] pLayers - The name (Or an array of names) of the layers to render (Default every visible layer)
+
+        return number - Returns the number of chunks that were drawn
+
+        Example:
+
+        //Draw the level
+        level.draw(Graphics, worldCam);
+    */
+    draw: function(pGraphics, pCamera, pLayers) {
+        return this.__Internal__Dont__Modify__.tilemap.draw(pGraphics, pCamera, pLayers);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Import Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TiledMap : readProperties - Convert exported custom properties to a plain object
+        18/10/2026
+
+        param[in] pProperties - The exported properties, either an array of { name, type, value }
+                                objects or an object of values
+
+        return object - Returns an object of the values keyed by name
+
+        Example:
+
+        //Read the properties of an exported object
+        var properties = level.readProperties(object.properties);
+    */
+    readProperties: function(pProperties) {
+        //Create the object
+        var properties = {};
+
+        //Read the array format
+        if (pProperties instanceof Array) {
+            for (var i = 0; i < pProperties.length; i++) {
+                if (typeof pProperties[i] === "object" && pProperties[i] !== null && typeof pProperties[i]["name"] === "string")
+                    properties[pProperties[i]["name"]] = pProperties[i]["value"];
+            }
+        }
+
+        //Copy the object format
+        else if (typeof pProperties === "object" && pProperties !== null) {
+            for (var key in pProperties)
+                properties[key] = pProperties[key];
+        }
+
+        //Return the properties
+        return properties;
+    },
+
+    /*
+        TiledMap : readColor - Convert an exported color to a Color object
+        18/10/2026
+
+        param[in] pColor - The exported color string ("#RRGGBB" or "#AARRGGBB")
+
+        return Color - Returns a new Color object
+    */
+    readColor: function(pColor) {
+        //Move the alpha to the end
+        if (pColor.length === 9) pColor = "#" + pColor.substr(3) + pColor.substr(1, 2);
+
+        //Return the color
+        return new Color(pColor);
+    },
+
+    /*
+        TiledMap : readTileId - Split an exported global id into the id and TileFlags
+        18/10/2026
+
+        param[in] pId - The exported global id
+
+        return object - Returns an object with the "id" and "flags" of the tile
+
+        Example:
+
+        //Read a horizontally flipped tile
+        var tile = level.readTileId(0x80000003); //Result - id = 3, flags = TileFlags.FLIP_X
+    */
+    readTileId: function(pId) {
+        //Read the flags
+        var flags = TileFlags.NONE;
+        for (var i = 0; i < TILED_FLIP_FLAGS.length; i++) {
+            if (pId & TILED_FLIP_FLAGS[i].bit) flags |= TILED_FLIP_FLAGS[i].flag;
+        }
+
+        //Return the values
+        return { id: pId & TILED_ID_MASK, flags: flags };
+    },
+
+    /*
+        TiledMap : readTileData - Read the global ids of an exported tile layer or chunk
+        18/10/2026
+
+        param[in] pData - The "data" value of the layer or chunk
+        param[in] pEncoding - The "encoding" value of the layer ("csv" or "base64")
+        param[in] pCompression - The "compression" value of the layer
+
+        return array - Returns an array of the exported global ids
+    */
+    readTileData: function(pData, pEncoding, pCompression) {
+        //Use arrays as they are
+        if (pData instanceof Array) return pData;
+
+        //Check the data is a string
+        if (typeof pData !== "string")
+            throw new Error("Can not read the tile data " + pData + " (Type: '" + typeof pData + "') Please use an array or base64 string");
+
+        //Check the data isn't compressed
+        if (typeof pCompression === "string" && pCompression.length)
+            throw new Error("Can not read tile data compressed with '" + pCompression + "' Please export the map with uncompressed or CSV tile layer data");
+
+        //Read CSV data
+        if (pEncoding === "csv") return pData.split(",").map(Number);
+
+        //Decode the base64 bytes
+        var bytes = atob(pData.trim());
+        var ids = [];
+
+        //Read the little endian ids (Using multiplication to stay unsigned)
+        for (var i = 0; i + 3 < bytes.length; i += 4)
+            ids.push(bytes.charCodeAt(i) + bytes.charCodeAt(i + 1) * 0x100 + bytes.charCodeAt(i + 2) * 0x10000 + bytes.charCodeAt(i + 3) * 0x1000000);
+        return ids;
+    },
+
+    /*
+        TiledMap : findBounds - Find the tile area covered by the tile layers of an exported map
+        18/10/2026
+
+        param[in] pData - The parsed map export
+
+        return object - Returns an object with the "x", "y", "width" and "height" of the area in tiles
+    */
+    findBounds: function(pData) {
+        //Finite maps have a fixed size
+        if (!pData["infinite"])
+            return { x: 0, y: 0, width: Validate.type(pData["width"], "number", 0, true), height: Validate.type(pData["height"], "number", 0, true) };
+
+        //Find the area around every chunk
+        var area = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        var search = function(pLayers) {
+            for (var i = 0; i < pLayers.length; i++) {
+                //Search groups
+                if (pLayers[i]["layers"] instanceof Array) search(pLayers[i]["layers"]);
+
+                //Check the chunks
+                if (!(pLayers[i]["chunks"] instanceof Array)) continue;
+                for (var j = 0; j < pLayers[i]["chunks"].length; j++) {
+                    var chunk = pLayers[i]["chunks"][j];
+                    area.left = Math.min(area.left, chunk["x"]);
+                    area.top = Math.min(area.top, chunk["y"]);
+                    area.right = Math.max(area.right, chunk["x"] + chunk["width"]);
+                    area.bottom = Math.max(area.bottom, chunk["y"] + chunk["height"]);
+                }
+            }
+        };
+        search(pData["layers"]);
+
+        //Check there were chunks
+        if (area.left === Infinity) return { x: 0, y: 0, width: 1, height: 1 };
+
+        //Return the area
+        return { x: area.left, y: area.top, width: area.right - area.left, height: area.bottom - area.top };
+    },
+
+    /*
+        TiledMap : getImage - Get the Image object for a path in the export
+        18/10/2026
+
+        param[in] pPath - The path of the image, relative to the map file
+
+        return Image - Returns the Image object
+    */
+    getImage: function(pPath) {
+        //Check if the image has already been found
+        if (pPath in this.__Internal__Dont__Modify__.loadedImages) return this.__Internal__Dont__Modify__.loadedImages[pPath];
+
+        //Find the image
+        var image = null;
+        if (typeof this.__Internal__Dont__Modify__.images === "function") image = this.__Internal__Dont__Modify__.images(pPath);
+        else if (typeof this.__Internal__Dont__Modify__.images === "object" && this.__Internal__Dont__Modify__.images !== null)
+            image = this.__Internal__Dont__Modify__.images[pPath];
+
+        //Check the image was found
+        if (typeof image !== "object" || image === null)
+            throw new Error("Can not find the image '" + pPath + "' used by the TiledMap Please supply it through the 'images' setup value");
+
+        //Store the image
+        this.__Internal__Dont__Modify__.loadedImages[pPath] = image;
+        return image;
+    },
+
+    /*
+        TiledMap : readTileset - Create a Tileset from an exported tileset
+        18/10/2026
+
+        param[in] pData - The exported tileset object from the "tilesets" array of the map
+    */
+    readTileset: function(pData) {
+        //Find the tileset values
+        var data = pData;
+        var directory = "";
+        if (typeof pData["source"] === "string") {
+            //Check the external tileset was supplied
+            data = this.__Internal__Dont__Modify__.externalTilesets[pData["source"]];
+            if (typeof data === "undefined")
+                throw new Error("Can not find the external tileset '" + pData["source"] + "' used by the TiledMap Please supply it through the 'tilesets' setup value or embed it in the map");
+            if (typeof data === "string") data = JSON.parse(data);
+
+            //Images are relative to the tileset file
+            directory = Path.getDirectory(pData["source"]);
+        }
+
+        //Check the tileset uses a single image
+        if (typeof data["image"] !== "string")
+            throw new Error("Can not read the tileset '" + data["name"] + "' as it is a collection of images Please use a tileset made from a single image");
+
+        //Create the tileset
+        var firstId = Validate.type(pData["firstgid"], "number", 1);
+        this.__Internal__Dont__Modify__.tilemap.addTileset(new Tileset({
+            image: this.getImage(directory + data["image"]),
+            name: data["name"],
+            firstId: firstId,
+            tileWidth: data["tilewidth"],
+            tileHeight: data["tileheight"],
+            margin: data["margin"],
+            spacing: data["spacing"],
+            columns: data["columns"],
+            count: data["tilecount"]
+        }));
+
+        //Read the tile values
+        var tiles = (data["tiles"] instanceof Array ? data["tiles"] : []);
+        for (var i = 0; i < tiles.length; i++) {
+            this.__Internal__Dont__Modify__.tileProperties[firstId + tiles[i]["id"]] = {
+                type: Validate.type(tiles[i]["type"], "string", Validate.type(tiles[i]["class"], "string", "")),
+                properties: this.readProperties(tiles[i]["properties"])
+            };
+        }
+    },
+
+    /*
+        TiledMap : readLayers - Create the layers from an array of exported layers
+        18/10/2026
+
+        param[in] pLayers - The array of exported layers
+        param[in] pBounds - The tile area of the map (See TiledMap : findBounds)
+        param[in] pParent - An object holding the "name", "x", "y", "opacity", "visible", "parallaxX" and
+                            "parallaxY" values of the group holding the layers
+    */
+    readLayers: function(pLayers, pBounds, pParent) {
+        //Loop through the layers
+        for (var i = 0; i < pLayers.length; i++) {
+            var data = pLayers[i];
+
+            //Combine the values with the group
+            var values = {
+                name: pParent.name + Validate.type(data["name"], "string", ""),
+                x: pParent.x + Validate.type(data["offsetx"], "number", 0),
+                y: pParent.y + Validate.type(data["offsety"], "number", 0),
+                opacity: pParent.opacity * Validate.type(data["opacity"], "number", 1),
+                visible: pParent.visible && Validate.type(data["visible"], "boolean", true),
+                parallaxX: pParent.parallaxX * Validate.type(data["parallaxx"], "number", 1),
+                parallaxY: pParent.parallaxY * Validate.type(data["parallaxy"], "number", 1),
+                properties: this.readProperties(data["properties"])
+            };
+
+            //Read the layer
+            switch (data["type"]) {
+                case "tilelayer":
+                    this.readTileLayer(data, pBounds, values);
+                    break;
+                case "objectgroup":
+                    this.readObjectLayer(data, values);
+                    break;
+                case "imagelayer":
+                    //Skip layers without an image
+                    if (typeof data["image"] !== "string" || !data["image"].length) break;
+
+                    //Add the layer
+                    this.__Internal__Dont__Modify__.imageLayers.push({
+                        name: values.name,
+                        image: this.getImage(data["image"]),
+                        offset: new Vec2(values.x, values.y),
+                        parallax: new Vec2(values.parallaxX, values.parallaxY),
+                        repeatX: data["repeatx"] === true,
+                        repeatY: data["repeaty"] === true,
+                        opacity: values.opacity,
+                        visible: values.visible,
+                        properties: values.properties
+                    });
+                    break;
+                case "group":
+                    values.name += "/";
+                    this.readLayers(Validate.type(data["layers"], "object", null) || [], pBounds, values);
+                    break;
+            }
+        }
+    },
+
+    /*
+        TiledMap : readTileLayer - Add an exported tile layer to the Tilemap
+        18/10/2026
+
+        param[in] pData - The exported layer
+        param[in] pBounds - The tile area of the map (See TiledMap : findBounds)
+        param[in] pValues - The layer values combined with its groups (See this.readLayers)
+    */
+    readTileLayer: function(pData, pBounds, pValues) {
+        //Find a unique name (The editor allows layers to share names)
+        var name = pValues.name;
+        if (this.__Internal__Dont__Modify__.tilemap.getLayer(name) !== null) name += "#" + pData["id"];
+
+        //Create the layer
+        var layer = this.__Internal__Dont__Modify__.tilemap.addLayer(name, {
+            visible: pValues.visible,
+            opacity: pValues.opacity,
+            offsetX: pValues.x,
+            offsetY: pValues.y,
+            properties: pValues.properties
+        });
+        if (layer === null) throw new Error("Can not add the tile layer '" + name + "' to the TiledMap as the name is already used");
+
+        //Get the blocks of tiles (Infinite maps are split into chunks)
+        var blocks = (pData["chunks"] instanceof Array ? pData["chunks"] :
+            [{ x: 0, y: 0, width: pData["width"], height: pData["height"], data: pData["data"] }]);
+
+        //Set the tiles
+        for (var i = 0; i < blocks.length; i++) {
+            var ids = this.readTileData(blocks[i]["data"], pData["encoding"], pData["compression"]);
+            for (var j = 0; j < ids.length; j++) {
+                //Skip empty tiles
+                if (!ids[j]) continue;
+
+                //Set the tile
+                var tile = this.readTileId(ids[j]);
+                layer.setTile(blocks[i]["x"] - pBounds.x + j % blocks[i]["width"], blocks[i]["y"] - pBounds.y + Math.floor(j / blocks[i]["width"]),
+                    tile.id, tile.flags, this.__Internal__Dont__Modify__.tilemap.chunkSize);
+            }
+        }
+    },
+
+    /*
+        TiledMap : readObjectLayer - Create the map objects of an exported object layer
+        18/10/2026
+
+        param[in] pData - The exported layer
+        param[in] pValues - The layer values combined with its groups (See this.readLayers)
+    */
+    readObjectLayer: function(pData, pValues) {
+        //Create the layer
+        var layer = {
+            name: pValues.name,
+            objects: [],
+            offset: new Vec2(pValues.x, pValues.y),
+            opacity: pValues.opacity,
+            visible: pValues.visible,
+            color: (typeof pData["color"] === "string" ? this.readColor(pData["color"]) : null),
+            properties: pValues.properties
+        };
+
+        //Read the objects
+        var objects = (pData["objects"] instanceof Array ? pData["objects"] : []);
+        for (var i = 0; i < objects.length; i++)
+            layer.objects.push(this.readObject(objects[i], layer.offset));
+
+        //Add the layer
+        this.__Internal__Dont__Modify__.objectLayers.push(layer);
+    },
+
+    /*
+        TiledMap : readObject - Create a map object from an exported object
+        18/10/2026
+
+        param[in] pData - The exported object
+        param[in] pOffset - A Vec2 object holding the offset of the layer holding the object
+
+        return object - Returns an object holding the "id", "name", "type", "kind" (MapObjectType value),
+                        "position" (Vec2 world position), "size" (Vec2), "rotation" (Radians), "visible",
+                        "shape" (Shape with points relative to the position, including the rotation, or null
+                        for points), "gid" and "flags" (For tile objects), "text" (For text objects) and
+                        "properties" of the object
+    */
+    readObject: function(pData, pOffset) {
+        //Create the object
+        var object = {
+            id: Validate.type(pData["id"], "number", 0),
+            name: Validate.type(pData["name"], "string", ""),
+            type: Validate.type(pData["type"], "string", Validate.type(pData["class"], "string", "")),
+            kind: MapObjectType.RECTANGLE,
+            position: new Vec2(Validate.type(pData["x"], "number", 0) + pOffset.x, Validate.type(pData["y"], "number", 0) + pOffset.y),
+            size: new Vec2(Validate.type(pData["width"], "number", 0), Validate.type(pData["height"], "number", 0)),
+            rotation: Validate.type(pData["rotation"], "number", 0) * Math.PI / 180,
+            visible: Validate.type(pData["visible"], "boolean", true),
+            shape: new Shape(),
+            gid: 0,
+            flags: TileFlags.NONE,
+            text: null,
+            properties: this.readProperties(pData["properties"])
+        };
+
+        //Find the kind of object and its points
+        var points = [];
+        if (pData["point"] === true) {
+            object.kind = MapObjectType.POINT;
+            object.shape = null;
+        } else if (pData["polygon"] instanceof Array || pData["polyline"] instanceof Array) {
+            object.kind = (pData["polygon"] instanceof Array ? MapObjectType.POLYGON : MapObjectType.POLYLINE);
+            var source = pData["polygon"] || pData["polyline"];
+            for (var i = 0; i < source.length; i++)
+                points.push(new Vec2(source[i]["x"], source[i]["y"]));
+        } else if (pData["ellipse"] === true) {
+            object.kind = MapObjectType.ELLIPSE;
+            var half = object.size.multi(0.5);
+            for (var i = 0; i < PRIMGEN_CIRCLE_SIDES; i++) {
+                var angle = (i / PRIMGEN_CIRCLE_SIDES) * Math.PI * 2;
+                points.push(new Vec2(half.x + Math.cos(angle) * half.x, half.y + Math.sin(angle) * half.y));
+            }
+        } else {
+            //Tile objects are positioned from their bottom left
+            var top = 0;
+            if (typeof pData["gid"] === "number") {
+                var tile = this.readTileId(pData["gid"]);
+                object.kind = MapObjectType.TILE;
+                object.gid = tile.id;
+                object.flags = tile.flags;
+                top = -object.size.y;
+            } else if (typeof pData["text"] === "object" && pData["text"] !== null) {
+                object.kind = MapObjectType.TEXT;
+                object.text = pData["text"];
+            }
+
+            //Add the rectangle points
+            points.push(new Vec2(0, top), new Vec2(object.size.x, top), new Vec2(object.size.x, top + object.size.y), new Vec2(0, top + object.size.y));
+        }
+
+        //Set the shape points, rotated around the position
+        if (object.shape !== null) {
+            for (var i = 0; i < points.length; i++)
+                object.shape.points.push(object.rotation ? points[i].rotate(object.rotation) : points[i]);
+        }
+
+        //Return the object
+        return object;
+    },
+})
\ No newline at end of file
@@ -0,0 +1,1513 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Tile Defines                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: TileFlags
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      Name the bits that can be combined in the flags of each tile.
+ *      The flip bits change how the tile is rendered (The diagonal
+ *      flip is applied first, swapping the X and Y axes), the others
+ *      describe the tile to the game. Bits from USER upwards are free
+ *      for each game to use
+ **/
+var TileFlags = {
+    NONE: 0,
+    FLIP_X: 1,
+    FLIP_Y: 2,
+    FLIP_DIAGONAL: 4,
+    HIDDEN: 8,
+    SOLID: 16,
+    USER: 256
+};
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: Tileset
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Slice an image into a grid of equally sized tiles, numbered
+ *      left to right and top to bottom from a first global id
+ **/
+
+/*
+    Tileset : Constructor - Initialise with the image and grid values
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the Tileset with
+
+    Requires:
+    image - An Image (Or canvas) object holding the tiles
+    tileWidth - The pixel width of each tile
+    tileHeight - The pixel height of each tile
+
+    Optional:
+    name - A name for the tileset (Default "")
+    firstId - The global id of the first tile, as 0 is used for empty tiles (Default 1)
+    margin - The pixels around the edge of the image before the first tile (Default 0)
+    spacing - The pixels between each tile (Default 0)
+    columns - The number of tiles in each row (Default calculated from the image width)
+    count - The number of tiles in the image (Default calculated from the image size)
+
+    Example:
+
+    //Slice the terrain image into 16x16 tiles
+    var terrain = new Tileset({ image: Graphics.loadImage("Tiles/terrain.png"), tileWidth: 16, tileHeight: 16 });
+    OR
+    var terrain = Graphics.loadTileset("Tiles/terrain.png", { tileWidth: 16, tileHeight: 16 });
+*/
+function Tileset(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null, true);
+
+    //Check the image
+    if (typeof pSetup["image"] !== "object" || pSetup["image"] === null)
+        throw new Error("Can not create a Tileset with the image " + pSetup["image"] + " (Type: '" + typeof pSetup["image"] + "') Please use an Image object");
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the Tileset.
+        Instead use Tileset properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the image holding the tiles
+        image: pSetup["image"],
+
+        //Store the identifying values
+        name: Validate.type(pSetup["name"], "string", ""),
+        firstId: Math.max(1, Math.floor(Validate.type(pSetup["firstId"], "number", 1))),
+
+        //Store the grid values
+        tileWidth: Validate.type(pSetup["tileWidth"], "number", 0, true),
+        tileHeight: Validate.type(pSetup["tileHeight"], "number", 0, true),
+        margin: Validate.type(pSetup["margin"], "number", 0),
+        spacing: Validate.type(pSetup["spacing"], "number", 0),
+        columns: Validate.type(pSetup["columns"], "number", null),
+        count: Validate.type(pSetup["count"], "number", null),
+    };
+
+    //Check the tile size
+    if (this.__Internal__Dont__Modify__.tileWidth <= 0 || this.__Internal__Dont__Modify__.tileHeight <= 0)
+        throw new Error("Can not create a Tileset with the tile size " + this.__Internal__Dont__Modify__.tileWidth + "x" + this.__Internal__Dont__Modify__.tileHeight + " Please use sizes greater than 0");
+};
+
+ExtendProperties(Tileset, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Tileset : image - Get the image holding the tiles
+        18/10/2026
+
+        return Image - Returns the Image (Or canvas) object
+    */
+    get image() {
+        return this.__Internal__Dont__Modify__.image;
+    },
+
+    /*
+        Tileset : name - Get the name of the tileset
+        18/10/2026
+
+        return string - Returns the name as a string
+    */
+    get name() {
+        return this.__Internal__Dont__Modify__.name;
+    },
+
+    /*
+        Tileset : firstId - Get the global id of the first tile
+        18/10/2026
+
+        return number - Returns the id as a number
+    */
+    get firstId() {
+        return this.__Internal__Dont__Modify__.firstId;
+    },
+
+    /*
+        Tileset : tileWidth - Get the pixel width of each tile
+        18/10/2026
+
+        return number - Returns the width as a number
+    */
+    get tileWidth() {
+        return this.__Internal__Dont__Modify__.tileWidth;
+    },
+
+    /*
+        Tileset : tileHeight - Get the pixel height of each tile
+        18/10/2026
+
+        return number - Returns the height as a number
+    */
+    get tileHeight() {
+        return this.__Internal__Dont__Modify__.tileHeight;
+    },
+
+    /*
+        Tileset : columns - Get the number of tiles in each row
+        18/10/2026
+
+        return number - Returns the column count (0 while the image is loading)
+    */
+    get columns() {
+        //Use the set value
+        if (this.__Internal__Dont__Modify__.columns !== null) return this.__Internal__Dont__Modify__.columns;
+
+        //Calculate from the image
+        return Math.max(0, Math.floor((this.__Internal__Dont__Modify__.image.width - this.__Internal__Dont__Modify__.margin * 2 + this.__Internal__Dont__Modify__.spacing) /
+            (this.__Internal__Dont__Modify__.tileWidth + this.__Internal__Dont__Modify__.spacing)));
+    },
+
+    /*
+        Tileset : count - Get the number of tiles in the image
+        18/10/2026
+
+        return number - Returns the tile count (0 while the image is loading)
+    */
+    get count() {
+        //Use the set value
+        if (this.__Internal__Dont__Modify__.count !== null) return this.__Internal__Dont__Modify__.count;
+
+        //Calculate from the image
+        var rows = Math.max(0, Math.floor((this.__Internal__Dont__Modify__.image.height - this.__Internal__Dont__Modify__.margin * 2 + this.__Internal__Dont__Modify__.spacing) /
+            (this.__Internal__Dont__Modify__.tileHeight + this.__Internal__Dont__Modify__.spacing)));
+        return rows * this.columns;
+    },
+
+    /*
+        Tileset : ready - Get the flag indicating if the image has loaded
+        18/10/2026
+
+        return bool - Returns true if the tiles can be rendered
+    */
+    get ready() {
+        return this.__Internal__Dont__Modify__.image.complete !== false && this.__Internal__Dont__Modify__.image.width > 0;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Main Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Tileset : contains - Check if a global id belongs to the tileset
+        18/10/2026
+
+        param[in] pId - The global id of the tile
+
+        return bool - Returns true if the id is within the tiles of the tileset
+    */
+    contains: function(pId) {
+        return pId >= this.__Internal__Dont__Modify__.firstId && (this.count === 0 || pId < this.__Internal__Dont__Modify__.firstId + this.count);
+    },
+
+    /*
+        Tileset : getTileRect - Get the region of the image holding a tile
+        18/10/2026
+
+        param[in] pId - The global id of the tile
+
+        return object - Returns an object with the "x", "y", "width" and "height" of the region, or null
+                        if the id is not in the tileset
+
+        Example:
+
+        //Draw the grass tile
+        var rect = terrain.getTileRect(5);
+        Graphics.draw.drawImage(terrain.image, rect.x, rect.y, rect.width, rect.height, 0, 0, 16, 16);
+    */
+    getTileRect: function(pId) {
+        //Check the id
+        var columns = this.columns;
+        if (!columns || !this.contains(pId)) return null;
+
+        //Find the position in the grid
+        var index = pId - this.__Internal__Dont__Modify__.firstId;
+        var column = index % columns;
+        var row = Math.floor(index / columns);
+
+        //Return the region
+        return {
+            x: this.__Internal__Dont__Modify__.margin + column * (this.__Internal__Dont__Modify__.tileWidth + this.__Internal__Dont__Modify__.spacing),
+            y: this.__Internal__Dont__Modify__.margin + row * (this.__Internal__Dont__Modify__.tileHeight + this.__Internal__Dont__Modify__.spacing),
+            width: this.__Internal__Dont__Modify__.tileWidth,
+            height: this.__Internal__Dont__Modify__.tileHeight
+        };
+    },
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: TilemapLayer
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Hold the tile ids and flags of a single layer of a Tilemap,
+ *      along with the rendered chunks cached for it. Created through
+ *      Tilemap.addLayer
+ **/
+
+/*
+    TilemapLayer : Constructor - Initialise an empty layer
+    18/10/2026
+
+    param[in] pName - The name of the layer
+    param[in] pWidth - The number of tiles across the layer
+    param[in] pHeight - The number of tiles down the layer
+    param[in] pSetup - An optional object containing the values to setup the layer with
+
+    Optional:
+    data - An array of global ids, in rows from the top left, to fill the layer with (Default all empty)
+    flags - An array of TileFlags values for each tile (Default all TileFlags.NONE)
+    visible - Flags if the layer is rendered (Default true)
+    opacity - The 0-1 scale opacity the layer is rendered with (Default 1)
+    offsetX - The pixels the layer is moved across by (Default 0)
+    offsetY - The pixels the layer is moved down by (Default 0)
+    properties - An object of custom values describing the layer (Default {})
+*/
+function TilemapLayer(pName, pWidth, pHeight, pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null) || {};
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the TilemapLayer.
+        Instead use TilemapLayer properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the identifying values
+        name: pName,
+
+        //Store the dimensions in tiles
+        width: pWidth,
+        height: pHeight,
+
+        //Store the global id and flags of each tile
+        tiles: new Uint32Array(pWidth * pHeight),
+        flags: new Uint16Array(pWidth * pHeight),
+
+        //Store the render values
+        visible: Validate.type(pSetup["visible"], "boolean", true),
+        opacity: Math.clamp(Validate.type(pSetup["opacity"], "number", 1), 0, 1),
+        offsetX: Validate.type(pSetup["offsetX"], "number", 0),
+        offsetY: Validate.type(pSetup["offsetY"], "number", 0),
+
+        //Store the custom values
+        properties: Validate.type(pSetup["properties"], "object", null) || {},
+
+        //Store the rendered chunks by their "x,y" key
+        chunks: {},
+    };
+
+    //Copy the starting values
+    var data = (pSetup["data"] instanceof Array || ArrayBuffer.isView(pSetup["data"]) ? pSetup["data"] : []);
+    var flags = (pSetup["flags"] instanceof Array || ArrayBuffer.isView(pSetup["flags"]) ? pSetup["flags"] : []);
+    for (var i = Math.min(data.length, this.__Internal__Dont__Modify__.tiles.length) - 1; i >= 0; i--)
+        this.__Internal__Dont__Modify__.tiles[i] = data[i] || 0;
+    for (var i = Math.min(flags.length, this.__Internal__Dont__Modify__.flags.length) - 1; i >= 0; i--)
+        this.__Internal__Dont__Modify__.flags[i] = flags[i] || 0;
+};
+
+ExtendProperties(TilemapLayer, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TilemapLayer : name - Get the name of the layer
+        18/10/2026
+
+        return string - Returns the name as a string
+    */
+    get name() {
+        return this.__Internal__Dont__Modify__.name;
+    },
+
+    /*
+        TilemapLayer : width - Get the number of tiles across the layer
+        18/10/2026
+
+        return number - Returns the width as a number
+    */
+    get width() {
+        return this.__Internal__Dont__Modify__.width;
+    },
+
+    /*
+        TilemapLayer : height - Get the number of tiles down the layer
+        18/10/2026
+
+        return number - Returns the height as a number
+    */
+    get height() {
+        return this.__Internal__Dont__Modify__.height;
+    },
+
+    /*
+        TilemapLayer : visible - Get the flag indicating if the layer is rendered
+        18/10/2026
+
+        return bool - Returns true if the layer is rendered
+    */
+    get visible() {
+        return this.__Internal__Dont__Modify__.visible;
+    },
+
+    /*
+        TilemapLayer : visible - Set the flag indicating if the layer is rendered
+        18/10/2026
+
+        param[in] pState - A boolean value indicating if the layer is rendered
+    */
+    set visible(pState) {
+        this.__Internal__Dont__Modify__.visible = Validate.type(pState, "boolean", true, true);
+    },
+
+    /*
+        TilemapLayer : opacity - Get the opacity the layer is rendered with
+        18/10/2026
+
+        return number - Returns the 0-1 scale opacity
+    */
+    get opacity() {
+        return this.__Internal__Dont__Modify__.opacity;
+    },
+
+    /*
+        TilemapLayer : opacity - Set the opacity the layer is rendered with
+        18/10/2026
+
+        param[in] pVal - A 0-1 scale number
+    */
+    set opacity(pVal) {
+        this.__Internal__Dont__Modify__.opacity = Math.clamp(Validate.type(pVal, "number", 1, true), 0, 1);
+    },
+
+    /*
+        TilemapLayer : offsetX - Get the pixels the layer is moved across by
+        18/10/2026
+
+        return number - Returns the offset as a number
+    */
+    get offsetX() {
+        return this.__Internal__Dont__Modify__.offsetX;
+    },
+
+    /*
+        TilemapLayer : offsetX - Set the pixels the layer is moved across by
+        18/10/2026
+
+        param[in] pVal - A number holding the offset
+    */
+    set offsetX(pVal) {
+        this.__Internal__Dont__Modify__.offsetX = Validate.type(pVal, "number", 0, true);
+    },
+
+    /*
+        TilemapLayer : offsetY - Get the pixels the layer is moved down by
+        18/10/2026
+
+        return number - Returns the offset as a number
+    */
+    get offsetY() {
+        return this.__Internal__Dont__Modify__.offsetY;
+    },
+
+    /*
+        TilemapLayer : offsetY - Set the pixels the layer is moved down by
+        18/10/2026
+
+        param[in] pVal - A number holding the offset
+    */
+    set offsetY(pVal) {
+        this.__Internal__Dont__Modify__.offsetY = Validate.type(pVal, "number", 0, true);
+    },
+
+    /*
+        TilemapLayer : properties - Get the custom values describing the layer
+        18/10/2026
+
+        return object - Returns the properties object (Changes are kept)
+    */
+    get properties() {
+        return this.__Internal__Dont__Modify__.properties;
+    },
+
+    /*
+        TilemapLayer : cachedChunks - Get the number of chunks currently rendered and cached
+        18/10/2026
+
+        return number - Returns the count as a number
+    */
+    get cachedChunks() {
+        return Object.keys(this.__Internal__Dont__Modify__.chunks).length;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Tile Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TilemapLayer : inBounds - Check if a tile position is within the layer
+        18/10/2026
+
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+
+        return bool - Returns true if the position is within the layer
+    */
+    inBounds: function(pX, pY) {
+        return pX >= 0 && pY >= 0 && pX < this.__Internal__Dont__Modify__.width && pY < this.__Internal__Dont__Modify__.height;
+    },
+
+    /*
+        TilemapLayer : getTile - Get the global id of a tile
+        18/10/2026
+
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+
+        return number - Returns the global id (0 for empty or out of bounds tiles)
+    */
+    getTile: function(pX, pY) {
+        pX = Math.floor(pX);
+        pY = Math.floor(pY);
+        return (this.inBounds(pX, pY) ? this.__Internal__Dont__Modify__.tiles[pY * this.__Internal__Dont__Modify__.width + pX] : 0);
+    },
+
+    /*
+        TilemapLayer : getFlags - Get the TileFlags of a tile
+        18/10/2026
+
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+
+        return number - Returns the flags (TileFlags.NONE for out of bounds tiles)
+    */
+    getFlags: function(pX, pY) {
+        pX = Math.floor(pX);
+        pY = Math.floor(pY);
+        return (this.inBounds(pX, pY) ? this.__Internal__Dont__Modify__.flags[pY * this.__Internal__Dont__Modify__.width + pX] : TileFlags.NONE);
+    },
+
+    /*
+        TilemapLayer : setTile - Set the global id and optionally the flags of a tile
+        18/10/2026
+
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+        param[in] pId - The global id to set (0 to empty the tile)
+        param[in] pFlags - The TileFlags to set (Default keeps the current flags)
+        param[in] pChunkSize - The number of tiles across each cached chunk, used to update the cache
+
+        return bool - Returns true if the tile was set (False if it is out of bounds)
+    */
+    setTile: function(pX, pY, pId, pFlags, pChunkSize) {
+        //Check the position
+        pX = Math.floor(pX);
+        pY = Math.floor(pY);
+        if (!this.inBounds(pX, pY)) return false;
+
+        //Set the values
+        var index = pY * this.__Internal__Dont__Modify__.width + pX;
+        this.__Internal__Dont__Modify__.tiles[index] = Math.max(0, Math.floor(Validate.type(pId, "number", 0, true)));
+        if (typeof pFlags === "number") this.__Internal__Dont__Modify__.flags[index] = pFlags;
+
+        //Re-render the chunk holding the tile
+        this.invalidateTile(pX, pY, pChunkSize);
+        return true;
+    },
+
+    /*
+        TilemapLayer : setFlags - Set the TileFlags of a tile
+        18/10/2026
+
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+        param[in] pFlags - The TileFlags to set
+        param[in] pChunkSize - The number of tiles across each cached chunk, used to update the cache
+
+        return bool - Returns true if the flags were set (False if the tile is out of bounds)
+    */
+    setFlags: function(pX, pY, pFlags, pChunkSize) {
+        //Check the position
+        pX = Math.floor(pX);
+        pY = Math.floor(pY);
+        if (!this.inBounds(pX, pY)) return false;
+
+        //Set the value
+        this.__Internal__Dont__Modify__.flags[pY * this.__Internal__Dont__Modify__.width + pX] = Validate.type(pFlags, "number", 0, true);
+
+        //Re-render the chunk holding the tile
+        this.invalidateTile(pX, pY, pChunkSize);
+        return true;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Chunk Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        TilemapLayer : invalidateTile - Flag the cached chunk holding a tile to be rendered again
+        18/10/2026
+
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+        param[in] pChunkSize - The number of tiles across each cached chunk
+    */
+    invalidateTile: function(pX, pY, pChunkSize) {
+        //Find the chunk
+        var chunk = this.__Internal__Dont__Modify__.chunks[Math.floor(pX / pChunkSize) + "," + Math.floor(pY / pChunkSize)];
+
+        //Flag it to be rendered again
+        if (chunk) chunk.dirty = true;
+    },
+
+    /*
+        TilemapLayer : invalidate - Flag every cached chunk to be rendered again
+        18/10/2026
+    */
+    invalidate: function() {
+        for (var key in this.__Internal__Dont__Modify__.chunks)
+            this.__Internal__Dont__Modify__.chunks[key].dirty = true;
+    },
+
+    /*
+        TilemapLayer : getChunk - Get the cache entry for a chunk
+        18/10/2026
+
+        param[in] pX - The column of the chunk
+        param[in] pY - The row of the chunk
+
+        return object - Returns the cache object ("target", "dirty", "empty" and "used") or null if it isn't cached
+    */
+    getChunk: function(pX, pY) {
+        return this.__Internal__Dont__Modify__.chunks[pX + "," + pY] || null;
+    },
+
+    /*
+        TilemapLayer : setChunk - Store the cache entry for a chunk
+        18/10/2026
+
+        param[in] pX - The column of the chunk
+        param[in] pY - The row of the chunk
+        param[in] pChunk - The cache object to store (Null to remove the entry)
+    */
+    setChunk: function(pX, pY, pChunk) {
+        if (pChunk === null) delete this.__Internal__Dont__Modify__.chunks[pX + "," + pY];
+        else this.__Internal__Dont__Modify__.chunks[pX + "," + pY] = pChunk;
+    },
+
+    /*
+        TilemapLayer : evictChunks - Remove the cached chunks that were used least recently
+        18/10/2026
+
+        param[in] pMaximum - The number of chunks to keep
+
+        return number - Returns the number of chunks that were removed
+    */
+    evictChunks: function(pMaximum) {
+        //Get the chunks
+        var keys = Object.keys(this.__Internal__Dont__Modify__.chunks);
+        if (keys.length <= pMaximum) return 0;
+
+        //Sort the chunks from the least recently used
+        var chunks = this.__Internal__Dont__Modify__.chunks;
+        keys.sort(function(pA, pB) {
+            return chunks[pA].used - chunks[pB].used;
+        });
+
+        //Remove the excess
+        var removed = keys.length - pMaximum;
+        for (var i = 0; i < removed; i++)
+            delete chunks[keys[i]];
+        return removed;
+    },
+
+    /*
+        TilemapLayer : clearChunks - Remove all of the cached chunks
+        18/10/2026
+    */
+    clearChunks: function() {
+        this.__Internal__Dont__Modify__.chunks = {};
+    },
+});
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                            Object Definition                                               ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: Tilemap
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Requires:
+ *      Vec2.js, Mat3.js, Camera.js, RenderTarget.js, Tileset, TilemapLayer, ExtendProperties.js
+ *
+ *      Version: 1.0
+ *
+ *      Purpose:
+ *      Describe a tile based level with any number of layers drawn
+ *      from one or more Tilesets. Each layer is rendered in square
+ *      chunks of tiles that are cached on offscreen RenderTargets and
+ *      only drawn when they overlap the visible area of the Camera,
+ *      so large maps cost only what is on screen. Chunks are rendered
+ *      again when their tiles change
+ **/
+
+/*
+    Tilemap : Constructor - Initialise an empty map with the specified dimensions
+    18/10/2026
+
+    param[in] pSetup - An object containing the values to setup the Tilemap with
+
+    Requires:
+    width - The number of tiles across the map
+    height - The number of tiles down the map
+    tileWidth - The pixel width of each tile in the world
+    tileHeight - The pixel height of each tile in the world
+
+    Optional:
+    tilesets - An array of Tileset objects to draw the tiles from (Default [])
+    chunkSize - The number of tiles across and down each cached chunk (Default 16)
+    maxChunks - The number of chunks each layer keeps cached (Default 256)
+    position - A Vec2 object holding the world position of the top left of the map (Default 0, 0)
+    smooth - Flags if the chunks are smoothed when scaled (Default false, keeping pixel art crisp)
+    properties - An object of custom values describing the map (Default {})
+
+    Example:
+
+    //Create a 200x100 map of 16 pixel tiles
+    var level = new Tilemap({ width: 200, height: 100, tileWidth: 16, tileHeight: 16, tilesets: [terrain] });
+    level.addLayer("ground");
+    level.fill("ground", 1, 0, 90, 200, 10, TileFlags.SOLID);
+
+    //Draw the map through the world camera
+    level.draw(Graphics, worldCam);
+*/
+function Tilemap(pSetup) {
+    //Clean the setup object
+    pSetup = Validate.type(pSetup, "object", null, true);
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the Tilemap.
+        Instead use Tilemap properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the dimensions in tiles
+        width: Math.max(1, Math.floor(Validate.type(pSetup["width"], "number", 0, true))),
+        height: Math.max(1, Math.floor(Validate.type(pSetup["height"], "number", 0, true))),
+
+        //Store the size of each tile in the world
+        tileWidth: Validate.type(pSetup["tileWidth"], "number", 0, true),
+        tileHeight: Validate.type(pSetup["tileHeight"], "number", 0, true),
+
+        //Store the tilesets in order of their first id
+        tilesets: [],
+
+        //Store the layers in the order they are drawn
+        layers: [],
+
+        //Store the caching values
+        chunkSize: Math.max(1, Math.floor(Validate.type(pSetup["chunkSize"], "number", 16))),
+        maxChunks: Math.max(1, Validate.type(pSetup["maxChunks"], "number", 256)),
+
+        //Store the world position
+        position: new Vec2(Validate.instance(pSetup["position"], Vec2, new Vec2())),
+
+        //Store the render values
+        smooth: Validate.type(pSetup["smooth"], "boolean", false),
+
+        //Store the custom values
+        properties: Validate.type(pSetup["properties"], "object", null) || {},
+
+        //Store the number of times the map has been drawn, used to find the least recently used chunks
+        frame: 0,
+
+        //Store the number of chunks drawn and rendered by the last draw
+        drawnChunks: 0,
+        renderedChunks: 0,
+    };
+
+    //Check the tile size
+    if (this.__Internal__Dont__Modify__.tileWidth <= 0 || this.__Internal__Dont__Modify__.tileHeight <= 0)
+        throw new Error("Can not create a Tilemap with the tile size " + this.__Internal__Dont__Modify__.tileWidth + "x" + this.__Internal__Dont__Modify__.tileHeight + " Please use sizes greater than 0");
+
+    //Add the tilesets
+    if (pSetup["tilesets"] instanceof Array) {
+        for (var i = 0; i < pSetup["tilesets"].length; i++)
+            this.addTileset(pSetup["tilesets"][i]);
+    }
+};
+
+ExtendProperties(Tilemap, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Tilemap : width - Get the number of tiles across the map
+        18/10/2026
+
+        return number - Returns the width as a number
+    */
+    get width() {
+        return this.__Internal__Dont__Modify__.width;
+    },
+
+    /*
+        Tilemap : height - Get the number of tiles down the map
+        18/10/2026
+
+        return number - Returns the height as a number
+    */
+    get height() {
+        return this.__Internal__Dont__Modify__.height;
+    },
+
+    /*
+        Tilemap : tileWidth - Get the pixel width of each tile in the world
+        18/10/2026
+
+        return number - Returns the width as a number
+    */
+    get tileWidth() {
+        return this.__Internal__Dont__Modify__.tileWidth;
+    },
+
+    /*
+        Tilemap : tileHeight - Get the pixel height of each tile in the world
+        18/10/2026
+
+        return number - Returns the height as a number
+    */
+    get tileHeight() {
+        return this.__Internal__Dont__Modify__.tileHeight;
+    },
+
+    /*
+        Tilemap : size - Get the dimensions of the map in the world
+        18/10/2026
+
+        return Vec2 - Returns a Vec2 object holding the pixel width and height of the map
+    */
+    get size() {
+        return new Vec2(this.__Internal__Dont__Modify__.width * this.__Internal__Dont__Modify__.tileWidth,
+            this.__Internal__Dont__Modify__.height * this.__Internal__Dont__Modify__.tileHeight);
+    },
+
+    /*
+        Tilemap : position - Get the world position of the top left of the map
+        18/10/2026
+
+        return Vec2 - Returns a copy of the position
+    */
+    get position() {
+        return new Vec2(this.__Internal__Dont__Modify__.position);
+    },
+
+    /*
+        Tilemap : position - Set the world position of the top left of the map
+        18/10/2026
+
+        param[in] pPos - A Vec2 object holding the new position
+    */
+    set position(pPos) {
+        this.__Internal__Dont__Modify__.position = new Vec2(Validate.instance(pPos, Vec2, null, true));
+    },
+
+    /*
+        Tilemap : chunkSize - Get the number of tiles across and down each cached chunk
+        18/10/2026
+
+        return number - Returns the chunk size as a number
+    */
+    get chunkSize() {
+        return this.__Internal__Dont__Modify__.chunkSize;
+    },
+
+    /*
+        Tilemap : smooth - Get the flag indicating if chunks are smoothed when scaled
+        18/10/2026
+
+        return bool - Returns true if smoothing is used
+    */
+    get smooth() {
+        return this.__Internal__Dont__Modify__.smooth;
+    },
+
+    /*
+        Tilemap : smooth - Set the flag indicating if chunks are smoothed when scaled
+        18/10/2026
+
+        param[in] pState - A boolean value indicating if smoothing is used
+    */
+    set smooth(pState) {
+        this.__Internal__Dont__Modify__.smooth = Validate.type(pState, "boolean", false, true);
+    },
+
+    /*
+        Tilemap : properties - Get the custom values describing the map
+        18/10/2026
+
+        return object - Returns the properties object (Changes are kept)
+    */
+    get properties() {
+        return this.__Internal__Dont__Modify__.properties;
+    },
+
+    /*
+        Tilemap : tilesets - Get the tilesets used by the map
+        18/10/2026
+
+        return array - Returns a copy of the array of Tileset objects, ordered by their first id
+    */
+    get tilesets() {
+        return this.__Internal__Dont__Modify__.tilesets.slice();
+    },
+
+    /*
+        Tilemap : layerNames - Get the names of the layers in the order they are drawn
+        18/10/2026
+
+        return array - Returns an array of layer name strings
+    */
+    get layerNames() {
+        var names = [];
+        for (var i = 0; i < this.__Internal__Dont__Modify__.layers.length; i++)
+            names.push(this.__Internal__Dont__Modify__.layers[i].name);
+        return names;
+    },
+
+    /*
+        Tilemap : drawnChunks - Get the number of chunks that were visible in the last draw
+        18/10/2026
+
+        return number - Returns the count as a number
+
+        Example:
+
+        //Check the culling
+        console.log(level.drawnChunks + " chunks on screen, " + level.renderedChunks + " rendered");
+    */
+    get drawnChunks() {
+        return this.__Internal__Dont__Modify__.drawnChunks;
+    },
+
+    /*
+        Tilemap : renderedChunks - Get the number of chunks that had to be rendered (Not cached) in the last draw
+        18/10/2026
+
+        return number - Returns the count as a number
+    */
+    get renderedChunks() {
+        return this.__Internal__Dont__Modify__.renderedChunks;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                Tileset Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Tilemap : addTileset - Add a tileset to draw tiles from
+        18/10/2026
+
+        param[in] pTileset - The Tileset object to add
+
+        return bool - Returns true if the tileset was added (False if it was already added)
+    */
+    addTileset: function(pTileset) {
+        //Check the type
+        if (!(pTileset instanceof Tileset))
+            throw new Error("Can not add the tileset " + pTileset + " (Type: '" + typeof pTileset + "') Please use a Tileset object");
+
+        //Check the tileset hasn't been added
+        if (this.__Internal__Dont__Modify__.tilesets.indexOf(pTileset) !== -1) return false;
+
+        //Add the tileset, ordered by first id
+        this.__Internal__Dont__Modify__.tilesets.push(pTileset);
+        this.__Internal__Dont__Modify__.tilesets.sort(function(pA, pB) {
+            return pA.firstId - pB.firstId;
+        });
+
+        //Tiles may now be drawn from the tileset
+        this.invalidate();
+        return true;
+    },
+
+    /*
+        Tilemap : getTileset - Get the tileset holding a global id
+        18/10/2026
+
+        param[in] pId - The global id of the tile
+
+        return Tileset - Returns the Tileset object or null if no tileset holds the id
+    */
+    getTileset: function(pId) {
+        //Find the tileset with the largest first id that the id is past
+        for (var i = this.__Internal__Dont__Modify__.tilesets.length - 1; i >= 0; i--) {
+            if (this.__Internal__Dont__Modify__.tilesets[i].firstId <= pId)
+                return (this.__Internal__Dont__Modify__.tilesets[i].contains(pId) ? this.__Internal__Dont__Modify__.tilesets[i] : null);
+        }
+
+        //No tileset holds the id
+        return null;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Layer Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Tilemap : addLayer - Add an empty layer, drawn over the previous layers
+        18/10/2026
+
+        param[in] pName - The unique name of the layer
+        param[in] pSetup - An optional object containing the values to setup the layer with
+                           (See the TilemapLayer constructor)
+
+        return TilemapLayer - Returns the new layer or null if a layer with the name already exists
+
+        Example:
+
+        //Add the decoration layer at half opacity
+        var decor = level.addLayer("decor", { opacity: 0.5 });
+    */
+    addLayer: function(pName, pSetup) {
+        //Check the name
+        pName = Validate.type(pName, "string", "", true);
+        if (this.getLayer(pName) !== null) return null;
+
+        //Create the layer
+        var layer = new TilemapLayer(pName, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height, pSetup);
+        this.__Internal__Dont__Modify__.layers.push(layer);
+
+        //Return the layer
+        return layer;
+    },
+
+    /*
+        Tilemap : getLayer - Get a layer by name
+        18/10/2026
+
+        param[in] pName - The name of the layer (Or the TilemapLayer object itself)
+
+        return TilemapLayer - Returns the layer or null if it doesn't exist
+    */
+    getLayer: function(pName) {
+        //Accept layer objects
+        if (pName instanceof TilemapLayer)
+            return (this.__Internal__Dont__Modify__.layers.indexOf(pName) !== -1 ? pName : null);
+
+        //Find the layer
+        for (var i = 0; i < this.__Internal__Dont__Modify__.layers.length; i++) {
+            if (this.__Internal__Dont__Modify__.layers[i].name === pName)
+                return this.__Internal__Dont__Modify__.layers[i];
+        }
+        return null;
+    },
+
+    /*
+        Tilemap : removeLayer - Remove a layer and its cached chunks
+        18/10/2026
+
+        param[in] pName - The name of the layer to remove
+
+        return bool - Returns true if the layer was removed
+    */
+    removeLayer: function(pName) {
+        //Find the layer
+        var layer = this.getLayer(pName);
+        if (layer === null) return false;
+
+        //Remove the layer
+        layer.clearChunks();
+        this.__Internal__Dont__Modify__.layers.splice(this.__Internal__Dont__Modify__.layers.indexOf(layer), 1);
+        return true;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Tile Functions                                            ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Tilemap : getTile - Get the global id of a tile
+        18/10/2026
+
+        param[in] pLayer - The name of the layer
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+
+        return number - Returns the global id (0 for empty tiles, out of bounds tiles or missing layers)
+    */
+    getTile: function(pLayer, pX, pY) {
+        var layer = this.getLayer(pLayer);
+        return (layer !== null ? layer.getTile(pX, pY) : 0);
+    },
+
+    /*
+        Tilemap : setTile - Set the global id and optionally the flags of a tile
+        18/10/2026
+
+        param[in] pLayer - The name of the layer
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+        param[in] pId - The global id to set (0 to empty the tile)
+        param[in] pFlags - The TileFlags to set (Default keeps the current flags)
+
+        return bool - Returns true if the tile was set
+
+        Example:
+
+        //Break the block the player hit
+        level.setTile("ground", hitX, hitY, 0, TileFlags.NONE);
+    */
+    setTile: function(pLayer, pX, pY, pId, pFlags) {
+        var layer = this.getLayer(pLayer);
+        return (layer !== null ? layer.setTile(pX, pY, pId, pFlags, this.__Internal__Dont__Modify__.chunkSize) : false);
+    },
+
+    /*
+        Tilemap : getFlags - Get the TileFlags of a tile
+        18/10/2026
+
+        param[in] pLayer - The name of the layer
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+
+        return number - Returns the flags (TileFlags.NONE for out of bounds tiles or missing layers)
+    */
+    getFlags: function(pLayer, pX, pY) {
+        var layer = this.getLayer(pLayer);
+        return (layer !== null ? layer.getFlags(pX, pY) : TileFlags.NONE);
+    },
+
+    /*
+        Tilemap : setFlags - Set the TileFlags of a tile
+        18/10/2026
+
+        param[in] pLayer - The name of the layer
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+        param[in] pFlags - The TileFlags to set
+
+        return bool - Returns true if the flags were set
+    */
+    setFlags: function(pLayer, pX, pY, pFlags) {
+        var layer = this.getLayer(pLayer);
+        return (layer !== null ? layer.setFlags(pX, pY, pFlags, this.__Internal__Dont__Modify__.chunkSize) : false);
+    },
+
+    /*
+        Tilemap : hasFlag - Check if a tile has all of the specified flags
+        18/10/2026
+
+        param[in] pLayer - The name of the layer
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+        param[in] pFlag - The TileFlags bits to check
+
+        return bool - Returns true if every bit is set
+
+        Example:
+
+        //Stop the player walking into walls
+        if (level.hasFlag("ground", nextX, nextY, TileFlags.SOLID)) velocity.x = 0;
+    */
+    hasFlag: function(pLayer, pX, pY, pFlag) {
+        return (this.getFlags(pLayer, pX, pY) & pFlag) === pFlag;
+    },
+
+    /*
+        Tilemap : fill - Set the global id and flags of a rectangle of tiles
+        18/10/2026
+
+        param[in] pLayer - The name of the layer
+        param[in] pId - The global id to set (0 to empty the tiles)
+        param[in] pX - The column of the left of the rectangle (Default 0)
+        param[in] pY - The row of the top of the rectangle (Default 0)
+        param[in] pWidth - The number of tiles across the rectangle (Default the rest of the map)
+        param[in] pHeight - The number of tiles down the rectangle (Default the rest of the map)
+        param[in] pFlags - The TileFlags to set (Default keeps the current flags)
+
+        return number - Returns the number of tiles that were set
+    */
+    fill: function(pLayer, pId, pX, pY, pWidth, pHeight, pFlags) {
+        //Find the layer
+        var layer = this.getLayer(pLayer);
+        if (layer === null) return 0;
+
+        //Clean the rectangle
+        pX = Math.floor(Validate.type(pX, "number", 0));
+        pY = Math.floor(Validate.type(pY, "number", 0));
+        pWidth = Math.floor(Validate.type(pWidth, "number", this.__Internal__Dont__Modify__.width - pX));
+        pHeight = Math.floor(Validate.type(pHeight, "number", this.__Internal__Dont__Modify__.height - pY));
+
+        //Set the tiles
+        var count = 0;
+        for (var y = pY; y < pY + pHeight; y++) {
+            for (var x = pX; x < pX + pWidth; x++) {
+                if (layer.setTile(x, y, pId, pFlags, this.__Internal__Dont__Modify__.chunkSize)) count++;
+            }
+        }
+        return count;
+    },
+
+    /*
+        Tilemap : worldToTile - Find the tile under a world position
+        18/10/2026
+
+        param[in] pPos - A Vec2 object holding the world position
+
+        return Vec2 - Returns a Vec2 object holding the column and row (May be outside of the map)
+
+        Example:
+
+        //Find the tile under the mouse
+        var tile = level.worldToTile(worldCam.screenPosToWorld(Input.mousePos));
+    */
+    worldToTile: function(pPos) {
+        pPos = Validate.instance(pPos, Vec2, null, true);
+        return new Vec2(Math.floor((pPos.x - this.__Internal__Dont__Modify__.position.x) / this.__Internal__Dont__Modify__.tileWidth),
+            Math.floor((pPos.y - this.__Internal__Dont__Modify__.position.y) / this.__Internal__Dont__Modify__.tileHeight));
+    },
+
+    /*
+        Tilemap : tileToWorld - Find the world position of the top left of a tile
+        18/10/2026
+
+        param[in] pX - The column of the tile
+        param[in] pY - The row of the tile
+
+        return Vec2 - Returns a Vec2 object holding the world position
+    */
+    tileToWorld: function(pX, pY) {
+        return new Vec2(this.__Internal__Dont__Modify__.position.x + pX * this.__Internal__Dont__Modify__.tileWidth,
+            this.__Internal__Dont__Modify__.position.y + pY * this.__Internal__Dont__Modify__.tileHeight);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Render Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        Tilemap : invalidate - Flag the cached chunks to be rendered again
+        18/10/2026
+
+        param[in] pLayer - The name of the layer to update (Default every layer)
+
+        Example:
+
+        //Re-render after the tileset image was swapped
+        level.invalidate();
+    */
+    invalidate: function(pLayer) {
+        //Update a single layer
+        if (typeof pLayer !== "undefined") {
+            var layer = this.getLayer(pLayer);
+            if (layer !== null) layer.invalidate();
+        }
+
+        //Otherwise update every layer
+        else for (var i = 0; i < this.__Internal__Dont__Modify__.layers.length; i++)
+            this.__Internal__Dont__Modify__.layers[i].invalidate();
+    },
+
+    /*
+        Tilemap : visibleArea - Find the area of the world visible through a camera
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object being rendered to
+        param[in] pCamera - The Camera object the map is viewed through (Default null, the map is in screen space)
+
+        return object - Returns an object with the "left", "top", "right" and "bottom" of the visible world area
+    */
+    visibleArea: function(pGraphics, pCamera) {
+        //Without a camera the screen is the world
+        if (!(pCamera instanceof Camera))
+            return { left: 0, top: 0, right: pGraphics.width, bottom: pGraphics.height };
+
+        //Find the world positions of the corners of the camera's canvas
+        var inverse = pCamera.projectionView.inverse();
+        var screen = pCamera.canvasDimensions;
+        var corners = [new Vec2(0, 0), new Vec2(screen.x, 0), new Vec2(0, screen.y), new Vec2(screen.x, screen.y)];
+        var area = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        for (var i = 0; i < corners.length; i++) {
+            var corner = inverse.multiVec(corners[i]);
+            area.left = Math.min(area.left, corner.x);
+            area.top = Math.min(area.top, corner.y);
+            area.right = Math.max(area.right, corner.x);
+            area.bottom = Math.max(area.bottom, corner.y);
+        }
+
+        //Return the bounds of the corners
+        return area;
+    },
+
+    /*
+        Tilemap : draw - Render the visible chunks of the layers
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object to render with
+        param[in] pCamera - The Camera object to view the map through (Default null, rendering in screen space)
+        param[in] pLayers - The name (Or an array of names) of the layers to render, allowing sprites to be
+                            drawn between layers (Default every visible layer)
+
+        return number - Returns the number of chunks that were drawn
+
+        Example:
+
+        //Draw the background layers, the player, then the foreground
+        level.draw(Graphics, worldCam, ["sky", "ground"]);
+        player.draw(Graphics);
+        level.draw(Graphics, worldCam, "foreground");
+    */
+    draw: function(pGraphics, pCamera, pLayers) {
+        //Get the layers to draw
+        var layers = this.__Internal__Dont__Modify__.layers;
+        if (typeof pLayers === "string" || pLayers instanceof TilemapLayer) pLayers = [pLayers];
+        if (pLayers instanceof Array) {
+            layers = [];
+            for (var i = 0; i < pLayers.length; i++) {
+                var layer = this.getLayer(pLayers[i]);
+                if (layer !== null) layers.push(layer);
+            }
+        }
+
+        //Reset the counts
+        this.__Internal__Dont__Modify__.frame++;
+        this.__Internal__Dont__Modify__.drawnChunks = 0;
+        this.__Internal__Dont__Modify__.renderedChunks = 0;
+
+        //Get the visible area
+        var area = this.visibleArea(pGraphics, pCamera);
+
+        //Get the pixel size of a chunk
+        var chunkWidth = this.__Internal__Dont__Modify__.chunkSize * this.__Internal__Dont__Modify__.tileWidth;
+        var chunkHeight = this.__Internal__Dont__Modify__.chunkSize * this.__Internal__Dont__Modify__.tileHeight;
+        var maxX = Math.ceil(this.__Internal__Dont__Modify__.width / this.__Internal__Dont__Modify__.chunkSize) - 1;
+        var maxY = Math.ceil(this.__Internal__Dont__Modify__.height / this.__Internal__Dont__Modify__.chunkSize) - 1;
+
+        //Store the previous context values
+        var prevAlpha = pGraphics.draw.globalAlpha;
+        var prevSmooth = pGraphics.draw.imageSmoothingEnabled;
+
+        //Loop through the layers
+        for (var i = 0; i < layers.length; i++) {
+            //Check the layer is visible
+            if (!layers[i].visible || layers[i].opacity <= 0) continue;
+
+            //Find the top left of the layer in the world
+            var originX = this.__Internal__Dont__Modify__.position.x + layers[i].offsetX;
+            var originY = this.__Internal__Dont__Modify__.position.y + layers[i].offsetY;
+
+            //Find the chunks overlapping the visible area
+            var left = Math.max(0, Math.floor((area.left - originX) / chunkWidth));
+            var top = Math.max(0, Math.floor((area.top - originY) / chunkHeight));
+            var right = Math.min(maxX, Math.floor((area.right - originX) / chunkWidth));
+            var bottom = Math.min(maxY, Math.floor((area.bottom - originY) / chunkHeight));
+            if (left > right || top > bottom) continue;
+
+            //Set the layer transform
+            var transform = createTranslationMat(originX, originY);
+            if (pCamera instanceof Camera) transform = pCamera.projectionView.multi(transform);
+            pGraphics.pushTransform(transform);
+
+            //Set the render values
+            pGraphics.draw.globalAlpha = prevAlpha * layers[i].opacity;
+            pGraphics.draw.imageSmoothingEnabled = this.__Internal__Dont__Modify__.smooth;
+
+            //Draw the chunks
+            for (var y = top; y <= bottom; y++) {
+                for (var x = left; x <= right; x++) {
+                    //Get the rendered chunk
+                    var chunk = this.getChunk(pGraphics, layers[i], x, y);
+                    if (chunk === null) continue;
+
+                    //Draw the chunk
+                    pGraphics.draw.drawImage(chunk.target.canvas, x * chunkWidth, y * chunkHeight);
+                    this.__Internal__Dont__Modify__.drawnChunks++;
+                }
+            }
+
+            //Restore the transform
+            pGraphics.endRender();
+
+            //Remove the chunks that haven't been seen for the longest time (Keeping every chunk on screen)
+            layers[i].evictChunks(Math.max(this.__Internal__Dont__Modify__.maxChunks, (right - left + 1) * (bottom - top + 1)));
+        }
+
+        //Restore the context values
+        pGraphics.draw.globalAlpha = prevAlpha;
+        pGraphics.draw.imageSmoothingEnabled = prevSmooth;
+
+        //Return the number of chunks drawn
+        return this.__Internal__Dont__Modify__.drawnChunks;
+    },
+
+    /*
+        Tilemap : getChunk - Get the cached chunk of a layer, rendering it if it is missing or has changed
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object used to create the RenderTarget
+        param[in] pLayer - The TilemapLayer object the chunk belongs to
+        param[in] pX - The column of the chunk
+        param[in] pY - The row of the chunk
+
+        return object - Returns the cache object ("target", "dirty", "empty" and "used") or null if the chunk is empty
+    */
+    getChunk: function(pGraphics, pLayer, pX, pY) {
+        //Get the cache entry
+        var chunk = pLayer.getChunk(pX, pY);
+
+        //Check if the chunk needs to be rendered
+        if (chunk === null || chunk.dirty) {
+            //Create the cache entry (The RenderTarget is created once the chunk has tiles)
+            if (chunk === null) {
+                chunk = {
+                    target: null,
+                    dirty: true,
+                    empty: true,
+                    used: 0
+                };
+                pLayer.setChunk(pX, pY, chunk);
+            }
+
+            //Render the tiles
+            this.renderChunk(pGraphics, pLayer, pX, pY, chunk);
+            this.__Internal__Dont__Modify__.renderedChunks++;
+        }
+
+        //Flag when the chunk was used
+        chunk.used = this.__Internal__Dont__Modify__.frame;
+
+        //Return the chunk (Skipping chunks with no tiles)
+        return (chunk.empty ? null : chunk);
+    },
+
+    /*
+        Tilemap : renderChunk - Render the tiles of a chunk to its RenderTarget
+        18/10/2026
+
+        param[in] pGraphics - The Graphics object used to create the RenderTarget
+        param[in] pLayer - The TilemapLayer object the chunk belongs to
+        param[in] pX - The column of the chunk
+        param[in] pY - The row of the chunk
+        param[in] pChunk - The cache object holding the RenderTarget
+    */
+    renderChunk: function(pGraphics, pLayer, pX, pY, pChunk) {
+        //Clear the previous tiles
+        if (pChunk.target !== null) pChunk.target.clear();
+
+        //Assume the chunk is complete and empty until tiles are found
+        pChunk.dirty = false;
+        pChunk.empty = true;
+
+        //Get the tiles in the chunk
+        var size = this.__Internal__Dont__Modify__.chunkSize;
+        var endX = Math.min(pLayer.width, (pX + 1) * size);
+        var endY = Math.min(pLayer.height, (pY + 1) * size);
+
+        //Loop through the tiles
+        for (var y = pY * size; y < endY; y++) {
+            for (var x = pX * size; x < endX; x++) {
+                //Get the tile
+                var id = pLayer.getTile(x, y);
+                var flags = pLayer.getFlags(x, y);
+                if (!id || (flags & TileFlags.HIDDEN)) continue;
+
+                //Get the tileset
+                var tileset = this.getTileset(id);
+                if (tileset === null) continue;
+                pChunk.empty = false;
+
+                //Create the target for the first tile
+                if (pChunk.target === null) {
+                    pChunk.target = pGraphics.createRenderTarget(size * this.__Internal__Dont__Modify__.tileWidth, size * this.__Internal__Dont__Modify__.tileHeight);
+                }
+                var draw = pChunk.target.draw;
+
+                //Check the image has loaded (Render again next time when it hasn't)
+                if (!tileset.ready) {
+                    pChunk.dirty = true;
+                    continue;
+                }
+
+                //Get the region of the tile
+                var rect = tileset.getTileRect(id);
+                if (rect === null) continue;
+
+                //Find the centre of the tile in the chunk (Larger tiles line up with the bottom left of the cell)
+                var centerX = (x - pX * size) * this.__Internal__Dont__Modify__.tileWidth + rect.width / 2;
+                var centerY = (y - pY * size + 1) * this.__Internal__Dont__Modify__.tileHeight - rect.height / 2;
+
+                //Set the transform, applying the diagonal flip first
+                draw.setTransform((flags & TileFlags.FLIP_X ? -1 : 1), 0, 0, (flags & TileFlags.FLIP_Y ? -1 : 1), centerX, centerY);
+                if (flags & TileFlags.FLIP_DIAGONAL) draw.transform(0, 1, 1, 0, 0, 0);
+
+                //Render the tile
+                draw.drawImage(tileset.image, rect.x, rect.y, rect.width, rect.height, -rect.width / 2, -rect.height / 2, rect.width, rect.height);
+            }
+        }
+
+        //Reset the transform
+        if (pChunk.target !== null) pChunk.target.draw.setTransform(1, 0, 0, 1, 0, 0);
+    },
+})
\ No newline at end of file
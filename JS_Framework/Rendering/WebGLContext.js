@@ -0,0 +1,1039 @@
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                  Constants                                                 ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: WEBGL_BATCH_QUADS
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      The number of quads a WebGLContext collects before it
+ *      submits them to the GPU in a single draw call
+ **/
+var WEBGL_BATCH_QUADS = 4096;
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/////                                                                                                            ////
+/////                                                 Object Definition                                          ////
+/////                                                                                                            ////
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ *      Name: WebGLContext
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Version: 1.0
+ *
+ *      Requires:
+ *      ExtendProperties.js
+ *
+ *      Purpose:
+ *      Stand in for a CanvasRenderingContext2D that renders through
+ *      WebGL. Calls to fillRect, clearRect and drawImage are collected
+ *      into batches of textured quads, transformed on the CPU by the
+ *      same transform functions as the 2D context. Every other call
+ *      (Paths, text, gradients, filters) is passed to a 2D overlay
+ *      canvas, so existing rendering code keeps working unchanged.
+ *      Once the overlay holds drawing, the calls drawn over it are
+ *      passed to it as well so the order is kept, and it is only
+ *      composited over the canvas when the frame is flushed or by a
+ *      quad whose composite operation needs the canvas below.
+ *
+ *      Clipping regions made from a single axis aligned rectangle
+ *      are applied to the quads as a scissor rectangle. While any
+ *      other clipping region is active the quads are passed to the
+ *      overlay, where clearRect only clears the overlay drawing
+ **/
+
+/*
+    WebGLContext : Constructor - Initialise the WebGL state for a canvas
+    18/10/2026
+
+    param[in] pCanvas - The HTML5 canvas object to render to
+
+    Example:
+
+    //Render through WebGL (Graphics falls back to the 2D context if this fails)
+    var graphics = new Graphics(1280, 720, true, { renderer: RendererType.WEBGL });
+*/
+function WebGLContext(pCanvas) {
+    //Get the WebGL context
+    var gl = (pCanvas && typeof pCanvas.getContext === "function" ?
+        pCanvas.getContext("webgl", { alpha: true, premultipliedAlpha: true, preserveDrawingBuffer: true, antialias: false }) ||
+        pCanvas.getContext("experimental-webgl", { alpha: true, premultipliedAlpha: true, preserveDrawingBuffer: true, antialias: false }) : null);
+
+    //Check WebGL is available
+    if (!gl) throw new Error("Can not create a WebGLContext for " + pCanvas + " (Type: '" + typeof pCanvas + "') as WebGL is not available. Please use a 2D context");
+
+    /*  WARNING:
+        Don't modify this internal object from the outside of the WebGLContext object.
+        Instead use WebGLContext object properties and functions to modify these values
+        as this allows for the internal information to update itself and keep it
+        correct.
+    */
+    this.__Internal__Dont__Modify__ = {
+        //Store the WebGL context
+        gl: gl,
+
+        //Store the shader program and its locations
+        program: null,
+        resolutionLocation: null,
+
+        //Store the buffers holding the batch
+        vertexBuffer: null,
+        indexBuffer: null,
+        vertices: new Float32Array(WEBGL_BATCH_QUADS * 4 * 8),
+        quadCount: 0,
+
+        //Store the values the current batch is rendered with
+        texture: null,
+        blend: null,
+        smooth: true,
+        batchClip: null,
+
+        //Store the textures (A plain white texture for filled rectangles, one that is re-uploaded
+        //for canvas objects that may change and a map of the uploaded images)
+        whiteTexture: null,
+        streamTexture: null,
+        textureCache: (typeof Map !== "undefined" ? new Map() : null),
+
+        //Store the size the viewport was set for
+        width: 0,
+        height: 0,
+
+        //Store the 2D canvas that unsupported calls are rendered to
+        overlay: null,
+        overlayDraw: null,
+        overlayDirty: false,
+
+        //Store the current transform (In the order a, b, c, d, e, f)
+        transform: [1, 0, 0, 1, 0, 0],
+
+        //Store the rectangle the quads are clipped to as [x, y, width, height] in canvas pixels (Null when not clipped)
+        clipRect: null,
+
+        //Flag if a clipping region that isn't an axis aligned rectangle is active
+        clipComplex: false,
+
+        //Store the axis aligned rectangle the current path is made of in canvas pixels (Null if the path is empty)
+        pathRect: null,
+
+        //Flag if the current path contains anything other than a single axis aligned rectangle
+        pathComplex: false,
+
+        //Store the states pushed by save
+        stateStack: [],
+
+        //Store the number of batches submitted since the count was reset
+        drawCalls: 0,
+    };
+
+    //Store the canvas
+    this.canvas = pCanvas;
+
+    //Set the default drawing state
+    this.fillStyle = "#000";
+    this.strokeStyle = "#000";
+    this.lineWidth = 1;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = "source-over";
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.imageSmoothingEnabled = true;
+    this.shadowBlur = 0;
+    this.shadowColor = "rgba(0, 0, 0, 0)";
+    this.shadowOffsetX = 0;
+    this.shadowOffsetY = 0;
+    this.filter = "none";
+
+    //Create the overlay canvas
+    this.__Internal__Dont__Modify__.overlay = document.createElement("canvas");
+    this.__Internal__Dont__Modify__.overlayDraw = this.__Internal__Dont__Modify__.overlay.getContext("2d");
+
+    //Setup the WebGL objects
+    this.setupGL();
+};
+
+/*
+ *      Name: WEBGL_STATE_KEYS
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      The drawing state values saved by save and copied to the
+ *      overlay canvas before a call is passed to it
+ **/
+var WEBGL_STATE_KEYS = ["fillStyle", "strokeStyle", "lineWidth", "lineCap", "lineJoin", "globalAlpha", "globalCompositeOperation", "font",
+    "textAlign", "textBaseline", "imageSmoothingEnabled", "shadowBlur", "shadowColor", "shadowOffsetX", "shadowOffsetY", "filter"];
+
+/*
+ *      Name: WEBGL_BLEND_MODES
+ *      Author: Mitchell Croft
+ *      Date: 18/10/2026
+ *
+ *      Purpose:
+ *      The WebGL blend factors (Source, destination) for the composite
+ *      operations that can be batched. The colors are premultiplied by
+ *      alpha. Other operations are passed to the overlay canvas
+ **/
+var WEBGL_BLEND_MODES = {
+    "source-over": ["ONE", "ONE_MINUS_SRC_ALPHA"],
+    "lighter": ["ONE", "ONE"],
+    "copy": ["ONE", "ZERO"],
+    "destination-out": ["ZERO", "ONE_MINUS_SRC_ALPHA"],
+    "multiply": ["DST_COLOR", "ONE_MINUS_SRC_ALPHA"],
+    "screen": ["ONE", "ONE_MINUS_SRC_COLOR"],
+    "clear": ["ZERO", "ZERO"],
+};
+
+ExtendProperties(WebGLContext, {
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                               Property Definitions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        WebGLContext : gl - Get the WebGL context being rendered to
+        18/10/2026
+
+        return WebGLRenderingContext - Returns the WebGL context
+    */
+    get gl() {
+        return this.__Internal__Dont__Modify__.gl;
+    },
+
+    /*
+        WebGLContext : drawCalls - Get the number of batches submitted since resetDrawCalls was called
+        18/10/2026
+
+        return number - Returns the number of WebGL draw calls as a number
+
+        Example:
+
+        //Check the particles were batched
+        console.log(graphics.draw.drawCalls);
+        graphics.draw.resetDrawCalls();
+    */
+    get drawCalls() {
+        return this.__Internal__Dont__Modify__.drawCalls;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  Batch Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        WebGLContext : setupGL - Create the shader program, buffers and default textures
+        18/10/2026
+    */
+    setupGL: function() {
+        //Get the WebGL context
+        var gl = this.__Internal__Dont__Modify__.gl;
+
+        //Define the shaders
+        var vertexSource = "attribute vec2 aPosition;\n" +
+            "attribute vec2 aTexCoord;\n" +
+            "attribute vec4 aColor;\n" +
+            "uniform vec2 uResolution;\n" +
+            "varying vec2 vTexCoord;\n" +
+            "varying vec4 vColor;\n" +
+            "void main() {\n" +
+            "    gl_Position = vec4(aPosition / uResolution * vec2(2.0, -2.0) + vec2(-1.0, 1.0), 0.0, 1.0);\n" +
+            "    vTexCoord = aTexCoord;\n" +
+            "    vColor = aColor;\n" +
+            "}";
+        var fragmentSource = "precision mediump float;\n" +
+            "uniform sampler2D uTexture;\n" +
+            "varying vec2 vTexCoord;\n" +
+            "varying vec4 vColor;\n" +
+            "void main() {\n" +
+            "    gl_FragColor = texture2D(uTexture, vTexCoord) * vColor;\n" +
+            "}";
+
+        //Compile the shaders
+        var program = gl.createProgram();
+        var sources = [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]];
+        for (var i = 0; i < sources.length; i++) {
+            var shader = gl.createShader(sources[i][0]);
+            gl.shaderSource(shader, sources[i][1]);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+                throw new Error("Can not compile the WebGLContext shader. ERROR: " + gl.getShaderInfoLog(shader));
+            gl.attachShader(program, shader);
+        }
+
+        //Link the program
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS))
+            throw new Error("Can not link the WebGLContext shader program. ERROR: " + gl.getProgramInfoLog(program));
+        gl.useProgram(program);
+        this.__Internal__Dont__Modify__.program = program;
+        this.__Internal__Dont__Modify__.resolutionLocation = gl.getUniformLocation(program, "uResolution");
+        gl.uniform1i(gl.getUniformLocation(program, "uTexture"), 0);
+
+        //Create the vertex buffer
+        this.__Internal__Dont__Modify__.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.__Internal__Dont__Modify__.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.__Internal__Dont__Modify__.vertices.byteLength, gl.DYNAMIC_DRAW);
+
+        //Describe the vertex layout (Position, texture coordinate and color)
+        var attributes = [["aPosition", 2, 0], ["aTexCoord", 2, 2], ["aColor", 4, 4]];
+        for (var i = 0; i < attributes.length; i++) {
+            var location = gl.getAttribLocation(program, attributes[i][0]);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, attributes[i][1], gl.FLOAT, false, 32, attributes[i][2] * 4);
+        }
+
+        //Create the index buffer (Two triangles per quad)
+        var indices = new Uint16Array(WEBGL_BATCH_QUADS * 6);
+        for (var i = 0; i < WEBGL_BATCH_QUADS; i++) {
+            indices[i * 6] = i * 4;
+            indices[i * 6 + 1] = i * 4 + 1;
+            indices[i * 6 + 2] = i * 4 + 2;
+            indices[i * 6 + 3] = i * 4;
+            indices[i * 6 + 4] = i * 4 + 2;
+            indices[i * 6 + 5] = i * 4 + 3;
+        }
+        this.__Internal__Dont__Modify__.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.__Internal__Dont__Modify__.indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+        //Colors are premultiplied by alpha, matching the canvas
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.enable(gl.BLEND);
+
+        //Create the plain white texture
+        this.__Internal__Dont__Modify__.whiteTexture = this.createTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+
+        //Create the texture for changing canvas objects
+        this.__Internal__Dont__Modify__.streamTexture = this.createTexture();
+    },
+
+    /*
+        WebGLContext : createTexture - Create and bind a texture that can hold an image of any size
+        18/10/2026
+
+        return object - Returns an object holding the WebGLTexture ("texture") and its filtering ("smooth")
+    */
+    createTexture: function() {
+        //Get the WebGL context
+        var gl = this.__Internal__Dont__Modify__.gl;
+
+        //Create the texture
+        var texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+
+        //Allow sizes that are not powers of two
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+        //Return the texture
+        return { texture: texture, smooth: true };
+    },
+
+    /*
+        WebGLContext : getTexture - Get the texture holding an image, uploading it if needed
+        18/10/2026
+
+        param[in] pImage - The Image, canvas or video object to get the texture for
+
+        return object - Returns the texture object, or null if the image is not ready. Images
+                        are uploaded once while other sources are uploaded every time they are used
+    */
+    getTexture: function(pImage) {
+        //Check the image is ready
+        var size = this.imageSize(pImage);
+        if (!size.width || !size.height) return null;
+
+        //Check if the image can be cached (Only image elements can't change)
+        if (this.__Internal__Dont__Modify__.textureCache !== null && typeof HTMLImageElement !== "undefined" && pImage instanceof HTMLImageElement) {
+            //Check for a previous upload
+            var texture = this.__Internal__Dont__Modify__.textureCache.get(pImage);
+            if (!texture) {
+                //Upload the image
+                texture = this.createTexture();
+                this.__Internal__Dont__Modify__.gl.texImage2D(this.__Internal__Dont__Modify__.gl.TEXTURE_2D, 0, this.__Internal__Dont__Modify__.gl.RGBA,
+                    this.__Internal__Dont__Modify__.gl.RGBA, this.__Internal__Dont__Modify__.gl.UNSIGNED_BYTE, pImage);
+                this.__Internal__Dont__Modify__.textureCache.set(pImage, texture);
+            }
+            return texture;
+        }
+
+        //Submit the quads that use the previous contents
+        this.flushBatch();
+
+        //Upload the current contents
+        var gl = this.__Internal__Dont__Modify__.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.__Internal__Dont__Modify__.streamTexture.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, pImage);
+        this.__Internal__Dont__Modify__.texture = null;
+        return this.__Internal__Dont__Modify__.streamTexture;
+    },
+
+    /*
+        WebGLContext : imageSize - Get the pixel size of the source of an image
+        18/10/2026
+
+        param[in] pImage - The Image, canvas or video object
+
+        return object - Returns an object with the "width" and "height" of the source pixels
+    */
+    imageSize: function(pImage) {
+        return {
+            width: pImage.naturalWidth || pImage.videoWidth || pImage.width || 0,
+            height: pImage.naturalHeight || pImage.videoHeight || pImage.height || 0
+        };
+    },
+
+    /*
+        WebGLContext : releaseImage - Delete the texture uploaded for an image
+        18/10/2026
+
+        param[in] pImage - The Image object that is no longer needed
+
+        return bool - Returns true if a texture was deleted
+    */
+    releaseImage: function(pImage) {
+        //Check there is a texture
+        if (this.__Internal__Dont__Modify__.textureCache === null || !this.__Internal__Dont__Modify__.textureCache.has(pImage)) return false;
+
+        //Delete the texture
+        this.flushBatch();
+        this.__Internal__Dont__Modify__.gl.deleteTexture(this.__Internal__Dont__Modify__.textureCache.get(pImage).texture);
+        this.__Internal__Dont__Modify__.textureCache.delete(pImage);
+        this.__Internal__Dont__Modify__.texture = null;
+        return true;
+    },
+
+    /*
+        WebGLContext : pushQuad - Add a textured quad to the batch, transformed by the current transform
+        18/10/2026
+
+        param[in] pImage - The image to render (Null for a filled rectangle)
+        param[in] pSX - The left pixel of the region of the image
+        param[in] pSY - The top pixel of the region of the image
+        param[in] pSW - The pixel width of the region of the image
+        param[in] pSH - The pixel height of the region of the image
+        param[in] pDX - The left of the rectangle to render to
+        param[in] pDY - The top of the rectangle to render to
+        param[in] pDW - The width of the rectangle to render to
+        param[in] pDH - The height of the rectangle to render to
+        param[in] pColor - An array of the premultiplied [r, g, b, a] values (0-1) to multiply the image with
+        param[in] pBlend - The name of the WEBGL_BLEND_MODES entry to render with
+        param[in] pTransform - The transform to use in place of the current transform (Default null)
+    */
+    pushQuad: function(pImage, pSX, pSY, pSW, pSH, pDX, pDY, pDW, pDH, pColor, pBlend, pTransform) {
+        //Match the viewport to the canvas
+        this.updateViewport();
+
+        //Get the texture
+        var texture = (pImage === null ? this.__Internal__Dont__Modify__.whiteTexture : this.getTexture(pImage));
+        if (texture === null) return;
+
+        //Get the filtering
+        var smooth = this.imageSmoothingEnabled !== false;
+
+        //Check if a new batch is needed
+        if (texture !== this.__Internal__Dont__Modify__.texture || pBlend !== this.__Internal__Dont__Modify__.blend ||
+            smooth !== this.__Internal__Dont__Modify__.smooth || this.__Internal__Dont__Modify__.clipRect !== this.__Internal__Dont__Modify__.batchClip ||
+            this.__Internal__Dont__Modify__.quadCount >= WEBGL_BATCH_QUADS) {
+            //Submit the previous batch
+            this.flushBatch();
+
+            //Set the values for the new batch
+            this.__Internal__Dont__Modify__.texture = texture;
+            this.__Internal__Dont__Modify__.blend = pBlend;
+            this.__Internal__Dont__Modify__.smooth = smooth;
+            this.__Internal__Dont__Modify__.batchClip = this.__Internal__Dont__Modify__.clipRect;
+        }
+
+        //Get the texture coordinates
+        var u0 = 0, v0 = 0, u1 = 1, v1 = 1;
+        if (pImage !== null) {
+            var size = this.imageSize(pImage);
+            u0 = pSX / size.width;
+            v0 = pSY / size.height;
+            u1 = (pSX + pSW) / size.width;
+            v1 = (pSY + pSH) / size.height;
+        }
+
+        //Get the transform
+        var t = pTransform || this.__Internal__Dont__Modify__.transform;
+
+        //Write the corners
+        var corners = [pDX, pDY, u0, v0, pDX + pDW, pDY, u1, v0, pDX + pDW, pDY + pDH, u1, v1, pDX, pDY + pDH, u0, v1];
+        var vertices = this.__Internal__Dont__Modify__.vertices;
+        var offset = this.__Internal__Dont__Modify__.quadCount * 32;
+        for (var i = 0; i < 16; i += 4) {
+            vertices[offset++] = t[0] * corners[i] + t[2] * corners[i + 1] + t[4];
+            vertices[offset++] = t[1] * corners[i] + t[3] * corners[i + 1] + t[5];
+            vertices[offset++] = corners[i + 2];
+            vertices[offset++] = corners[i + 3];
+            vertices[offset++] = pColor[0];
+            vertices[offset++] = pColor[1];
+            vertices[offset++] = pColor[2];
+            vertices[offset++] = pColor[3];
+        }
+
+        //Count the quad
+        this.__Internal__Dont__Modify__.quadCount++;
+    },
+
+    /*
+        WebGLContext : flushBatch - Submit the collected quads to the GPU in a single draw call
+        18/10/2026
+    */
+    flushBatch: function() {
+        //Check there are quads to submit
+        if (!this.__Internal__Dont__Modify__.quadCount) return;
+
+        //Get the WebGL context
+        var gl = this.__Internal__Dont__Modify__.gl;
+
+        //Bind the texture and set its filtering
+        var texture = this.__Internal__Dont__Modify__.texture;
+        gl.bindTexture(gl.TEXTURE_2D, texture.texture);
+        if (texture.smooth !== this.__Internal__Dont__Modify__.smooth) {
+            texture.smooth = this.__Internal__Dont__Modify__.smooth;
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, texture.smooth ? gl.LINEAR : gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, texture.smooth ? gl.LINEAR : gl.NEAREST);
+        }
+
+        //Set the blending
+        var blend = WEBGL_BLEND_MODES[this.__Internal__Dont__Modify__.blend];
+        gl.blendFunc(gl[blend[0]], gl[blend[1]]);
+
+        //Set the scissor rectangle (WebGL measures from the bottom of the canvas)
+        var clip = this.__Internal__Dont__Modify__.batchClip;
+        if (clip === null) gl.disable(gl.SCISSOR_TEST);
+        else {
+            var left = Math.round(clip[0]);
+            var bottom = Math.round(clip[1] + clip[3]);
+            gl.enable(gl.SCISSOR_TEST);
+            gl.scissor(left, this.__Internal__Dont__Modify__.height - bottom, Math.round(clip[0] + clip[2]) - left, bottom - Math.round(clip[1]));
+        }
+
+        //Upload the vertices and render
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.__Internal__Dont__Modify__.vertexBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.__Internal__Dont__Modify__.vertices.subarray(0, this.__Internal__Dont__Modify__.quadCount * 32));
+        gl.drawElements(gl.TRIANGLES, this.__Internal__Dont__Modify__.quadCount * 6, gl.UNSIGNED_SHORT, 0);
+
+        //Start the next batch
+        this.__Internal__Dont__Modify__.quadCount = 0;
+        this.__Internal__Dont__Modify__.drawCalls++;
+    },
+
+    /*
+        WebGLContext : flush - Submit all of the pending drawing to the canvas
+        18/10/2026
+
+        Example:
+
+        //Finish the frame before reading the canvas (Done automatically by Graphics.swapBuffers)
+        graphics.draw.flush();
+    */
+    flush: function() {
+        this.compositeOverlay();
+        this.flushBatch();
+    },
+
+    /*
+        WebGLContext : resetDrawCalls - Reset the count of batches submitted
+        18/10/2026
+    */
+    resetDrawCalls: function() {
+        this.__Internal__Dont__Modify__.drawCalls = 0;
+    },
+
+    /*
+        WebGLContext : updateViewport - Match the viewport and overlay to the size of the canvas
+        18/10/2026
+    */
+    updateViewport: function() {
+        //Check if the size has changed
+        if (this.canvas.width === this.__Internal__Dont__Modify__.width && this.canvas.height === this.__Internal__Dont__Modify__.height) return;
+
+        //Submit the quads positioned for the previous size
+        this.flushBatch();
+
+        //Store the new size
+        this.__Internal__Dont__Modify__.width = this.canvas.width;
+        this.__Internal__Dont__Modify__.height = this.canvas.height;
+
+        //Set the viewport
+        var gl = this.__Internal__Dont__Modify__.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.uniform2f(this.__Internal__Dont__Modify__.resolutionLocation, this.canvas.width, this.canvas.height);
+
+        //Resize the overlay
+        this.__Internal__Dont__Modify__.overlay.width = this.canvas.width;
+        this.__Internal__Dont__Modify__.overlay.height = this.canvas.height;
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Overlay Functions                                          ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        WebGLContext : overlay - Get the overlay context with the current drawing state applied
+        18/10/2026
+
+        param[in] pDraws - Flags if the call will draw to the overlay (Default true)
+
+        return CanvasRenderingContext2D - Returns the 2D context of the overlay canvas
+    */
+    overlay: function(pDraws) {
+        //Match the overlay to the canvas
+        this.updateViewport();
+
+        //Copy the drawing state
+        var draw = this.__Internal__Dont__Modify__.overlayDraw;
+        for (var i = 0; i < WEBGL_STATE_KEYS.length; i++) {
+            if (draw[WEBGL_STATE_KEYS[i]] !== this[WEBGL_STATE_KEYS[i]])
+                draw[WEBGL_STATE_KEYS[i]] = this[WEBGL_STATE_KEYS[i]];
+        }
+        draw.setTransform.apply(draw, this.__Internal__Dont__Modify__.transform);
+
+        //Flag that the overlay needs compositing
+        if (pDraws !== false) this.__Internal__Dont__Modify__.overlayDirty = true;
+
+        //Return the context
+        return draw;
+    },
+
+    /*
+        WebGLContext : compositeOverlay - Render the contents of the overlay and clear it
+        18/10/2026
+    */
+    compositeOverlay: function() {
+        //Check there is something to composite
+        if (!this.__Internal__Dont__Modify__.overlayDirty) return;
+        this.__Internal__Dont__Modify__.overlayDirty = false;
+
+        //Render the overlay over the canvas (Its drawing has already been clipped)
+        var overlay = this.__Internal__Dont__Modify__.overlay;
+        var smooth = this.imageSmoothingEnabled;
+        var clip = this.__Internal__Dont__Modify__.clipRect;
+        this.imageSmoothingEnabled = false;
+        this.__Internal__Dont__Modify__.clipRect = null;
+        this.pushQuad(overlay, 0, 0, overlay.width, overlay.height, 0, 0, overlay.width, overlay.height, [1, 1, 1, 1], "source-over", [1, 0, 0, 1, 0, 0]);
+        this.imageSmoothingEnabled = smooth;
+        this.__Internal__Dont__Modify__.clipRect = clip;
+
+        //Clear the overlay (Its contents have been uploaded. Clipping regions are only set once the
+        //overlay is empty, so all of its drawing lies within the current region)
+        var draw = this.__Internal__Dont__Modify__.overlayDraw;
+        draw.save();
+        draw.setTransform(1, 0, 0, 1, 0, 0);
+        draw.clearRect(0, 0, overlay.width, overlay.height);
+        draw.restore();
+    },
+
+    /*
+        WebGLContext : canBatch - Check if the current drawing state can be rendered as quads
+        18/10/2026
+
+        return bool - Returns true if the call can be batched (False to pass it to the overlay)
+    */
+    canBatch: function() {
+        return WEBGL_BLEND_MODES.hasOwnProperty(this.globalCompositeOperation) && this.globalCompositeOperation !== "clear" &&
+            (!this.filter || this.filter === "none") && !(this.shadowBlur > 0 || this.shadowOffsetX || this.shadowOffsetY);
+    },
+
+    /*
+        WebGLContext : drawsToOverlay - Check if a call that could be batched must be passed to the overlay
+        18/10/2026
+
+        return bool - Returns true while a clipping region that isn't an axis aligned rectangle is active,
+                      or the overlay holds drawing that the call would be drawn over
+    */
+    drawsToOverlay: function() {
+        return this.__Internal__Dont__Modify__.clipComplex ||
+            (this.__Internal__Dont__Modify__.overlayDirty && this.globalCompositeOperation === "source-over");
+    },
+
+    /*
+        WebGLContext : parseColor - Get the premultiplied color values of a fill style
+        18/10/2026
+
+        param[in] pStyle - The color string to read
+
+        return array - Returns an array of the [r, g, b, a] values (0-1) with globalAlpha applied, or
+                       null if the style is not a color (E.g. a gradient or pattern)
+    */
+    parseColor: function(pStyle) {
+        //Check the style is a string
+        if (typeof pStyle !== "string") return null;
+
+        //Let the overlay convert named colors
+        if (pStyle[0] !== "#" && !/^rgba?\(/.test(pStyle)) {
+            this.__Internal__Dont__Modify__.overlayDraw.fillStyle = pStyle;
+            pStyle = this.__Internal__Dont__Modify__.overlayDraw.fillStyle;
+            if (typeof pStyle !== "string") return null;
+        }
+
+        //Read the values
+        var r, g, b, a = 1;
+        if (pStyle[0] === "#") {
+            var color = new Color(pStyle);
+            r = color.r;
+            g = color.g;
+            b = color.b;
+            a = color.a;
+        } else {
+            var values = pStyle.substring(pStyle.indexOf("(") + 1, pStyle.indexOf(")")).split(",");
+            r = parseFloat(values[0]);
+            g = parseFloat(values[1]);
+            b = parseFloat(values[2]);
+            if (values.length > 3) a = parseFloat(values[3]);
+        }
+
+        //Apply the global alpha and premultiply
+        a = Math.max(0, Math.min(1, a)) * this.globalAlpha;
+        return [r / 255 * a, g / 255 * a, b / 255 * a, a];
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                  State Functions                                           ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        WebGLContext : save - Push the current drawing state onto the stack
+        18/10/2026
+    */
+    save: function() {
+        //Copy the state values
+        var state = {
+            transform: this.__Internal__Dont__Modify__.transform.slice(),
+            clipRect: this.__Internal__Dont__Modify__.clipRect,
+            clipComplex: this.__Internal__Dont__Modify__.clipComplex
+        };
+        for (var i = 0; i < WEBGL_STATE_KEYS.length; i++)
+            state[WEBGL_STATE_KEYS[i]] = this[WEBGL_STATE_KEYS[i]];
+
+        //Push the state
+        this.__Internal__Dont__Modify__.stateStack.push(state);
+
+        //Save the overlay so its clipping regions are restored
+        this.__Internal__Dont__Modify__.overlayDraw.save();
+    },
+
+    /*
+        WebGLContext : restore - Pop the last saved drawing state from the stack
+        18/10/2026
+    */
+    restore: function() {
+        //Check there is a state to restore
+        if (!this.__Internal__Dont__Modify__.stateStack.length) return;
+
+        //Restore the state values
+        var state = this.__Internal__Dont__Modify__.stateStack.pop();
+        for (var i = 0; i < WEBGL_STATE_KEYS.length; i++)
+            this[WEBGL_STATE_KEYS[i]] = state[WEBGL_STATE_KEYS[i]];
+        this.__Internal__Dont__Modify__.transform = state.transform;
+        this.__Internal__Dont__Modify__.clipRect = state.clipRect;
+        this.__Internal__Dont__Modify__.clipComplex = state.clipComplex;
+
+        //Restore the overlay
+        this.__Internal__Dont__Modify__.overlayDraw.restore();
+    },
+
+    /*
+        WebGLContext : getTransform - Get the current transform values
+        18/10/2026
+
+        return object - Returns an object with the a, b, c, d, e and f transform values
+    */
+    getTransform: function() {
+        var t = this.__Internal__Dont__Modify__.transform;
+        return { a: t[0], b: t[1], c: t[2], d: t[3], e: t[4], f: t[5] };
+    },
+
+    /*
+        WebGLContext : setTransform - Replace the current transform
+        18/10/2026
+    */
+    setTransform: function(pA, pB, pC, pD, pE, pF) {
+        //Accept a matrix object
+        if (typeof pA === "object" && pA !== null)
+            this.__Internal__Dont__Modify__.transform = [pA.a, pA.b, pA.c, pA.d, pA.e, pA.f];
+        else this.__Internal__Dont__Modify__.transform = [pA, pB, pC, pD, pE, pF];
+    },
+
+    /*
+        WebGLContext : resetTransform - Reset the current transform to the identity
+        18/10/2026
+    */
+    resetTransform: function() {
+        this.__Internal__Dont__Modify__.transform = [1, 0, 0, 1, 0, 0];
+    },
+
+    /*
+        WebGLContext : transform - Multiply the current transform by the passed in values
+        18/10/2026
+    */
+    transform: function(pA, pB, pC, pD, pE, pF) {
+        var t = this.__Internal__Dont__Modify__.transform;
+        this.__Internal__Dont__Modify__.transform = [
+            t[0] * pA + t[2] * pB,
+            t[1] * pA + t[3] * pB,
+            t[0] * pC + t[2] * pD,
+            t[1] * pC + t[3] * pD,
+            t[0] * pE + t[2] * pF + t[4],
+            t[1] * pE + t[3] * pF + t[5]
+        ];
+    },
+
+    /*
+        WebGLContext : translate - Translate the current transform
+        18/10/2026
+    */
+    translate: function(pX, pY) {
+        this.transform(1, 0, 0, 1, pX, pY);
+    },
+
+    /*
+        WebGLContext : rotate - Rotate the current transform
+        18/10/2026
+    */
+    rotate: function(pAngle) {
+        var cos = Math.cos(pAngle);
+        var sin = Math.sin(pAngle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    },
+
+    /*
+        WebGLContext : scale - Scale the current transform
+        18/10/2026
+    */
+    scale: function(pX, pY) {
+        this.transform(pX, 0, 0, pY, 0, 0);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Drawing Functions                                          ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        WebGLContext : fillRect - Render a rectangle filled with the fill style
+        18/10/2026
+    */
+    fillRect: function(pX, pY, pWidth, pHeight) {
+        //Get the color
+        var color = (this.canBatch() && !this.drawsToOverlay() ? this.parseColor(this.fillStyle) : null);
+
+        //Batch plain colors over the composited overlay
+        if (color !== null) {
+            this.compositeOverlay();
+            this.pushQuad(null, 0, 0, 1, 1, pX, pY, pWidth, pHeight, color, this.globalCompositeOperation);
+        }
+
+        //Otherwise render with the overlay
+        else this.overlay().fillRect(pX, pY, pWidth, pHeight);
+    },
+
+    /*
+        WebGLContext : clearRect - Clear a rectangle to transparent
+        18/10/2026
+    */
+    clearRect: function(pX, pY, pWidth, pHeight) {
+        //Clear any overlay drawing
+        if (this.__Internal__Dont__Modify__.overlayDirty || this.__Internal__Dont__Modify__.clipComplex)
+            this.overlay().clearRect(pX, pY, pWidth, pHeight);
+
+        //Clear the canvas below the overlay (Its remaining drawing is composited over the cleared area later)
+        if (!this.__Internal__Dont__Modify__.clipComplex)
+            this.pushQuad(null, 0, 0, 1, 1, pX, pY, pWidth, pHeight, [0, 0, 0, 0], "clear");
+    },
+
+    /*
+        WebGLContext : drawImage - Render an image, or a region of it, with the current transform
+        18/10/2026
+    */
+    drawImage: function(pImage, pA, pB, pC, pD, pE, pF, pG, pH) {
+        //Check the image can be batched
+        if (!this.canBatch() || this.drawsToOverlay() || typeof pImage !== "object" || pImage === null) {
+            this.overlay().drawImage.apply(this.__Internal__Dont__Modify__.overlayDraw, arguments);
+            return;
+        }
+
+        //Read the regions from the arguments
+        var size = this.imageSize(pImage);
+        var sx = 0, sy = 0, sw = size.width, sh = size.height, dx, dy, dw, dh;
+        if (arguments.length >= 9) {
+            sx = pA; sy = pB; sw = pC; sh = pD;
+            dx = pE; dy = pF; dw = pG; dh = pH;
+        } else {
+            dx = pA; dy = pB;
+            dw = (arguments.length >= 5 ? pC : sw);
+            dh = (arguments.length >= 5 ? pD : sh);
+        }
+
+        //Check there is something to render
+        if (!sw || !sh || !dw || !dh) return;
+
+        //Add the quad over the composited overlay
+        var a = Math.max(0, Math.min(1, this.globalAlpha));
+        this.compositeOverlay();
+        this.pushQuad(pImage, sx, sy, sw, sh, dx, dy, dw, dh, [a, a, a, a], this.globalCompositeOperation);
+    },
+
+    /*
+        WebGLContext : getImageData - Read the pixels of a region of the canvas
+        18/10/2026
+
+        return ImageData - Returns an ImageData object holding the pixels
+    */
+    getImageData: function(pX, pY, pWidth, pHeight) {
+        //Finish the pending drawing
+        this.flush();
+
+        //Copy the canvas to the empty overlay to read it
+        var draw = this.__Internal__Dont__Modify__.overlayDraw;
+        draw.save();
+        draw.setTransform(1, 0, 0, 1, 0, 0);
+        draw.globalAlpha = 1;
+        draw.globalCompositeOperation = "copy";
+        draw.drawImage(this.canvas, 0, 0);
+        var data = draw.getImageData(pX, pY, pWidth, pHeight);
+        draw.clearRect(0, 0, this.__Internal__Dont__Modify__.overlay.width, this.__Internal__Dont__Modify__.overlay.height);
+        draw.restore();
+
+        //Return the pixels
+        return data;
+    },
+
+    /*
+        WebGLContext : measureText - Measure text with the current font
+        18/10/2026
+    */
+    measureText: function(pText) {
+        return this.overlay(false).measureText(pText);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Clipping Functions                                         ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /*
+        WebGLContext : beginPath - Start a new path on the overlay
+        18/10/2026
+    */
+    beginPath: function() {
+        //Clear the path shape
+        this.__Internal__Dont__Modify__.pathRect = null;
+        this.__Internal__Dont__Modify__.pathComplex = false;
+
+        //Start the overlay path
+        this.overlay(false).beginPath();
+    },
+
+    /*
+        WebGLContext : rect - Add a rectangle to the path on the overlay
+        18/10/2026
+    */
+    rect: function(pX, pY, pWidth, pHeight) {
+        //Check if the path is still a single axis aligned rectangle
+        var t = this.__Internal__Dont__Modify__.transform;
+        if (this.__Internal__Dont__Modify__.pathRect === null && !this.__Internal__Dont__Modify__.pathComplex && t[1] === 0 && t[2] === 0) {
+            //Store the rectangle in canvas pixels
+            var x0 = t[0] * pX + t[4], x1 = t[0] * (pX + pWidth) + t[4];
+            var y0 = t[3] * pY + t[5], y1 = t[3] * (pY + pHeight) + t[5];
+            this.__Internal__Dont__Modify__.pathRect = [Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0)];
+        }
+
+        //Otherwise flag the path as another shape
+        else {
+            this.__Internal__Dont__Modify__.pathRect = null;
+            this.__Internal__Dont__Modify__.pathComplex = true;
+        }
+
+        //Add the rectangle to the overlay path
+        this.overlay(false).rect(pX, pY, pWidth, pHeight);
+    },
+
+    /*
+        WebGLContext : clip - Reduce the clipping region to the current path
+        18/10/2026
+    */
+    clip: function(pPath) {
+        //Composite the overlay so its drawing isn't clipped by the new region
+        this.compositeOverlay();
+
+        //Check if the path is a single axis aligned rectangle (A Path2D object is treated as any other shape)
+        var rect = this.__Internal__Dont__Modify__.pathRect;
+        if (rect !== null && !this.__Internal__Dont__Modify__.pathComplex && !(typeof pPath === "object" && pPath !== null)) {
+            //Intersect the rectangle with the current region
+            var clip = this.__Internal__Dont__Modify__.clipRect;
+            if (clip !== null) {
+                var left = Math.max(rect[0], clip[0]);
+                var top = Math.max(rect[1], clip[1]);
+                rect = [left, top,
+                    Math.max(0, Math.min(rect[0] + rect[2], clip[0] + clip[2]) - left),
+                    Math.max(0, Math.min(rect[1] + rect[3], clip[1] + clip[3]) - top)];
+            }
+
+            //Clip the quads to the rectangle
+            this.__Internal__Dont__Modify__.clipRect = rect;
+        }
+
+        //Otherwise pass the quads to the overlay to be clipped
+        else this.__Internal__Dont__Modify__.clipComplex = true;
+
+        //Clip the overlay
+        var draw = this.overlay(false);
+        return draw.clip.apply(draw, arguments);
+    },
+
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    /////                                                                                                            ////
+    /////                                                 Overlay Calls                                              ////
+    /////                                                                                                            ////
+    /////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+    //Calls that are rendered to the overlay canvas
+    strokeRect: function() { var draw = this.overlay(); return draw.strokeRect.apply(draw, arguments); },
+    fillText: function() { var draw = this.overlay(); return draw.fillText.apply(draw, arguments); },
+    strokeText: function() { var draw = this.overlay(); return draw.strokeText.apply(draw, arguments); },
+    putImageData: function() { var draw = this.overlay(); return draw.putImageData.apply(draw, arguments); },
+    fill: function() { var draw = this.overlay(); return draw.fill.apply(draw, arguments); },
+    stroke: function() { var draw = this.overlay(); return draw.stroke.apply(draw, arguments); },
+
+    //Calls that build paths (Flagging the path as a shape other than a rectangle) or objects on the overlay canvas without rendering
+    closePath: function() { var draw = this.overlay(false); return draw.closePath.apply(draw, arguments); },
+    moveTo: function() { this.__Internal__Dont__Modify__.pathComplex = true; var draw = this.overlay(false); return draw.moveTo.apply(draw, arguments); },
+    lineTo: function() { this.__Internal__Dont__Modify__.pathComplex = true; var draw = this.overlay(false); return draw.lineTo.apply(draw, arguments); },
+    bezierCurveTo: function() { this.__Internal__Dont__Modify__.pathComplex = true; var draw = this.overlay(false); return draw.bezierCurveTo.apply(draw, arguments); },
+    quadraticCurveTo: function() { this.__Internal__Dont__Modify__.pathComplex = true; var draw = this.overlay(false); return draw.quadraticCurveTo.apply(draw, arguments); },
+    arc: function() { this.__Internal__Dont__Modify__.pathComplex = true; var draw = this.overlay(false); return draw.arc.apply(draw, arguments); },
+    arcTo: function() { this.__Internal__Dont__Modify__.pathComplex = true; var draw = this.overlay(false); return draw.arcTo.apply(draw, arguments); },
+    ellipse: function() { this.__Internal__Dont__Modify__.pathComplex = true; var draw = this.overlay(false); return draw.ellipse.apply(draw, arguments); },
+    setLineDash: function() { var draw = this.overlay(false); return draw.setLineDash.apply(draw, arguments); },
+    getLineDash: function() { var draw = this.overlay(false); return draw.getLineDash.apply(draw, arguments); },
+    isPointInPath: function() { var draw = this.overlay(false); return draw.isPointInPath.apply(draw, arguments); },
+    createImageData: function() { var draw = this.overlay(false); return draw.createImageData.apply(draw, arguments); },
+    createLinearGradient: function() { var draw = this.overlay(false); return draw.createLinearGradient.apply(draw, arguments); },
+    createRadialGradient: function() { var draw = this.overlay(false); return draw.createRadialGradient.apply(draw, arguments); },
+    createPattern: function() { var draw = this.overlay(false); return draw.createPattern.apply(draw, arguments); },
+})
\ No newline at end of file
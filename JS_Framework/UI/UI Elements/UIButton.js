@@ -26,9 +26,10 @@ let ButtonStates = { DEFAULT: 0, HOVER: 1, PRESSED: 2 };
  *		Date: 20/05/2017
  *
  *		Requires:
- *		ExtendProperties.js, UIBase.js, Color.js, Graphics.js
+ *		ExtendProperties.js, UIBase.js, Color.js, Graphics.js, BitmapFont.js, EventEmitter.js, NineSlice.js
  *
- *		Version: 1.0
+ *		Version: 1.4
+ *		Added nine-slice images for each state, drawn in place of the colored rectangles
  *
  *		Purpose:
  *		A simple solely visual representation of a 'button' that
@@ -54,7 +55,7 @@ function UIButton(pSetup) {
 
 	//Pull simple values
 	this.__Internal__Dont__Modify__.text = Validate.type(pSetup["text"], "string", "");
-	this.__Internal__Dont__Modify__.font = Validate.type(pSetup["font"], "string", "12px Arial");
+	this.__Internal__Dont__Modify__.font = (pSetup["font"] instanceof BitmapFont ? pSetup["font"] : Validate.type(pSetup["font"], "string", "12px Arial"));
 
 	this.__Internal__Dont__Modify__.textColor = (typeof pSetup["textColor"] === "string" ? new Color(pSetup["textColor"]) : Validate.instance(pSetup["textColor"], Color));
 	this.__Internal__Dont__Modify__.outlineColor = (typeof pSetup["outlineColor"] === "string" ? new Color(pSetup["outlineColor"]) : Validate.instance(pSetup["outlineColor"], Color));
@@ -99,6 +100,12 @@ function UIButton(pSetup) {
 	//Assign the arrays to the internal
 	this.__Internal__Dont__Modify__.fillColors = fillArray;
 	this.__Internal__Dont__Modify__.borderColors = borderArray;
+
+	//Retrieve the nine-slice images for the states
+	let sliceArray = Validate.instance(pSetup["nineSlices"], Array);
+	this.__Internal__Dont__Modify__.nineSlices = [];
+	for (var i = 0; i <= ButtonStates.PRESSED; i++)
+		this.__Internal__Dont__Modify__.nineSlices[i] = this.cleanNineSlice(sliceArray[i]);
 };
 
 ExtendProperties(UIButton, UIBase, {
@@ -152,7 +159,7 @@ ExtendProperties(UIButton, UIBase, {
 		UIButton : font - Get the font of the Button
 		20/05/2017
 
-		return string - Returns the font as string
+		return string - Returns the font as string (Or the BitmapFont object)
 	*/
 	get font() {
 		return this.__Internal__Dont__Modify__.font;
@@ -162,10 +169,10 @@ ExtendProperties(UIButton, UIBase, {
 		UIButton : font - Set the font for the Button
 		20/05/2017
 
-		param[in] pFont - A string value golding the font to use
+		param[in] pFont - A string value golding the font to use or a BitmapFont object
 	*/
 	set font(pFont) {
-		this.__Internal__Dont__Modify__.font = Validate.type(pFont, "string", "ERROR", true);
+		this.__Internal__Dont__Modify__.font = (pFont instanceof BitmapFont ? pFont : Validate.type(pFont, "string", "ERROR", true));
 	},
 
 	/*
@@ -329,12 +336,44 @@ ExtendProperties(UIButton, UIBase, {
 	},
 
 	/*
-		UIButton : click - Trigger the internal click event callbakc
+		UIButton : setStateNineSlice - Set the nine-slice image for a specific state
+		18/10/2026
+
+		param[in] pState - A number indicating the state to modify
+		param[in] pSlice - A NineSlice object, an object containing the values to create one with or null
+						   (States without an image use the image of the default state)
+	*/
+	setStateNineSlice: function(pState, pSlice) {
+		//Clean the state
+		pState = Math.clamp(Validate.type(pState, "number", 0, true), 0, ButtonStates.PRESSED).toFixed(0);
+
+		//Set the state image
+		this.__Internal__Dont__Modify__.nineSlices[pState] = this.cleanNineSlice(pSlice);
+	},
+
+	/*
+		UIButton : getStateNineSlice - Get the nine-slice image for a specific state
+		18/10/2026
+
+		param[in] pState - A number indicating the state to retrieve
+
+		return NineSlice - Returns the NineSlice object or null if the state has no image
+	*/
+	getStateNineSlice: function(pState) {
+		return this.__Internal__Dont__Modify__.nineSlices[Math.clamp(Validate.type(pState, "number", 0, true), 0, ButtonStates.PRESSED).toFixed(0)];
+	},
+
+	/*
+		UIButton : click - Trigger the internal click event callbakc and emit the "ui.click" event
+						   on the EventBus with an object containing the "button" and its "tag"
 		20/05/2017
 	*/
 	click: function() {
 		if (this.__Internal__Dont__Modify__.clickEvent !== null)
 			this.__Internal__Dont__Modify__.clickEvent();
+
+		//Publish the click
+		EventBus.emit("ui.click", { button: this, tag: this.tag });
 	},
 
 	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -350,24 +389,35 @@ ExtendProperties(UIButton, UIBase, {
 		param[in] pGraphics - The Graphics object being used to render
 	*/
 	draw: function(pGraphics) {
-		//Set the color styles
-		pGraphics.draw.fillStyle = this.__Internal__Dont__Modify__.fillColors[this.__Internal__Dont__Modify__.state].rgba;
-		pGraphics.draw.strokeStyle = this.__Internal__Dont__Modify__.borderColors[this.__Internal__Dont__Modify__.state].rgba;
-
-		//Set the border line width
-		pGraphics.draw.lineWidth = this.__Internal__Dont__Modify__.borderWidth;
-
-		//Draw the rectangles
-		pGraphics.draw.fillRect(this.__Internal__Dont__Modify__.x,
-			this.__Internal__Dont__Modify__.y, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
-		pGraphics.draw.strokeRect(this.__Internal__Dont__Modify__.x,
-			this.__Internal__Dont__Modify__.y, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
+		//Get the nine-slice image for the state (Falling back to the default state)
+		let slice = this.__Internal__Dont__Modify__.nineSlices[this.__Internal__Dont__Modify__.state] || this.__Internal__Dont__Modify__.nineSlices[ButtonStates.DEFAULT];
+
+		//Draw the image
+		if (slice !== null)
+			pGraphics.drawNineSlice(slice, this.__Internal__Dont__Modify__.x,
+				this.__Internal__Dont__Modify__.y, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
+
+		//Otherwise draw the colored rectangles
+		else {
+			//Set the color styles
+			pGraphics.draw.fillStyle = this.__Internal__Dont__Modify__.fillColors[this.__Internal__Dont__Modify__.state].rgba;
+			pGraphics.draw.strokeStyle = this.__Internal__Dont__Modify__.borderColors[this.__Internal__Dont__Modify__.state].rgba;
+
+			//Set the border line width
+			pGraphics.draw.lineWidth = this.__Internal__Dont__Modify__.borderWidth;
+
+			//Draw the rectangles
+			pGraphics.draw.fillRect(this.__Internal__Dont__Modify__.x,
+				this.__Internal__Dont__Modify__.y, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
+			pGraphics.draw.strokeRect(this.__Internal__Dont__Modify__.x,
+				this.__Internal__Dont__Modify__.y, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
+		}
 
 		//Check there is text to render
 		if (this.__Internal__Dont__Modify__.text === "") return;
 
-		//Set the font
-		pGraphics.draw.font = this.__Internal__Dont__Modify__.font;
+		//Render the text with the layout if there is one
+		if (this.drawTextLayout(pGraphics, this.__Internal__Dont__Modify__.text)) return;
 
 		//Calculate the text offset values
 		let txtXOff = 0;
@@ -384,7 +434,7 @@ ExtendProperties(UIButton, UIBase, {
 		}
 
 		//Render the text
-		pGraphics.outlineText(this.__Internal__Dont__Modify__.text, this.__Internal__Dont__Modify__.x + txtXOff, this.__Internal__Dont__Modify__.y + txtYOff,
+		this.drawFontText(pGraphics, this.__Internal__Dont__Modify__.font, this.__Internal__Dont__Modify__.text, this.__Internal__Dont__Modify__.x + txtXOff, this.__Internal__Dont__Modify__.y + txtYOff,
 			this.__Internal__Dont__Modify__.textColor, this.__Internal__Dont__Modify__.outlineColor, this.__Internal__Dont__Modify__.align,
 			this.__Internal__Dont__Modify__.outlineDistance);
 	},
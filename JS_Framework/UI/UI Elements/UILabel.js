@@ -10,9 +10,10 @@
  *		Date: 20/05/2017
  *
  *		Requires:
- *		ExtendProperties.js, UIBase.js, Color.js, Graphics.js
+ *		ExtendProperties.js, UIBase.js, Color.js, Graphics.js, BitmapFont.js
  *
- *		Version: 1.0
+ *		Version: 1.2
+ *		The font can be a BitmapFont in place of a CSS font string
  *
  *		Purpose:
  *		A simple display of text
@@ -30,7 +31,7 @@ function UILabel(pSetup) {
 
 	//Extract the setup values
 	this.__Internal__Dont__Modify__.text = Validate.type(pSetup["text"], "string", "");
-	this.__Internal__Dont__Modify__.font = Validate.type(pSetup["font"], "string", "12px Arial");
+	this.__Internal__Dont__Modify__.font = (pSetup["font"] instanceof BitmapFont ? pSetup["font"] : Validate.type(pSetup["font"], "string", "12px Arial"));
 
 	this.__Internal__Dont__Modify__.textColor = (typeof pSetup["textColor"] === "string" ? new Color(pSetup["textColor"]) : Validate.instance(pSetup["textColor"], Color));
 	this.__Internal__Dont__Modify__.outlineColor = (typeof pSetup["outlineColor"] === "string" ? new Color(pSetup["outlineColor"]) : Validate.instance(pSetup["outlineColor"], Color));
@@ -70,7 +71,7 @@ ExtendProperties(UILabel, UIBase, {
 		UILabel : font - Get the font of the label
 		20/05/2017
 
-		return string - Returns the font as string
+		return string - Returns the font as string (Or the BitmapFont object)
 	*/
 	get font() {
 		return this.__Internal__Dont__Modify__.font;
@@ -80,10 +81,10 @@ ExtendProperties(UILabel, UIBase, {
 		UILabel : font - Set the font for the label
 		20/05/2017
 
-		param[in] pFont - A string value golding the font to use
+		param[in] pFont - A string value golding the font to use or a BitmapFont object
 	*/
 	set font(pFont) {
-		this.__Internal__Dont__Modify__.font = Validate.type(pFont, "string", "ERROR", true);
+		this.__Internal__Dont__Modify__.font = (pFont instanceof BitmapFont ? pFont : Validate.type(pFont, "string", "ERROR", true));
 	},
 
 	/*
@@ -190,11 +191,11 @@ ExtendProperties(UILabel, UIBase, {
 		//Check there is text to render
 		if (this.__Internal__Dont__Modify__.text === "") return;
 
-		//Set the font
-		pGraphics.draw.font = this.__Internal__Dont__Modify__.font;
+		//Render the text with the layout if there is one
+		if (this.drawTextLayout(pGraphics, this.__Internal__Dont__Modify__.text)) return;
 
 		//Render the text
-		pGraphics.outlineText(this.__Internal__Dont__Modify__.text, this.__Internal__Dont__Modify__.x, this.__Internal__Dont__Modify__.y,
+		this.drawFontText(pGraphics, this.__Internal__Dont__Modify__.font, this.__Internal__Dont__Modify__.text, this.__Internal__Dont__Modify__.x, this.__Internal__Dont__Modify__.y,
 			this.__Internal__Dont__Modify__.textColor, this.__Internal__Dont__Modify__.outlineColor, this.__Internal__Dont__Modify__.align,
 			this.__Internal__Dont__Modify__.outlineDistance);
 	},
@@ -12,7 +12,8 @@
  *		Requires:
  *		ExtendProperties.js, UIBase.js, Color.js, Graphics.js
  *
- *		Version: 1.0
+ *		Version: 1.1
+ *		The label is rendered with the TextLayout when one is set
  *
  *		Purpose:
  *		Display various items stored in an list
@@ -557,8 +558,10 @@ ExtendProperties(UIList, UIBase, {
 		pGraphics.draw.strokeRect(this.__Internal__Dont__Modify__.x, this.__Internal__Dont__Modify__.y,
 			this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
 
-		//Draw the label
-		if (this.__Internal__Dont__Modify__.labelText !== "") {
+		//Draw the label (Using the layout if there is one)
+		if (this.__Internal__Dont__Modify__.labelText !== "" &&
+			!this.drawTextLayout(pGraphics, this.__Internal__Dont__Modify__.labelText, this.__Internal__Dont__Modify__.x, this.__Internal__Dont__Modify__.y,
+				this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.labelRenderOffset)) {
 			//Set the font
 			pGraphics.draw.font = this.__Internal__Dont__Modify__.labelFont;
 
@@ -10,9 +10,10 @@
  *		Date: 20/05/2017
  *
  *		Requires:
- *		ExtendProperties.js, UIBase.js, Color.js, Graphics.js
+ *		ExtendProperties.js, UIBase.js, Color.js, Graphics.js, NineSlice.js
  *
- *		Version: 1.0
+ *		Version: 1.1
+ *		Added a nine-slice image that keeps its borders when the panel is resized
  *
  *		Purpose:
  *		A simple display for an image or solid rectangle
@@ -33,6 +34,7 @@ function UIPanel(pSetup) {
 	this.__Internal__Dont__Modify__.borderColor = Validate.instance(pSetup["borderColor"], Color);
 	this.__Internal__Dont__Modify__.borderWidth = Validate.type(pSetup["borderWidth"], "number", 1);
 	this.__Internal__Dont__Modify__.image = ("image" in pSetup ? Validate.instance(pSetup["image"], Image, null) : null);
+	this.__Internal__Dont__Modify__.nineSlice = this.cleanNineSlice(pSetup["nineSlice"]);
 };
 
 ExtendProperties(UIPanel, UIBase, {
@@ -125,6 +127,26 @@ ExtendProperties(UIPanel, UIBase, {
 		this.__Internal__Dont__Modify__.image = pImg;
 	},
 
+	/*
+		UIPanel : nineSlice - Get the nine-slice image being used as a display for this panel
+		18/10/2026
+
+		return NineSlice - Returns the NineSlice object or null if there is none
+	*/
+	get nineSlice() {
+		return this.__Internal__Dont__Modify__.nineSlice;
+	},
+
+	/*
+		UIPanel : nineSlice - Set the nine-slice image being used as a display for this panel (Used in place of the image)
+		18/10/2026
+
+		param[in] pSlice - A NineSlice object, an object containing the values to create one with or null
+	*/
+	set nineSlice(pSlice) {
+		this.__Internal__Dont__Modify__.nineSlice = this.cleanNineSlice(pSlice);
+	},
+
 	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 	/////                                                                                                            ////
 	/////                                                  Main Functions                                            ////
@@ -138,8 +160,13 @@ ExtendProperties(UIPanel, UIBase, {
 		param[in] pGraphics - The Graphics object being used to render
 	*/
 	draw: function(pGraphics) {
+		//Check if there is a nine-slice image to draw
+		if (this.__Internal__Dont__Modify__.nineSlice !== null)
+			pGraphics.drawNineSlice(this.__Internal__Dont__Modify__.nineSlice, this.__Internal__Dont__Modify__.x,
+				this.__Internal__Dont__Modify__.y, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
+
 		//Check if there is an image to draw
-		if (this.__Internal__Dont__Modify__.image !== null)
+		else if (this.__Internal__Dont__Modify__.image !== null)
 			pGraphics.draw.drawImage(this.__Internal__Dont__Modify__.image, this.__Internal__Dont__Modify__.x,
 				this.__Internal__Dont__Modify__.y, this.__Internal__Dont__Modify__.width, this.__Internal__Dont__Modify__.height);
 
@@ -10,9 +10,10 @@
  *		Date: 20/05/2017
  *
  *		Requires:
- *		ExtendProperties.js, Graphics.js
+ *		ExtendProperties.js, Graphics.js, TextLayout.js, BitmapFont.js, NineSlice.js
  *
- *		Version: 1.0
+ *		Version: 1.3
+ *		Added cleaning of the nine-slice images used by elements
  *
  *		Purpose:
  *		Base point for UI elements to inherit from in order
@@ -46,8 +47,15 @@ function UIBase(pSetup) {
 		x: Validate.type(pSetup["x"], "number", 0),
 		y: Validate.type(pSetup["y"], "number", 0),
 		width: Validate.type(pSetup["width"], "number", 0),
-		height: Validate.type(pSetup["height"], "number", 0)
+		height: Validate.type(pSetup["height"], "number", 0),
+
+		//Store the layout used to render the element text (Null uses a single outlined line)
+		textLayout: null
 	};
+
+	//Set the text layout
+	if (typeof pSetup["textLayout"] === "object" && pSetup["textLayout"] !== null)
+		this.textLayout = pSetup["textLayout"];
 };
 
 ExtendProperties(UIBase, {
@@ -202,6 +210,49 @@ ExtendProperties(UIBase, {
 		this.__Internal__Dont__Modify__.height = pVal;
 	},
 
+	/*
+		UIBase : textLayout - Get the TextLayout used to render the text of the UI object
+		18/10/2026
+
+		return TextLayout - Returns the TextLayout object or null if the text is rendered as a single line
+	*/
+	get textLayout() {
+		return this.__Internal__Dont__Modify__.textLayout;
+	},
+
+	/*
+		UIBase : textLayout - Set the TextLayout used to render the text of the UI object. The text of the
+							  element is wrapped and aligned within the bounds of the element, using the
+							  font, colors and markup settings of the layout
+		18/10/2026
+
+		param[in] pLayout - A TextLayout object, an object to setup a new TextLayout with or null to render
+							the text as a single line
+
+		Example:
+
+		//Wrap the description label and allow inline colors
+		descriptionLabel.textLayout = {
+			font: "14px Arial",
+			color: "#FFF",
+			verticalAlign: VerticalAlign.MIDDLE
+		};
+	*/
+	set textLayout(pLayout) {
+		//Check for removal
+		if (pLayout === null) {
+			this.__Internal__Dont__Modify__.textLayout = null;
+			return;
+		}
+
+		//Check the type
+		if (typeof pLayout !== "object")
+			throw new Error("Can not set UIBase textLayout to " + pLayout + " (Type: " + typeof pLayout + ") Please use a TextLayout object, setup object or null");
+
+		//Set the value
+		this.__Internal__Dont__Modify__.textLayout = (pLayout instanceof TextLayout ? pLayout : new TextLayout(pLayout));
+	},
+
 	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 	/////                                                                                                            ////
 	/////                                                 Input Functions                                            ////
@@ -226,6 +277,92 @@ ExtendProperties(UIBase, {
 			pPos.y <= this.__Internal__Dont__Modify__.y + this.__Internal__Dont__Modify__.height);
 	},
 
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                 Text Functions                                             ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		UIBase : drawTextLayout - Render text with the TextLayout of the UI object
+		18/10/2026
+
+		param[in] pGraphics - The Graphics object being used to render
+		param[in] pText - The text to render
+		param[in] pX - The left of the box to render within (Default the x of the UI object)
+		param[in] pY - The top of the box to render within (Default the y of the UI object)
+		param[in] pWidth - The width of the box to render within (Default the width of the UI object)
+		param[in] pHeight - The height of the box to render within (Default the height of the UI object)
+
+		return bool - Returns true if the text was rendered (False if there is no TextLayout)
+	*/
+	drawTextLayout: function(pGraphics, pText, pX, pY, pWidth, pHeight) {
+		//Check there is a layout
+		if (this.__Internal__Dont__Modify__.textLayout === null) return false;
+
+		//Fit the layout to the box
+		this.__Internal__Dont__Modify__.textLayout.text = pText;
+		this.__Internal__Dont__Modify__.textLayout.width = Validate.type(pWidth, "number", this.__Internal__Dont__Modify__.width);
+		this.__Internal__Dont__Modify__.textLayout.height = Validate.type(pHeight, "number", this.__Internal__Dont__Modify__.height);
+
+		//Render the text
+		this.__Internal__Dont__Modify__.textLayout.draw(pGraphics.draw,
+			Validate.type(pX, "number", this.__Internal__Dont__Modify__.x),
+			Validate.type(pY, "number", this.__Internal__Dont__Modify__.y));
+		return true;
+	},
+
+	/*
+		UIBase : drawFontText - Render a line of text with a CSS font string or a BitmapFont
+		18/10/2026
+
+		param[in] pGraphics - The Graphics object being used to render
+		param[in] pFont - A string containing the CSS font or a BitmapFont object to render with
+		param[in] pText - The text to render
+		param[in] pX - The X position to render the text at
+		param[in] pY - The Y position of the baseline of the text
+		param[in] pTextColor - The Color object to render the text in (Tints a BitmapFont when set)
+		param[in] pOutlineColor - The Color object to render the outline in (Ignored for a BitmapFont)
+		param[in] pAlign - A TextAlign value indicating how the text is aligned to pX
+		param[in] pOutlineDistance - The distance of the outline from the text (Ignored for a BitmapFont)
+	*/
+	drawFontText: function(pGraphics, pFont, pText, pX, pY, pTextColor, pOutlineColor, pAlign, pOutlineDistance) {
+		//Render with the bitmap font
+		if (pFont instanceof BitmapFont) pGraphics.drawBitmapText(pFont, pText, pX, pY, {
+			color: (pTextColor instanceof Color ? pTextColor : null),
+			align: pAlign
+		});
+
+		//Otherwise render with the outline
+		else {
+			//Set the font
+			pGraphics.draw.font = pFont;
+
+			//Render the text
+			pGraphics.outlineText(pText, pX, pY, pTextColor, pOutlineColor, pAlign, pOutlineDistance);
+		}
+	},
+
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+	/////                                                                                                            ////
+	/////                                                 Image Functions                                            ////
+	/////                                                                                                            ////
+	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+	/*
+		UIBase : cleanNineSlice - Get a NineSlice object from a value assigned to the UI object
+		18/10/2026
+
+		param[in] pSlice - A NineSlice object, an object containing the values to create one with
+						   (See the NineSlice constructor) or null
+
+		return NineSlice - Returns the NineSlice object or null if pSlice is not an object
+	*/
+	cleanNineSlice: function(pSlice) {
+		return (pSlice instanceof NineSlice ? pSlice :
+			typeof pSlice === "object" && pSlice !== null ? new NineSlice(pSlice) : null);
+	},
+
 	/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 	/////                                                                                                            ////
 	/////                                                Virtual Functions                                           ////